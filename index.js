@@ -4,20 +4,290 @@ var assert = require('chai').assert;
 var E = require('linq');
 var SelectIterator = require('./src/iterators/select');
 var MultiIterator = require('./src/iterators/multi');
+var ConcatIterator = require('./src/iterators/concat');
+var CsvFileIterator = require('./src/iterators/csv-file');
+var AsyncCsvFileIterator = require('./src/async-iterators/csv-file');
 require('sugar');
-var BabyParse = require('babyparse');
 var extend = require('extend');
 
 var DataFrame = require('./src/dataframe');
 var Series = require('./src/series');
+var AsyncDataFrame = require('./src/async-dataframe');
+var AsyncSeries = require('./src/async-series');
 var E = require('linq');
 var zip = require('./src/zip');
+var typeInference = require('./src/type-inference');
+var csvDialect = require('./src/csv-dialect');
+var jsonFormat = require('./src/json-format');
+var JsonLinesFileIterator = require('./src/iterators/json-lines-file');
+var AsyncJsonLinesFileIterator = require('./src/async-iterators/json-lines-file');
+var xlsxFormat = require('./src/xlsx-format');
+var htmlFormat = require('./src/html-format');
+var textFormat = require('./src/text-format');
+var xmlFormat = require('./src/xml-format');
+var yamlFormat = require('./src/yaml-format');
+var http = require('./src/http');
+var formats = require('./src/formats');
+var glob = require('./src/glob');
 
 //
 // Records plugins that have been registered.
 //
 var registeredPlugins = {};
 
+//
+// Create a dataframe from data with the structure of JSON (eg parsed from JSON or YAML), as specified by the 'orient' and 'flatten' fields of the config.
+//
+var jsonDataToDataFrame = function (jsonData, config, functionName) {
+
+	var jsonOptions = jsonFormat.parseReadOptions(config, functionName);
+	var data = jsonFormat.read(jsonData, jsonOptions, functionName);
+
+	var baseConfig = {
+		values: data.rows
+	};
+
+	if (data.columnNames) {
+		baseConfig.columnNames = data.columnNames;
+		baseConfig.values = jsonFormat.toValueArrays(data.rows, data.columnNames);
+	}
+
+	if (data.index && !(config && config.index)) {
+		baseConfig.index = data.index;
+	}
+
+	var dataFrameConfig = extend({}, config || {}, baseConfig);
+	return new DataFrame(dataFrameConfig);
+};
+
+//
+// Create a dataframe from a worksheet read by 'xlsxFormat.readSheet'.
+//
+var xlsxSheetToDataFrame = function (sheet, config) {
+	var baseConfig = {
+		columnNames: config && config.columnNames ? config.columnNames : sheet.columnNames,
+		values: sheet.rows,
+	};
+	var dataFrameConfig = extend({}, config || {}, baseConfig);
+	return new DataFrame(dataFrameConfig);
+};
+
+//
+// Read a file in the local file system asynchronously, as text.
+//
+var readTextFile = function (filePath) {
+	return new Promise(function (resolve, reject) {
+		var fs = require('fs');
+		fs.readFile(filePath, 'utf8', function (err, data) {
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			resolve(data);
+		});
+	});
+};
+
+//
+// Read a file in the local file system asynchronously, as binary data.
+//
+var readBinaryFile = function (filePath) {
+	return new Promise(function (resolve, reject) {
+		var fs = require('fs');
+		fs.readFile(filePath, function (err, data) {
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			resolve(data);
+		});
+	});
+};
+
+//
+// Check the config passed to 'streamCSV' and get the dialect of the CSV, the same as for 'fromCSV'.
+// 'chunkSize' (the number of bytes read at a time) is an option of the stream rather than the dialect.
+// Types can't be inferred from a sample of the rows before the rows are read, so type inference isn't supported.
+//
+var parseStreamCsvOptions = function (config, functionName) {
+
+	if (config) {
+		assert.isObject(config, "Expected optional 'config' parameter to " + functionName + "(...) to be an object with configuration options for CSV parsing.");
+		assert(!config.inferTypes && !config.dynamicTyping, "Expected 'config' parameter to " + functionName + "(...) not to set 'inferTypes' or 'dynamicTyping', types can't be inferred when a CSV file is streamed. Use 'parseInts', 'parseFloats' or 'parseDates' to convert columns.");
+
+		if (config.columnNames) {
+			assert.isArray(config.columnNames, "Expected 'columnNames' field of 'config' parameter to " + functionName + "(...) to be an array of strings that specify column names.");
+		}
+	}
+
+	var options = extend({}, config);
+	delete options.chunkSize;
+	return csvDialect.parseReadOptions(options, functionName);
+};
+
+//
+// Check and normalize the options passed to 'readFiles' or 'readFilesSync': 'format' (the name of the format of the files, defaults to the format of the extension of each file),
+// 'sourceFile' (true to add a column named 'sourceFile' with the path of the file each row was read from, or the name of the column)
+// and 'captures' (an array of the names of columns to add with the text matched by the wildcards of the pattern, null to skip a wildcard).
+// Other options are passed to the format.
+//
+var parseReadFilesOptions = function (pattern, options, functionName) {
+
+	var readOptions = formats.splitOptions(options, ['format', 'sourceFile', 'captures'], functionName);
+	var sourceFile = readOptions.options.sourceFile;
+	var captures = readOptions.options.captures || [];
+
+	if (sourceFile !== undefined) {
+		assert(typeof sourceFile === 'boolean' || (typeof sourceFile === 'string' && sourceFile.length > 0), "Expected 'sourceFile' option passed to '" + functionName + "' to be true or the name of the column to add with the path of the file.");
+	}
+
+	assert.isArray(captures, "Expected 'captures' option passed to '" + functionName + "' to be an array of the names of the columns to add with the text matched by the wildcards of the pattern.");
+
+	var numCaptures = glob.compile(pattern).numCaptures;
+	assert(captures.length <= numCaptures, "Expected 'captures' option passed to '" + functionName + "' to name no more columns than the " + numCaptures + " wildcards of the pattern '" + pattern + "'.");
+
+	captures.forEach(function (columnName) {
+		if (columnName !== null) {
+			assert.isString(columnName, "Expected 'captures' option passed to '" + functionName + "' to contain names of columns or null.");
+		}
+	});
+
+	return {
+		format: readOptions.options.format,
+		sourceColumn: sourceFile === true ? 'sourceFile' : sourceFile || null,
+		captureColumns: captures,
+		formatOptions: readOptions.formatOptions,
+	};
+};
+
+//
+// Add the columns that record where the rows of a dataframe came from to a dataframe read from a file matched by 'glob.find'.
+// The columns are added lazily as the rows are iterated.
+//
+var addProvenanceColumns = function (dataFrame, file, options) {
+
+	var provenance = {};
+
+	if (options.sourceColumn) {
+		provenance[options.sourceColumn] = file.path;
+	}
+
+	options.captureColumns.forEach(function (columnName, captureIndex) {
+		if (columnName !== null) {
+			provenance[columnName] = file.captures[captureIndex];
+		}
+	});
+
+	var provenanceColumnNames = Object.keys(provenance);
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				return new SelectIterator(
+					dataFrame.getIterator(),
+					function (pair) {
+						return [pair[0], provenanceColumnNames.length > 0 ? extend({}, pair[1], provenance) : pair[1]];
+					}
+				);
+			},
+
+			getColumnNames: function () {
+				return E.from(dataFrame.getColumnNames())
+					.concat(provenanceColumnNames)
+					.distinct()
+					.toArray();
+			},
+		},
+	});
+};
+
+//
+// Create a dataframe that reads and parses a file matched by 'glob.find' or 'glob.findSync' when it is evaluated, with the provenance columns added.
+// The file is read again each time the dataframe is evaluated, so it isn't held in memory once it has been iterated.
+//
+var createFileDataFrame = function (file, readOptions, functionName) {
+
+	var format = formats.find(file.path, readOptions.format, functionName);
+	if (!format.parse) {
+		throw new Error("Format '" + format.name + "' passed to '" + functionName + "' doesn't support parsing.");
+	}
+
+	var load = function () {
+		var fs = require('fs');
+		var data = format.binary ? fs.readFileSync(file.path) : fs.readFileSync(file.path, 'utf8');
+		return addProvenanceColumns(format.parse(data, readOptions.formatOptions), file, readOptions);
+	};
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				return load().getIterator();
+			},
+
+			getColumnNames: function () {
+				return load().getColumnNames();
+			},
+		},
+	});
+};
+
+//
+// Create a dataframe that concatenates the dataframes read from files, with the index renumbered from zero.
+// 'getDataFrames' is called when the dataframe is first evaluated. Each file is only read when the iteration reaches it, so only one file is in memory at a time.
+// The column names are the union of the column names of the files.
+//
+var concatFileDataFrames = function (getDataFrames) {
+
+	var dataFrames = null;
+
+	var getFileDataFrames = function () {
+		if (!dataFrames) {
+			dataFrames = getDataFrames();
+		}
+
+		return dataFrames;
+	};
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				var iterators = getFileDataFrames().map(function (dataFrame) {
+					var iterator = null;
+
+					return {
+						moveNext: function () {
+							if (!iterator) {
+								iterator = dataFrame.getIterator();
+							}
+
+							return iterator.moveNext();
+						},
+
+						getCurrent: function () {
+							return iterator ? iterator.getCurrent() : undefined;
+						},
+					};
+				});
+
+				return new SelectIterator(new ConcatIterator(iterators), function (pair, index) {
+					return [index, pair[1]];
+				});
+			},
+
+			getColumnNames: function () {
+				return E.from(getFileDataFrames())
+					.selectMany(function (dataFrame) {
+						return dataFrame.getColumnNames();
+					})
+					.distinct()
+					.toArray();
+			},
+		},
+	});
+};
+
 /**
  * Main namespace for Data-Forge.
  * 
@@ -47,6 +317,16 @@ var dataForge = {
 	//
 	Series: Series,
 
+	//
+	// Constructor for AsyncDataFrame.
+	//
+	AsyncDataFrame: AsyncDataFrame,
+
+	//
+	// Constructor for AsyncSeries.
+	//
+	AsyncSeries: AsyncSeries,
+
 	/**
 	 * Install a plugin in the dataForge namespace.
 	 * 
@@ -69,12 +349,99 @@ var dataForge = {
 		return self;
 	},
 
+	/**
+	 * Register a data format that can be read by `dataForge.load` and written by `DataFrame.save`, eg by a plugin installed with `use`.
+	 * A format registered with the name of a format that is already registered replaces it.
+	 * 
+	 * @param {string} name - The name of the format, used to specify the format with the 'format' option of `dataForge.load` and `DataFrame.save`.
+	 * @param {object} format - The format: 'extensions' is an array of the file extensions the format is used for (eg ['.csv']),
+	 * 'parse' is a function that is passed the content of a file and the options passed to `dataForge.load` and returns a DataFrame,
+	 * 'serialize' is a function that is passed a DataFrame and the options passed to `DataFrame.save` and returns the content of a file (a string or a Buffer)
+	 * and 'streamParse' is an optional function that is passed the path of a file and the options passed to `dataForge.load` and returns an AsyncDataFrame that reads the file incrementally.
+	 * Set the 'binary' field to true for a format that parses binary data (a Buffer) rather than text. A format must have a 'parse' or 'serialize' function.
+	 * 
+	 * @returns {dataForge} Returns the dataForge API object so that calls to 'registerFormat' can be chained.
+	 */
+	registerFormat: function (name, format) {
+
+		formats.register(name, format, 'dataForge.registerFormat');
+
+		var self = this;
+		return self;
+	},
+
+	/**
+	 * Remove a data format from the registry of formats, so that it is no longer used by `dataForge.load` and `DataFrame.save`.
+	 * Removing a format that isn't registered does nothing.
+	 * 
+	 * @param {string} name - The name of the format.
+	 * 
+	 * @returns {dataForge} Returns the dataForge API object so that calls to 'unregisterFormat' can be chained.
+	 */
+	unregisterFormat: function (name) {
+
+		formats.unregister(name, 'dataForge.unregisterFormat');
+
+		var self = this;
+		return self;
+	},
+
+	/**
+	 * Read a file asynchronously from the file system, in a format from the registry of formats (see `registerFormat`).
+	 * The format is determined by the extension of the file or specified by the 'format' option.
+	 * Works in Nodejs, doesn't work in the browser.
+	 * 
+	 * @param {string} filePath - The path to the file to read.
+	 * @param {object} [options] - Optional options: 'format' is the name of the format of the file and 'stream' is true to read the file incrementally (for formats that support it, eg CSV and JSON Lines).
+	 * Other options are passed to the format, eg `dataForge.load('data.csv', { inferTypes: true })` passes 'inferTypes' to `dataForge.fromCSV`.
+	 * 
+	 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file, or of an async dataframe that lazily reads the file when 'stream' is true.
+	 * The promise is rejected when the format isn't registered or doesn't support reading the file.
+	 */
+	load: function (filePath, options) {
+		assert.isString(filePath, "Expected 'filePath' parameter to dataForge.load to be a string that specifies the path of the file to read.");
+
+		// The format is looked up in the promise chain, so that bad options reject the promise rather than throwing.
+		return Promise.resolve()
+			.then(function () {
+				var loadOptions = formats.splitOptions(options, ['format', 'stream'], 'dataForge.load');
+				var format = formats.find(filePath, loadOptions.options.format, 'dataForge.load');
+				var formatOptions = loadOptions.formatOptions;
+
+				if (loadOptions.options.stream !== undefined) {
+					assert.isBoolean(loadOptions.options.stream, "Expected 'stream' option passed to 'dataForge.load' to be true or false.");
+				}
+
+				if (loadOptions.options.stream) {
+					if (!format.streamParse) {
+						throw new Error("Format '" + format.name + "' passed to 'dataForge.load' doesn't support streaming.");
+					}
+
+					return format.streamParse(filePath, formatOptions);
+				}
+
+				if (!format.parse) {
+					throw new Error("Format '" + format.name + "' passed to 'dataForge.load' doesn't support parsing.");
+				}
+
+				return (format.binary ? readBinaryFile(filePath) : readTextFile(filePath))
+					.then(function (data) {
+						return format.parse(data, formatOptions);
+					});
+			});
+	},
+
 
 	/**
 	 * Deserialize a DataFrame from a JSON text string.
 	 *
 	 * @param {string} jsonTextString - The JSON text to deserialize.
 	 * @param {config} [config] - Optional configuration option to pass to the DataFrame.
+	 * Set the 'orient' field to specify the layout of the JSON data: 'records' (the default) is an array of row objects,
+	 * 'columns' is an object that maps each column name to an array of values (or to an object that maps index values to values),
+	 * 'split' is an object with 'columns' (an array of column names), 'index' (an optional array of index values) and 'data' (an array of rows, each an array of values)
+	 * and 'index' is an object that maps index values to row objects.
+	 * Set the 'flatten' field to true to expand nested objects to columns with names that are the path to each value joined by dots, or to an object with a 'separator' to join them by a different string.
 	 * 
 	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the JSON data.
 	 */
@@ -86,8 +453,40 @@ var dataForge = {
 			assert.isObject(config, "Expected 'config' parameter to 'dataForge.fromJSON' to be an object with configuration to pass to the DataFrame.");
 		}
 
+		return jsonDataToDataFrame(JSON.parse(jsonTextString), config, 'dataForge.fromJSON');
+	},
+
+	/**
+	 * Deserialize a DataFrame from JSON Lines text, where each line is a JSON object that is a row of the dataframe. Blank lines are ignored.
+	 *
+	 * @param {string} jsonLinesText - The JSON Lines text to deserialize.
+	 * @param {config} [config] - Optional configuration option to pass to the DataFrame.
+	 * Set the 'flatten' field to true to expand nested objects to columns with names that are the path to each value joined by dots, or to an object with a 'separator' to join them by a different string.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the JSON Lines data. The columns are the fields found in any of the rows.
+	 */
+	fromJSONLines: function (jsonLinesText, config) {
+		
+		assert.isString(jsonLinesText, "Expected 'jsonLinesText' parameter to 'dataForge.fromJSONLines' to be a string containing data encoded in the JSON Lines format.");
+
+		if (config) {
+			assert.isObject(config, "Expected 'config' parameter to 'dataForge.fromJSONLines' to be an object with configuration to pass to the DataFrame.");
+		}
+
+		var flattenSeparator = jsonFormat.parseFlattenOption(config, 'dataForge.fromJSONLines');
+		var rows = E.from(jsonLinesText.split('\n'))
+			.select(function (line, lineIndex) {
+				return jsonFormat.parseLine(line, lineIndex + 1, flattenSeparator);
+			})
+			.where(function (row) {
+				return row !== undefined;
+			})
+			.toArray();
+		var columnNames = jsonFormat.determineColumnNames(rows);
+
 		var baseConfig = {
-			values: JSON.parse(jsonTextString)
+			columnNames: columnNames,
+			values: jsonFormat.toValueArrays(rows, columnNames),
 		};
 
 		var dataFrameConfig = extend({}, config || {}, baseConfig);
@@ -99,6 +498,14 @@ var dataForge = {
 	 *
 	 * @param {string} csvTextString - The CSV text to deserialize.
 	 * @param {config} [config] - Optional configuration option to pass to the DataFrame.
+	 * Set the 'inferTypes' (or 'dynamicTyping') field to true to convert columns to number, boolean, date or string types inferred from a sample of the rows,
+	 * or to an object with the fields 'sampleSize' (the number of rows sampled, defaults to 1000), 'dateFormat' (the format of dates, defaults to ISO 8601),
+	 * 'columnTypes' (maps column names to types that override the inferred types, in the format of a schema for 'DataFrame.withSchema')
+	 * and 'onMixedTypes' (a function that is called with a dataframe that reports the columns with values of mixed types, which are left as strings).
+	 * The dialect of the CSV is specified by the fields 'delimiter' and 'newline' (both detected when not specified), 'quoteChar', 'escapeChar' (defaults to the quote character),
+	 * 'comments' (lines that start with this string are ignored), 'skipRows' (the number of leading lines to ignore), 'header' (false when there is no row of column names,
+	 * the columns are then named Column1, Column2 and so on unless 'columnNames' is specified) and 'decimalSeparator' (the decimal separator of numbers for type inference).
+	 * A byte order mark at the start of the CSV is ignored.
 	 * 
 	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the CSV data.
 	 */
@@ -117,9 +524,10 @@ var dataForge = {
 			}			
 		}
 
-		var csvConfig = extend({}, config);
-		var parsed = BabyParse.parse(csvTextString, csvConfig);
-		var rows = parsed.data;
+		var dialect = csvDialect.parseReadOptions(config, 'dataForge.fromCSV');
+		var inferTypes = config && (config.inferTypes || config.dynamicTyping); // Types are inferred after parsing, so values are still strings when cells are trimmed.
+
+		var rows = csvDialect.parse(csvTextString, dialect);
 		
 		/* Old csv parsing.
 		var lines = csvTextString.split('\n');
@@ -165,74 +573,572 @@ var dataForge = {
 		if (config && config.columnNames) {
 			columnNames = config.columnNames;
 		}
-		else {
+		else if (dialect.header) {
 			columnNames = E.from(E.from(rows).first())
 				.select(function (columnName) {
 					return columnName.trim();
 				})
 				.toArray();
+		}
+		else {
+			// Without a header columns are named by their position.
+			columnNames = E.range(1, E.from(rows).max(function (row) {
+					return row.length;
+				}))
+				.select(function (columnNumber) {
+					return 'Column' + columnNumber;
+				})
+				.toArray();
+		}
+
+		if (dialect.header) {
 			rows = E.from(rows)
 				.skip(1) // Skip header.
 				.toArray();
 		}
 
-		var baseConfig = {
-			columnNames: columnNames, 
-			values: rows,
-		};
-		var dataFrameConfig = extend({}, config || {}, baseConfig);
-		return new dataForge.DataFrame(dataFrameConfig);
-	},
+		if (inferTypes) {
+			rows = typeInference.convertRows(columnNames, rows, inferTypes, 'dataForge.fromCSV', dialect.decimalSeparator);
+		}
+
+		var baseConfig = {
+			columnNames: columnNames, 
+			values: rows,
+		};
+		var dataFrameConfig = extend({}, config || {}, baseConfig);
+		return new dataForge.DataFrame(dataFrameConfig);
+	},
+
+	/**
+	 * Deserialize a DataFrame from a worksheet of an XLSX spreadsheet (an Excel workbook).
+	 * Cells are read with their types: numbers, dates, booleans and strings. Empty cells are undefined and blank rows are ignored.
+	 *
+	 * @param {Buffer} data - The binary content of the XLSX file.
+	 * @param {config} [config] - Optional configuration option to pass to the DataFrame.
+	 * Set the 'sheet' field to the name or zero-based index of the worksheet to read, defaults to the first worksheet.
+	 * Set the 'range' field to the cells to read in A1 notation (eg 'B2:E20'), defaults to all cells of the worksheet.
+	 * Set the 'headerRow' field to the row number (as shown in Excel) that contains the column names, defaults to the first row of the range unless 'columnNames' is specified.
+	 * Set it to false when there is no row of column names, the columns are then named Column1, Column2 and so on unless 'columnNames' is specified.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the worksheet.
+	 */
+	fromXLSX: function (data, config) {
+
+		var xlsxOptions = xlsxFormat.parseReadOptions(config, 'dataForge.fromXLSX');
+		var workbook = xlsxFormat.readWorkbook(data, 'dataForge.fromXLSX');
+		return xlsxSheetToDataFrame(xlsxFormat.readSheet(workbook, xlsxOptions.sheet, xlsxOptions, 'dataForge.fromXLSX'), config);
+	},
+
+	/**
+	 * Deserialize a DataFrame from each worksheet of an XLSX spreadsheet (an Excel workbook).
+	 *
+	 * @param {Buffer} data - The binary content of the XLSX file.
+	 * @param {config} [config] - Optional configuration option to pass to each DataFrame.
+	 * Set the 'sheets' field to an array with the names of the worksheets to read, defaults to all worksheets.
+	 * The 'range' and 'headerRow' fields are the same as for `dataForge.fromXLSX` and apply to every worksheet.
+	 * 
+	 * @returns {object} Returns an object that maps the name of each worksheet to a dataframe that has been deserialized from the worksheet.
+	 */
+	fromXLSXSheets: function (data, config) {
+
+		var xlsxOptions = xlsxFormat.parseReadOptions(config, 'dataForge.fromXLSXSheets');
+		var workbook = xlsxFormat.readWorkbook(data, 'dataForge.fromXLSXSheets');
+		return E.from(xlsxOptions.sheets || workbook.SheetNames)
+			.toObject(
+				function (sheetName) {
+					return sheetName;
+				},
+				function (sheetName) {
+					return xlsxSheetToDataFrame(xlsxFormat.readSheet(workbook, sheetName, xlsxOptions, 'dataForge.fromXLSXSheets'), config);
+				}
+			);
+	},
+
+	/**
+	 * Treat multiple dataframes as the worksheets of an XLSX spreadsheet for purposes of serialization.
+	 *
+	 * @param {object} dataFrames - An object that maps the name of each worksheet to the dataframe to write to it.
+	 * @param {object} [options] - Optional options for the worksheets, the same as for `DataFrame.asXLSX`. The 'sheetName' field is ignored.
+	 * 
+	 * @returns {object} Returns an object that represents the dataframes for serialization in the XLSX format. Call `writeFile` or `writeFileSync` to output the workbook.
+	 */
+	asXLSX: function (dataFrames, options) {
+		assert.isObject(dataFrames, "Expected 'dataFrames' parameter to 'dataForge.asXLSX' to be an object that maps worksheet names to dataframes.");
+
+		var sheetNames = Object.keys(dataFrames);
+		assert(sheetNames.length > 0, "Expected 'dataFrames' parameter to 'dataForge.asXLSX' to have at least one worksheet.");
+		sheetNames.forEach(function (sheetName) {
+			assert.instanceOf(dataFrames[sheetName], DataFrame, "Expected worksheet '" + sheetName + "' of 'dataFrames' parameter to 'dataForge.asXLSX' to be a DataFrame.");
+		});
+
+		return xlsxFormat.createWriter(
+			function () {
+				return sheetNames.map(function (sheetName) {
+					return {
+						sheetName: sheetName,
+						columnNames: dataFrames[sheetName].getColumnNames(),
+						rows: dataFrames[sheetName].toRows(),
+					};
+				});
+			},
+			options,
+			'dataForge.asXLSX'
+		);
+	},
+
+	/**
+	 * Deserialize a DataFrame from a table in HTML, eg to scrape a table from a web page.
+	 * Tags within cells are removed, character references are decoded and whitespace is collapsed.
+	 *
+	 * @param {string} html - The HTML that contains the table.
+	 * @param {config} [config] - Optional configuration option to pass to the DataFrame.
+	 * Set the 'tableIndex' field to the zero-based position of the table in the HTML, in the order the tables start, defaults to the first table.
+	 * Set the 'inferTypes' field to convert columns (and the index) to types inferred from the text of the cells, with the same options as for `dataForge.fromCSV`.
+	 * The column names are the last row of the header of the table, or the first row when it only has th cells. When the first cell of every other row is a th cell,
+	 * as in the output of `DataFrame.toHTML`, the first column is the index, unless 'index' is specified.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the table.
+	 */
+	fromHTML: function (html, config) {
+
+		assert.isString(html, "Expected 'html' parameter to 'dataForge.fromHTML' to be a string containing an HTML table.");
+
+		if (config) {
+			assert.isObject(config, "Expected 'config' parameter to 'dataForge.fromHTML' to be an object with configuration to pass to the DataFrame.");
+
+			if (config.tableIndex !== undefined) {
+				assert(typeof config.tableIndex === 'number' && config.tableIndex >= 0 && config.tableIndex % 1 === 0, "Expected 'tableIndex' field of 'config' parameter to 'dataForge.fromHTML' to be the zero-based position of a table.");
+			}
+		}
+
+		var table = htmlFormat.parse(html, config && config.tableIndex || 0, 'dataForge.fromHTML');
+		var columnNames = config && config.columnNames || table.columnNames;
+		var rows = table.rows;
+		var index = table.index;
+
+		var inferTypes = config && config.inferTypes;
+		if (inferTypes) {
+			rows = typeInference.convertRows(columnNames, rows, inferTypes, 'dataForge.fromHTML');
+			if (index) {
+				index = typeInference.convertRows(['Index'], index.map(function (indexValue) { return [indexValue]; }), true, 'dataForge.fromHTML')
+					.map(function (row) {
+						return row[0];
+					});
+			}
+		}
+
+		var baseConfig = {
+			columnNames: columnNames,
+			values: rows,
+		};
+
+		if (index && !(config && config.index)) {
+			baseConfig.index = index;
+		}
+
+		var dataFrameConfig = extend({}, config || {}, baseConfig);
+		return new DataFrame(dataFrameConfig);
+	},
+
+	/**
+	 * Deserialize a DataFrame from XML, where each row is an element.
+	 * Each element within a row that has no child elements is a column, named by the path to the element from the row joined by dots (eg 'Address.City').
+	 * The text of elements is trimmed. The columns are the elements found in any of the rows.
+	 *
+	 * @param {string} xmlText - The XML text to deserialize.
+	 * @param {config} [config] - Optional configuration option to pass to the DataFrame.
+	 * Set the 'rowElement' field to the name of the elements that are rows, which defaults to the children of the root element.
+	 * Set the 'attributesAsColumns' field to false to ignore attributes, otherwise attributes are columns named by the path to their element and the attribute name.
+	 * Set the 'inferTypes' field to convert columns to types inferred from their values, with the same options as for `dataForge.fromCSV`.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the XML.
+	 */
+	fromXML: function (xmlText, config) {
+
+		assert.isString(xmlText, "Expected 'xmlText' parameter to 'dataForge.fromXML' to be a string containing data encoded in the XML format.");
+
+		if (config) {
+			assert.isObject(config, "Expected 'config' parameter to 'dataForge.fromXML' to be an object with configuration to pass to the DataFrame.");
+		}
+
+		var xmlOptions = xmlFormat.parseReadOptions(config, 'dataForge.fromXML');
+		var rows = xmlFormat.parse(xmlText, xmlOptions, 'dataForge.fromXML');
+		var columnNames = jsonFormat.determineColumnNames(rows);
+		var values = jsonFormat.toValueArrays(rows, columnNames);
+
+		var inferTypes = config && config.inferTypes;
+		if (inferTypes) {
+			values = typeInference.convertRows(columnNames, values, inferTypes, 'dataForge.fromXML');
+		}
+
+		var baseConfig = {
+			columnNames: columnNames,
+			values: values,
+		};
+
+		var dataFrameConfig = extend({}, config || {}, baseConfig);
+		return new DataFrame(dataFrameConfig);
+	},
+
+	/**
+	 * Deserialize a DataFrame from YAML text. Timestamps are deserialized to dates.
+	 *
+	 * @param {string} yamlText - The YAML text to deserialize.
+	 * @param {config} [config] - Optional configuration option to pass to the DataFrame.
+	 * The YAML data has the same layout as JSON data, specified by the 'orient' field, and the 'flatten' field expands nested objects to columns, as for `dataForge.fromJSON`.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the YAML.
+	 */
+	fromYAML: function (yamlText, config) {
+
+		assert.isString(yamlText, "Expected 'yamlText' parameter to 'dataForge.fromYAML' to be a string containing data encoded in the YAML format.");
+
+		if (config) {
+			assert.isObject(config, "Expected 'config' parameter to 'dataForge.fromYAML' to be an object with configuration to pass to the DataFrame.");
+		}
+
+		var data = yamlFormat.parse(yamlText, 'dataForge.fromYAML');
+		return jsonDataToDataFrame(data === undefined || data === null ? [] : data, config, 'dataForge.fromYAML');
+	},
+
+	/**
+	 * Deserialize a DataFrame from text with fixed-width columns, eg an extract from a mainframe.
+	 * Fields are trimmed, empty fields are undefined and blank lines are ignored.
+	 *
+	 * @param {string} text - The fixed-width text to deserialize.
+	 * @param {config} config - Configuration for the text, also passed to the DataFrame.
+	 * The 'columns' field is an array of columns, each with a 'name', the zero-based 'start' character (defaults to the end of the previous column)
+	 * and the 'width' in characters (only the last column can omit its width, it then extends to the end of the line).
+	 * A column can also have a 'type' (int, float, number, string, date or boolean) and a 'format' (for dates), as for a schema for 'DataFrame.withSchema',
+	 * values that can't be converted to the type are left as text. The 'skipRows' field is the number of leading lines to ignore.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the text.
+	 */
+	fromFixedWidth: function (text, config) {
+
+		assert.isString(text, "Expected 'text' parameter to 'dataForge.fromFixedWidth' to be a string containing text with fixed-width columns.");
+
+		var textOptions = textFormat.parseFixedWidthOptions(config, 'dataForge.fromFixedWidth');
+		var parsed = textFormat.parseFixedWidth(text, textOptions);
+
+		var baseConfig = {
+			columnNames: parsed.columnNames,
+			values: parsed.rows,
+		};
+
+		var dataFrameConfig = extend({}, config, baseConfig);
+		delete dataFrameConfig.columns; // The columns of the text, not of the dataframe.
+		return new DataFrame(dataFrameConfig);
+	},
+
+	/**
+	 * Deserialize a DataFrame from text with a regular expression that pulls out the columns of each line, eg a server log.
+	 * Blank lines are ignored.
+	 *
+	 * @param {string} text - The text to deserialize.
+	 * @param {config} config - Configuration for the text, also passed to the DataFrame.
+	 * The 'pattern' field is a regular expression (or a string for one) that matches a line, with a capture group for each column.
+	 * The 'columnNames' field names the columns, which default to the names of named capture groups, otherwise columns are named Column1, Column2 and so on.
+	 * Set the 'skipUnmatched' field to true to ignore lines that don't match the pattern, otherwise they are an error. The 'skipRows' field is the number of leading lines to ignore.
+	 * Set the 'inferTypes' field to convert columns to types inferred from their values, with the same options as for `dataForge.fromCSV`.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that has been deserialized from the text.
+	 */
+	fromText: function (text, config) {
+
+		assert.isString(text, "Expected 'text' parameter to 'dataForge.fromText' to be a string.");
+
+		var textOptions = textFormat.parseTextOptions(config, 'dataForge.fromText');
+		var parsed = textFormat.parseText(text, textOptions, 'dataForge.fromText');
+
+		var rows = parsed.rows;
+		if (config.inferTypes) {
+			rows = typeInference.convertRows(parsed.columnNames, rows, config.inferTypes, 'dataForge.fromText');
+		}
+
+		var baseConfig = {
+			columnNames: parsed.columnNames,
+			values: rows,
+		};
+
+		var dataFrameConfig = extend({}, config, baseConfig);
+		return new DataFrame(dataFrameConfig);
+	},
+
+	/**
+	 * Read a file asynchronously from the file system.
+	 * Works in Nodejs, doesn't work in the browser.
+	 * 
+	 * @param {string} filePath - The path to the file to read.
+	 * 
+	 * @returns {object} file - Returns an object that represents the file. Use `parseCSV`, `parseJSON`, `parseJSONLines`, `parseXLSX`, `parseXML`, `parseYAML`, `parseFixedWidth` or `parseText` to deserialize to a DataFrame.
+	 */
+	readFile: function (filePath) {
+		assert.isString(filePath, "Expected 'filePath' parameter to dataForge.readFileSync to be a string that specifies the path of the file to read.");
+
+		return {
+			/**
+			 * Deserialize a CSV file to a DataFrame.
+			 * Returns a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration file for parsing.
+			 * 
+			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
+			 */
+			parseCSV: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseCSV(...) to be an object with configuration options for CSV parsing.");
+				}
+
+				return new Promise(function (resolve, reject) {
+					var fs = require('fs');
+					fs.readFile(filePath, 'utf8', function (err, csvData) {
+						if (err) {
+							reject(err);
+							return;
+						}
+
+						resolve(dataForge.fromCSV(csvData, config));
+					});
+				});
+			},
+
+			/**
+			 * Deserialize a JSON file to a DataFrame.
+			 * Returns a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration file for parsing.
+			 * 
+			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
+			 */
+			parseJSON: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseJSON(...) to be an object with configuration options for JSON parsing.");
+				}
+
+				return new Promise(function (resolve, reject) {
+					var fs = require('fs');
+					fs.readFile(filePath, 'utf8', function (err, data) {
+						if (err) {
+							reject(err);
+							return;
+						}
+
+						resolve(dataForge.fromJSON(data, config));
+					});
+				});
+			},
+
+			/**
+			 * Incrementally deserialize a CSV file to an async DataFrame.
+			 * The file is read and parsed in chunks, asynchronously, as the dataframe is evaluated, so files larger than memory can be processed.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing. Set `chunkSize` to control the number of bytes read at a time.
+			 * The dialect of the CSV and 'columnNames' are the same as for `dataForge.fromCSV`, except that without a header the number of columns is the number of fields in the first row.
+			 * Types can't be inferred from a streamed file, so 'inferTypes' isn't supported.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe that lazily reads the file.
+			 */
+			streamCSV: function (config) {
+				var dialect = parseStreamCsvOptions(config, 'dataForge.readFile(...).streamCSV');
+
+				return new AsyncDataFrame({
+					iterable: {
+						getIterator: function () {
+							return new AsyncCsvFileIterator(filePath, dialect, config);
+						},
+
+						getColumnNames: function () {
+							return new AsyncCsvFileIterator(filePath, dialect, config).getColumnNames();
+						},
+					},
+				});
+			},
+
+			/**
+			 * Deserialize a JSON Lines file to a DataFrame.
+			 * Returns a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromJSONLines`.
+			 * 
+			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
+			 */
+			parseJSONLines: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseJSONLines(...) to be an object with configuration options for JSON Lines parsing.");
+				}
+
+				return new Promise(function (resolve, reject) {
+					var fs = require('fs');
+					fs.readFile(filePath, 'utf8', function (err, data) {
+						if (err) {
+							reject(err);
+							return;
+						}
+
+						resolve(dataForge.fromJSONLines(data, config));
+					});
+				});
+			},
+
+			/**
+			 * Incrementally deserialize a JSON Lines file to an async DataFrame.
+			 * The file is read and parsed in chunks, asynchronously, as the dataframe is evaluated, so files larger than memory can be processed.
+			 * The columns are the fields of the first row, unlike `parseJSONLines` fields that first appear in later rows aren't columns unless they are named by the 'columnNames' option.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing. Set `chunkSize` to control the number of bytes read at a time, `flatten` to expand nested objects to columns
+			 * and `columnNames` to an array of the names of the columns instead of taking them from the first row.
+			 * 
+			 * @returns {AsyncDataFrame} Returns an async dataframe that lazily reads the file.
+			 */
+			streamJSONLines: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).streamJSONLines(...) to be an object with configuration options for JSON Lines parsing.");
+				}
+
+				var flattenSeparator = jsonFormat.parseFlattenOption(config, 'dataForge.readFile(...).streamJSONLines');
+				var columnNames = jsonFormat.parseColumnNamesOption(config, 'dataForge.readFile(...).streamJSONLines');
+
+				return new AsyncDataFrame({
+					iterable: {
+						getIterator: function () {
+							return new AsyncJsonLinesFileIterator(filePath, config, flattenSeparator);
+						},
+
+						getColumnNames: function () {
+							if (columnNames) {
+								return Promise.resolve(columnNames);
+							}
+
+							return new AsyncJsonLinesFileIterator(filePath, config, flattenSeparator).getColumnNames();
+						},
+					},
+				});
+			},
+
+			/**
+			 * Deserialize a worksheet of an XLSX file to a DataFrame.
+			 * Returns a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromXLSX`.
+			 * 
+			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
+			 */
+			parseXLSX: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseXLSX(...) to be an object with configuration options for XLSX parsing.");
+				}
+
+				return readBinaryFile(filePath)
+					.then(function (data) {
+						return dataForge.fromXLSX(data, config);
+					});
+			},
+
+			/**
+			 * Deserialize each worksheet of an XLSX file to a DataFrame.
+			 * Returns a promise that later resolves to an object that maps the name of each worksheet to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromXLSXSheets`.
+			 * 
+			 * @returns {Promise<object>} Returns a promise of the dataframes loaded from the file. 
+			 */
+			parseXLSXSheets: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseXLSXSheets(...) to be an object with configuration options for XLSX parsing.");
+				}
+
+				return readBinaryFile(filePath)
+					.then(function (data) {
+						return dataForge.fromXLSXSheets(data, config);
+					});
+			},
+
+			/**
+			 * Deserialize a text file with fixed-width columns to a DataFrame.
+			 * Returns a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} config - Configuration for parsing, the same as for `dataForge.fromFixedWidth`.
+			 * 
+			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
+			 */
+			parseFixedWidth: function (config) {
+				assert.isObject(config, "Expected 'config' parameter to dataForge.readFile(...).parseFixedWidth(...) to be an object with the columns of the fixed-width text.");
+
+				return new Promise(function (resolve, reject) {
+					var fs = require('fs');
+					fs.readFile(filePath, 'utf8', function (err, data) {
+						if (err) {
+							reject(err);
+							return;
+						}
+
+						resolve(dataForge.fromFixedWidth(data, config));
+					});
+				});
+			},
 
-	/**
-	 * Read a file asynchronously from the file system.
-	 * Works in Nodejs, doesn't work in the browser.
-	 * 
-	 * @param {string} filePath - The path to the file to read.
-	 * 
-	 * @returns {object} file - Returns an object that represents the file. Use `parseCSV` or `parseJSON` to deserialize to a DataFrame.
-	 */
-	readFile: function (filePath) {
-		assert.isString(filePath, "Expected 'filePath' parameter to dataForge.readFileSync to be a string that specifies the path of the file to read.");
+			/**
+			 * Deserialize a text file to a DataFrame with a regular expression that pulls out the columns of each line.
+			 * Returns a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} config - Configuration for parsing, the same as for `dataForge.fromText`.
+			 * 
+			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
+			 */
+			parseText: function (config) {
+				assert.isObject(config, "Expected 'config' parameter to dataForge.readFile(...).parseText(...) to be an object with the pattern that matches each line.");
+
+				return new Promise(function (resolve, reject) {
+					var fs = require('fs');
+					fs.readFile(filePath, 'utf8', function (err, data) {
+						if (err) {
+							reject(err);
+							return;
+						}
+
+						resolve(dataForge.fromText(data, config));
+					});
+				});
+			},
 
-		return {
 			/**
-			 * Deserialize a CSV file to a DataFrame.
+			 * Deserialize an XML file to a DataFrame.
 			 * Returns a promise that later resolves to a DataFrame.
 			 * 
-			 * @param {object} [config] - Optional configuration file for parsing.
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromXML`.
 			 * 
 			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
 			 */
-			parseCSV: function (config) {
+			parseXML: function (config) {
 				if (config) {
-					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseCSV(...) to be an object with configuration options for CSV parsing.");
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseXML(...) to be an object with configuration options for XML parsing.");
 				}
 
 				return new Promise(function (resolve, reject) {
 					var fs = require('fs');
-					fs.readFile(filePath, 'utf8', function (err, csvData) {
+					fs.readFile(filePath, 'utf8', function (err, data) {
 						if (err) {
 							reject(err);
 							return;
 						}
 
-						resolve(dataForge.fromCSV(csvData, config));
+						resolve(dataForge.fromXML(data, config));
 					});
 				});
 			},
 
 			/**
-			 * Deserialize a JSON file to a DataFrame.
+			 * Deserialize a YAML file to a DataFrame.
 			 * Returns a promise that later resolves to a DataFrame.
 			 * 
-			 * @param {object} [config] - Optional configuration file for parsing.
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromYAML`.
 			 * 
 			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe loaded from the file. 
 			 */
-			parseJSON: function (config) {
+			parseYAML: function (config) {
 				if (config) {
-					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseJSON(...) to be an object with configuration options for JSON parsing.");
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFile(...).parseYAML(...) to be an object with configuration options for YAML parsing.");
 				}
 
 				return new Promise(function (resolve, reject) {
@@ -243,10 +1149,10 @@ var dataForge = {
 							return;
 						}
 
-						resolve(dataForge.fromJSON(data, config));
+						resolve(dataForge.fromYAML(data, config));
 					});
 				});
-			} 
+			},
 
 		};
 	},
@@ -257,7 +1163,7 @@ var dataForge = {
 	 * 
 	 * @param {string} filePath - The path to the file to read.
 	 * 
-	 * @returns {object} Returns an object that represents the file. Use `parseCSV` or `parseJSON` to deserialize to a DataFrame.
+	 * @returns {object} Returns an object that represents the file. Use `parseCSV`, `parseJSON`, `parseJSONLines`, `parseXLSX`, `parseXML`, `parseYAML`, `parseFixedWidth` or `parseText` to deserialize to a DataFrame.
 	 */
 	readFileSync: function (filePath) {
 		assert.isString(filePath, "Expected 'filePath' parameter to dataForge.readFileSync to be a string that specifies the path of the file to read.");
@@ -293,8 +1199,308 @@ var dataForge = {
 
 				var fs = require('fs');
 				return dataForge.fromJSON(fs.readFileSync(filePath, 'utf8'), config);
-			} 
+			},
+
+			/**
+			 * Incrementally deserialize a CSV file to a DataFrame.
+			 * The file is read and parsed in chunks as the dataframe is evaluated, so files larger than memory can be processed.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing. Set `chunkSize` to control the number of bytes read at a time.
+			 * The dialect of the CSV and 'columnNames' are the same as for `dataForge.fromCSV`, except that without a header the number of columns is the number of fields in the first row.
+			 * Types can't be inferred from a streamed file, so 'inferTypes' isn't supported.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that lazily reads the file.
+			 */
+			streamCSV: function (config) {
+				var dialect = parseStreamCsvOptions(config, 'dataForge.readFileSync(...).streamCSV');
+
+				return new DataFrame({
+					iterable: {
+						getIterator: function () {
+							return new CsvFileIterator(filePath, dialect, config);
+						},
+
+						getColumnNames: function () {
+							return new CsvFileIterator(filePath, dialect, config).getColumnNames();
+						},
+					},
+				});
+			},
+
+			/**
+			 * Deserialize a JSON Lines file to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromJSONLines`.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseJSONLines: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).parseJSONLines(...) to be an object with configuration options for JSON Lines parsing.");
+				}
+
+				var fs = require('fs');
+				return dataForge.fromJSONLines(fs.readFileSync(filePath, 'utf8'), config);
+			},
+
+			/**
+			 * Incrementally deserialize a JSON Lines file to a DataFrame.
+			 * The file is read and parsed in chunks as the dataframe is evaluated, so files larger than memory can be processed.
+			 * The columns are the fields of the first row, unlike `parseJSONLines` fields that first appear in later rows aren't columns unless they are named by the 'columnNames' option.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing. Set `chunkSize` to control the number of bytes read at a time, `flatten` to expand nested objects to columns
+			 * and `columnNames` to an array of the names of the columns instead of taking them from the first row.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that lazily reads the file.
+			 */
+			streamJSONLines: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).streamJSONLines(...) to be an object with configuration options for JSON Lines parsing.");
+				}
+
+				var flattenSeparator = jsonFormat.parseFlattenOption(config, 'dataForge.readFileSync(...).streamJSONLines');
+				var columnNames = jsonFormat.parseColumnNamesOption(config, 'dataForge.readFileSync(...).streamJSONLines');
+
+				return new DataFrame({
+					iterable: {
+						getIterator: function () {
+							return new JsonLinesFileIterator(filePath, config, flattenSeparator);
+						},
+
+						getColumnNames: function () {
+							if (columnNames) {
+								return columnNames;
+							}
+
+							return new JsonLinesFileIterator(filePath, config, flattenSeparator).getColumnNames();
+						},
+					},
+				});
+			},
+
+			/**
+			 * Deserialize a worksheet of an XLSX file to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromXLSX`.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseXLSX: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).parseXLSX(...) to be an object with configuration options for XLSX parsing.");
+				}
+
+				var fs = require('fs');
+				return dataForge.fromXLSX(fs.readFileSync(filePath), config);
+			},
+
+			/**
+			 * Deserialize each worksheet of an XLSX file to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromXLSXSheets`.
+			 * 
+			 * @returns {object} Returns an object that maps the name of each worksheet to a dataframe that was deserialized from it.
+			 */
+			parseXLSXSheets: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).parseXLSXSheets(...) to be an object with configuration options for XLSX parsing.");
+				}
+
+				var fs = require('fs');
+				return dataForge.fromXLSXSheets(fs.readFileSync(filePath), config);
+			},
+
+			/**
+			 * Deserialize a text file with fixed-width columns to a DataFrame.
+			 * 
+			 * @param {object} config - Configuration for parsing, the same as for `dataForge.fromFixedWidth`.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseFixedWidth: function (config) {
+				assert.isObject(config, "Expected 'config' parameter to dataForge.readFileSync(...).parseFixedWidth(...) to be an object with the columns of the fixed-width text.");
+
+				var fs = require('fs');
+				return dataForge.fromFixedWidth(fs.readFileSync(filePath, 'utf8'), config);
+			},
+
+			/**
+			 * Deserialize a text file to a DataFrame with a regular expression that pulls out the columns of each line.
+			 * 
+			 * @param {object} config - Configuration for parsing, the same as for `dataForge.fromText`.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseText: function (config) {
+				assert.isObject(config, "Expected 'config' parameter to dataForge.readFileSync(...).parseText(...) to be an object with the pattern that matches each line.");
+
+				var fs = require('fs');
+				return dataForge.fromText(fs.readFileSync(filePath, 'utf8'), config);
+			},
+
+			/**
+			 * Deserialize an XML file to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromXML`.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseXML: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).parseXML(...) to be an object with configuration options for XML parsing.");
+				}
+
+				var fs = require('fs');
+				return dataForge.fromXML(fs.readFileSync(filePath, 'utf8'), config);
+			},
+
+			/**
+			 * Deserialize a YAML file to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromYAML`.
+			 * 
+			 * @returns {DataFrame} Returns a dataframe that was deserialized from the file.  
+			 */
+			parseYAML: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.readFileSync(...).parseYAML(...) to be an object with configuration options for YAML parsing.");
+				}
+
+				var fs = require('fs');
+				return dataForge.fromYAML(fs.readFileSync(filePath, 'utf8'), config);
+			},
+
+		};
+	},
+
+	/**
+	 * Read the files that match a glob pattern asynchronously from the file system and concatenate them into a single dataframe, eg to read a directory of daily CSV files.
+	 * Files are read in the order of their paths, in formats from the registry of formats (see `registerFormat`). Columns that are missing from some of the files are undefined in their rows.
+	 * The files are found before the promise resolves. Each file is read and parsed when the dataframe is iterated up to it, so only one file is in memory at a time,
+	 * and is read again each time the dataframe is evaluated. Getting the column names reads every file.
+	 * Works in Nodejs, doesn't work in the browser.
+	 * 
+	 * @param {string} pattern - The glob pattern that matches the paths of the files, with forward slashes between directories (eg 'data/2016-*.csv').
+	 * '*' matches any characters within a name, '?' a single character, '[abc]' a character in a set, '{a,b}' any of the alternatives and '**' any number of directories.
+	 * @param {object} [options] - Optional options: 'format' is the name of the format of the files, which defaults to the format of the extension of each file.
+	 * Set 'sourceFile' to true to add a column named 'sourceFile' with the path of the file each row was read from, or to the name of the column to add.
+	 * Set 'captures' to an array of the names of columns to add with the text matched by each wildcard of the pattern (except '**'), eg ['Date'] for 'data/*.csv', null skips a wildcard.
+	 * Other options are passed to the format, eg 'inferTypes' for CSV files.
+	 * 
+	 * @returns {Promise<DataFrame>} Returns a promise of a dataframe of the rows of all the files, empty when no files match the pattern.
+	 */
+	readFiles: function (pattern, options) {
+		assert.isString(pattern, "Expected 'pattern' parameter to dataForge.readFiles to be a string that specifies a glob pattern for the paths of the files to read.");
+
+		var readOptions = parseReadFilesOptions(pattern, options, 'dataForge.readFiles');
+
+		return glob.find(pattern)
+			.then(function (files) {
+				var dataFrames = files.map(function (file) {
+					return createFileDataFrame(file, readOptions, 'dataForge.readFiles');
+				});
+
+				return concatFileDataFrames(function () {
+					return dataFrames;
+				});
+			});
+	},
+
+	/**
+	 * Read the files that match a glob pattern synchronously from the file system and concatenate them into a single dataframe.
+	 * The files are found when the dataframe is first evaluated and each file is read when the dataframe is iterated up to it, the same as for `readFiles`.
+	 * Works in Nodejs, doesn't work in the browser.
+	 * 
+	 * @param {string} pattern - The glob pattern that matches the paths of the files, the same as for `readFiles`.
+	 * @param {object} [options] - Optional options, the same as for `readFiles`.
+	 * 
+	 * @returns {DataFrame} Returns a dataframe that lazily reads the files.
+	 */
+	readFilesSync: function (pattern, options) {
+		assert.isString(pattern, "Expected 'pattern' parameter to dataForge.readFilesSync to be a string that specifies a glob pattern for the paths of the files to read.");
+
+		var readOptions = parseReadFilesOptions(pattern, options, 'dataForge.readFilesSync');
+
+		return concatFileDataFrames(function () {
+			return glob.findSync(pattern)
+				.map(function (file) {
+					return createFileDataFrame(file, readOptions, 'dataForge.readFilesSync');
+				});
+		});
+	},
+
+	/**
+	 * Request data from a REST API with an HTTP GET request.
+	 * Works in Nodejs, doesn't work in the browser.
+	 * 
+	 * @param {string} url - The URL to request.
+	 * @param {object} [options] - Optional options for the request. Set the 'headers' field to an object that maps the names of headers to send to their values.
+	 * Set the 'nextPage' field to a function that requests the pages of a paginated API: it is passed each response (an object with the 'url', 'statusCode', 'headers' and 'body')
+	 * and the number of pages received so far, and returns the URL of the next page (which can be relative to the URL of the previous page) or null after the last page.
+	 * The pages are deserialized individually and concatenated into a single DataFrame.
+	 * Responses with a status other than 2xx are an error.
+	 * 
+	 * @returns {object} Returns an object that represents the response. Use `parseCSV` or `parseJSON` to deserialize to a DataFrame.
+	 */
+	httpGet: function (url, options) {
+		assert.isString(url, "Expected 'url' parameter to dataForge.httpGet to be a string that specifies the URL to request.");
+
+		var httpOptions = http.parseOptions(options, true, 'dataForge.httpGet');
 
+		//
+		// Get the pages of the response and combine them into a single dataframe.
+		//
+		var getDataFrame = function (parsePage) {
+			return http.getPages(url, httpOptions, parsePage)
+				.then(function (dataFrames) {
+					if (dataFrames.length === 1) {
+						return dataFrames[0];
+					}
+
+					var concatenated = dataForge.concatDataFrames(dataFrames);
+					return new DataFrame({
+						columnNames: concatenated.getColumnNames(),
+						values: concatenated.toRows(),
+					});
+				});
+		};
+
+		return {
+			/**
+			 * Deserialize a CSV response to a DataFrame.
+			 * Returns a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromCSV`.
+			 * 
+			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe deserialized from the response. 
+			 */
+			parseCSV: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.httpGet(...).parseCSV(...) to be an object with configuration options for CSV parsing.");
+				}
+
+				return getDataFrame(function (body) {
+					return dataForge.fromCSV(body, config);
+				});
+			},
+
+			/**
+			 * Deserialize a JSON response to a DataFrame.
+			 * Returns a promise that later resolves to a DataFrame.
+			 * 
+			 * @param {object} [config] - Optional configuration for parsing, the same as for `dataForge.fromJSON`.
+			 * 
+			 * @returns {Promise<DataFrame>} Returns a promise of a dataframe deserialized from the response. 
+			 */
+			parseJSON: function (config) {
+				if (config) {
+					assert.isObject(config, "Expected optional 'config' parameter to dataForge.httpGet(...).parseJSON(...) to be an object with configuration options for JSON parsing.");
+				}
+
+				return getDataFrame(function (body) {
+					return dataForge.fromJSON(body, config);
+				});
+			},
 		};
 	},
 
@@ -423,4 +1629,104 @@ var dataForge = {
 	},
 };
 
+//
+// Register the formats that are built in to Data-Forge.
+//
+
+dataForge.registerFormat('csv', {
+	extensions: ['.csv'],
+	parse: function (text, options) {
+		return dataForge.fromCSV(text, options);
+	},
+	serialize: function (dataFrame, options) {
+		return dataFrame.toCSV(options);
+	},
+	streamParse: function (filePath, options) {
+		return dataForge.readFile(filePath).streamCSV(options);
+	},
+});
+
+dataForge.registerFormat('json', {
+	extensions: ['.json'],
+	parse: function (text, options) {
+		return dataForge.fromJSON(text, options);
+	},
+	serialize: function (dataFrame, options) {
+		return dataFrame.toJSON(options);
+	},
+});
+
+dataForge.registerFormat('jsonl', {
+	extensions: ['.jsonl', '.ndjson'],
+	parse: function (text, options) {
+		return dataForge.fromJSONLines(text, options);
+	},
+	serialize: function (dataFrame, options) {
+		return dataFrame.toJSONLines(options);
+	},
+	streamParse: function (filePath, options) {
+		return dataForge.readFile(filePath).streamJSONLines(options);
+	},
+});
+
+dataForge.registerFormat('xlsx', {
+	extensions: ['.xlsx'],
+	binary: true,
+	parse: function (data, options) {
+		return dataForge.fromXLSX(data, options);
+	},
+	serialize: function (dataFrame, options) {
+		return dataFrame.toXLSX(options);
+	},
+});
+
+dataForge.registerFormat('xml', {
+	extensions: ['.xml'],
+	parse: function (text, options) {
+		return dataForge.fromXML(text, options);
+	},
+	serialize: function (dataFrame, options) {
+		return dataFrame.toXML(options);
+	},
+});
+
+dataForge.registerFormat('yaml', {
+	extensions: ['.yaml', '.yml'],
+	parse: function (text, options) {
+		return dataForge.fromYAML(text, options);
+	},
+	serialize: function (dataFrame, options) {
+		return dataFrame.toYAML(options);
+	},
+});
+
+dataForge.registerFormat('html', {
+	extensions: ['.html', '.htm'],
+	parse: function (text, options) {
+		return dataForge.fromHTML(text, options);
+	},
+	serialize: function (dataFrame, options) {
+		return dataFrame.toHTML(options);
+	},
+});
+
+//
+// Fixed-width and regular expression text have no extension of their own, they are specified by the 'format' option.
+//
+
+dataForge.registerFormat('fixed-width', {
+	parse: function (text, options) {
+		return dataForge.fromFixedWidth(text, options);
+	},
+	serialize: function (dataFrame, options) {
+		return dataFrame.toFixedWidth(options);
+	},
+});
+
+dataForge.registerFormat('text', {
+	parse: function (text, options) {
+		return dataForge.fromText(text, options);
+	},
+});
+
 module.exports = dataForge;
\ No newline at end of file
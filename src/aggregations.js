@@ -0,0 +1,49 @@
+'use strict';
+
+//
+// Named aggregations that summarize a series to a single value.
+//
+
+//
+// Names of the series functions that can be used as named aggregations, eg in the specification passed to 'aggregate' for grouped dataframes.
+//
+var names = ['sum', 'average', 'median', 'min', 'max', 'count', 'std', 'variance', 'mode', 'skew', 'kurtosis', 'first', 'last'];
+
+//
+// Names of the aggregations that only summarize numbers.
+//
+var numericNames = ['sum', 'average', 'mean', 'median', 'std', 'variance', 'skew', 'kurtosis'];
+
+module.exports = {
+
+	names: names,
+
+	//
+	// Returns true if the aggregation is the name of an aggregation that only summarizes numbers.
+	//
+	isNumeric: function (aggregation) {
+		return numericNames.indexOf(aggregation) >= 0;
+	},
+
+	//
+	// Create a function that aggregates a series from a named aggregation or a custom aggregation function.
+	// Returns null if the aggregation is not valid.
+	//
+	create: function (aggregation) {
+		if (Object.isFunction(aggregation)) {
+			return aggregation;
+		}
+
+		if (aggregation === 'mean') {
+			aggregation = 'average';
+		}
+
+		if (names.indexOf(aggregation) < 0) {
+			return null;
+		}
+
+		return function (series) {
+			return series[aggregation]();
+		};
+	},
+};
@@ -0,0 +1,398 @@
+'use strict';
+
+//
+// DataFrame whose content is evaluated asynchronously.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+var inherit = require('./inherit');
+var ArrayIterator = require('./iterators/array');
+var AsyncSelectIterator = require('./async-iterators/select');
+var drain = require('./async-iterators/drain');
+var fileWriter = require('./file-writer');
+var csvDialect = require('./csv-dialect');
+var jsonFormat = require('./json-format');
+var xlsxFormat = require('./xlsx-format');
+var xmlFormat = require('./xml-format');
+
+//
+// Determine column names from the fields of the first row of an async iterable.
+//
+var determineColumnNamesFromFirstRow = function (iterable) {
+
+	var iterator = iterable.getIterator();
+	return iterator.moveNext()
+		.then(function (more) {
+			return more ? Object.keys(iterator.getCurrent()[1]) : [];
+		});
+};
+
+/**
+ * Constructor for AsyncDataFrame.
+ * @constructor
+ * @extends dataForge.AsyncSeries
+ * @memberof dataForge
+ * @param {object|array} config|values - Specifies content and configuration for the AsyncDataFrame.
+ */
+var AsyncDataFrame = function (config) {
+
+	var self = this;
+	self.factory = function (config) {
+		return new AsyncDataFrame(config);
+	};
+
+	var columnNames = null;
+
+	if (config && Object.isObject(config) && !config.iterable) {
+		if (config.columnNames) {
+			assert.isArray(config.columnNames, "Expected 'columnNames' member of 'config' parameter to AsyncDataFrame constructor to be an array of strings.");
+
+			config.columnNames.forEach(function (columnName) {
+				assert.isString(columnName, "Expected 'columnNames' member of 'config' parameter to AsyncDataFrame constructor to be an array of strings.");
+			});
+
+			columnNames = config.columnNames;
+		}
+		else if (Object.isArray(config.values)) {
+			columnNames = config.values.length > 0 ? Object.keys(config.values[0]) : [];
+		}
+		else if (config.values instanceof DataFrame) {
+			columnNames = config.values.getColumnNames();
+		}
+	}
+	else if (Object.isArray(config)) {
+		columnNames = config.length > 0 ? Object.keys(config[0]) : [];
+	}
+	else if (!config) {
+		columnNames = [];
+	}
+
+	AsyncSeries.call(this, config);
+
+	if (config && config.iterable) {
+		if (!Object.isFunction(config.iterable.getColumnNames)) {
+			var iterable = config.iterable;
+			self.iterable = {
+				getIterator: function () {
+					return iterable.getIterator();
+				},
+
+				getColumnNames: function () {
+					return determineColumnNamesFromFirstRow(iterable);
+				},
+			};
+		}
+		return;
+	}
+
+	if (config && config.columnNames) {
+		//
+		// Rows are arrays of values in column order, convert them to objects.
+		//
+		var rowsIterable = self.iterable;
+		self.iterable = {
+			getIterator: function () {
+				return new AsyncSelectIterator(rowsIterable.getIterator(), function (pair) {
+					var row = pair[1];
+					return [
+						pair[0],
+						E.from(columnNames)
+							.select(function (columnName, columnIndex) {
+								return [columnName, row[columnIndex]];
+							})
+							.toObject(
+								function (column) {
+									return column[0];
+								},
+								function (column) {
+									return column[1];
+								}
+							),
+					];
+				});
+			},
+		};
+	}
+
+	var valuesIterable = self.iterable;
+	self.iterable.getColumnNames = function () {
+		if (columnNames) {
+			return Promise.resolve(columnNames);
+		}
+
+		return determineColumnNamesFromFirstRow(valuesIterable);
+	};
+};
+
+module.exports = AsyncDataFrame;
+
+var AsyncSeries = require('./async-series');
+var DataFrame = require('./dataframe');
+var parent = inherit(AsyncDataFrame, AsyncSeries);
+
+/**
+ * Get the names of the columns in the data frame.
+ *
+ * @returns {Promise<array>} Returns a promise for an array of the column names in the dataframe.
+ */
+AsyncDataFrame.prototype.getColumnNames = function () {
+	var self = this;
+	return Promise.resolve(self.iterable.getColumnNames());
+};
+
+//
+// Create an in-memory dataframe from an array of index/row pairs.
+//
+AsyncDataFrame.prototype._fromPairs = function (pairs) {
+
+	var self = this;
+	var columnNames = E.from(pairs)
+		.selectMany(function (pair) {
+			return Object.keys(pair[1]);
+		})
+		.distinct()
+		.toArray();
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				return new ArrayIterator(pairs);
+			},
+
+			getColumnNames: function () {
+				return columnNames;
+			},
+		},
+	});
+};
+
+/**
+ * Retreive a series from a column of the dataframe.
+ *
+ * @param {string} columnName - Specifies the column to retreive.
+ *
+ * @returns {AsyncSeries} Returns an async series with the values of the requested column.
+ */
+AsyncDataFrame.prototype.getSeries = function (columnName) {
+
+	assert.isString(columnName, "Expected 'columnName' parameter to 'AsyncDataFrame.getSeries' function to be a string that specifies the name of the column to retreive.");
+
+	var self = this;
+	return new AsyncSeries({
+		iterable: {
+			getIterator: function () {
+				return new AsyncSelectIterator(self.iterable.getIterator(), function (pair) {
+					return [pair[0], pair[1][columnName]];
+				});
+			},
+		},
+	});
+};
+
+/**
+ * Bake the dataframe to an array of rows. This forces the dataframe to be evaluated.
+ *
+ * @returns {Promise<array>} Returns a promise for an array of rows. Each row is an array of values in column order.
+ */
+AsyncDataFrame.prototype.toRows = function () {
+
+	var self = this;
+	return self.getColumnNames()
+		.then(function (columnNames) {
+			var rows = [];
+			return drain(self.iterable.getIterator(), function (pair) {
+					var row = pair[1];
+					rows.push(E.from(columnNames)
+						.select(function (columnName) {
+							return row[columnName];
+						})
+						.toArray()
+					);
+				})
+				.then(function () {
+					return rows;
+				});
+		});
+};
+
+/**
+ * Treat the dataframe as CSV data for purposes of serialization.
+ *
+ * @param {object} [options] - Optional options for the dialect of the CSV, the same as the options for 'DataFrame.toCSV'.
+ *
+ * @returns {object} Returns an object that represents the dataframe for serialization in the CSV format. Call `writeFile` to output the dataframe.
+ */
+AsyncDataFrame.prototype.asCSV = function (options) {
+
+	var csvOptions = csvDialect.parseWriteOptions(options, 'AsyncDataFrame.asCSV');
+
+	var self = this;
+
+	return {
+		/**
+		 * Serialize the dataframe to a CSV file in the local file system.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 *
+		 * @param {string} filePath - Specifies the output path for the file.
+		 *
+		 * @returns {Promise} Returns a promise that resolves when the file has been written.
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to AsyncDataFrame.asCSV().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return self.getColumnNames()
+				.then(function (columnNames) {
+					return fileWriter.writeFile(filePath, self.iterable.getIterator(), fileWriter.csvSerializer(columnNames, csvOptions));
+				});
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as JSON data for purposes of serialization.
+ *
+ * @returns {object} Returns an object that represents the dataframe for serialization in the JSON format. Call `writeFile` to output the dataframe.
+ */
+AsyncDataFrame.prototype.asJSON = function () {
+
+	var self = this;
+
+	return {
+		/**
+		 * Serialize the dataframe to a JSON file in the local file system.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 *
+		 * @param {string} filePath - Specifies the output path for the file.
+		 *
+		 * @returns {Promise} Returns a promise that resolves when the file has been written.
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to AsyncDataFrame.asJSON().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return fileWriter.writeFile(filePath, self.iterable.getIterator(), fileWriter.jsonSerializer());
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as JSON Lines data for purposes of serialization.
+ *
+ * @param {object} [options] - Optional options for the JSON Lines, the same as the options for 'DataFrame.toJSONLines'.
+ *
+ * @returns {object} Returns an object that represents the dataframe for serialization in the JSON Lines format. Call `writeFile` to output the dataframe.
+ */
+AsyncDataFrame.prototype.asJSONLines = function (options) {
+
+	var unflattenSeparator = jsonFormat.parseUnflattenOption(options, 'AsyncDataFrame.asJSONLines');
+
+	var self = this;
+
+	return {
+		/**
+		 * Serialize the dataframe to a JSON Lines file in the local file system.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 *
+		 * @param {string} filePath - Specifies the output path for the file.
+		 *
+		 * @returns {Promise} Returns a promise that resolves when the file has been written.
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to AsyncDataFrame.asJSONLines().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return fileWriter.writeFile(filePath, self.iterable.getIterator(), fileWriter.jsonLinesSerializer(unflattenSeparator));
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as XML data for purposes of serialization.
+ *
+ * @param {object} [options] - Optional options for the XML, the same as the options for 'DataFrame.toXML'.
+ *
+ * @returns {object} Returns an object that represents the dataframe for serialization in the XML format. Call `writeFile` to output the dataframe.
+ */
+AsyncDataFrame.prototype.asXML = function (options) {
+
+	var xmlOptions = xmlFormat.parseWriteOptions(options, 'AsyncDataFrame.asXML');
+
+	var self = this;
+
+	return {
+		/**
+		 * Serialize the dataframe to an XML file in the local file system.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 *
+		 * @param {string} filePath - Specifies the output path for the file.
+		 *
+		 * @returns {Promise} Returns a promise that resolves when the file has been written.
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to AsyncDataFrame.asXML().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return self.getColumnNames()
+				.then(function (columnNames) {
+					xmlFormat.checkColumnNames(columnNames, 'AsyncDataFrame.asXML');
+					return fileWriter.writeFile(filePath, self.iterable.getIterator(), fileWriter.xmlSerializer(columnNames, xmlOptions));
+				});
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as YAML data for purposes of serialization. The YAML is a sequence with an item for each row.
+ *
+ * @param {object} [options] - Optional options for the YAML, the same as the options for 'DataFrame.asYAML'.
+ *
+ * @returns {object} Returns an object that represents the dataframe for serialization in the YAML format. Call `writeFile` to output the dataframe.
+ */
+AsyncDataFrame.prototype.asYAML = function (options) {
+
+	var unflattenSeparator = jsonFormat.parseUnflattenOption(options, 'AsyncDataFrame.asYAML');
+
+	var self = this;
+
+	return {
+		/**
+		 * Serialize the dataframe to a YAML file in the local file system.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 *
+		 * @param {string} filePath - Specifies the output path for the file.
+		 *
+		 * @returns {Promise} Returns a promise that resolves when the file has been written.
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to AsyncDataFrame.asYAML().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return fileWriter.writeFile(filePath, self.iterable.getIterator(), fileWriter.yamlSerializer(unflattenSeparator));
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as an XLSX spreadsheet (an Excel workbook) with a single worksheet for purposes of serialization.
+ * The workbook is built in memory, so the entire dataframe is evaluated before the file is written.
+ *
+ * @param {object} [options] - Optional options for the worksheet, the same as the options for 'DataFrame.toXLSX'. These can also be passed to `writeFile`.
+ *
+ * @returns {object} Returns an object that represents the dataframe for serialization in the XLSX format. Call `writeFile` to output the dataframe.
+ */
+AsyncDataFrame.prototype.asXLSX = function (options) {
+
+	var self = this;
+
+	var writer = xlsxFormat.createWriter(
+		function (xlsxOptions) {
+			return Promise.all([self.getColumnNames(), self.toRows()])
+				.then(function (results) {
+					return [{ sheetName: xlsxOptions.sheetName, columnNames: results[0], rows: results[1] }];
+				});
+		},
+		options,
+		'AsyncDataFrame.asXLSX'
+	);
+
+	return {
+		writeFile: writer.writeFile,
+	};
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+var StringDecoder = require('string_decoder').StringDecoder;
+var CsvRecordParser = require('../csv-record-parser');
+var csvDialect = require('../csv-dialect');
+
+//
+// Async iterator that incrementally reads and parses a CSV file, in the dialect specified by options from 'csvDialect.parseReadOptions'.
+// The file is read asynchronously in chunks as rows are requested.
+// The file is opened and closed for each chunk, so nothing is left open when iteration is abandoned.
+//
+var AsyncCsvFileIterator = function (filePath, dialect, config) {
+
+	var self = this;
+	config = config || {};
+
+	self._filePath = filePath;
+	self._chunkSize = config.chunkSize || (64 * 1024);
+	self._dialect = dialect;
+	self._specifiedColumnNames = config.columnNames || null;
+	self._columnNames = null;
+	self._parser = new CsvRecordParser(dialect);
+	self._decoder = new StringDecoder('utf8');
+	self._position = 0;
+	self._eof = false;
+	self._records = [];
+	self._recordIndex = 0;
+	self._rowIndex = -1;
+	self._current = undefined;
+};
+
+module.exports = AsyncCsvFileIterator;
+
+//
+// Read the next chunk of the file and parse any complete records.
+//
+AsyncCsvFileIterator.prototype._readChunk = function () {
+
+	var self = this;
+	var fs = require('fs');
+
+	return new Promise(function (resolve, reject) {
+		fs.open(self._filePath, 'r', function (err, fd) {
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			var buffer = Buffer.alloc(self._chunkSize);
+			fs.read(fd, buffer, 0, self._chunkSize, self._position, function (readErr, bytesRead) {
+				fs.close(fd, function (closeErr) {
+					if (readErr || closeErr) {
+						reject(readErr || closeErr);
+						return;
+					}
+
+					self._position += bytesRead;
+					self._recordIndex = 0;
+
+					if (bytesRead === 0) {
+						self._eof = true;
+						self._records = self._parser.push(self._decoder.end()).concat(self._parser.flush());
+					}
+					else {
+						self._records = self._parser.push(self._decoder.write(buffer.slice(0, bytesRead)));
+					}
+
+					resolve();
+				});
+			});
+		});
+	});
+};
+
+//
+// Get the next record from the file, resolves to undefined when there are no more records.
+//
+AsyncCsvFileIterator.prototype._nextRecord = function () {
+
+	var self = this;
+	if (self._recordIndex < self._records.length) {
+		return Promise.resolve(self._records[self._recordIndex++]);
+	}
+
+	if (self._eof) {
+		return Promise.resolve(undefined);
+	}
+
+	return self._readChunk()
+		.then(function () {
+			return self._nextRecord();
+		});
+};
+
+//
+// Get the column names for the CSV file. Reads the header row, or the first row to determine the number of columns when there is no header,
+// unless column names were explicitly specified.
+//
+AsyncCsvFileIterator.prototype.getColumnNames = function () {
+
+	var self = this;
+	if (self._columnNames) {
+		return Promise.resolve(self._columnNames);
+	}
+
+	var readFirstRecord = self._specifiedColumnNames && !self._dialect.header ? Promise.resolve(null) : self._nextRecord();
+	return readFirstRecord
+		.then(function (firstRecord) {
+			if (firstRecord && !self._dialect.header) {
+				--self._recordIndex; // The first record is a row, it is read again.
+			}
+
+			self._columnNames = self._specifiedColumnNames || csvDialect.getColumnNames(firstRecord || [], self._dialect);
+			return self._columnNames;
+		});
+};
+
+AsyncCsvFileIterator.prototype.moveNext = function () {
+
+	var self = this;
+	return self.getColumnNames()
+		.then(function (columnNames) {
+			return self._nextRecord()
+				.then(function (record) {
+					if (!record) {
+						self._current = undefined;
+						return false;
+					}
+
+					var row = {};
+					for (var columnIndex = 0; columnIndex < columnNames.length; ++columnIndex) {
+						row[columnNames[columnIndex]] = record[columnIndex];
+					}
+
+					++self._rowIndex;
+					self._current = [self._rowIndex, row];
+					return true;
+				});
+		});
+};
+
+AsyncCsvFileIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
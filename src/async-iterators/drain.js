@@ -0,0 +1,29 @@
+'use strict';
+
+//
+// Drive an async iterator to completion, invoking the callback for each element.
+// Returns a promise that resolves when the iterator has completed.
+//
+// Each element is requested from the iterator only after the previous element has been processed,
+// the promises are not chained so memory usage doesn't grow with the length of the sequence.
+//
+module.exports = function (iterator, callback) {
+
+	return new Promise(function (resolve, reject) {
+		var step = function () {
+			iterator.moveNext()
+				.then(function (more) {
+					if (!more) {
+						resolve();
+						return;
+					}
+
+					callback(iterator.getCurrent());
+					step();
+				})
+				.catch(reject);
+		};
+
+		step();
+	});
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+var StringDecoder = require('string_decoder').StringDecoder;
+var JsonLinesParser = require('../json-lines-parser');
+
+//
+// Async iterator that incrementally reads and parses a JSON Lines file.
+// The file is read asynchronously in chunks as rows are requested.
+// The file is opened and closed for each chunk, so nothing is left open when iteration is abandoned.
+//
+var AsyncJsonLinesFileIterator = function (filePath, config, flattenSeparator) {
+
+	var self = this;
+	config = config || {};
+
+	self._filePath = filePath;
+	self._chunkSize = config.chunkSize || (64 * 1024);
+	self._parser = new JsonLinesParser(flattenSeparator);
+	self._decoder = new StringDecoder('utf8');
+	self._position = 0;
+	self._eof = false;
+	self._rows = [];
+	self._rowIndex = 0;
+	self._index = -1;
+	self._current = undefined;
+};
+
+module.exports = AsyncJsonLinesFileIterator;
+
+//
+// Read the next chunk of the file and parse any complete lines.
+//
+AsyncJsonLinesFileIterator.prototype._readChunk = function () {
+
+	var self = this;
+	var fs = require('fs');
+
+	return new Promise(function (resolve, reject) {
+		fs.open(self._filePath, 'r', function (err, fd) {
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			var buffer = Buffer.alloc(self._chunkSize);
+			fs.read(fd, buffer, 0, self._chunkSize, self._position, function (readErr, bytesRead) {
+				fs.close(fd, function (closeErr) {
+					if (readErr || closeErr) {
+						reject(readErr || closeErr);
+						return;
+					}
+
+					self._position += bytesRead;
+					self._rowIndex = 0;
+
+					try {
+						if (bytesRead === 0) {
+							self._eof = true;
+							self._rows = self._parser.push(self._decoder.end()).concat(self._parser.flush());
+						}
+						else {
+							self._rows = self._parser.push(self._decoder.write(buffer.slice(0, bytesRead)));
+						}
+					}
+					catch (parseErr) {
+						reject(parseErr);
+						return;
+					}
+
+					resolve();
+				});
+			});
+		});
+	});
+};
+
+//
+// Get the next row from the file without moving past it, resolves to undefined when there are no more rows.
+//
+AsyncJsonLinesFileIterator.prototype._peekRow = function () {
+
+	var self = this;
+	if (self._rowIndex < self._rows.length) {
+		return Promise.resolve(self._rows[self._rowIndex]);
+	}
+
+	if (self._eof) {
+		return Promise.resolve(undefined);
+	}
+
+	return self._readChunk()
+		.then(function () {
+			return self._peekRow();
+		});
+};
+
+//
+// Get the column names for the file from the fields of the first row.
+//
+AsyncJsonLinesFileIterator.prototype.getColumnNames = function () {
+
+	var self = this;
+	return self._peekRow()
+		.then(function (row) {
+			return row ? Object.keys(row) : [];
+		});
+};
+
+AsyncJsonLinesFileIterator.prototype.moveNext = function () {
+
+	var self = this;
+	return self._peekRow()
+		.then(function (row) {
+			if (!row) {
+				self._current = undefined;
+				return false;
+			}
+
+			++self._rowIndex;
+			++self._index;
+			self._current = [self._index, row];
+			return true;
+		});
+};
+
+AsyncJsonLinesFileIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+//
+// Async iterator that transforms each element of another async iterator.
+//
+var AsyncSelectIterator = function (iterator, selector) {
+
+	var self = this;
+	self._i = -1;
+	self._iterator = iterator;
+	self._selector = selector;
+};
+
+module.exports = AsyncSelectIterator;
+
+AsyncSelectIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	++self._i;
+	return self._iterator.moveNext();
+};
+
+AsyncSelectIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._selector(self._iterator.getCurrent(), self._i);
+};
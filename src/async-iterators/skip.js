@@ -0,0 +1,41 @@
+'use strict';
+
+//
+// Async iterator that skips a number of elements before continuing as normal.
+//
+var AsyncSkipIterator = function (iterator, skipAmount) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._skipAmount = skipAmount;
+};
+
+module.exports = AsyncSkipIterator;
+
+AsyncSkipIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	return new Promise(function (resolve, reject) {
+		var step = function () {
+			self._iterator.moveNext()
+				.then(function (more) {
+					if (!more || --self._skipAmount < 0) {
+						resolve(more);
+						return;
+					}
+
+					step(); // Skip first elements.
+				})
+				.catch(reject);
+		};
+
+		step();
+	});
+};
+
+AsyncSkipIterator.prototype.getCurrent = function () {
+	
+	var self = this;
+	return self._iterator.getCurrent();
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+//
+// Async iterator that only takes a number of elements from another async iterator.
+//
+var AsyncTakeIterator = function (iterator, takeAmount) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._takeAmount = takeAmount;
+};
+
+module.exports = AsyncTakeIterator;
+
+AsyncTakeIterator.prototype.moveNext = function () {
+
+	var self = this;
+	if (--self._takeAmount >= 0) {
+		return self._iterator.moveNext();
+	}
+
+	return Promise.resolve(false);
+};
+
+AsyncTakeIterator.prototype.getCurrent = function () {
+	
+	var self = this;
+	return self._iterator.getCurrent();
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+//
+// Async iterator that filters elements based on a predicate.
+//
+var AsyncWhereIterator = function (iterator, predicate) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._predicate = predicate;	
+};
+
+module.exports = AsyncWhereIterator;
+
+AsyncWhereIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	return new Promise(function (resolve, reject) {
+		var step = function () {
+			self._iterator.moveNext()
+				.then(function (more) {
+					if (!more) {
+						resolve(false);
+						return;
+					}
+
+					if (self._predicate(self._iterator.getCurrent())) {
+						resolve(true);
+						return;
+					}
+
+					step(); // Keep looking for an element that matches the predicate.
+				})
+				.catch(reject);
+		};
+
+		step();
+	});
+};
+
+AsyncWhereIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._iterator.getCurrent();
+};
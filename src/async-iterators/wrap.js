@@ -0,0 +1,30 @@
+'use strict';
+
+//
+// Async iterator that wraps a regular (synchronous) iterator.
+// Each call to moveNext resolves immediately.
+//
+var AsyncWrapIterator = function (iterator) {
+
+	var self = this;
+	self._iterator = iterator;
+};
+
+module.exports = AsyncWrapIterator;
+
+AsyncWrapIterator.prototype.moveNext = function () {
+
+	var self = this;
+	try {
+		return Promise.resolve(self._iterator.moveNext());
+	}
+	catch (err) {
+		return Promise.reject(err);
+	}
+};
+
+AsyncWrapIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._iterator.getCurrent();
+};
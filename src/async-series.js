@@ -0,0 +1,442 @@
+'use strict';
+
+//
+// Series whose content is evaluated asynchronously.
+//
+
+var assert = require('chai').assert;
+var ArrayIterator = require('./iterators/array');
+var AsyncWrapIterator = require('./async-iterators/wrap');
+var AsyncSelectIterator = require('./async-iterators/select');
+var AsyncWhereIterator = require('./async-iterators/where');
+var AsyncSkipIterator = require('./async-iterators/skip');
+var AsyncTakeIterator = require('./async-iterators/take');
+var drain = require('./async-iterators/drain');
+var ArrayIterable = require('./iterables/array');
+
+//
+// Create an async iterable of index/value pairs from values and an optional index.
+//
+var createPairsIterable = function (values, index) {
+
+	if (values instanceof Series) {
+		// Wrap a regular series, the index comes from the series.
+		return {
+			getIterator: function () {
+				return new AsyncWrapIterator(values.getIterator());
+			},
+		};
+	}
+
+	var createValuesIterator = Object.isFunction(values)
+		? values
+		: function () {
+			return new AsyncWrapIterator(new ArrayIterator(values));
+		};
+
+	return {
+		getIterator: function () {
+			return new AsyncSelectIterator(
+				createValuesIterator(),
+				function (value, valueIndex) {
+					return [index ? index[valueIndex] : valueIndex, value];
+				}
+			);
+		},
+	};
+};
+
+/**
+ * Constructor for AsyncSeries.
+ * The content of an AsyncSeries is produced by an async iterator: each call to moveNext returns a promise that resolves to true when the next value is available or false when there are no more values.
+ *
+ * @constructor
+ * @memberof dataForge
+ * @param {object|array} config|values - Specifies content and configuration for the AsyncSeries.
+ */
+var AsyncSeries = function (config) {
+
+	var self = this;
+
+	if (!self.factory) {
+		self.factory = function (config) {
+			return new AsyncSeries(config);
+		};
+	}
+
+	if (!config) {
+		self.iterable = createPairsIterable([]);
+		return;
+	}
+
+	if (Object.isArray(config)) {
+		self.iterable = createPairsIterable(config);
+		return;
+	}
+
+	assert.isObject(config, "Expected 'config' parameter to AsyncSeries or AsyncDataFrame constructor to be an array of values or a configuration object with options for initialisation.");
+
+	if (config.iterable) {
+		assert.isObject(config.iterable, "Expect 'iterable' field of 'config' parameter to AsyncSeries constructor to be an object that implements getIterator.");
+		assert.isFunction(config.iterable.getIterator, "Expect 'iterable' field of 'config' parameter to AsyncSeries constructor to be an object that implements getIterator.");
+
+		self.iterable = config.iterable;
+		return;
+	}
+
+	if (config.values) {
+		if (!Object.isFunction(config.values) && !Object.isArray(config.values)) {
+			assert.instanceOf(config.values, Series, "Expected 'values' field of 'config' parameter to AsyncSeries constructor be an array of values, a Series or a function that returns an async iterator.");
+		}
+	}
+
+	if (config.index) {
+		assert.isArray(config.index, "Expected 'index' field of 'config' parameter to AsyncSeries constructor to be an array.");
+	}
+
+	self.iterable = createPairsIterable(config.values || [], config.index);
+};
+
+module.exports = AsyncSeries;
+
+var Series = require('./series');
+
+/**
+ * Get an async iterator for index & values of the series.
+ *
+ * @returns {iterator} Returns an async iterator. Each call to moveNext returns a promise that resolves to true if there is another index/value pair available.
+ */
+AsyncSeries.prototype.getIterator = function () {
+	var self = this;
+	return self.iterable.getIterator();
+};
+
+//
+// Create a new async series or dataframe from an iterator factory, preserving column names.
+//
+AsyncSeries.prototype._derive = function (getIterator, getColumnNames) {
+
+	var self = this;
+	return self.factory({
+		iterable: {
+			getIterator: getIterator,
+			getColumnNames: getColumnNames || function () {
+				return self.iterable.getColumnNames();
+			},
+		},
+	});
+};
+
+//
+// Create an in-memory series from an array of index/value pairs.
+//
+AsyncSeries.prototype._fromPairs = function (pairs) {
+	return new Series({
+		iterable: new ArrayIterable(pairs),
+	});
+};
+
+/**
+ * Skip a number of values in the series.
+ *
+ * @param {int} numValues - Number of values to skip.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe with the specified number of values skipped.
+ */
+AsyncSeries.prototype.skip = function (numValues) {
+	assert.isNumber(numValues, "Expected 'numValues' parameter to 'AsyncSeries.skip' function to be a number.");
+
+	var self = this;
+	return self._derive(function () {
+		return new AsyncSkipIterator(self.iterable.getIterator(), numValues);
+	});
+};
+
+/**
+ * Take a number of values from the series.
+ *
+ * @param {int} numValues - Number of values to take.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe with up to the specified number of values included.
+ */
+AsyncSeries.prototype.take = function (numValues) {
+	assert.isNumber(numValues, "Expected 'numValues' parameter to 'AsyncSeries.take' function to be a number.");
+
+	var self = this;
+	return self._derive(function () {
+		return new AsyncTakeIterator(self.iterable.getIterator(), numValues);
+	});
+};
+
+/**
+ * Filter the series by a predicate.
+ *
+ * @param {function} predicate - Predicate function to filter values of the series.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe containing only the values that match the predicate.
+ */
+AsyncSeries.prototype.where = function (predicate) {
+	assert.isFunction(predicate, "Expected 'predicate' parameter to 'AsyncSeries.where' function to be a function.");
+
+	var self = this;
+	return self._derive(function () {
+		return new AsyncWhereIterator(self.iterable.getIterator(), function (pair) {
+			return predicate(pair[1]);
+		});
+	});
+};
+
+/**
+ * Generate a new series based on the results of the selector function.
+ *
+ * @param {function} selector - Selector function that transforms each value to create the new series or dataframe.
+ *
+ * @returns {AsyncSeries|AsyncDataFrame} Returns a new async series or dataframe that has been transformed by the selector function.
+ */
+AsyncSeries.prototype.select = function (selector) {
+	assert.isFunction(selector, "Expected 'selector' parameter to 'AsyncSeries.select' function to be a function.");
+
+	var self = this;
+	var getIterator = function () {
+		return new AsyncSelectIterator(self.iterable.getIterator(), function (pair) {
+			return [pair[0], selector(pair[1])];
+		});
+	};
+
+	return self._derive(
+		getIterator,
+		function () {
+			// Have to get the first value to determine column names.
+			var iterator = getIterator();
+			return iterator.moveNext()
+				.then(function (more) {
+					return more ? Object.keys(iterator.getCurrent()[1]) : [];
+				});
+		}
+	);
+};
+
+/**
+ * Segment the series into 'windows'. Each value in the new series is a window of up to 'period' values.
+ * Windows are gathered into memory as they are produced, so each window is a regular Series (or DataFrame).
+ *
+ * @param {integer} period - The number of values in the window.
+ * @param {Function} [selector] - Optional selector for transforming each window.
+ *
+ * @returns {AsyncSeries} Returns a new async series, each value of which is a 'window' of the original series or dataframe.
+ */
+AsyncSeries.prototype.window = function (period, selector) {
+
+	assert.isNumber(period, "Expected 'period' parameter to 'AsyncSeries.window' to be a number.");
+
+	if (selector) {
+		assert.isFunction(selector, "If selector parameter is passed to function AsyncSeries.window, it is expected to be a function.");
+	}
+
+	var self = this;
+
+	if (selector) {
+		return self.window(period).select(selector);
+	}
+
+	return new AsyncSeries({
+		iterable: {
+			getIterator: function () {
+
+				var iterator = self.iterable.getIterator();
+				var done = false;
+				var windowIndex = 0;
+				var curOutput = undefined;
+
+				return {
+					moveNext: function () {
+						if (done) {
+							return Promise.resolve(false);
+						}
+
+						var pairs = [];
+						return new Promise(function (resolve, reject) {
+							var step = function () {
+								iterator.moveNext()
+									.then(function (more) {
+										if (more) {
+											pairs.push(iterator.getCurrent());
+											if (pairs.length < period) {
+												step();
+												return;
+											}
+										}
+										else {
+											done = true;
+										}
+
+										if (pairs.length === 0) {
+											resolve(false); // Nothing left.
+											return;
+										}
+
+										curOutput = [windowIndex, self._fromPairs(pairs)];
+										++windowIndex;
+										resolve(true);
+									})
+									.catch(reject);
+							};
+
+							step();
+						});
+					},
+
+					getCurrent: function () {
+						return curOutput;
+					},
+				};
+			},
+		},
+	});
+};
+
+/**
+ * Group the series according to the selector.
+ * The entire input is evaluated the first time the groups are requested, each group is a regular Series (or DataFrame).
+ *
+ * @param {function} selector - Selector that defines the value to group by.
+ *
+ * @returns {AsyncSeries} Returns an async series of groups. Each group is a series with values that have been grouped by the 'selector' function.
+ */
+AsyncSeries.prototype.groupBy = function (selector) {
+
+	assert.isFunction(selector, "Expected 'selector' parameter to 'AsyncSeries.groupBy' to be a selector function that determines the value to group the series by.");
+
+	var self = this;
+
+	return new AsyncSeries({
+		iterable: {
+			getIterator: function () {
+
+				var groupsIterator = null;
+
+				return {
+					moveNext: function () {
+						if (groupsIterator) {
+							return Promise.resolve(groupsIterator.moveNext());
+						}
+
+						var groups = new Map();
+						return drain(self.iterable.getIterator(), function (pair) {
+								var key = selector(pair[1]);
+								var group = groups.get(key);
+								if (!group) {
+									group = [];
+									groups.set(key, group);
+								}
+								group.push(pair);
+							})
+							.then(function () {
+								var groupPairs = [];
+								groups.forEach(function (group, key) {
+									groupPairs.push([key, self._fromPairs(group)]);
+								});
+
+								groupsIterator = new ArrayIterator(groupPairs);
+								return groupsIterator.moveNext();
+							});
+					},
+
+					getCurrent: function () {
+						return groupsIterator ? groupsIterator.getCurrent() : undefined;
+					},
+				};
+			},
+		},
+	});
+};
+
+/**
+ * Retreive the data as pairs of [index, value]. This forces the series to be evaluated.
+ *
+ * @returns {Promise<array>} Returns a promise for an array of pairs. Each pair is a two element array that contains an index and a value.
+ */
+AsyncSeries.prototype.toPairs = function () {
+
+	var self = this;
+	var pairs = [];
+	return drain(self.iterable.getIterator(), function (pair) {
+			if (pair[1] !== undefined) {
+				pairs.push(pair);
+			}
+		})
+		.then(function () {
+			return pairs;
+		});
+};
+
+/**
+ * Extract values from the series. This forces the series to be evaluated.
+ *
+ * @returns {Promise<array>} Returns a promise for an array of the values contained within the series or dataframe.
+ */
+AsyncSeries.prototype.toArray = function () {
+
+	var self = this;
+	var values = [];
+	return drain(self.iterable.getIterator(), function (pair) {
+			if (pair[1] !== undefined) {
+				values.push(pair[1]);
+			}
+		})
+		.then(function () {
+			return values;
+		});
+};
+
+/**
+ * Evaluate the series and 'bake' it into memory.
+ *
+ * @returns {Promise<Series|DataFrame>} Returns a promise for a regular (in-memory) series or dataframe with the content of the async sequence.
+ */
+AsyncSeries.prototype.bake = function () {
+
+	var self = this;
+	return self.toPairs()
+		.then(function (pairs) {
+			var baked = self._fromPairs(pairs);
+			baked._baked = true;
+			return baked;
+		});
+};
+
+/**
+ * Invoke a callback function for each value in the series.
+ *
+ * @param {function} callback - The calback to invoke for each value.
+ *
+ * @returns {Promise<AsyncSeries|AsyncDataFrame>} Returns a promise that resolves to the input sequence once the callback has been invoked for every value.
+ */
+AsyncSeries.prototype.forEach = function (callback) {
+	assert.isFunction(callback, "Expected 'callback' parameter to 'AsyncSeries.forEach' function to be a function.");
+
+	var self = this;
+	return drain(self.iterable.getIterator(), function (pair) {
+			callback(pair[1]);
+		})
+		.then(function () {
+			return self;
+		});
+};
+
+/**
+ * Count the number of values in the series.
+ *
+ * @returns {Promise<number>} Returns a promise for the number of values in the series or dataframe.
+ */
+AsyncSeries.prototype.count = function () {
+
+	var self = this;
+	var total = 0;
+	return drain(self.iterable.getIterator(), function () {
+			++total;
+		})
+		.then(function () {
+			return total;
+		});
+};
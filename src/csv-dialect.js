@@ -0,0 +1,338 @@
+'use strict';
+
+//
+// Options for the dialect of CSV data (delimiter, quoting, line terminator and so on) and functions to read and write CSV in a dialect.
+//
+
+var assert = require('chai').assert;
+var BabyParse = require('babyparse');
+var extend = require('extend');
+var moment = require('moment');
+
+var byteOrderMark = '\ufeff';
+
+//
+// Check an optional string field of the options passed to a function.
+//
+var checkString = function (options, fieldName, functionName) {
+	if (options[fieldName] !== undefined) {
+		assert(typeof options[fieldName] === 'string' && options[fieldName].length > 0, "Expected '" + fieldName + "' field of 'config' parameter to '" + functionName + "' to be a non-empty string.");
+	}
+};
+
+//
+// Check the fields of the options passed to a function that are common to reading and writing CSV.
+//
+var checkCommonOptions = function (options, functionName) {
+
+	assert.isObject(options, "Expected 'config' parameter to '" + functionName + "' to be an object with options for CSV.");
+
+	['delimiter', 'newline', 'quoteChar', 'escapeChar', 'decimalSeparator'].forEach(function (fieldName) {
+		checkString(options, fieldName, functionName);
+	});
+
+	['quoteChar', 'escapeChar'].forEach(function (fieldName) {
+		if (options[fieldName] !== undefined) {
+			assert(options[fieldName].length === 1, "Expected '" + fieldName + "' field of 'config' parameter to '" + functionName + "' to be a single character.");
+		}
+	});
+
+	if (options.header !== undefined) {
+		assert.isBoolean(options.header, "Expected 'header' field of 'config' parameter to '" + functionName + "' to be true or false.");
+	}
+};
+
+//
+// Split the first line from text. Returns the remaining text.
+//
+var skipLine = function (text, newline) {
+	if (newline) {
+		var position = text.indexOf(newline);
+		return position < 0 ? '' : text.substring(position + newline.length);
+	}
+
+	var match = /\r\n|\n|\r/.exec(text);
+	return match ? text.substring(match.index + match[0].length) : '';
+};
+
+//
+// Split text into records of fields, for a quote or escape character that isn't supported by BabyParse.
+// A field is quoted when it starts with the quote character. Within a quoted field the escape character escapes the next character,
+// when the escape character is the quote character a doubled quote character is an escaped quote character.
+//
+var tokenize = function (text, dialect) {
+
+	var delimiter = dialect.delimiter || ',';
+	var quoteChar = dialect.quoteChar;
+	var escapeChar = dialect.escapeChar;
+	var records = [];
+	var record = [];
+	var field = '';
+	var inQuotes = false;
+	var position = 0;
+
+	var matchNewline = function () {
+		if (dialect.newline) {
+			return text.substr(position, dialect.newline.length) === dialect.newline ? dialect.newline.length : 0;
+		}
+
+		if (text[position] === '\r') {
+			return text[position + 1] === '\n' ? 2 : 1;
+		}
+
+		return text[position] === '\n' ? 1 : 0;
+	};
+
+	while (position < text.length) {
+		var ch = text[position];
+
+		if (inQuotes) {
+			if (ch === escapeChar && escapeChar !== quoteChar && position + 1 < text.length) {
+				field += text[position + 1];
+				position += 2;
+			}
+			else if (ch === quoteChar && escapeChar === quoteChar && text[position + 1] === quoteChar) {
+				field += quoteChar;
+				position += 2;
+			}
+			else {
+				if (ch === quoteChar) {
+					inQuotes = false;
+				}
+				else {
+					field += ch;
+				}
+				++position;
+			}
+			continue;
+		}
+
+		if (dialect.comments && record.length === 0 && field.length === 0 && text.substr(position, dialect.comments.length) === dialect.comments) {
+			var remaining = skipLine(text.substring(position), dialect.newline);
+			position = text.length - remaining.length;
+			continue;
+		}
+
+		var newlineLength = matchNewline();
+		if (newlineLength > 0) {
+			record.push(field);
+			records.push(record);
+			record = [];
+			field = '';
+			position += newlineLength;
+		}
+		else if (text.substr(position, delimiter.length) === delimiter) {
+			record.push(field);
+			field = '';
+			position += delimiter.length;
+		}
+		else if (ch === quoteChar && field.length === 0) {
+			inQuotes = true;
+			++position;
+		}
+		else {
+			field += ch;
+			++position;
+		}
+	}
+
+	if (record.length > 0 || field.length > 0) {
+		record.push(field);
+		records.push(record);
+	}
+
+	return records;
+};
+
+//
+// Escape quote and escape characters in a field.
+//
+var escapeField = function (text, options) {
+	var escaped = '';
+	for (var i = 0; i < text.length; ++i) {
+		var ch = text[i];
+		if (ch === options.quoteChar || ch === options.escapeChar) {
+			escaped += options.escapeChar;
+		}
+		escaped += ch;
+	}
+	return escaped;
+};
+
+//
+// Convert a value to text for output, using the formatter for its type or the decimal separator for numbers.
+//
+var formatValue = function (value, options) {
+
+	if (value === undefined || value === null) {
+		return '';
+	}
+
+	var type = Object.isDate(value) ? 'date' : typeof(value);
+	var formatter = options.formatters[type];
+	if (formatter) {
+		if (typeof formatter === 'string') {
+			return moment(value).format(formatter);
+		}
+
+		return String(formatter(value));
+	}
+
+	if (type === 'number' && options.decimalSeparator !== '.') {
+		return value.toString().replace('.', options.decimalSeparator);
+	}
+
+	return value.toString();
+};
+
+//
+// Convert a value to a field of a record. Fields are quoted in the same circumstances as BabyParse.unparse.
+//
+var formatField = function (value, options) {
+
+	var text = formatValue(value, options);
+	var needsQuotes = options.quotes ||
+		text.indexOf(options.delimiter) >= 0 ||
+		text.indexOf(options.quoteChar) >= 0 ||
+		text.indexOf(options.escapeChar) >= 0 ||
+		/[\r\n\ufeff]/.test(text) ||
+		text.charAt(0) === ' ' ||
+		text.charAt(text.length - 1) === ' ';
+
+	return needsQuotes ? options.quoteChar + escapeField(text, options) + options.quoteChar : text;
+};
+
+module.exports = {
+
+	//
+	// Check and normalize the options for reading CSV passed to a function: 'delimiter' (detected when not specified), 'newline' (the line terminator, detected when not specified),
+	// 'quoteChar', 'escapeChar' (defaults to the quote character), 'comments' (lines that start with this string, or # when true, are ignored), 'skipRows' (the number of leading lines to ignore),
+	// 'header' (true when the first row contains column names, defaults to true unless 'columnNames' is specified) and 'decimalSeparator' (for type inference).
+	//
+	parseReadOptions: function (config, functionName) {
+
+		var options = config || {};
+		checkCommonOptions(options, functionName);
+
+		if (options.comments !== true) {
+			checkString(options, 'comments', functionName);
+		}
+
+		if (options.skipRows !== undefined) {
+			assert(typeof options.skipRows === 'number' && options.skipRows >= 0 && options.skipRows % 1 === 0, "Expected 'skipRows' field of 'config' parameter to '" + functionName + "' to be a number of rows.");
+		}
+
+		var quoteChar = options.quoteChar || '"';
+		var comments = options.comments === true ? '#' : options.comments; // The same default as BabyParse.
+
+		// Other fields are passed through to BabyParse, except those that change the format of the records it produces.
+		var parserConfig = extend({}, options);
+		delete parserConfig.header;
+		delete parserConfig.dynamicTyping;
+		delete parserConfig.quoteChar;
+		delete parserConfig.escapeChar;
+
+		return {
+			delimiter: options.delimiter,
+			newline: options.newline,
+			quoteChar: quoteChar,
+			escapeChar: options.escapeChar || quoteChar,
+			comments: comments,
+			skipRows: options.skipRows || 0,
+			header: options.header !== undefined ? options.header : !options.columnNames,
+			decimalSeparator: options.decimalSeparator || '.',
+			parserConfig: parserConfig,
+		};
+	},
+
+	//
+	// Check and normalize the options for writing CSV passed to a function: 'delimiter', 'newline' (the line terminator), 'quoteChar', 'escapeChar' (defaults to the quote character),
+	// 'quotes' (true to quote every field), 'header' (false to omit the row of column names), 'bom' (true to start with a byte order mark),
+	// 'decimalSeparator' and 'formatters' (maps the types 'date', 'number', 'string' or 'boolean' to a function that formats values of the type, dates can also be formatted by a moment format string).
+	//
+	parseWriteOptions: function (config, functionName) {
+
+		var options = config || {};
+		checkCommonOptions(options, functionName);
+
+		if (options.formatters !== undefined) {
+			assert.isObject(options.formatters, "Expected 'formatters' field of 'config' parameter to '" + functionName + "' to be an object that maps types to formatters.");
+
+			Object.keys(options.formatters).forEach(function (type) {
+				var formatter = options.formatters[type];
+				assert(['date', 'number', 'string', 'boolean'].indexOf(type) >= 0, "Expected 'formatters' field of 'config' parameter to '" + functionName + "' to have formatters for the types date, number, string or boolean, found '" + type + "'.");
+				assert(Object.isFunction(formatter) || (type === 'date' && Object.isString(formatter)), "Expected formatter for '" + type + "' passed to '" + functionName + "' to be a function" + (type === 'date' ? " or a date format string." : "."));
+			});
+		}
+
+		var quoteChar = options.quoteChar || '"';
+
+		return {
+			delimiter: options.delimiter || ',',
+			newline: options.newline || '\r\n',
+			quoteChar: quoteChar,
+			escapeChar: options.escapeChar || quoteChar,
+			quotes: !!options.quotes,
+			header: options.header !== undefined ? options.header : true,
+			bom: !!options.bom,
+			decimalSeparator: options.decimalSeparator || '.',
+			formatters: options.formatters || {},
+		};
+	},
+
+	//
+	// Parse CSV text to an array of records, each an array of fields, as specified by options from 'parseReadOptions'.
+	// A byte order mark at the start of the text is ignored.
+	//
+	parse: function (text, dialect) {
+
+		if (text.charAt(0) === byteOrderMark) {
+			text = text.substring(1);
+		}
+
+		for (var i = 0; i < dialect.skipRows; ++i) {
+			text = skipLine(text, dialect.newline);
+		}
+
+		if (dialect.quoteChar !== '"' || dialect.escapeChar !== '"') {
+			return tokenize(text, dialect);
+		}
+
+		return BabyParse.parse(text, dialect.parserConfig).data;
+	},
+
+	//
+	// Get the column names of CSV from its first record, as specified by options from 'parseReadOptions'. The column names are the fields of the record when it is a header,
+	// otherwise the columns are named by their position: Column1, Column2 and so on.
+	//
+	getColumnNames: function (record, dialect) {
+
+		if (dialect.header) {
+			return record.map(function (field) {
+				return field.trim();
+			});
+		}
+
+		return record.map(function (field, index) {
+			return 'Column' + (index + 1);
+		});
+	},
+
+	//
+	// Format an array of values as a record of CSV, as specified by options from 'parseWriteOptions'.
+	//
+	formatRecord: function (values, options) {
+		return values
+			.map(function (value) {
+				return formatField(value, options);
+			})
+			.join(options.delimiter);
+	},
+
+	//
+	// Get the text that starts CSV output, as specified by options from 'parseWriteOptions'.
+	//
+	start: function (options) {
+		return options.bom ? byteOrderMark : '';
+	},
+};
@@ -0,0 +1,230 @@
+'use strict';
+
+var BabyParse = require('babyparse');
+var extend = require('extend');
+var csvDialect = require('./csv-dialect');
+
+var byteOrderMark = '\ufeff';
+
+//
+// Incrementally parses CSV text that arrives in chunks, in the dialect specified by options from 'csvDialect.parseReadOptions' (the default dialect when not specified).
+// Chunks can split a record (even within a quoted field), only complete records are parsed and returned.
+//
+var CsvRecordParser = function (dialect) {
+
+	var self = this;
+	dialect = dialect || csvDialect.parseReadOptions({}, 'CsvRecordParser');
+
+	self._dialect = extend({}, dialect, {
+		skipRows: 0, // Leading lines are skipped as text arrives.
+		parserConfig: extend({}, dialect.parserConfig),
+	});
+	if (!self._dialect.delimiter && (self._dialect.quoteChar !== '"' || self._dialect.escapeChar !== '"')) {
+		self._dialect.delimiter = ','; // The delimiter is only detected for the quote and escape characters supported by BabyParse.
+	}
+
+	self._rowsToSkip = dialect.skipRows;
+	self._started = false;
+	self._buffer = '';
+	self._scanned = 0;
+	self._inQuotes = false;
+	self._atFieldStart = true;
+	self._lastLineBreak = -1;
+	self._lastLineBreakEnd = -1;
+};
+
+module.exports = CsvRecordParser;
+
+//
+// Parse a block of text that contains only complete records.
+//
+CsvRecordParser.prototype._parse = function (text) {
+
+	var self = this;
+	var dialect = self._dialect;
+	if (!dialect.delimiter && dialect.quoteChar === '"' && dialect.escapeChar === '"') {
+		// Detect the delimiter as BabyParse does and use the same delimiter for all subsequent chunks.
+		var parsed = BabyParse.parse(text, dialect.parserConfig);
+		var delimiterDetected = !parsed.errors.some(function (err) {
+			return err.type === 'Delimiter';
+		});
+
+		if (delimiterDetected) {
+			dialect.delimiter = parsed.meta.delimiter;
+			dialect.parserConfig.delimiter = parsed.meta.delimiter;
+		}
+	}
+
+	return csvDialect.parse(text, dialect)
+		.filter(function (row) {
+			return row.length > 1 || row[0].trim().length > 0; // Ignore blank lines.
+		})
+		.map(function (row) {
+			return row.map(function (cell) {
+				return cell.trim();
+			});
+		});
+};
+
+//
+// Remove the leading lines that are to be skipped from the buffer, as far as they have arrived.
+// Returns false when more text is required.
+//
+CsvRecordParser.prototype._skipRows = function () {
+
+	var self = this;
+	var newline = self._dialect.newline;
+
+	while (self._rowsToSkip > 0) {
+		var lineEnd;
+		if (newline) {
+			var position = self._buffer.indexOf(newline);
+			lineEnd = position < 0 ? -1 : position + newline.length;
+		}
+		else {
+			var match = /\r\n|\n|\r(?=[^\n])/.exec(self._buffer);
+			lineEnd = match ? match.index + match[0].length : -1;
+		}
+
+		if (lineEnd < 0) {
+			return false;
+		}
+
+		self._buffer = self._buffer.substring(lineEnd);
+		--self._rowsToSkip;
+	}
+
+	return true;
+};
+
+//
+// Scan the buffer for the line breaks that end records, line breaks within quoted fields don't end records.
+// A quote character only starts a quoted field at the start of a field, so it can be used within unquoted fields (eg a single quote in "don't").
+// When the delimiter isn't known yet any quote character starts or ends a quoted field.
+//
+CsvRecordParser.prototype._scan = function () {
+
+	var self = this;
+	var dialect = self._dialect;
+	var buffer = self._buffer;
+	var newline = dialect.newline || '\n';
+	var i = self._scanned;
+
+	while (i < buffer.length) {
+		var ch = buffer[i];
+
+		if (self._inQuotes) {
+			if (ch === dialect.escapeChar && dialect.escapeChar !== dialect.quoteChar) {
+				if (i + 1 >= buffer.length) {
+					break; // Wait for the escaped character.
+				}
+
+				i += 2;
+				continue;
+			}
+
+			if (ch === dialect.quoteChar) {
+				self._inQuotes = false; // A doubled quote character ends the quoted field and immediately starts it again.
+			}
+
+			++i;
+			continue;
+		}
+
+		if (ch === dialect.quoteChar && (self._atFieldStart || !dialect.delimiter)) {
+			self._inQuotes = true;
+			self._atFieldStart = false;
+			++i;
+			continue;
+		}
+
+		if (buffer.length - i < newline.length) {
+			break; // Wait for the rest of a line break.
+		}
+
+		if (buffer.substr(i, newline.length) === newline) {
+			self._lastLineBreak = i;
+			i += newline.length;
+			self._lastLineBreakEnd = i;
+			self._atFieldStart = true;
+			continue;
+		}
+
+		if (dialect.delimiter && buffer.substr(i, dialect.delimiter.length) === dialect.delimiter) {
+			i += dialect.delimiter.length;
+			self._atFieldStart = true;
+			continue;
+		}
+
+		self._atFieldStart = false;
+		++i;
+	}
+
+	self._scanned = i;
+};
+
+/*
+ * Add a chunk of text to the parser.
+ * Returns an array of records (each an array of cells) that were completed by the chunk.
+ */
+CsvRecordParser.prototype.push = function (text) {
+
+	var self = this;
+	self._buffer += text;
+
+	if (!self._started) {
+		if (self._buffer.length === 0) {
+			return [];
+		}
+
+		if (self._buffer.charAt(0) === byteOrderMark) {
+			self._buffer = self._buffer.substring(1);
+		}
+
+		self._started = true;
+	}
+
+	if (!self._skipRows()) {
+		return [];
+	}
+
+	self._scan();
+
+	if (self._lastLineBreak < 0) {
+		// No complete records yet.
+		return [];
+	}
+
+	var complete = self._buffer.substring(0, self._lastLineBreak);
+	if (!self._dialect.newline) {
+		complete = complete.replace(/\r$/, ''); // Strip the final line break so it doesn't produce an empty record.
+	}
+
+	self._buffer = self._buffer.substring(self._lastLineBreakEnd);
+	self._scanned -= self._lastLineBreakEnd;
+	self._lastLineBreak = -1;
+	self._lastLineBreakEnd = -1;
+	return self._parse(complete);
+};
+
+/*
+ * Signal the end of the input.
+ * Returns an array of any remaining records.
+ */
+CsvRecordParser.prototype.flush = function () {
+
+	var self = this;
+	var remaining = self._rowsToSkip > 0 ? '' : self._buffer; // A partial line that is to be skipped is skipped.
+	self._buffer = '';
+	self._scanned = 0;
+	self._inQuotes = false;
+	self._atFieldStart = true;
+	self._lastLineBreak = -1;
+	self._lastLineBreakEnd = -1;
+
+	if (remaining.trim().length === 0) {
+		return [];
+	}
+
+	return self._parse(remaining);
+};
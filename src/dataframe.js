@@ -6,8 +6,8 @@
 
 var ArrayIterator = require('./iterators/array');
 var MultiIterator = require('./iterators/multi');
-var BabyParse = require('babyparse');
 var SelectIterator = require('../src/iterators/select');
+var SelectManyIterator = require('./iterators/select-many');
 var utils = require('./utils');
 var extend = require('extend');
 var inherit = require('./inherit');
@@ -16,6 +16,26 @@ var assert = require('chai').assert;
 var E = require('linq');
 
 var validateIterator = require('./iterators/validate');
+var AsyncWrapIterator = require('./async-iterators/wrap');
+var fileWriter = require('./file-writer');
+var FillMissingIterator = require('./iterators/fill-missing');
+var ResampleIterator = require('./iterators/resample');
+var ShiftIterator = require('./iterators/shift');
+var ScanIterator = require('./iterators/scan');
+var missing = require('./missing');
+var aggregations = require('./aggregations');
+var period = require('./period');
+var transforms = require('./transforms');
+var schema = require('./schema');
+var csvDialect = require('./csv-dialect');
+var jsonFormat = require('./json-format');
+var xlsxFormat = require('./xlsx-format');
+var htmlFormat = require('./html-format');
+var textFormat = require('./text-format');
+var xmlFormat = require('./xml-format');
+var yamlFormat = require('./yaml-format');
+var http = require('./http');
+var formats = require('./formats');
 
 //
 // Creates an iterator that converts rows to JavaScript objects based on passed in column names.
@@ -298,6 +318,8 @@ var Series = require('./series');
 var parent = inherit(DataFrame, Series);
 
 var concatDataFrames = require('./concat-dataframes');
+var mergeDataFrames = require('./merge-dataframes');
+var Groups = require('./groups');
 var SelectValuesIterable = require('./iterables/select-values');
 var ArrayIterable = require('./iterables/array');
 
@@ -773,6 +795,141 @@ DataFrame.prototype.toStrings = function (columnNameOrNames, formatString) {
 	}
 };
 
+//
+// Create a new dataframe from the rows of a dataframe checked against a schema.
+// 'createRowChecker' is called for each iteration and returns a function that is called with each row and the results of checking its values, it returns an array of output pairs.
+//
+var checkSchema = function (self, columnSchemas, createRowChecker, getColumnNames) {
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				var iterator = self.getIterator();
+				var checkRow = createRowChecker();
+				var pending = [];
+				var curOutput = undefined;
+
+				return {
+					moveNext: function () {
+						while (pending.length === 0) {
+							if (!iterator.moveNext()) {
+								curOutput = undefined;
+								return false;
+							}
+
+							var pair = iterator.getCurrent();
+							pending = columnSchemas.map(function (columnSchema) {
+									return {
+										columnSchema: columnSchema,
+										value: pair[1][columnSchema.columnName],
+										result: schema.check(pair[1][columnSchema.columnName], columnSchema),
+									};
+								});
+							pending = checkRow(pair, pending);
+						}
+
+						curOutput = pending.shift();
+						return true;
+					},
+
+					getCurrent: function () {
+						return curOutput;
+					},
+				};
+			},
+
+			getColumnNames: getColumnNames,
+		},
+	});
+};
+
+/**
+ * Coerce columns to the types declared by a schema. The schema maps column names to either the name of a type or an object with a 'type' field and optional constraints.
+ * The types are 'int', 'float' (or 'number'), 'string', 'date' and 'boolean'. The constraints are 'format' (the format for parsing dates, or for formatting dates as strings),
+ * 'required' (true when values must not be missing), 'min' and 'max' (the range of numbers or dates) and 'enum' (an array of the allowed values).
+ * Missing values are converted to undefined. An error is thrown when a value can't be converted or violates a constraint, use 'validate' to find all the values that violate a schema.
+ * Columns that aren't in the schema are unchanged and the index is preserved.
+ *
+ * @param {object} schema - Maps column names to types or column schemas, eg { id: 'int', price: { type: 'float', min: 0 } }.
+ *
+ * @returns {DataFrame} Returns a new dataframe with columns coerced to the types in the schema.
+ */
+DataFrame.prototype.withSchema = function (schemaDefinition) {
+
+	var columnSchemas = schema.parse(schemaDefinition, 'DataFrame.withSchema');
+
+	var self = this;
+	return checkSchema(
+		self,
+		columnSchemas,
+		function () {
+			return function (pair, checked) {
+				var row = extend({}, pair[1]);
+				checked.forEach(function (entry) {
+					if (entry.result.rule) {
+						throw new Error("Value '" + entry.value + "' of column '" + entry.columnSchema.columnName + "' at index '" + pair[0] + "' violates the '" + entry.result.rule + "' rule of the schema passed to 'DataFrame.withSchema'.");
+					}
+
+					row[entry.columnSchema.columnName] = entry.result.value;
+				});
+				return [[pair[0], row]];
+			};
+		},
+		function () {
+			// Columns in the schema that aren't in the dataframe are added after the existing columns.
+			return E.from(self.getColumnNames())
+				.union(columnSchemas.map(function (columnSchema) {
+					return columnSchema.columnName;
+				}))
+				.toArray();
+		}
+	);
+};
+
+/**
+ * Check the values of the dataframe against a schema, in the same format as the schema for 'withSchema'.
+ * Each value that violates the schema is reported, rather than stopping at the first violation.
+ * A value violates the 'type' rule when it can't be converted to the type of its column, the 'required' rule when it is missing from a required column,
+ * or the 'min', 'max' or 'enum' rule when the converted value is outside the constraint. Only the first rule violated by each value is reported.
+ *
+ * @param {object} schema - Maps column names to types or column schemas.
+ *
+ * @returns {DataFrame} Returns a dataframe with a row for each violation and the columns Index (the index of the row), Column, Value and Rule. The dataframe is empty when all values are valid.
+ */
+DataFrame.prototype.validate = function (schemaDefinition) {
+
+	var columnSchemas = schema.parse(schemaDefinition, 'DataFrame.validate');
+
+	var self = this;
+	return checkSchema(
+		self,
+		columnSchemas,
+		function () {
+			var violationIndex = 0;
+			return function (pair, checked) {
+				return checked
+					.filter(function (entry) {
+						return entry.result.rule !== null;
+					})
+					.map(function (entry) {
+						return [
+							violationIndex++,
+							{
+								Index: pair[0],
+								Column: entry.columnSchema.columnName,
+								Value: entry.value,
+								Rule: entry.result.rule,
+							},
+						];
+					});
+			};
+		},
+		function () {
+			return ["Index", "Column", "Value", "Rule"];
+		}
+	);
+};
+
 /**
   * Detect the types of the values in the sequence.
   *
@@ -829,6 +986,158 @@ DataFrame.prototype.detectValues = function () {
 	return concatDataFrames(dataFrames).resetIndex();
 };
 
+//
+// The statistics computed by 'describe' for each type of column, in the order they appear in the summary.
+//
+var describeStatistics = {
+	number: {
+		count: function (values) {
+			return values.length;
+		},
+		mean: function (values, series) {
+			return series.average();
+		},
+		std: function (values, series) {
+			return series.std();
+		},
+		min: function (values, series) {
+			return series.min();
+		},
+		'25%': function (values, series) {
+			return series.quantile(0.25);
+		},
+		'50%': function (values, series) {
+			return series.quantile(0.5);
+		},
+		'75%': function (values, series) {
+			return series.quantile(0.75);
+		},
+		max: function (values, series) {
+			return series.max();
+		},
+	},
+
+	string: {
+		count: function (values) {
+			return values.length;
+		},
+		unique: function (values, series) {
+			return series.distinct().count();
+		},
+		top: function (values, series) {
+			return series.mode();
+		},
+		freq: function (values, series) {
+			var top = series.mode();
+			return series.where(function (value) {
+					return value === top;
+				})
+				.count();
+		},
+	},
+
+	date: {
+		count: function (values) {
+			return values.length;
+		},
+		unique: function (values, series) {
+			return series.distinct(utils.toHashKey).count();
+		},
+		first: function (values) {
+			return E.from(values).minBy(utils.toHashKey);
+		},
+		last: function (values) {
+			return E.from(values).maxBy(utils.toHashKey);
+		},
+	},
+};
+
+//
+// Determine the most frequent type of the values in a series from the output of 'detectTypes'.
+//
+var determinePrimaryType = function (series) {
+	var types = series.detectTypes().toArray();
+	if (types.length === 0) {
+		return null;
+	}
+
+	return E.from(types)
+		.maxBy(function (type) {
+			return type.Frequency;
+		})
+		.Type;
+};
+
+/**
+ * Generate descriptive statistics that summarize each column of the dataframe. Missing values are ignored.
+ * The type of each column is the most frequent type reported by 'detectTypes', values of other types are ignored. Number columns are summarized by count, mean, std, min, 25%, 50%, 75% and max.
+ * String columns are summarized by count, unique, top (the most frequent value) and freq (the frequency of the most frequent value).
+ * Date columns are summarized by count, unique, first and last.
+ * Columns of other types are summarized by count.
+ *
+ * @returns {DataFrame} Returns a dataframe with a column for each column of the input dataframe and a row for each statistic. The index contains the names of the statistics.
+ */
+DataFrame.prototype.describe = function () {
+
+	var self = this;
+	var columnNames = self.getColumnNames();
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				var summaries = self.getColumns()
+					.select(function (column) {
+						var series = column.series.dropMissing();
+						var type = determinePrimaryType(series);
+						var typedSeries = series.where(function (value) {
+								return type === 'date' ? Object.isDate(value) : typeof(value) === type;
+							})
+							.bake();
+						var values = typedSeries.toArray();
+						var statistics = describeStatistics[type] || { count: describeStatistics.number.count };
+
+						return E.from(Object.keys(statistics))
+							.toObject(
+								function (statisticName) {
+									return statisticName;
+								},
+								function (statisticName) {
+									return statistics[statisticName](values, typedSeries);
+								}
+							);
+					})
+					.toArray();
+
+				var statisticNames = E.from(Object.keys(describeStatistics))
+					.selectMany(function (type) {
+						return Object.keys(describeStatistics[type]);
+					})
+					.distinct()
+					.where(function (statisticName) {
+						return summaries.some(function (summary) {
+							return summary.hasOwnProperty(statisticName);
+						});
+					})
+					.toArray();
+
+				return new ArrayIterator(
+					statisticNames.map(function (statisticName) {
+						var row = {};
+						columnNames.forEach(function (columnName, columnIndex) {
+							row[columnName] = summaries[columnIndex][statisticName];
+						});
+						return [statisticName, row];
+					})
+				);
+			},
+
+			getColumnNames: function () {
+				return columnNames;
+			},
+		},
+	});
+};
+
 /**
  * Produces a new data frame with all string values truncated to the requested maximum length.
  *
@@ -975,24 +1284,138 @@ DataFrame.prototype.renameSeries = function (newColumnNames) {
 
 /**
  * Serialize the data frame to JSON.
+ *
+ * @param {object} [options] - Optional options for the JSON: 'orient' is the layout of the JSON, 'records' (the default) is an array of row objects,
+ * 'columns' is an object that maps each column name to an array of values, 'split' is an object with 'columns', 'index' and 'data' (an array of rows, each an array of values)
+ * and 'index' is an object that maps index values to row objects. 'unflatten' is true to rebuild nested objects from columns with names joined by dots,
+ * or an object with a 'separator' to split the names of columns by a different string ('split' data is not unflattened). 'indent' is the number of spaces to indent by, defaults to 4.
  * 
  *  @returns {string} Returns a JSON format string representing the dataframe.   
  */
-DataFrame.prototype.toJSON = function () {
+DataFrame.prototype.toJSON = function (options) {
+
+	var jsonOptions = jsonFormat.parseWriteOptions(options, 'DataFrame.toJSON');
+
+	var self = this;
+	var data = jsonFormat.write(self.toPairs(), self.getColumnNames(), jsonOptions);
+	return JSON.stringify(data, null, jsonOptions.indent);
+};
+
+/**
+ * Serialize the data frame to JSON Lines, a line of JSON for each row.
+ *
+ * @param {object} [options] - Optional options for the JSON Lines: 'unflatten' is true to rebuild nested objects from columns with names joined by dots, or an object with a 'separator' to split the names of columns by a different string.
+ * 
+ *  @returns {string} Returns a JSON Lines format string representing the dataframe. Each line, including the last, ends with a newline.
+ */
+DataFrame.prototype.toJSONLines = function (options) {
+
+	var serializer = fileWriter.jsonLinesSerializer(jsonFormat.parseUnflattenOption(options, 'DataFrame.toJSONLines'));
+
+	var self = this;
+	return serializer.rows(self.toArray());
+};
+
+/**
+ * Serialize the data frame to text with fixed-width columns, a line for each row.
+ *
+ * @param {object} [options] - Optional options for the text: 'columns' is an array of the columns to write, each with a 'name' and optionally the zero-based 'start' character
+ * (defaults to the end of the previous column), the 'width' in characters (defaults to the widest value), 'align' ('left' or 'right', defaults to right for numbers and left for other values)
+ * and the 'format' of dates (a moment format string, defaults to ISO 8601). Defaults to all columns. 'header' is true to start with a line of column names and 'newline' is the line terminator, defaults to '\n'.
+ * Values that are wider than their column are an error.
+ * 
+ *  @returns {string} Returns a fixed-width text string representing the dataframe. Each line, including the last, ends with the line terminator.
+ */
+DataFrame.prototype.toFixedWidth = function (options) {
+
+	var textOptions = textFormat.parseFixedWidthWriteOptions(options, 'DataFrame.toFixedWidth');
+
+	var self = this;
+	var columnNames = self.getColumnNames();
+	var rows = self.toRows();
+	var layout = textFormat.layoutFixedWidth(columnNames, textOptions, function () { return rows; }, 'DataFrame.toFixedWidth');
+	var serializer = fileWriter.fixedWidthSerializer(columnNames, layout, textOptions, 'DataFrame.toFixedWidth');
+	return serializer.header() + serializer.rows(self.toArray());
+};
+
+/**
+ * Serialize the data frame to XML, an element for each row that contains an element for each value named by its column.
+ * Missing values are omitted and dates are written in ISO 8601 format. Column names must be valid names for XML elements.
+ *
+ * @param {object} [options] - Optional options for the XML: 'rootElement' is the name of the root element, defaults to 'data', and 'rowElement' is the name of the element for each row, defaults to 'row'.
+ * 
+ *  @returns {string} Returns an XML format string representing the dataframe.
+ */
+DataFrame.prototype.toXML = function (options) {
+
+	var xmlOptions = xmlFormat.parseWriteOptions(options, 'DataFrame.toXML');
+
+	var self = this;
+	var columnNames = self.getColumnNames();
+	xmlFormat.checkColumnNames(columnNames, 'DataFrame.toXML');
+
+	var serializer = fileWriter.xmlSerializer(columnNames, xmlOptions);
+	return serializer.header() + serializer.rows(self.toArray()) + serializer.footer();
+};
+
+/**
+ * Serialize the data frame to YAML.
+ *
+ * @param {object} [options] - Optional options for the YAML: 'orient' is the layout of the data and 'unflatten' rebuilds nested objects from columns, the same as the options for 'toJSON'.
+ * 
+ *  @returns {string} Returns a YAML format string representing the dataframe.
+ */
+DataFrame.prototype.toYAML = function (options) {
+
+	var jsonOptions = jsonFormat.parseWriteOptions(options, 'DataFrame.toYAML');
+
+	var self = this;
+	return yamlFormat.stringify(jsonFormat.write(self.toPairs(), self.getColumnNames(), jsonOptions));
+};
+
+/**
+ * Serialize the data frame to an XLSX spreadsheet (an Excel workbook) with a single worksheet.
+ * Numbers, dates, booleans and strings are written as cells of the same type.
+ *
+ * @param {object} [options] - Optional options for the worksheet: 'sheetName' (defaults to 'Sheet1'), 'header' (false to omit the row of column names)
+ * and 'dateFormat' (the Excel number format of dates, eg 'yyyy-mm-dd').
+ * 
+ *  @returns {Buffer} Returns the binary content of an XLSX file representing the dataframe.
+ */
+DataFrame.prototype.toXLSX = function (options) {
+
+	var xlsxOptions = xlsxFormat.parseWriteOptions(options, 'DataFrame.toXLSX');
+
 	var self = this;
-	return JSON.stringify(self.toArray(), null, 4);
+	return xlsxFormat.write([{ sheetName: xlsxOptions.sheetName, columnNames: self.getColumnNames(), rows: self.toRows() }], xlsxOptions);
 };
 
 /**
  * Serialize the data frame to CSV.
+ *
+ * @param {object} [options] - Optional options for the dialect of the CSV: 'delimiter' (defaults to a comma), 'newline' (the line terminator, defaults to CRLF),
+ * 'quoteChar' (defaults to a double quote), 'escapeChar' (the character that escapes quote characters in quoted fields, defaults to the quote character),
+ * 'quotes' (true to quote every field), 'header' (false to omit the row of column names), 'bom' (true to start with a byte order mark),
+ * 'decimalSeparator' (the decimal separator of numbers) and 'formatters' (maps the types 'date', 'number', 'string' and 'boolean' to functions that format values of the type, dates can also be formatted by a moment format string).
  * 
  *  @returns {string} Returns a CSV format string representing the dataframe.   
  */
-DataFrame.prototype.toCSV = function () {
+DataFrame.prototype.toCSV = function (options) {
+
+	var csvOptions = csvDialect.parseWriteOptions(options, 'DataFrame.toCSV');
 
 	var self = this;
-	var data = [self.iterable.getColumnNames()].concat(self.toRows());
-	return BabyParse.unparse(data);
+	var records = self.toRows();
+	if (csvOptions.header) {
+		records.unshift(self.iterable.getColumnNames());
+	}
+
+	return csvDialect.start(csvOptions) +
+		records
+			.map(function (record) {
+				return csvDialect.formatRecord(record, csvOptions);
+			})
+			.join(csvOptions.newline);
 
 	/*Old csv stringify.
 	var header = self.getColumnNames().join(',');
@@ -1015,10 +1438,14 @@ DataFrame.prototype.toCSV = function () {
 
 /**
  * Treat the dataframe as CSV data for purposes of serialization.
+ *
+ * @param {object} [options] - Optional options for the dialect of the CSV, the same as the options for 'toCSV'.
  * 
- * @returns {object} Returns an object that represents the dataframe for serialization in the CSV format. Call `writeFile`, `writeFileSync` or `httpPost` to output the dataframe via different media.
+ * @returns {object} Returns an object that represents the dataframe for serialization in the CSV format. Call `writeFile`, `writeFileSync`, `httpPost` or `httpPut` to output the dataframe via different media.
  */
-DataFrame.prototype.asCSV = function () {
+DataFrame.prototype.asCSV = function (options) {
+
+	var csvOptions = csvDialect.parseWriteOptions(options, 'DataFrame.asCSV');
 
 	var self = this;
 
@@ -1026,6 +1453,7 @@ DataFrame.prototype.asCSV = function () {
 		/**
 		 * Serialize the dataframe to a CSV file in the local file system.
 		 * Asynchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
 		 * 
 		 * @param {string} filePath - Specifies the output path for the file. 
 		 * 
@@ -1034,30 +1462,78 @@ DataFrame.prototype.asCSV = function () {
 		writeFile: function (filePath) {
 			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asCSV().writeFile to be a string that specifies the path of the file to write to the local file system.");
 
-			return new Promise(function (resolve, reject) {
-				var fs = require('fs');	
-				fs.writeFile(filePath, self.toCSV(), function (err) {
-					if (err) {
-						reject(err);
-						return;
-					}
-
-					resolve();
-				});
-			});
+			return fileWriter.writeFile(
+				filePath, 
+				new AsyncWrapIterator(self.iterable.getIterator()), 
+				fileWriter.csvSerializer(self.iterable.getColumnNames(), csvOptions)
+			);
 		},
 
 		/**
 		 * Serialize the dataframe to a CSV file in the local file system.
 		 * Synchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
 		 * 
 		 * @param {string} filePath - Specifies the output path for the file. 
 		 */
 		writeFileSync: function (filePath) {
 			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asCSV().writeFileSync to be a string that specifies the path of the file to write to the local file system.");
 
-			var fs = require('fs');	
-			fs.writeFileSync(filePath, self.toCSV());
+			fileWriter.writeFileSync(
+				filePath, 
+				self.iterable.getIterator(), 
+				fileWriter.csvSerializer(self.iterable.getColumnNames(), csvOptions)
+			);
+		},
+
+		/**
+		 * Send the dataframe as CSV to a REST API with an HTTP POST request.
+		 * Works in Nodejs, doesn't work in the browser.
+		 * Rows are sent in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} url - The URL to send the dataframe to.
+		 * @param {object} [options] - Optional options for the request. Set the 'headers' field to an object that maps the names of headers to send to their values, the 'Content-Type' header defaults to 'text/csv'.
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves to the response, an object with the 'url', 'statusCode', 'headers' and 'body'. Responses with a status other than 2xx are an error.
+		 */
+		httpPost: function (url, options) {
+			assert.isString(url, "Expected 'url' parameter to DataFrame.asCSV().httpPost to be a string that specifies the URL to send the dataframe to.");
+
+			var httpOptions = http.parseOptions(options, false, 'DataFrame.asCSV().httpPost');
+
+			return http.send(
+				'POST', 
+				url, 
+				httpOptions, 
+				self.iterable.getIterator(), 
+				fileWriter.csvSerializer(self.iterable.getColumnNames(), csvOptions), 
+				'text/csv'
+			);
+		},
+
+		/**
+		 * Send the dataframe as CSV to a REST API with an HTTP PUT request.
+		 * Works in Nodejs, doesn't work in the browser.
+		 * Rows are sent in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} url - The URL to send the dataframe to.
+		 * @param {object} [options] - Optional options for the request. Set the 'headers' field to an object that maps the names of headers to send to their values, the 'Content-Type' header defaults to 'text/csv'.
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves to the response, an object with the 'url', 'statusCode', 'headers' and 'body'. Responses with a status other than 2xx are an error.
+		 */
+		httpPut: function (url, options) {
+			assert.isString(url, "Expected 'url' parameter to DataFrame.asCSV().httpPut to be a string that specifies the URL to send the dataframe to.");
+
+			var httpOptions = http.parseOptions(options, false, 'DataFrame.asCSV().httpPut');
+
+			return http.send(
+				'PUT', 
+				url, 
+				httpOptions, 
+				self.iterable.getIterator(), 
+				fileWriter.csvSerializer(self.iterable.getColumnNames(), csvOptions), 
+				'text/csv'
+			);
 		},
 
 	};
@@ -1067,7 +1543,7 @@ DataFrame.prototype.asCSV = function () {
 /**
  * Treat the dataframe as JSON data for purposes of serialization.
  * 
- * @returns {object} Returns an object that represents the dataframe for serialization in the JSON format. Call `writeFile`, `writeFileSync` or `httpPost` to output the dataframe via different media.
+ * @returns {object} Returns an object that represents the dataframe for serialization in the JSON format. Call `writeFile`, `writeFileSync`, `httpPost` or `httpPut` to output the dataframe via different media.
  */
 DataFrame.prototype.asJSON = function () {
 
@@ -1077,6 +1553,7 @@ DataFrame.prototype.asJSON = function () {
 		/**
 		 * Serialize the dataframe to a JSON file in the local file system.
 		 * Asynchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
 		 * 
 		 * @param {string} filePath - Specifies the output path for the file. 
 		 * 
@@ -1085,103 +1562,240 @@ DataFrame.prototype.asJSON = function () {
 		writeFile: function (filePath) {
 			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asJSON().writeFile to be a string that specifies the path of the file to write to the local file system.");
 
-			return new Promise(function (resolve, reject) {
-				var fs = require('fs');	
-				fs.writeFile(filePath, self.toJSON(), function (err) {
-					if (err) {
-						reject(err);
-						return;
-					}
-
-					resolve();
-				});
-			});
+			return fileWriter.writeFile(
+				filePath, 
+				new AsyncWrapIterator(self.iterable.getIterator()), 
+				fileWriter.jsonSerializer()
+			);
 		},
 
 		/**
 		 * Serialize the dataframe to a JSON file in the local file system.
 		 * Synchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
 		 * 
 		 * @param {string} filePath - Specifies the output path for the file. 
 		 */
 		writeFileSync: function (filePath) {
 			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asJSON().writeFile to be a string that specifies the path of the file to write to the local file system.");
 
-			var fs = require('fs');	
-			fs.writeFileSync(filePath, self.toJSON());
+			fileWriter.writeFileSync(
+				filePath, 
+				self.iterable.getIterator(), 
+				fileWriter.jsonSerializer()
+			);
+		},
+
+		/**
+		 * Send the dataframe as JSON to a REST API with an HTTP POST request.
+		 * Works in Nodejs, doesn't work in the browser.
+		 * Rows are sent in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} url - The URL to send the dataframe to.
+		 * @param {object} [options] - Optional options for the request. Set the 'headers' field to an object that maps the names of headers to send to their values, the 'Content-Type' header defaults to 'application/json'.
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves to the response, an object with the 'url', 'statusCode', 'headers' and 'body'. Responses with a status other than 2xx are an error.
+		 */
+		httpPost: function (url, options) {
+			assert.isString(url, "Expected 'url' parameter to DataFrame.asJSON().httpPost to be a string that specifies the URL to send the dataframe to.");
+
+			var httpOptions = http.parseOptions(options, false, 'DataFrame.asJSON().httpPost');
+
+			return http.send(
+				'POST', 
+				url, 
+				httpOptions, 
+				self.iterable.getIterator(), 
+				fileWriter.jsonSerializer(), 
+				'application/json'
+			);
+		},
+
+		/**
+		 * Send the dataframe as JSON to a REST API with an HTTP PUT request.
+		 * Works in Nodejs, doesn't work in the browser.
+		 * Rows are sent in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} url - The URL to send the dataframe to.
+		 * @param {object} [options] - Optional options for the request. Set the 'headers' field to an object that maps the names of headers to send to their values, the 'Content-Type' header defaults to 'application/json'.
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves to the response, an object with the 'url', 'statusCode', 'headers' and 'body'. Responses with a status other than 2xx are an error.
+		 */
+		httpPut: function (url, options) {
+			assert.isString(url, "Expected 'url' parameter to DataFrame.asJSON().httpPut to be a string that specifies the URL to send the dataframe to.");
+
+			var httpOptions = http.parseOptions(options, false, 'DataFrame.asJSON().httpPut');
+
+			return http.send(
+				'PUT', 
+				url, 
+				httpOptions, 
+				self.iterable.getIterator(), 
+				fileWriter.jsonSerializer(), 
+				'application/json'
+			);
 		},
 	};
 };
 
 /**
- * Serialize the data frame to HTML.
+ * Treat the dataframe as JSON Lines data for purposes of serialization.
+ *
+ * @param {object} [options] - Optional options for the JSON Lines, the same as the options for 'toJSONLines'.
  * 
- *  @returns {string} Returns a HTML format string representing the dataframe.   
+ * @returns {object} Returns an object that represents the dataframe for serialization in the JSON Lines format. Call `writeFile` or `writeFileSync` to output the dataframe.
  */
-DataFrame.prototype.toHTML = function () {
+DataFrame.prototype.asJSONLines = function (options) {
 
-	var self = this;
-	var columnNames = self.getColumnNames();
-
-	var pairs = E.from(self.toPairs())
-		.select(function (pair) { // Convert to rows.
-			return [
-				pair[0], 
-				E.from(columnNames) 
-					.select(function (columnName) {
-						return pair[1][columnName];
-					})
-					.toArray()
-			];					
-		})
-		.toArray()
-		;
-	
-	var html = 
-		'<table border="1" class="dataframe">\n' + 
-		'    <thead>\n' +
-		'        <tr style="text-align: right;">\n' +
-		'            <th></th>\n' +
-
-			E.from(columnNames)
-				.select(function (columnName) {
-					return '            <th>' + columnName + '</th>'
-				})
-				.toArray()
-				.join('\n') +
+	var unflattenSeparator = jsonFormat.parseUnflattenOption(options, 'DataFrame.asJSONLines');
 
-		'\n' +
-		'       </tr>\n' +
-		'    </thead>\n' +
-		'    <tbody>\n' +
+	var self = this;
 
-			E.from(pairs)
-				.select(function (pair) {
-					var index = pair[0];
-					var row = pair[1];
-					var tableRow = 
-						'        <tr>\n' +
-						'            <th>' + index + '</th>\n' +
+	return {
+		/**
+		 * Serialize the dataframe to a JSON Lines file in the local file system.
+		 * Asynchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves when the file has been written.   
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asJSONLines().writeFile to be a string that specifies the path of the file to write to the local file system.");
 
-						E.from(row)
-								.select(function (cell) {
-									return '            <td>' + cell + '</td>';
-								})
-								.toArray()
-								.join('\n') + 
-						'\n' +
-						'        </tr>'
-						;
-					return tableRow;					
-				})
-				.toArray()
-				.join('\n') +
-        '\n' +
-		'    </tbody>\n' +
-		'</table>'
-		;
+			return fileWriter.writeFile(
+				filePath, 
+				new AsyncWrapIterator(self.iterable.getIterator()), 
+				fileWriter.jsonLinesSerializer(unflattenSeparator)
+			);
+		},
 
-	return html;
+		/**
+		 * Serialize the dataframe to a JSON Lines file in the local file system.
+		 * Synchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 */
+		writeFileSync: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asJSONLines().writeFileSync to be a string that specifies the path of the file to write to the local file system.");
+
+			fileWriter.writeFileSync(
+				filePath, 
+				self.iterable.getIterator(), 
+				fileWriter.jsonLinesSerializer(unflattenSeparator)
+			);
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as text with fixed-width columns for purposes of serialization.
+ * When the width of every column is specified rows are written in chunks as the dataframe is evaluated,
+ * otherwise the entire dataframe is evaluated to find the widest values before the file is written.
+ *
+ * @param {object} [options] - Optional options for the text, the same as the options for 'toFixedWidth'.
+ * 
+ * @returns {object} Returns an object that represents the dataframe for serialization as fixed-width text. Call `writeFile` or `writeFileSync` to output the dataframe.
+ */
+DataFrame.prototype.asFixedWidth = function (options) {
+
+	var textOptions = textFormat.parseFixedWidthWriteOptions(options, 'DataFrame.asFixedWidth');
+
+	var self = this;
+
+	//
+	// Create the serializer, evaluating the dataframe if the layout depends on the widest values.
+	//
+	var createSerializer = function () {
+		var columnNames = self.iterable.getColumnNames();
+		var layout = textFormat.layoutFixedWidth(columnNames, textOptions, function () { return self.toRows(); }, 'DataFrame.asFixedWidth');
+		return fileWriter.fixedWidthSerializer(columnNames, layout, textOptions, 'DataFrame.asFixedWidth');
+	};
+
+	return {
+		/**
+		 * Serialize the dataframe to a fixed-width text file in the local file system.
+		 * Asynchronous version.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves when the file has been written.   
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asFixedWidth().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			var serializer;
+			try {
+				serializer = createSerializer();
+			}
+			catch (err) {
+				return Promise.reject(err);
+			}
+
+			return fileWriter.writeFile(
+				filePath, 
+				new AsyncWrapIterator(self.iterable.getIterator()), 
+				serializer
+			);
+		},
+
+		/**
+		 * Serialize the dataframe to a fixed-width text file in the local file system.
+		 * Synchronous version.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 */
+		writeFileSync: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asFixedWidth().writeFileSync to be a string that specifies the path of the file to write to the local file system.");
+
+			fileWriter.writeFileSync(
+				filePath, 
+				self.iterable.getIterator(), 
+				createSerializer()
+			);
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as an XLSX spreadsheet (an Excel workbook) with a single worksheet for purposes of serialization.
+ * The workbook is built in memory, so unlike CSV and JSON the entire dataframe is evaluated before the file is written.
+ *
+ * @param {object} [options] - Optional options for the worksheet, the same as the options for 'toXLSX'. These can also be passed to `writeFile` or `writeFileSync`.
+ * 
+ * @returns {object} Returns an object that represents the dataframe for serialization in the XLSX format. Call `writeFile` or `writeFileSync` to output the dataframe.
+ */
+DataFrame.prototype.asXLSX = function (options) {
+
+	var self = this;
+
+	return xlsxFormat.createWriter(
+		function (xlsxOptions) {
+			return [{ sheetName: xlsxOptions.sheetName, columnNames: self.getColumnNames(), rows: self.toRows() }];
+		},
+		options,
+		'DataFrame.asXLSX'
+	);
+};
+
+/**
+ * Serialize the data frame to HTML.
+ *
+ * @param {object} [options] - Optional options for the HTML table: 'classes' is a class name (or an array of class names) added to the table, which always has the class 'dataframe',
+ * 'index' is false to omit the index, 'escape' is false to output the content of cells without escaping HTML (eg for formatters that produce HTML),
+ * 'formatters' maps column names to functions that format values of the column, 'caption' is the caption of the table
+ * and 'maxRows' is the maximum number of rows to render, when there are more rows the first and last rows are rendered either side of a row of ellipses.
+ * 
+ *  @returns {string} Returns a HTML format string representing the dataframe.   
+ */
+DataFrame.prototype.toHTML = function (options) {
+
+	var htmlOptions = htmlFormat.parseWriteOptions(options, 'DataFrame.toHTML');
+
+	var self = this;
+	return htmlFormat.render(self.getColumnNames(), self.toPairs(), htmlOptions);
 };
 
 /**
@@ -1353,6 +1967,180 @@ DataFrame.prototype.aggregate = function (seedOrSelector, selector) {
 	}
 };
 
+/**
+ * Group the dataframe by a selector function or by the values of one or more columns.
+ *
+ * When grouping by column names, each group is a dataframe and the index of each group is the key value (or an array of key values when grouping by multiple columns).
+ * Call `aggregate` with a specification to summarize the groups as a flat dataframe, for example:
+ *
+ * 	df.groupBy(['region', 'product']).aggregate({ sales: 'sum', price: ['min', 'max'], orders: 'count' })
+ *
+ * Aggregations are 'sum', 'average', 'median', 'min', 'max', 'count', 'std', 'variance', 'mode', 'skew', 'kurtosis', 'first', 'last' or a function that takes the series of values for the group and returns the aggregated value.
+ * A single aggregation keeps the column name, an array of aggregations produces one column per aggregation named column_aggregation (eg price_min).
+ * The groups can be filtered or sorted (eg with `where` or `orderBy`) before they are aggregated.
+ *
+ * @param {function|string|array} selectorOrColumnNames - Selector that defines the value to group by, or the name of the column (or array of column names) to group by.
+ *
+ * @returns {Series} Returns a series of groups.
+ */
+DataFrame.prototype.groupBy = function (selectorOrColumnNames) {
+
+	var self = this;
+
+	if (Object.isFunction(selectorOrColumnNames)) {
+		return parent.groupBy.call(self, selectorOrColumnNames);
+	}
+
+	var keyColumnNames = Object.isArray(selectorOrColumnNames) ? selectorOrColumnNames : [selectorOrColumnNames];
+	assert(keyColumnNames.length > 0, "Expected 'selectorOrColumnNames' parameter to 'DataFrame.groupBy' to be a selector function, a column name or an array of column names.");
+	keyColumnNames.forEach(function (columnName) {
+		assert.isString(columnName, "Expected 'selectorOrColumnNames' parameter to 'DataFrame.groupBy' to be a selector function, a column name or an array of column names.");
+	});
+
+	return new Groups({
+		iterable: {
+			getIterator: function () {
+				var columnNames = self.getColumnNames();
+				var groupsByKey = new Map();
+				var groupPairs = [];
+
+				var iterator = self.getIterator();
+				while (iterator.moveNext()) {
+					var pair = iterator.getCurrent();
+					var keyValues = keyColumnNames.map(function (columnName) {
+						return pair[1][columnName];
+					});
+					var key = keyValues.length > 1
+						? JSON.stringify(keyValues.map(utils.toHashKey))
+						: utils.toHashKey(keyValues[0]);
+
+					var group = groupsByKey.get(key);
+					if (!group) {
+						group = [];
+						groupsByKey.set(key, group);
+						groupPairs.push([keyValues.length > 1 ? keyValues : keyValues[0], group]);
+					}
+					group.push(pair);
+				}
+
+				return new ArrayIterator(groupPairs.map(function (groupPair) {
+					var groupRows = groupPair[1];
+					return [
+						groupPair[0],
+						new DataFrame({
+							iterable: {
+								getIterator: function () {
+									return new ArrayIterator(groupRows);
+								},
+
+								getColumnNames: function () {
+									return columnNames;
+								},
+							},
+						}),
+					];
+				}));
+			},
+		},
+	}, keyColumnNames, self);
+};
+
+/**
+ * Resample a dataframe with a date index to regular calendar periods, eg days or months.
+ * Rows are bucketed by the period that contains their index. Each period becomes a row of the new dataframe, the values of each column are aggregated from the rows in the period.
+ * The new index contains the start of each period and is regularly spaced, periods that contain no rows have null values unless filled as specified in 'options'.
+ * This can be used to downsample (eg daily rows to months) or upsample (eg daily rows to hours) a time series. The index must be sorted in ascending order.
+ *
+ * @param {string} period - The period to resample to, a number and a unit, eg '1D', '1H', '1W', '1M' or '15min'. Units are S (seconds), min, m or T (minutes), H (hours), D (days), W (weeks, starting on Monday), M (months), Q (quarters) and Y (years).
+ * @param {string|function|object} aggregation - Aggregates the values of each column in each period: 'sum', 'average' (or 'mean'), 'median', 'min', 'max', 'count', 'std', 'variance', 'mode', 'skew', 'kurtosis', 'first', 'last' or a function that takes a series of values and returns the aggregated value.
+ * The numeric aggregations ('sum', 'average', 'median', 'std', 'variance', 'skew' and 'kurtosis') are only applied to the columns whose values are numbers (ignoring missing values), the other columns are dropped.
+ * Or an object that maps column names to aggregations, only those columns are included in the new dataframe.
+ * @param {object} [options] - Set 'fill' to 'forwardFill', 'backFill' or 'interpolate' to fill the values of periods that contain no rows, or set 'fillValue' to fill them with a specific value.
+ *
+ * @returns {DataFrame} Returns a new dataframe with a row for each period.
+ */
+DataFrame.prototype.resample = function (periodString, aggregation, options) {
+
+	var resamplePeriod = period.parse(periodString, 'DataFrame.resample');
+
+	var spec = Object.isObject(aggregation) ? aggregation : null;
+	var aggregators = E.from(spec ? Object.keys(spec) : [])
+		.toObject(
+			function (columnName) {
+				return columnName;
+			},
+			function (columnName) {
+				var aggregator = aggregations.create(spec[columnName]);
+				assert(aggregator, "Expected aggregation for column '" + columnName + "' passed to 'DataFrame.resample' to be a function or one of mean, " + aggregations.names.join(', ') + ".");
+				return aggregator;
+			}
+		);
+
+	if (!spec) {
+		var aggregator = aggregations.create(aggregation);
+		assert(aggregator, "Expected 'aggregation' parameter to 'DataFrame.resample' to be a function, an object that maps column names to aggregations or one of mean, " + aggregations.names.join(', ') + ".");
+	}
+
+	var self = this;
+
+	var getColumnNames = function () {
+		if (spec) {
+			return Object.keys(spec);
+		}
+
+		if (!aggregations.isNumeric(aggregation)) {
+			return self.getColumnNames();
+		}
+
+		// Only numbers are aggregated, so columns that contain other values are dropped.
+		return self.getColumnNames().filter(function (columnName) {
+			return !self.getSeries(columnName).any(function (value) {
+				return !missing.isMissing(value) && !Object.isNumber(value);
+			});
+		});
+	};
+
+	var resampled = new DataFrame({
+		iterable: {
+			getIterator: function () {
+				var columnNames = getColumnNames();
+				return new SelectIterator(
+					new ResampleIterator(self.getIterator(), resamplePeriod),
+					function (pair) {
+						var pairs = pair[1];
+						var periodRows = pairs.length > 0
+							? new DataFrame({
+								iterable: {
+									getIterator: function () {
+										return new ArrayIterator(pairs);
+									},
+
+									getColumnNames: function () {
+										return self.getColumnNames();
+									},
+								},
+							})
+							: null;
+
+						var row = {};
+						columnNames.forEach(function (columnName) {
+							row[columnName] = periodRows
+								? (spec ? aggregators[columnName] : aggregator)(periodRows.getSeries(columnName))
+								: null;
+						});
+
+						return [pair[0], row];
+					}
+				);
+			},
+
+			getColumnNames: getColumnNames,
+		},
+	});
+
+	return missing.applyFillOptions(resampled, options, 'DataFrame.resample');
+};
+
 /**
  * Bring the name column to the front, making it the first column in the data-frame.
  *
@@ -1481,57 +2269,868 @@ DataFrame.prototype.pivot = function (column, value) {
 	});
 };
 
+//
+// Normalize a column name or array of column names to an array, validating the names.
+//
+var toColumnNamesArray = function (columnNameOrNames, message) {
+	var columnNames = Object.isArray(columnNameOrNames) ? columnNameOrNames : [columnNameOrNames];
+	columnNames.forEach(function (columnName) {
+		assert.isString(columnName, message);
+	});
+	return columnNames;
+};
+
 /**
- * Concatenate multiple other dataframes onto this dataframe.
- * 
- * @param {...array|DataFrame} dataFrames - Multiple arguments. Each can be either a dataframe or an array of dataframe.
- *  
- * @returns {DataFrame} Returns a single dataframe concatenated from multiple input dataframes. 
+ * Create a pivot table that summarizes the dataframe. Rows are grouped by the 'index' columns, the distinct values of the 'columns' columns become new columns
+ * and the values in each new column are aggregated from the 'values' columns.
+ *
+ * When there is a single values column the new columns are named after the values of the 'columns' columns (joined with '_' when there are multiple 'columns').
+ * With multiple values columns each new column name is prefixed with the name of the values column, eg Sales_2016.
+ *
+ * @param {object} options - Options that define the pivot table.
+ * @param {string|array} options.index - Column name (or array of column names) whose values identify the rows of the pivot table.
+ * @param {string|array} [options.columns] - Column name (or array of column names) whose distinct values make the new columns. When omitted there is one column per values column.
+ * @param {string|array} [options.values] - Column name (or array of column names) that contain the values to aggregate. Defaults to all other columns.
+ * @param {string|function} [options.aggFn] - Aggregation for duplicate values: 'sum', 'average' (or 'mean'), 'median', 'min', 'max', 'count', 'std', 'variance', 'mode', 'skew', 'kurtosis', 'first', 'last' or a function that takes a series of values and returns the aggregated value. Defaults to 'average'.
+ * @param {value} [options.fillValue] - Value for cells that have no values. Defaults to undefined.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the index columns followed by the pivoted columns.
  */
-DataFrame.prototype.concat = function () {
+DataFrame.prototype.pivotTable = function (options) {
+
+	assert.isObject(options, "Expected 'options' parameter to 'DataFrame.pivotTable' to be an object that defines the pivot table.");
+	assert(options.index, "Expected 'index' field of 'options' parameter to 'DataFrame.pivotTable' to be a column name or an array of column names.");
 
 	var self = this;
-	return concatDataFrames(
-		[self].concat(
-			E.from(arguments)
-				.selectMany(function (argument) {
-					if (Object.isArray(argument)) {
-						return argument;
-					}
-					else {
-						return [argument];
+	var indexColumnNames = toColumnNamesArray(options.index, "Expected 'index' field of 'options' parameter to 'DataFrame.pivotTable' to be a column name or an array of column names.");
+	var pivotColumnNames = options.columns
+		? toColumnNamesArray(options.columns, "Expected 'columns' field of 'options' parameter to 'DataFrame.pivotTable' to be a column name or an array of column names.")
+		: [];
+
+	var aggregator = aggregations.create(options.aggFn || 'average');
+	assert(aggregator, "Expected 'aggFn' field of 'options' parameter to 'DataFrame.pivotTable' to be a function or one of mean, " + aggregations.names.join(', ') + ".");
+
+	E.from(indexColumnNames).concat(pivotColumnNames).forEach(function (columnName) {
+		if (!self.hasSeries(columnName)) {
+			throw new Error("Expected to find a column with name '" + columnName + "'.");
+		}
+	});
+
+	//
+	// Determine the values columns.
+	//
+	var getValueColumnNames = function () {
+		if (options.values) {
+			return toColumnNamesArray(options.values, "Expected 'values' field of 'options' parameter to 'DataFrame.pivotTable' to be a column name or an array of column names.");
+		}
+
+		return E.from(self.getColumnNames())
+			.except(indexColumnNames)
+			.except(pivotColumnNames)
+			.toArray();
+	};
+
+	//
+	// Evaluate the dataframe and aggregate the values for each cell of the pivot table.
+	//
+	var computePivotTable = function () {
+		var valueColumnNames = getValueColumnNames();
+		var rows = new Map(); // Row key -> { keyValues, cells: Map of column key -> arrays of values (one per values column) }.
+		var rowKeys = [];
+		var columns = new Map(); // Column key -> values of the 'columns' columns.
+		var columnKeys = [];
+
+		var makeKey = function (values) {
+			return values.length === 1 ? utils.toHashKey(values[0]) : JSON.stringify(values.map(utils.toHashKey));
+		};
+
+		var iterator = self.getIterator();
+		while (iterator.moveNext()) {
+			var row = iterator.getCurrent()[1];
+			var rowKeyValues = indexColumnNames.map(function (columnName) {
+				return row[columnName];
+			});
+			var rowKey = makeKey(rowKeyValues);
+			var pivotRow = rows.get(rowKey);
+			if (!pivotRow) {
+				pivotRow = {
+					keyValues: rowKeyValues,
+					cells: new Map(),
+				};
+				rows.set(rowKey, pivotRow);
+				rowKeys.push(rowKey);
+			}
+
+			var columnKeyValues = pivotColumnNames.map(function (columnName) {
+				return row[columnName];
+			});
+			var columnKey = makeKey(columnKeyValues);
+			if (!columns.has(columnKey)) {
+				columns.set(columnKey, columnKeyValues);
+				columnKeys.push(columnKey);
+			}
+
+			var cell = pivotRow.cells.get(columnKey);
+			if (!cell) {
+				cell = valueColumnNames.map(function () {
+					return [];
+				});
+				pivotRow.cells.set(columnKey, cell);
+			}
+
+			valueColumnNames.forEach(function (valueColumnName, valueIndex) {
+				cell[valueIndex].push(row[valueColumnName]);
+			});
+		}
+
+		//
+		// Each new column is identified by a column key and a values column.
+		//
+		var newColumns = E.from(valueColumnNames)
+			.selectMany(function (valueColumnName, valueIndex) {
+				return columnKeys.map(function (columnKey) {
+					var nameParts = columns.get(columnKey).map(function (value) {
+						return String(value);
+					});
+					if (valueColumnNames.length > 1 || nameParts.length === 0) {
+						nameParts = [valueColumnName].concat(nameParts);
 					}
-				})
-				.toArray()
-		)			
-	);
-};
 
-/**
- * Bake the data frame to an array of rows.
- * 
- *  @returns {array} Returns an array of rows. Each row is an array of values in column order.   
- */
-DataFrame.prototype.toRows = function () {
+					return {
+						name: nameParts.join('_'),
+						columnKey: columnKey,
+						valueIndex: valueIndex,
+					};
+				});
+			})
+			.toArray();
 
-	var self = this;
+		var pairs = rowKeys.map(function (rowKey, rowIndex) {
+			var pivotRow = rows.get(rowKey);
+			var outputRow = {};
+			indexColumnNames.forEach(function (columnName, keyIndex) {
+				outputRow[columnName] = pivotRow.keyValues[keyIndex];
+			});
 
-	var iterator = self.iterable.getIterator();
-	validateIterator(iterator);
+			newColumns.forEach(function (newColumn) {
+				var cell = pivotRow.cells.get(newColumn.columnKey);
+				outputRow[newColumn.name] = cell
+					? aggregator(new Series({ values: cell[newColumn.valueIndex] }))
+					: options.fillValue;
+			});
 
-	var values = [];
-	var columnNames = self.iterable.getColumnNames();
+			return [rowIndex, outputRow];
+		});
 
-	while (iterator.moveNext()) {
-		var curRow = iterator.getCurrent()[1];  // Extract value.
+		return {
+			columnNames: indexColumnNames.concat(newColumns.map(function (newColumn) {
+				return newColumn.name;
+			})),
+			pairs: pairs,
+		};
+	};
 
-		var asArray = [];
-		for (var columnIndex = 0; columnIndex < columnNames.length; ++columnIndex) {
-			asArray.push(curRow[columnNames[columnIndex]]);
+	//
+	// The pivot table is computed when it is first needed, by either the rows or the column names, and is then reused.
+	//
+	var pivotTable = null;
+
+	var getPivotTable = function () {
+		if (!pivotTable) {
+			pivotTable = computePivotTable();
 		}
 
-		values.push(asArray);
+		return pivotTable;
+	};
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				return new ArrayIterator(getPivotTable().pairs);
+			},
+
+			getColumnNames: function () {
+				return getPivotTable().columnNames;
+			},
+		},
+	});
+};
+
+/**
+ * Unpivot the dataframe from wide to long format, the inverse of 'pivotTable'. Also known as 'unpivot'.
+ * Each row of the input produces one output row for each of the 'valueColumns'.
+ *
+ * @param {object} [options] - Options that define how to melt the dataframe.
+ * @param {string|array} [options.idColumns] - Column name (or array of column names) that identify each row, these are copied to each output row.
+ * @param {string|array} [options.valueColumns] - Column name (or array of column names) to unpivot. Defaults to all columns other than the 'idColumns'.
+ * @param {string} [options.variableColumn] - Name of the output column that contains the name of the unpivoted column. Defaults to 'variable'.
+ * @param {string} [options.valueColumn] - Name of the output column that contains the value of the unpivoted column. Defaults to 'value'.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the id columns followed by the variable and value columns.
+ */
+DataFrame.prototype.melt = function (options) {
+
+	if (options) {
+		assert.isObject(options, "Expected 'options' parameter to 'DataFrame.melt' to be an object that defines how to melt the dataframe.");
+	}
+	else {
+		options = {};
 	}
 
-	return values;
+	var self = this;
+	var idColumnNames = options.idColumns
+		? toColumnNamesArray(options.idColumns, "Expected 'idColumns' field of 'options' parameter to 'DataFrame.melt' to be a column name or an array of column names.")
+		: [];
+	var variableColumnName = options.variableColumn || 'variable';
+	var valueColumnName = options.valueColumn || 'value';
+	assert.isString(variableColumnName, "Expected 'variableColumn' field of 'options' parameter to 'DataFrame.melt' to be a string.");
+	assert.isString(valueColumnName, "Expected 'valueColumn' field of 'options' parameter to 'DataFrame.melt' to be a string.");
+
+	var getValueColumnNames = function () {
+		if (options.valueColumns) {
+			return toColumnNamesArray(options.valueColumns, "Expected 'valueColumns' field of 'options' parameter to 'DataFrame.melt' to be a column name or an array of column names.");
+		}
+
+		return E.from(self.getColumnNames())
+			.except(idColumnNames)
+			.toArray();
+	};
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				var valueColumnNames = getValueColumnNames();
+				return new SelectIterator(
+					new SelectManyIterator(
+						self.getIterator(),
+						function (pair) {
+							var row = pair[1];
+							return valueColumnNames.map(function (columnName) {
+								var outputRow = {};
+								idColumnNames.forEach(function (idColumnName) {
+									outputRow[idColumnName] = row[idColumnName];
+								});
+								outputRow[variableColumnName] = columnName;
+								outputRow[valueColumnName] = row[columnName];
+								return outputRow;
+							});
+						}
+					),
+					function (row, rowIndex) {
+						return [rowIndex, row]; // Reset index.
+					}
+				);
+			},
+
+			getColumnNames: function () {
+				return idColumnNames.concat([variableColumnName, valueColumnName]);
+			},
+		},
+	});
+};
+
+//
+// Get the column names to check for missing values and the options passed to one of the missing value functions.
+// The column names are optional, when the first argument is an options object all columns are checked.
+//
+var parseMissingArgs = function (columnNameOrNames, options, functionName) {
+
+	if (columnNameOrNames && Object.isObject(columnNameOrNames)) {
+		options = columnNameOrNames;
+		columnNameOrNames = undefined;
+	}
+
+	return {
+		columnNames: columnNameOrNames !== undefined
+			? toColumnNamesArray(columnNameOrNames, "Expected 'columnNameOrNames' parameter to '" + functionName + "' to be a column name or an array of column names.")
+			: null,
+		isMissing: missing.getMissingPredicate(options, functionName),
+	};
+};
+
+/**
+ * Remove rows that have missing values. By default missing values are undefined, null, NaN or empty strings.
+ *
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to check for missing values. Defaults to all columns.
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {DataFrame} Returns a new dataframe with rows that have missing values removed.
+ */
+DataFrame.prototype.dropMissing = function (columnNameOrNames, options) {
+
+	var args = parseMissingArgs(columnNameOrNames, options, 'DataFrame.dropMissing');
+
+	var self = this;
+	var columnNames = null;
+
+	return self.where(function (row) {
+		if (!columnNames) {
+			columnNames = args.columnNames || self.getColumnNames();
+		}
+
+		return !columnNames.some(function (columnName) {
+			return args.isMissing(row[columnName]);
+		});
+	});
+};
+
+/**
+ * Replace missing values with a specified value. By default missing values are undefined, null, NaN or empty strings.
+ *
+ * @param {value|object} valueOrMap - The value that replaces missing values in all columns, or an object that maps column names to the value that replaces missing values in that column.
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {DataFrame} Returns a new dataframe with missing values replaced.
+ */
+DataFrame.prototype.fillMissing = function (valueOrMap, options) {
+
+	var isMissing = missing.getMissingPredicate(options, 'DataFrame.fillMissing');
+
+	var self = this;
+	var isMap = valueOrMap && Object.isObject(valueOrMap);
+	var columnNames = isMap ? Object.keys(valueOrMap) : null;
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				var fillColumnNames = columnNames || self.getColumnNames();
+				return new SelectIterator(self.getIterator(), function (pair) {
+					var row = pair[1];
+					var filledRow = null;
+
+					fillColumnNames.forEach(function (columnName) {
+						if (isMissing(row[columnName])) {
+							if (!filledRow) {
+								filledRow = extend({}, row);
+							}
+
+							filledRow[columnName] = isMap ? valueOrMap[columnName] : valueOrMap;
+						}
+					});
+
+					return [pair[0], filledRow || row];
+				});
+			},
+
+			getColumnNames: function () {
+				return isMap
+					? E.from(self.getColumnNames()).union(columnNames).toArray()
+					: self.getColumnNames();
+			},
+		},
+	});
+};
+
+//
+// Create a new dataframe with missing values filled in by the 'fill' function.
+//
+var fillMissingValues = function (self, args, fill, lookahead) {
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				return new FillMissingIterator(self.getIterator(), args.columnNames || self.getColumnNames(), args.isMissing, fill, lookahead);
+			},
+
+			getColumnNames: function () {
+				return self.getColumnNames();
+			},
+		},
+	});
+};
+
+/**
+ * Replace missing values with the previous value in the same column that isn't missing.
+ * Missing values at the start of a column are not replaced.
+ *
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to fill. Defaults to all columns.
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {DataFrame} Returns a new dataframe with missing values filled forward.
+ */
+DataFrame.prototype.forwardFill = function (columnNameOrNames, options) {
+
+	var args = parseMissingArgs(columnNameOrNames, options, 'DataFrame.forwardFill');
+
+	var self = this;
+	return fillMissingValues(self, args, missing.forwardFill, false);
+};
+
+/**
+ * Replace missing values with the next value in the same column that isn't missing.
+ * Missing values at the end of a column are not replaced.
+ *
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to fill. Defaults to all columns.
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {DataFrame} Returns a new dataframe with missing values filled backward.
+ */
+DataFrame.prototype.backFill = function (columnNameOrNames, options) {
+
+	var args = parseMissingArgs(columnNameOrNames, options, 'DataFrame.backFill');
+
+	var self = this;
+	return fillMissingValues(self, args, missing.backFill, true);
+};
+
+/**
+ * Replace missing values by interpolating between the values before and after in the same column.
+ * Missing values at the start or end of a column, or next to values that aren't numbers, are not replaced.
+ *
+ * @param {string} [method] - 'linear' (the default) treats rows as equally spaced, 'time' interpolates based on the index, which must contain dates or numbers.
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to interpolate. Defaults to all columns.
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {DataFrame} Returns a new dataframe with missing values interpolated.
+ */
+DataFrame.prototype.interpolate = function (method, columnNameOrNames, options) {
+
+	method = method || 'linear';
+	assert(method === 'linear' || method === 'time', "Expected 'method' parameter to 'DataFrame.interpolate' to be 'linear' or 'time'.");
+
+	var args = parseMissingArgs(columnNameOrNames, options, 'DataFrame.interpolate');
+
+	var self = this;
+	return fillMissingValues(self, args, missing.interpolate(method), true);
+};
+
+//
+// Create a new dataframe by transforming the specified columns, or all columns when none are specified, with an iterator created by 'createIterator'.
+//
+var transformColumns = function (self, columnNameOrNames, functionName, createIterator) {
+
+	var columnNames = columnNameOrNames !== undefined
+		? toColumnNamesArray(columnNameOrNames, "Expected 'columnNameOrNames' parameter to '" + functionName + "' to be a column name or an array of column names.")
+		: null;
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				return createIterator(self.getIterator(), columnNames || self.getColumnNames());
+			},
+
+			getColumnNames: function () {
+				return self.getColumnNames();
+			},
+		},
+	});
+};
+
+/**
+ * Shift the values of columns by a number of rows, the index is preserved.
+ * A positive number moves values forward so each value is replaced by the value from an earlier row, a negative number moves values backward so each value is replaced by the value from a later row.
+ * Values that have no row to shift in from are null.
+ *
+ * @param {int} [numPositions] - The number of rows to shift values by. Defaults to 1.
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to shift. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with shifted values.
+ */
+DataFrame.prototype.shift = function (numPositions, columnNameOrNames) {
+
+	numPositions = numPositions === undefined ? 1 : numPositions;
+	transforms.checkOffset(numPositions, 'DataFrame.shift');
+
+	var self = this;
+	return transformColumns(self, columnNameOrNames, 'DataFrame.shift', function (iterator, columnNames) {
+		return new ShiftIterator(iterator, columnNames, numPositions, transforms.shift);
+	});
+};
+
+/**
+ * Replace the values of columns with the values from a number of rows earlier, the index is preserved. The same as shift with a positive number.
+ *
+ * @param {int} [numPositions] - The number of rows to look back. Defaults to 1.
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to lag. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the lagged values. Values that have no earlier row are null.
+ */
+DataFrame.prototype.lag = function (numPositions, columnNameOrNames) {
+
+	numPositions = numPositions === undefined ? 1 : numPositions;
+	transforms.checkOffset(numPositions, 'DataFrame.lag');
+
+	var self = this;
+	return self.shift(numPositions, columnNameOrNames);
+};
+
+/**
+ * Replace the values of columns with the values from a number of rows later, the index is preserved. The same as shift with a negative number.
+ *
+ * @param {int} [numPositions] - The number of rows to look ahead. Defaults to 1.
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to lead. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the leading values. Values that have no later row are null.
+ */
+DataFrame.prototype.lead = function (numPositions, columnNameOrNames) {
+
+	numPositions = numPositions === undefined ? 1 : numPositions;
+	transforms.checkOffset(numPositions, 'DataFrame.lead');
+
+	var self = this;
+	return self.shift(-numPositions, columnNameOrNames);
+};
+
+/**
+ * Compute the difference of the values of columns from the values a number of rows earlier (or later for a negative number), the index is preserved.
+ *
+ * @param {int} [numPositions] - The number of rows to compute the difference over. Defaults to 1.
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to compute differences for. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the differences. Values that have no row to compare with, or where either value isn't a number, are null.
+ */
+DataFrame.prototype.diff = function (numPositions, columnNameOrNames) {
+
+	numPositions = numPositions === undefined ? 1 : numPositions;
+	transforms.checkOffset(numPositions, 'DataFrame.diff');
+
+	var self = this;
+	return transformColumns(self, columnNameOrNames, 'DataFrame.diff', function (iterator, columnNames) {
+		return new ShiftIterator(iterator, columnNames, numPositions, transforms.diff);
+	});
+};
+
+//
+// Create a new dataframe from a cumulative operation on columns.
+//
+var cumulative = function (self, columnNameOrNames, functionName, createScanner) {
+	return transformColumns(self, columnNameOrNames, functionName, function (iterator, columnNames) {
+		return new ScanIterator(iterator, columnNames, createScanner);
+	});
+};
+
+/**
+ * Compute the cumulative sum of columns. Values that aren't numbers are passed through and are skipped by the sum.
+ *
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to sum. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the sum of the values up to and including each row.
+ */
+DataFrame.prototype.cumsum = function (columnNameOrNames) {
+
+	var self = this;
+	return cumulative(self, columnNameOrNames, 'DataFrame.cumsum', transforms.cumsum);
+};
+
+/**
+ * Compute the cumulative product of columns. Values that aren't numbers are passed through and are skipped by the product.
+ *
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to multiply. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the product of the values up to and including each row.
+ */
+DataFrame.prototype.cumprod = function (columnNameOrNames) {
+
+	var self = this;
+	return cumulative(self, columnNameOrNames, 'DataFrame.cumprod', transforms.cumprod);
+};
+
+/**
+ * Compute the cumulative minimum of columns. Values that aren't numbers are passed through and are skipped by the minimum.
+ *
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to compute the minimum of. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the minimum of the values up to and including each row.
+ */
+DataFrame.prototype.cummin = function (columnNameOrNames) {
+
+	var self = this;
+	return cumulative(self, columnNameOrNames, 'DataFrame.cummin', transforms.cummin);
+};
+
+/**
+ * Compute the cumulative maximum of columns. Values that aren't numbers are passed through and are skipped by the maximum.
+ *
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to compute the maximum of. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the maximum of the values up to and including each row.
+ */
+DataFrame.prototype.cummax = function (columnNameOrNames) {
+
+	var self = this;
+	return cumulative(self, columnNameOrNames, 'DataFrame.cummax', transforms.cummax);
+};
+
+/**
+ * Rank the values of columns in ascending order, ranks start at 1. The index is preserved.
+ * Note that the entire dataframe is evaluated to compute the ranks.
+ *
+ * @param {string} [method] - How equal values are ranked: 'average' (the default) is the average of their positions, 'min' and 'max' are the lowest and highest of their positions,
+ * 'first' ranks them in the order they appear and 'dense' is like 'min' but ranks increase by 1 between distinct values.
+ * @param {string|array} [columnNameOrNames] - Column name (or array of column names) to rank. Defaults to all columns.
+ *
+ * @returns {DataFrame} Returns a new dataframe with the rank of each value within its column. Missing values have a null rank.
+ */
+DataFrame.prototype.rank = function (method, columnNameOrNames) {
+
+	method = method || 'average';
+	assert(transforms.rankMethods.indexOf(method) >= 0, "Expected 'method' parameter to 'DataFrame.rank' to be one of " + transforms.rankMethods.join(', ') + ".");
+
+	var self = this;
+	return transformColumns(self, columnNameOrNames, 'DataFrame.rank', function (iterator, columnNames) {
+		var pairs = [];
+		while (iterator.moveNext()) {
+			pairs.push(iterator.getCurrent());
+		}
+
+		var rows = pairs.map(function (pair) {
+			return extend({}, pair[1]);
+		});
+
+		columnNames.forEach(function (columnName) {
+			var ranks = transforms.rank(
+				pairs.map(function (pair) {
+					return pair[1][columnName];
+				}),
+				method
+			);
+
+			rows.forEach(function (row, position) {
+				row[columnName] = ranks[position];
+			});
+		});
+
+		return new ArrayIterator(pairs.map(function (pair, position) {
+			return [pair[0], rows[position]];
+		}));
+	});
+};
+
+/**
+ * Concatenate multiple other dataframes onto this dataframe.
+ * 
+ * @param {...array|DataFrame} dataFrames - Multiple arguments. Each can be either a dataframe or an array of dataframe.
+ *  
+ * @returns {DataFrame} Returns a single dataframe concatenated from multiple input dataframes. 
+ */
+DataFrame.prototype.concat = function () {
+
+	var self = this;
+	return concatDataFrames(
+		[self].concat(
+			E.from(arguments)
+				.selectMany(function (argument) {
+					if (Object.isArray(argument)) {
+						return argument;
+					}
+					else {
+						return [argument];
+					}
+				})
+				.toArray()
+		)			
+	);
+};
+
+/**
+ * Merge with another dataframe in the style of a database join. Columns from both dataframes are automatically combined.
+ *
+ * @param {DataFrame} other - The dataframe to merge with (the right side of the merge).
+ * @param {object} [options] - Options that control the merge.
+ * @param {string|array} [options.on] - Name of the column (or array of column names) to merge on, it must exist in both dataframes. Defaults to the columns the dataframes have in common.
+ * @param {string|array} [options.leftOn] - Name of the column (or array of column names) in this dataframe to merge on.
+ * @param {string|array} [options.rightOn] - Name of the column (or array of column names) in the other dataframe to merge on.
+ * @param {boolean} [options.leftIndex] - Set to true to merge on the index of this dataframe.
+ * @param {boolean} [options.rightIndex] - Set to true to merge on the index of the other dataframe.
+ * @param {string} [options.how] - Type of merge: 'inner' (the default), 'left', 'right' or 'outer'.
+ * @param {array} [options.suffixes] - Suffixes appended to the names of columns that exist in both dataframes, defaults to ['_x', '_y'].
+ *
+ * @returns {DataFrame} Returns a new dataframe that contains the merged rows. The index is preserved when merging on the index of both dataframes, otherwise it is reset.
+ */
+DataFrame.prototype.merge = function (other, options) {
+
+	var self = this;
+	return mergeDataFrames(self, other, options);
+};
+
+/**
+ * Bake the data frame to an array of rows.
+ * 
+ *  @returns {array} Returns an array of rows. Each row is an array of values in column order.   
+ */
+DataFrame.prototype.toRows = function () {
+
+	var self = this;
+
+	var iterator = self.iterable.getIterator();
+	validateIterator(iterator);
+
+	var values = [];
+	var columnNames = self.iterable.getColumnNames();
+
+	while (iterator.moveNext()) {
+		var curRow = iterator.getCurrent()[1];  // Extract value.
+
+		var asArray = [];
+		for (var columnIndex = 0; columnIndex < columnNames.length; ++columnIndex) {
+			asArray.push(curRow[columnNames[columnIndex]]);
+		}
+
+		values.push(asArray);
+	}
+
+	return values;
+};
+
+/**
+ * Treat the dataframe as XML data for purposes of serialization.
+ *
+ * @param {object} [options] - Optional options for the XML, the same as the options for 'toXML'.
+ * 
+ * @returns {object} Returns an object that represents the dataframe for serialization in the XML format. Call `writeFile` or `writeFileSync` to output the dataframe.
+ */
+DataFrame.prototype.asXML = function (options) {
+
+	var xmlOptions = xmlFormat.parseWriteOptions(options, 'DataFrame.asXML');
+
+	var self = this;
+
+	//
+	// Create the serializer, checking that the columns can be written as XML elements.
+	//
+	var createSerializer = function () {
+		var columnNames = self.iterable.getColumnNames();
+		xmlFormat.checkColumnNames(columnNames, 'DataFrame.asXML');
+		return fileWriter.xmlSerializer(columnNames, xmlOptions);
+	};
+
+	return {
+		/**
+		 * Serialize the dataframe to an XML file in the local file system.
+		 * Asynchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves when the file has been written.   
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asXML().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			var serializer;
+			try {
+				serializer = createSerializer();
+			}
+			catch (err) {
+				return Promise.reject(err);
+			}
+
+			return fileWriter.writeFile(
+				filePath, 
+				new AsyncWrapIterator(self.iterable.getIterator()), 
+				serializer
+			);
+		},
+
+		/**
+		 * Serialize the dataframe to an XML file in the local file system.
+		 * Synchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 */
+		writeFileSync: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asXML().writeFileSync to be a string that specifies the path of the file to write to the local file system.");
+
+			fileWriter.writeFileSync(
+				filePath, 
+				self.iterable.getIterator(), 
+				createSerializer()
+			);
+		},
+	};
+};
+
+/**
+ * Treat the dataframe as YAML data for purposes of serialization. The YAML is a sequence with an item for each row.
+ *
+ * @param {object} [options] - Optional options for the YAML: 'unflatten' rebuilds nested objects from columns, the same as the option for 'toJSON'.
+ * 
+ * @returns {object} Returns an object that represents the dataframe for serialization in the YAML format. Call `writeFile` or `writeFileSync` to output the dataframe.
+ */
+DataFrame.prototype.asYAML = function (options) {
+
+	var unflattenSeparator = jsonFormat.parseUnflattenOption(options, 'DataFrame.asYAML');
+
+	var self = this;
+
+	return {
+		/**
+		 * Serialize the dataframe to a YAML file in the local file system.
+		 * Asynchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 * 
+		 *  @returns {Promise} Returns a promise that resolves when the file has been written.   
+		 */
+		writeFile: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asYAML().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			return fileWriter.writeFile(
+				filePath, 
+				new AsyncWrapIterator(self.iterable.getIterator()), 
+				fileWriter.yamlSerializer(unflattenSeparator)
+			);
+		},
+
+		/**
+		 * Serialize the dataframe to a YAML file in the local file system.
+		 * Synchronous version.
+		 * Rows are written in chunks as the dataframe is evaluated, so the entire dataframe is never in memory.
+		 * 
+		 * @param {string} filePath - Specifies the output path for the file. 
+		 */
+		writeFileSync: function (filePath) {
+			assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.asYAML().writeFileSync to be a string that specifies the path of the file to write to the local file system.");
+
+			fileWriter.writeFileSync(
+				filePath, 
+				self.iterable.getIterator(), 
+				fileWriter.yamlSerializer(unflattenSeparator)
+			);
+		},
+	};
+};
+
+/**
+ * Write the dataframe asynchronously to a file in the local file system, in a format from the registry of formats (see `dataForge.registerFormat`).
+ * The format is determined by the extension of the file or specified by the 'format' option.
+ * The file is serialized in memory before it is written, use `asCSV`, `asJSON` and the other writers to write large dataframes in chunks.
+ * Works in Nodejs, doesn't work in the browser.
+ *
+ * @param {string} filePath - Specifies the output path for the file.
+ * @param {object} [options] - Optional options: 'format' is the name of the format of the file. Other options are passed to the format,
+ * eg `dataFrame.save('data.json', { orient: 'columns' })` passes 'orient' to `toJSON`.
+ * 
+ *  @returns {Promise} Returns a promise that resolves when the file has been written. The promise is rejected when the format isn't registered or doesn't support serialization.
+ */
+DataFrame.prototype.save = function (filePath, options) {
+	assert.isString(filePath, "Expected 'filePath' parameter to DataFrame.save to be a string that specifies the path of the file to write to the local file system.");
+
+	var self = this;
+
+	// The format is looked up in the promise chain, so that bad options and errors serializing the dataframe reject the promise rather than throwing.
+	return Promise.resolve()
+		.then(function () {
+			var saveOptions = formats.splitOptions(options, ['format'], 'DataFrame.save');
+			var format = formats.find(filePath, saveOptions.options.format, 'DataFrame.save');
+
+			if (!format.serialize) {
+				throw new Error("Format '" + format.name + "' passed to 'DataFrame.save' doesn't support serialization.");
+			}
+
+			var data = format.serialize(self, saveOptions.formatOptions);
+
+			return new Promise(function (resolve, reject) {
+				var fs = require('fs');
+				fs.writeFile(filePath, data, function (err) {
+					if (err) {
+						reject(err);
+						return;
+					}
+
+					resolve();
+				});
+			});
+		});
 };
@@ -0,0 +1,377 @@
+'use strict';
+
+//
+// Incrementally writes a sequence to a file.
+// Rows are pulled from the iterator and written to the file in chunks, so the sequence is never entirely in memory.
+//
+
+var csvDialect = require('./csv-dialect');
+var jsonFormat = require('./json-format');
+var textFormat = require('./text-format');
+var xmlFormat = require('./xml-format');
+var yamlFormat = require('./yaml-format');
+var validateIterator = require('./iterators/validate');
+
+//
+// The number of rows serialized and written to the file at a time.
+//
+var rowsPerChunk = 1000;
+
+//
+// Serializer that produces CSV data in chunks.
+// 'options' specifies the dialect of the CSV, as returned by 'csvDialect.parseWriteOptions'.
+//
+var csvSerializer = function (columnNames, options) {
+
+	var numRecords = 0;
+
+	var formatRecords = function (records) {
+		return records
+			.map(function (record) {
+				return (numRecords++ > 0 ? options.newline : '') + csvDialect.formatRecord(record, options);
+			})
+			.join('');
+	};
+
+	return {
+		header: function () {
+			return csvDialect.start(options) + (options.header ? formatRecords([columnNames]) : '');
+		},
+
+		rows: function (rows) {
+			return formatRecords(rows.map(function (row) {
+				return columnNames.map(function (columnName) {
+					return row[columnName];
+				});
+			}));
+		},
+
+		footer: function () {
+			return '';
+		},
+	};
+};
+
+//
+// Serializer that produces JSON data in chunks.
+// Output is identical to the stringified array produced by DataFrame.toJSON.
+//
+var jsonSerializer = function () {
+
+	var numRows = 0;
+
+	return {
+		header: function () {
+			return '[';
+		},
+
+		rows: function (rows) {
+			return rows
+				.map(function (row) {
+					var json = JSON.stringify(row, null, 4).replace(/\n/g, '\n    '); // Indent for nesting within the array.
+					return (numRows++ > 0 ? ',\n    ' : '\n    ') + json;
+				})
+				.join('');
+		},
+
+		footer: function () {
+			return numRows > 0 ? '\n]' : ']';
+		},
+	};
+};
+
+//
+// Serializer that produces JSON Lines data in chunks, one row per line.
+// 'unflattenSeparator' rebuilds nested objects from fields with names joined by the separator, or is null to write rows as they are.
+//
+var jsonLinesSerializer = function (unflattenSeparator) {
+
+	return {
+		header: function () {
+			return '';
+		},
+
+		rows: function (rows) {
+			return rows
+				.map(function (row) {
+					return JSON.stringify(unflattenSeparator ? jsonFormat.unflatten(row, unflattenSeparator) : row) + '\n';
+				})
+				.join('');
+		},
+
+		footer: function () {
+			return '';
+		},
+	};
+};
+
+//
+// Serializer that produces fixed-width text in chunks, one row per line.
+// 'layout' specifies the columns, as returned by 'textFormat.layoutFixedWidth', and 'options' are the options returned by 'textFormat.parseFixedWidthWriteOptions'.
+//
+var fixedWidthSerializer = function (columnNames, layout, options, functionName) {
+
+	return {
+		header: function () {
+			return options.header ? textFormat.formatFixedWidthHeader(layout, functionName) + options.newline : '';
+		},
+
+		rows: function (rows) {
+			return rows
+				.map(function (row) {
+					var values = columnNames.map(function (columnName) {
+						return row[columnName];
+					});
+					return textFormat.formatFixedWidthLine(values, layout, functionName) + options.newline;
+				})
+				.join('');
+		},
+
+		footer: function () {
+			return '';
+		},
+	};
+};
+
+//
+// Serializer that produces XML data in chunks, an element for each row.
+// 'options' specifies the names of the elements, as returned by 'xmlFormat.parseWriteOptions'.
+//
+var xmlSerializer = function (columnNames, options) {
+
+	return {
+		header: function () {
+			return xmlFormat.start(options);
+		},
+
+		rows: function (rows) {
+			return rows
+				.map(function (row) {
+					return xmlFormat.formatRow(row, columnNames, options);
+				})
+				.join('');
+		},
+
+		footer: function () {
+			return xmlFormat.end(options);
+		},
+	};
+};
+
+//
+// Serializer that produces YAML data in chunks, a sequence with an item for each row.
+// Output is identical to the YAML produced by DataFrame.toYAML.
+// 'unflattenSeparator' rebuilds nested objects from fields with names joined by the separator, or is null to write rows as they are.
+//
+var yamlSerializer = function (unflattenSeparator) {
+
+	var numRows = 0;
+
+	return {
+		header: function () {
+			return '';
+		},
+
+		rows: function (rows) {
+			numRows += rows.length;
+			return rows
+				.map(function (row) {
+					return yamlFormat.stringify([unflattenSeparator ? jsonFormat.unflatten(row, unflattenSeparator) : row]);
+				})
+				.join('');
+		},
+
+		footer: function () {
+			return numRows > 0 ? '' : yamlFormat.stringify([]);
+		},
+	};
+};
+
+//
+// Write a sequence to a file, synchronously.
+// Takes a regular iterator of index/value pairs.
+//
+var writeFileSync = function (filePath, iterator, serializer) {
+
+	validateIterator(iterator);
+
+	var fs = require('fs');
+
+	//
+	// Write a string to the file. A write can be short, so this writes until all the bytes of the string have been written.
+	//
+	var write = function (fd, data) {
+		var buffer = Buffer.from(data, 'utf8');
+		var offset = 0;
+		while (offset < buffer.length) {
+			offset += fs.writeSync(fd, buffer, offset, buffer.length - offset);
+		}
+	};
+
+	var fd = fs.openSync(filePath, 'w');
+
+	try {
+		write(fd, serializer.header());
+
+		var rows = [];
+		while (iterator.moveNext()) {
+			var row = iterator.getCurrent()[1];
+			if (row === undefined) {
+				continue;
+			}
+
+			rows.push(row);
+
+			if (rows.length >= rowsPerChunk) {
+				write(fd, serializer.rows(rows));
+				rows = [];
+			}
+		}
+
+		if (rows.length > 0) {
+			write(fd, serializer.rows(rows));
+		}
+
+		write(fd, serializer.footer());
+	}
+	finally {
+		fs.closeSync(fd);
+	}
+};
+
+//
+// Write a sequence to a file, asynchronously.
+// Takes an async iterator of index/value pairs, wrap a regular iterator with AsyncWrapIterator.
+// Returns a promise that resolves when the file has been written.
+//
+var writeFile = function (filePath, iterator, serializer) {
+
+	var fs = require('fs');
+
+	//
+	// Write a string to the file, returns a promise. A write can be short, so this writes until all the bytes of the string have been written.
+	//
+	var write = function (fd, data) {
+		var buffer = Buffer.from(data, 'utf8');
+
+		var writeFrom = function (offset) {
+			if (offset >= buffer.length) {
+				return Promise.resolve();
+			}
+
+			return new Promise(function (resolve, reject) {
+					fs.write(fd, buffer, offset, buffer.length - offset, null, function (err, bytesWritten) {
+						if (err) {
+							reject(err);
+							return;
+						}
+
+						resolve(bytesWritten);
+					});
+				})
+				.then(function (bytesWritten) {
+					return writeFrom(offset + bytesWritten);
+				});
+		};
+
+		return writeFrom(0);
+	};
+
+	//
+	// Pull rows from the iterator and write them to the file, one chunk at a time.
+	//
+	var writeRows = function (fd) {
+
+		return new Promise(function (resolve, reject) {
+			var rows = [];
+
+			var step = function () {
+				iterator.moveNext()
+					.then(function (more) {
+						if (more) {
+							var row = iterator.getCurrent()[1];
+							if (row !== undefined) {
+								rows.push(row);
+							}
+
+							if (rows.length < rowsPerChunk) {
+								step();
+								return;
+							}
+						}
+
+						if (rows.length === 0) {
+							resolve();
+							return;
+						}
+
+						var chunk = serializer.rows(rows);
+						rows = [];
+						return write(fd, chunk)
+							.then(function () {
+								if (more) {
+									step();
+								}
+								else {
+									resolve();
+								}
+							});
+					})
+					.catch(reject);
+			};
+
+			step();
+		});
+	};
+
+	return new Promise(function (resolve, reject) {
+			fs.open(filePath, 'w', function (err, fd) {
+				if (err) {
+					reject(err);
+					return;
+				}
+
+				resolve(fd);
+			});
+		})
+		.then(function (fd) {
+			var close = function () {
+				return new Promise(function (resolve, reject) {
+					fs.close(fd, function (err) {
+						if (err) {
+							reject(err);
+							return;
+						}
+
+						resolve();
+					});
+				});
+			};
+
+			return write(fd, serializer.header())
+				.then(function () {
+					return writeRows(fd);
+				})
+				.then(function () {
+					return write(fd, serializer.footer());
+				})
+				.then(close, function (err) {
+					// Close the file before propagating the error.
+					return close()
+						.then(function () {
+							throw err;
+						});
+				});
+		});
+};
+
+module.exports = {
+	csvSerializer: csvSerializer,
+	jsonSerializer: jsonSerializer,
+	jsonLinesSerializer: jsonLinesSerializer,
+	fixedWidthSerializer: fixedWidthSerializer,
+	xmlSerializer: xmlSerializer,
+	yamlSerializer: yamlSerializer,
+	writeFileSync: writeFileSync,
+	writeFile: writeFile,
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+//
+// The registry of data formats used by 'dataForge.load' and 'DataFrame.save' to read and write files.
+// Formats are registered by name and looked up by name or by the extension of a file.
+//
+
+var assert = require('chai').assert;
+
+//
+// Maps the names of formats to the registered formats.
+//
+var formats = {};
+
+//
+// Maps file extensions (lower case, including the leading dot) to the names of formats.
+//
+var extensions = {};
+
+//
+// Normalize a file extension to lower case with a leading dot.
+//
+var normalizeExtension = function (extension) {
+	extension = extension.toLowerCase();
+	return extension[0] === '.' ? extension : '.' + extension;
+};
+
+//
+// Get a description of the registered formats for an error message.
+//
+var describeFormats = function () {
+	var names = Object.keys(formats);
+	return names.length > 0 ? names.join(', ') : 'none';
+};
+
+module.exports = {
+
+	//
+	// Register a format, replacing any format already registered with the same name.
+	// The format has 'extensions' (the file extensions it is used for), 'binary' (true for a format that is read from binary data rather than text),
+	// 'parse' (a function that deserializes the content of a file to a DataFrame), 'serialize' (a function that serializes a DataFrame to the content of a file)
+	// and 'streamParse' (a function that deserializes a file incrementally to an async DataFrame). A format must be able to parse or serialize.
+	//
+	register: function (name, format, functionName) {
+
+		assert(typeof name === 'string' && name.length > 0, "Expected 'name' parameter to '" + functionName + "' to be the name of the format.");
+		assert.isObject(format, "Expected 'format' parameter to '" + functionName + "' to be an object with the 'extensions', 'parse', 'serialize' and 'streamParse' fields of the format.");
+
+		var formatExtensions = format.extensions !== undefined ? format.extensions : [];
+		assert.isArray(formatExtensions, "Expected 'extensions' field of format '" + name + "' passed to '" + functionName + "' to be an array of file extensions.");
+
+		formatExtensions.forEach(function (extension) {
+			assert(typeof extension === 'string' && extension.replace(/^\./, '').length > 0, "Expected 'extensions' field of format '" + name + "' passed to '" + functionName + "' to contain file extensions, found '" + extension + "'.");
+		});
+
+		['parse', 'serialize', 'streamParse'].forEach(function (fieldName) {
+			if (format[fieldName] !== undefined) {
+				assert.isFunction(format[fieldName], "Expected '" + fieldName + "' field of format '" + name + "' passed to '" + functionName + "' to be a function.");
+			}
+		});
+
+		assert(format.parse || format.serialize, "Expected format '" + name + "' passed to '" + functionName + "' to have a 'parse' or 'serialize' function.");
+
+		if (format.binary !== undefined) {
+			assert.isBoolean(format.binary, "Expected 'binary' field of format '" + name + "' passed to '" + functionName + "' to be true or false.");
+		}
+
+		Object.keys(extensions).forEach(function (extension) {
+			if (extensions[extension] === name) {
+				delete extensions[extension];
+			}
+		});
+
+		formats[name] = {
+			name: name,
+			extensions: formatExtensions.map(normalizeExtension),
+			binary: !!format.binary,
+			parse: format.parse,
+			serialize: format.serialize,
+			streamParse: format.streamParse,
+		};
+
+		formats[name].extensions.forEach(function (extension) {
+			extensions[extension] = name;
+		});
+	},
+
+	//
+	// Remove a format from the registry, along with its extensions. Removing a format that isn't registered does nothing.
+	//
+	unregister: function (name, functionName) {
+
+		assert.isString(name, "Expected 'name' parameter to '" + functionName + "' to be the name of the format.");
+
+		Object.keys(extensions).forEach(function (extension) {
+			if (extensions[extension] === name) {
+				delete extensions[extension];
+			}
+		});
+
+		delete formats[name];
+	},
+
+	//
+	// Find the format of a file, by the name of the format when it is specified, otherwise by the extension of the file.
+	// The longest registered extension that the file ends with is used, so formats can have extensions such as '.tar.gz'.
+	//
+	find: function (filePath, formatName, functionName) {
+
+		if (formatName !== undefined) {
+			assert.isString(formatName, "Expected 'format' option passed to '" + functionName + "' to be the name of a format.");
+
+			if (!formats[formatName]) {
+				throw new Error("Format '" + formatName + "' passed to '" + functionName + "' is not registered, the registered formats are: " + describeFormats() + ".");
+			}
+
+			return formats[formatName];
+		}
+
+		var lowerCasePath = filePath.toLowerCase();
+		var extension = Object.keys(extensions)
+			.filter(function (extension) {
+				return lowerCasePath.length > extension.length && lowerCasePath.slice(-extension.length) === extension;
+			})
+			.sort(function (a, b) {
+				return b.length - a.length;
+			})[0];
+
+		if (extension === undefined) {
+			throw new Error("Failed to determine the format of file '" + filePath + "' passed to '" + functionName + "' from its extension, set the 'format' option to one of the registered formats: " + describeFormats() + ".");
+		}
+
+		return formats[extensions[extension]];
+	},
+
+	//
+	// Split the options passed to 'dataForge.load' or 'DataFrame.save' into the options named by 'optionNames', that are used by the function itself,
+	// and the options that are passed through to the format.
+	//
+	splitOptions: function (options, optionNames, functionName) {
+
+		options = options || {};
+		assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object with options for the format.");
+
+		var ownOptions = {};
+		var formatOptions = {};
+		Object.keys(options).forEach(function (fieldName) {
+			if (optionNames.indexOf(fieldName) >= 0) {
+				ownOptions[fieldName] = options[fieldName];
+			}
+			else {
+				formatOptions[fieldName] = options[fieldName];
+			}
+		});
+
+		return {
+			options: ownOptions,
+			formatOptions: formatOptions,
+		};
+	},
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+//
+// Finding files in the local file system that match a glob pattern, eg 'data/2016-*.csv'.
+// Patterns use forward slashes to separate directories. '*' matches any characters within a directory or file name, '?' matches a single character,
+// '[abc]' (or '[!abc]') matches a character in (or not in) a set, '{a,b}' matches any of the alternatives and '**' matches any number of directories.
+// Wildcards don't match names that start with a dot unless the dot is part of the pattern. A backslash matches the character after it literally.
+// The text matched by each wildcard, except '**', is captured, eg for 'data/2016-*.csv' the file 'data/2016-01-05.csv' has the captures ['01-05'].
+//
+
+//
+// Escape text to match it literally in a regular expression.
+//
+var escapeRegExp = function (text) {
+	return text.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+};
+
+//
+// Determine if a segment of a pattern has wildcards.
+//
+var hasWildcards = function (segment) {
+	return /[*?[{\\]/.test(segment);
+};
+
+//
+// Convert a segment of a pattern (the name of a directory or file) to a regular expression, with a capture group for each wildcard.
+//
+var translateSegment = function (segment) {
+
+	var source = '';
+	var numCaptures = 0;
+	var noDot = segment[0] !== '.' ? '(?!\\.)' : '';
+
+	for (var i = 0; i < segment.length; ++i) {
+		var character = segment[i];
+		var prefix = i === 0 ? noDot : '';
+		var end;
+
+		if (character === '\\' && i + 1 < segment.length) {
+			source += escapeRegExp(segment[++i]);
+		}
+		else if (character === '*') {
+			while (segment[i + 1] === '*') {
+				++i;
+			}
+			source += prefix + '([^/]*)';
+			++numCaptures;
+		}
+		else if (character === '?') {
+			source += prefix + '([^/])';
+			++numCaptures;
+		}
+		else if (character === '[' && (end = segment.indexOf(']', i + 2)) >= 0) {
+			var set = segment.substring(i + 1, end);
+			var negate = set[0] === '!' || set[0] === '^';
+			source += prefix + '([' + (negate ? '^/' + set.substring(1) : set).replace(/\\/g, '\\\\') + '])';
+			++numCaptures;
+			i = end;
+		}
+		else if (character === '{' && (end = segment.indexOf('}', i + 1)) >= 0) {
+			source += '(' + segment.substring(i + 1, end).split(',').map(escapeRegExp).join('|') + ')';
+			++numCaptures;
+			i = end;
+		}
+		else {
+			source += escapeRegExp(character);
+		}
+	}
+
+	return {
+		source: source,
+		numCaptures: numCaptures,
+	};
+};
+
+//
+// Compile a pattern to an object with the directory to search from ('baseDir', the leading directories of the pattern that have no wildcards),
+// a regular expression that matches paths relative to the directory ('regExp'), the number of wildcards that are captured ('numCaptures')
+// and the number of levels of directories to search ('maxDepth', Infinity for a pattern with '**').
+//
+var compile = function (pattern) {
+
+	var segments = pattern.split('/');
+
+	var numBaseSegments = 0;
+	while (numBaseSegments < segments.length - 1 && !hasWildcards(segments[numBaseSegments])) {
+		++numBaseSegments;
+	}
+
+	var baseDir = segments.slice(0, numBaseSegments).join('/') || (numBaseSegments > 0 ? '/' : '');
+	var relativeSegments = segments.slice(numBaseSegments);
+
+	var source = '';
+	var numCaptures = 0;
+
+	relativeSegments.forEach(function (segment, index) {
+		var isLast = index === relativeSegments.length - 1;
+
+		if (segment === '**') {
+			source += isLast ? '.*' : '(?:[^/]*/)*';
+		}
+		else {
+			var translated = translateSegment(segment);
+			source += translated.source + (isLast ? '' : '/');
+			numCaptures += translated.numCaptures;
+		}
+	});
+
+	return {
+		baseDir: baseDir,
+		regExp: new RegExp('^' + source + '$'),
+		numCaptures: numCaptures,
+		maxDepth: relativeSegments.indexOf('**') >= 0 ? Infinity : relativeSegments.length,
+	};
+};
+
+//
+// Join a directory and a relative path with a forward slash. The current directory is an empty string.
+//
+var joinPath = function (dir, relativePath) {
+	if (dir === '') {
+		return relativePath;
+	}
+
+	return dir[dir.length - 1] === '/' ? dir + relativePath : dir + '/' + relativePath;
+};
+
+//
+// Convert the relative paths of the files found in the base directory of a compiled pattern to an array of matches,
+// each an object with the 'path' of the file and the 'captures' of the wildcards. Matches are sorted by path.
+//
+var toMatches = function (compiled, relativePaths) {
+	return relativePaths
+		.map(function (relativePath) {
+			var match = compiled.regExp.exec(relativePath);
+			return match && {
+				path: joinPath(compiled.baseDir, relativePath),
+				captures: match.slice(1),
+			};
+		})
+		.filter(function (match) {
+			return match !== null;
+		})
+		.sort(function (a, b) {
+			return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+		});
+};
+
+module.exports = {
+
+	compile: compile,
+
+	//
+	// Find the files that match a pattern, synchronously. Returns an array of objects with the 'path' of each file and the 'captures' of the wildcards, sorted by path.
+	// A pattern that starts with directories that don't exist has no matches.
+	//
+	findSync: function (pattern) {
+
+		var fs = require('fs');
+		var compiled = compile(pattern);
+		var relativePaths = [];
+
+		var search = function (relativeDir, depth) {
+			var dir = joinPath(compiled.baseDir, relativeDir) || '.';
+			var entries;
+			try {
+				entries = fs.readdirSync(dir, { withFileTypes: true });
+			}
+			catch (err) {
+				if (err.code === 'ENOENT' && relativeDir === '') {
+					return;
+				}
+				throw err;
+			}
+
+			entries.forEach(function (entry) {
+				var relativePath = joinPath(relativeDir, entry.name);
+				if (entry.isDirectory()) {
+					if (depth < compiled.maxDepth) {
+						search(relativePath, depth + 1);
+					}
+				}
+				else {
+					relativePaths.push(relativePath);
+				}
+			});
+		};
+
+		search('', 1);
+		return toMatches(compiled, relativePaths);
+	},
+
+	//
+	// Find the files that match a pattern, asynchronously. Returns a promise that resolves to the matches, the same as for 'findSync'.
+	//
+	find: function (pattern) {
+
+		var fs = require('fs');
+		var compiled = compile(pattern);
+		var relativePaths = [];
+
+		//
+		// Read the entries of a directory, the base directory not existing is the same as it being empty.
+		//
+		var readDirectory = function (relativeDir) {
+			return new Promise(function (resolve, reject) {
+				fs.readdir(joinPath(compiled.baseDir, relativeDir) || '.', { withFileTypes: true }, function (err, entries) {
+					if (err) {
+						if (err.code === 'ENOENT' && relativeDir === '') {
+							resolve([]);
+							return;
+						}
+						reject(err);
+						return;
+					}
+
+					resolve(entries);
+				});
+			});
+		};
+
+		var search = function (relativeDir, depth) {
+			return readDirectory(relativeDir)
+				.then(function (entries) {
+					return Promise.all(entries.map(function (entry) {
+						var relativePath = joinPath(relativeDir, entry.name);
+						if (entry.isDirectory()) {
+							return depth < compiled.maxDepth ? search(relativePath, depth + 1) : null;
+						}
+
+						relativePaths.push(relativePath);
+						return null;
+					}));
+				});
+		};
+
+		return search('', 1)
+			.then(function () {
+				return toMatches(compiled, relativePaths);
+			});
+	},
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+var assert = require('chai').assert;
+var E = require('linq');
+
+//
+// Represents the groups of a dataframe grouped by the values of one or more columns, as returned by DataFrame.groupBy.
+// Each value is a dataframe of the rows in a group and the index of each group is the key value (or an array of key values when grouping by multiple columns).
+// The names of the key columns and the dataframe that was grouped are kept by the series that are derived from the groups (eg by 'where' or 'orderBy'), so they can be summarized with 'aggregate'.
+//
+
+var Groups = function (config, keyColumnNames, dataFrame) {
+
+	assert.isArray(keyColumnNames, "Expected 'keyColumnNames' parameter to be an array of column names.");
+	assert.instanceOf(dataFrame, DataFrame, "Expected 'dataFrame' parameter to be the dataframe that was grouped.");
+
+	var self = this;
+	self.factory = function (config) {
+		return new Groups(config, keyColumnNames, dataFrame);
+	};
+	self._keyColumnNames = keyColumnNames;
+	self._dataFrame = dataFrame;
+
+	Series.call(this, config);
+};
+
+module.exports = Groups;
+
+var Series = require('./series');
+var DataFrame = require('./dataframe');
+var inherit = require('./inherit');
+var parent = inherit(Groups, Series);
+
+var SelectIterator = require('./iterators/select');
+var aggregations = require('./aggregations');
+
+/**
+ * Aggregate the groups, either as a series (the same as `Series.aggregate`) or according to a specification that maps column names to aggregations.
+ * The specification produces a flat dataframe with the key columns followed by a column for each aggregation, for example:
+ *
+ * 	df.groupBy(['region', 'product']).aggregate({ sales: 'sum', price: ['min', 'max'], orders: 'count' })
+ *
+ * Aggregations are 'sum', 'average', 'median', 'min', 'max', 'count', 'std', 'variance', 'mode', 'skew', 'kurtosis', 'first', 'last' or a function that takes the series of values for the group and returns the aggregated value.
+ * A single aggregation keeps the column name, an array of aggregations produces one column per aggregation named column_aggregation (eg price_min).
+ * Each column in the specification must be a column of the grouped dataframe.
+ *
+ * @param {object|function|value} seedOrSpecOrSelector - The specification of the aggregations, or the seed or selector passed to `Series.aggregate`.
+ * @param {function} [selector] - Selector passed to `Series.aggregate`.
+ *
+ * @returns {DataFrame|value} Returns a dataframe with a row for each group when a specification is passed, otherwise the value aggregated by `Series.aggregate`.
+ */
+Groups.prototype.aggregate = function (seedOrSpecOrSelector, selector) {
+
+	var self = this;
+
+	if (!Object.isObject(seedOrSpecOrSelector) || selector) {
+		return parent.aggregate.apply(self, arguments);
+	}
+
+	var spec = seedOrSpecOrSelector;
+	var keyColumnNames = self._keyColumnNames;
+
+	var columnAggregations = E.from(Object.keys(spec))
+		.selectMany(function (columnName) {
+			assert(self._dataFrame.hasSeries(columnName), "Expected column '" + columnName + "' passed to 'aggregate' to be a column of the grouped dataframe.");
+
+			var columnSpec = spec[columnName];
+			var isArray = Object.isArray(columnSpec);
+			return E.from(isArray ? columnSpec : [columnSpec])
+				.select(function (aggregation) {
+					if (Object.isFunction(aggregation)) {
+						assert(!isArray, "Expected aggregations for column '" + columnName + "' passed to 'aggregate' to be names of aggregations when an array is specified.");
+					}
+
+					var aggregator = aggregations.create(aggregation);
+					assert(aggregator, "Expected aggregation for column '" + columnName + "' passed to 'aggregate' to be a function or one of " + aggregations.names.join(', ') + ".");
+
+					return {
+						columnName: columnName,
+						outputColumnName: isArray ? columnName + '_' + aggregation : columnName,
+						aggregate: aggregator,
+					};
+				});
+		})
+		.toArray();
+
+	var outputColumnNames = E.from(keyColumnNames)
+		.concat(E.from(columnAggregations).select(function (aggregation) {
+			return aggregation.outputColumnName;
+		}))
+		.distinct()
+		.toArray();
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+				return new SelectIterator(
+					self.getIterator(),
+					function (pair, rowIndex) {
+						var keyValues = keyColumnNames.length > 1 ? pair[0] : [pair[0]];
+						var row = {};
+						keyColumnNames.forEach(function (keyColumnName, keyIndex) {
+							row[keyColumnName] = keyValues[keyIndex];
+						});
+
+						var group = pair[1];
+						columnAggregations.forEach(function (aggregation) {
+							row[aggregation.outputColumnName] = aggregation.aggregate(group.getSeries(aggregation.columnName));
+						});
+
+						return [rowIndex, row];
+					}
+				);
+			},
+
+			getColumnNames: function () {
+				return outputColumnNames;
+			},
+		},
+	});
+};
@@ -0,0 +1,367 @@
+'use strict';
+
+//
+// Rendering dataframes as HTML tables and parsing HTML tables.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+
+var entities = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+	nbsp: ' ',
+};
+
+//
+// Escape text for output as the content of an HTML element or the value of an attribute.
+//
+var escape = function (text) {
+	return text
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+};
+
+//
+// Convert the content of an HTML element to text: tags are removed, character references are decoded and whitespace is collapsed.
+//
+var toText = function (html) {
+	return html
+		.replace(/<br\s*\/?>/gi, ' ')
+		.replace(/<[^>]*>/g, '')
+		.replace(/\s+/g, ' ')
+		.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function (reference, name) {
+			if (name[0] === '#') {
+				var codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+				return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : reference;
+			}
+
+			var character = entities[name.toLowerCase()];
+			return character !== undefined ? character : reference;
+		})
+		.trim();
+};
+
+//
+// Find the tables in HTML, in the order they start. Each table is an object with the 'start' and 'end' of its content and the 'depth' it is nested at.
+//
+var findTables = function (html) {
+
+	var tables = [];
+	var open = [];
+	var tagPattern = /<(\/?)table\b[^>]*>/gi;
+	var match;
+
+	while ((match = tagPattern.exec(html)) !== null) {
+		if (!match[1]) {
+			var table = { start: tagPattern.lastIndex, end: html.length, depth: open.length };
+			tables.push(table);
+			open.push(table);
+		}
+		else if (open.length > 0) {
+			open.pop().end = match.index;
+		}
+	}
+
+	return tables;
+};
+
+//
+// Split the content of a table into rows of cells. Each row is an object with the 'section' it is in (thead, tbody or tfoot) and its 'cells',
+// each an object with the 'text' of the cell and 'isHeader', true for a th element. Cells that span columns are repeated. Closing tags of rows and cells are optional.
+//
+var parseRows = function (html) {
+
+	var rows = [];
+	var section = 'tbody';
+	var row = null;
+	var cell = null;
+	var inCaption = false;
+	var tagPattern = /<(\/?)(tr|th|td|thead|tbody|tfoot|caption)\b([^>]*)>/gi;
+	var match;
+
+	var endCell = function (position) {
+		if (cell) {
+			var text = toText(html.substring(cell.start, position));
+			for (var i = 0; i < cell.span; ++i) {
+				row.cells.push({ text: text, isHeader: cell.isHeader });
+			}
+			cell = null;
+		}
+	};
+
+	var endRow = function (position) {
+		endCell(position);
+		if (row) {
+			rows.push(row);
+			row = null;
+		}
+	};
+
+	while ((match = tagPattern.exec(html)) !== null) {
+		var isClosing = !!match[1];
+		var tagName = match[2].toLowerCase();
+
+		if (tagName === 'caption') {
+			inCaption = !isClosing;
+			continue;
+		}
+
+		if (inCaption) {
+			continue;
+		}
+
+		if (tagName === 'thead' || tagName === 'tbody' || tagName === 'tfoot') {
+			endRow(match.index);
+			section = isClosing ? 'tbody' : tagName;
+		}
+		else if (tagName === 'tr') {
+			endRow(match.index);
+			if (!isClosing) {
+				row = { section: section, cells: [] };
+			}
+		}
+		else if (isClosing) {
+			endCell(match.index);
+		}
+		else {
+			endCell(match.index);
+			if (!row) {
+				row = { section: section, cells: [] };
+			}
+
+			var span = /\bcolspan\s*=\s*["']?(\d+)/i.exec(match[3]);
+			cell = {
+				start: tagPattern.lastIndex,
+				isHeader: tagName === 'th',
+				span: span ? Math.max(1, parseInt(span[1], 10)) : 1,
+			};
+		}
+	}
+
+	endRow(html.length);
+	return rows;
+};
+
+//
+// Get the HTML of a table with the content of the tables nested within it removed.
+//
+var getTableContent = function (html, tables, tableIndex) {
+
+	var table = tables[tableIndex];
+	var content = '';
+	var position = table.start;
+
+	tables.slice(tableIndex + 1)
+		.filter(function (nested) {
+			return nested.depth === table.depth + 1 && nested.start < table.end;
+		})
+		.forEach(function (nested) {
+			content += html.substring(position, nested.start);
+			position = nested.end;
+		});
+
+	return content + html.substring(position, table.end);
+};
+
+//
+// Format a value as the content of a cell.
+//
+var formatCell = function (value, formatter, options) {
+	var text = formatter ? formatter(value) : value;
+	text = text === undefined || text === null ? '' : String(text);
+	return options.escape ? escape(text) : text;
+};
+
+module.exports = {
+
+	escape: escape,
+
+	//
+	// Check and normalize the options for rendering HTML passed to a function: 'classes' (a class name or array of class names added to the table, which always has the class 'dataframe'),
+	// 'index' (false to omit the index), 'escape' (false to output the content of cells without escaping HTML), 'formatters' (maps column names to functions that format values of the column),
+	// 'caption' (the caption of the table) and 'maxRows' (the maximum number of rows to render, when there are more rows the first and last rows are rendered either side of a row of ellipses).
+	//
+	parseWriteOptions: function (options, functionName) {
+
+		options = options || {};
+		assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object with options for HTML.");
+
+		var classes = options.classes !== undefined ? options.classes : [];
+		if (typeof classes === 'string') {
+			classes = classes.split(/\s+/).filter(function (className) {
+				return className.length > 0;
+			});
+		}
+
+		assert.isArray(classes, "Expected 'classes' field of 'options' parameter to '" + functionName + "' to be a class name or an array of class names.");
+
+		['index', 'escape'].forEach(function (fieldName) {
+			if (options[fieldName] !== undefined) {
+				assert.isBoolean(options[fieldName], "Expected '" + fieldName + "' field of 'options' parameter to '" + functionName + "' to be true or false.");
+			}
+		});
+
+		if (options.formatters !== undefined) {
+			assert.isObject(options.formatters, "Expected 'formatters' field of 'options' parameter to '" + functionName + "' to be an object that maps column names to functions that format values.");
+
+			Object.keys(options.formatters).forEach(function (columnName) {
+				assert.isFunction(options.formatters[columnName], "Expected formatter for column '" + columnName + "' passed to '" + functionName + "' to be a function.");
+			});
+		}
+
+		if (options.caption !== undefined) {
+			assert.isString(options.caption, "Expected 'caption' field of 'options' parameter to '" + functionName + "' to be a string.");
+		}
+
+		if (options.maxRows !== undefined) {
+			assert(typeof options.maxRows === 'number' && options.maxRows > 0 && options.maxRows % 1 === 0, "Expected 'maxRows' field of 'options' parameter to '" + functionName + "' to be a positive number of rows.");
+		}
+
+		return {
+			classes: ['dataframe'].concat(classes.filter(function (className) {
+				return className !== 'dataframe';
+			})),
+			index: options.index !== undefined ? options.index : true,
+			escape: options.escape !== undefined ? options.escape : true,
+			formatters: options.formatters || {},
+			caption: options.caption,
+			maxRows: options.maxRows,
+		};
+	},
+
+	//
+	// Render the index/row pairs of a dataframe as an HTML table, as specified by options from 'parseWriteOptions'.
+	//
+	render: function (columnNames, pairs, options) {
+
+		var numHeadRows = pairs.length;
+		var numTailRows = 0;
+		if (options.maxRows !== undefined && pairs.length > options.maxRows) {
+			numHeadRows = Math.ceil(options.maxRows / 2);
+			numTailRows = options.maxRows - numHeadRows;
+		}
+
+		var renderRow = function (indexText, cellTexts) {
+			return '        <tr>\n' +
+				(options.index ? '            <th>' + indexText + '</th>\n' : '') +
+				cellTexts
+					.map(function (cellText) {
+						return '            <td>' + cellText + '</td>';
+					})
+					.join('\n') +
+				'\n' +
+				'        </tr>';
+		};
+
+		var renderPair = function (pair) {
+			return renderRow(
+				formatCell(pair[0], null, options),
+				columnNames.map(function (columnName) {
+					return formatCell(pair[1][columnName], options.formatters[columnName], options);
+				})
+			);
+		};
+
+		var tableRows = pairs.slice(0, numHeadRows).map(renderPair);
+		if (numHeadRows < pairs.length) {
+			tableRows.push(renderRow('...', columnNames.map(function () {
+				return '...';
+			})));
+			tableRows = tableRows.concat(pairs.slice(pairs.length - numTailRows).map(renderPair));
+		}
+
+		return '<table border="1" class="' + escape(options.classes.join(' ')) + '">\n' +
+			(options.caption !== undefined ? '    <caption>' + (options.escape ? escape(options.caption) : options.caption) + '</caption>\n' : '') +
+			'    <thead>\n' +
+			'        <tr style="text-align: right;">\n' +
+			(options.index ? '            <th></th>\n' : '') +
+			columnNames
+				.map(function (columnName) {
+					return '            <th>' + formatCell(columnName, null, options) + '</th>';
+				})
+				.join('\n') +
+			'\n' +
+			'       </tr>\n' +
+			'    </thead>\n' +
+			'    <tbody>\n' +
+			tableRows.join('\n') +
+			'\n' +
+			'    </tbody>\n' +
+			'</table>';
+	},
+
+	//
+	// Parse a table in HTML to an object with the 'columnNames', the 'rows' (each an array of the text of its cells) and the 'index' (an array of index values, or undefined).
+	// The table is specified by its zero-based position in the HTML, in the order the tables start. The column names are the last row of the header of the table (the thead element),
+	// or the first row when it only has th cells, columns without names are named by position. When the first cell of every other row is a th cell, the first column is the index.
+	// Rows of ellipses, as rendered for 'maxRows', are ignored.
+	//
+	parse: function (html, tableIndex, functionName) {
+
+		var tables = findTables(html);
+		if (tableIndex >= tables.length) {
+			throw new Error("Table " + tableIndex + " passed to '" + functionName + "' was not found, the HTML has " + tables.length + " tables.");
+		}
+
+		var rows = parseRows(getTableContent(html, tables, tableIndex));
+
+		var headerRows = rows.filter(function (row) {
+			return row.section === 'thead';
+		});
+
+		if (headerRows.length === 0 && rows.length > 0 && rows[0].cells.every(function (cell) { return cell.isHeader; })) {
+			headerRows = [rows[0]];
+		}
+
+		var bodyRows = rows
+			.filter(function (row) {
+				return headerRows.indexOf(row) < 0 && row.cells.length > 0;
+			})
+			.filter(function (row) {
+				return !row.cells.every(function (cell) {
+					return cell.text === '...';
+				});
+			});
+
+		var hasIndex = bodyRows.length > 0 && bodyRows.every(function (row) {
+			return row.cells[0].isHeader && row.cells.some(function (cell) {
+				return !cell.isHeader;
+			});
+		});
+
+		var headerCells = headerRows.length > 0 ? headerRows[headerRows.length - 1].cells : [];
+		var numColumns = Math.max(
+			headerCells.length - (hasIndex ? 1 : 0),
+			E.from(bodyRows).select(function (row) { return row.cells.length - (hasIndex ? 1 : 0); }).defaultIfEmpty(0).max()
+		);
+
+		var columnNames = E.range(0, numColumns)
+			.select(function (columnIndex) {
+				var headerCell = headerCells[columnIndex + (hasIndex ? 1 : 0)];
+				return headerCell && headerCell.text.length > 0 ? headerCell.text : 'Column' + (columnIndex + 1);
+			})
+			.toArray();
+
+		return {
+			columnNames: columnNames,
+			rows: bodyRows.map(function (row) {
+				var cells = row.cells.slice(hasIndex ? 1 : 0);
+				return columnNames.map(function (columnName, columnIndex) {
+					return columnIndex < cells.length ? cells[columnIndex].text : undefined;
+				});
+			}),
+			index: hasIndex
+				? bodyRows.map(function (row) {
+					return row.cells[0].text;
+				})
+				: undefined,
+		};
+	},
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+//
+// Requests to HTTP and HTTPS servers, for reading dataframes from and sending dataframes to REST APIs.
+// Works in Nodejs, doesn't work in the browser.
+//
+
+var assert = require('chai').assert;
+var extend = require('extend');
+var validateIterator = require('./iterators/validate');
+
+//
+// The number of rows serialized and sent in the body of a request at a time.
+//
+var rowsPerChunk = 1000;
+
+//
+// Make a request and read the whole response as text.
+// 'writeBody' is called with the request to write its body and returns a promise that resolves when the body has been written.
+// Returns a promise that resolves to the response: an object with the 'url', 'statusCode', 'headers' and 'body' (the text of the response).
+// Responses with a status other than 2xx are rejected with an error that has the response in its 'response' field.
+//
+var request = function (method, url, options, writeBody) {
+
+	return new Promise(function (resolve, reject) {
+		var protocol = /^https:/i.test(url) ? require('https') : require('http');
+
+		var req = protocol.request(url, { method: method, headers: options.headers }, function (res) {
+			var chunks = [];
+
+			res.setEncoding('utf8');
+			res.on('data', function (chunk) {
+				chunks.push(chunk);
+			});
+			res.on('error', reject);
+			res.on('end', function () {
+				var response = {
+					url: url,
+					statusCode: res.statusCode,
+					headers: res.headers,
+					body: chunks.join(''),
+				};
+
+				if (res.statusCode < 200 || res.statusCode >= 300) {
+					var err = new Error("HTTP " + method + " request to '" + url + "' failed with status " + res.statusCode + ".");
+					err.response = response;
+					reject(err);
+					return;
+				}
+
+				resolve(response);
+			});
+		});
+
+		req.on('error', reject);
+
+		writeBody(req)
+			.then(function () {
+				req.end();
+			})
+			.catch(function (err) {
+				req.destroy();
+				reject(err);
+			});
+	});
+};
+
+//
+// Write a chunk of the body of a request, returns a promise that resolves when the request is ready for more data.
+//
+var write = function (req, data) {
+	return new Promise(function (resolve) {
+		if (req.write(data)) {
+			resolve();
+		}
+		else {
+			req.once('drain', resolve);
+		}
+	});
+};
+
+module.exports = {
+
+	//
+	// Check and normalize the options for a request passed to a function: 'headers' (an object that maps the names of headers to their values)
+	// and, when 'allowPaging' is true, 'nextPage' (a function that is passed each response and the number of pages requested so far, and returns the URL of the next page or null after the last page).
+	//
+	parseOptions: function (options, allowPaging, functionName) {
+
+		options = options || {};
+		assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object with options for the request.");
+
+		if (options.headers !== undefined) {
+			assert.isObject(options.headers, "Expected 'headers' field of 'options' parameter to '" + functionName + "' to be an object that maps the names of headers to their values.");
+		}
+
+		if (allowPaging && options.nextPage !== undefined) {
+			assert.isFunction(options.nextPage, "Expected 'nextPage' field of 'options' parameter to '" + functionName + "' to be a function that returns the URL of the next page.");
+		}
+
+		return {
+			headers: options.headers || {},
+			nextPage: allowPaging ? options.nextPage : undefined,
+		};
+	},
+
+	//
+	// Get the pages of a resource, as specified by options from 'parseOptions'.
+	// Each page is passed to 'parsePage' as it is received, returns a promise that resolves to an array of the results.
+	// URLs of pages returned by 'nextPage' can be relative to the URL of the previous page.
+	//
+	getPages: function (url, options, parsePage) {
+
+		var results = [];
+
+		var getPage = function (pageUrl) {
+			return request('GET', pageUrl, options, function () { return Promise.resolve(); })
+				.then(function (response) {
+					results.push(parsePage(response.body));
+
+					var nextUrl = options.nextPage ? options.nextPage(response, results.length) : null;
+					if (nextUrl === null || nextUrl === undefined) {
+						return results;
+					}
+
+					assert.isString(nextUrl, "Expected 'nextPage' function to return the URL of the next page or null after the last page.");
+					return getPage(new (require('url').URL)(nextUrl, pageUrl).toString());
+				});
+		};
+
+		return getPage(url);
+	},
+
+	//
+	// Send a sequence as the body of a request, as specified by options from 'parseOptions'.
+	// Rows are pulled from the iterator and sent in chunks as the request is ready for them, so the sequence is never entirely in memory.
+	// The 'Content-Type' header defaults to 'contentType'. Returns a promise that resolves to the response.
+	//
+	send: function (method, url, options, iterator, serializer, contentType) {
+
+		validateIterator(iterator);
+
+		var hasContentType = Object.keys(options.headers).some(function (headerName) {
+			return headerName.toLowerCase() === 'content-type';
+		});
+
+		var requestOptions = extend({}, options, {
+			headers: extend(hasContentType ? {} : { 'Content-Type': contentType }, options.headers),
+		});
+
+		return request(method, url, requestOptions, function (req) {
+
+			//
+			// Pull rows from the iterator and send them, one chunk at a time.
+			//
+			var writeRows = function () {
+				var rows = [];
+				while (rows.length < rowsPerChunk && iterator.moveNext()) {
+					var row = iterator.getCurrent()[1];
+					if (row !== undefined) {
+						rows.push(row);
+					}
+				}
+
+				if (rows.length === 0) {
+					return Promise.resolve();
+				}
+
+				return write(req, serializer.rows(rows)).then(writeRows);
+			};
+
+			return write(req, serializer.header())
+				.then(writeRows)
+				.then(function () {
+					return write(req, serializer.footer());
+				});
+		});
+	},
+};
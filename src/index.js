@@ -1,127 +1,293 @@
-'use strict';
-
-/**
- * Constructor for Index.
- * @constructor
- * @extends dataForge.Series
- * @memberof dataForge
- * @param {object|array} config|values - Specifies content and configuration for the Index.
- */
-var Index = function (config) {
-
-	var self = this;
-    if (!self.Constructor) {
-	    self.Constructor = Index;        
-    }
-
-    Series.call(this, config);
-};
-
-module.exports = Index;
-
-var inherit = require('./inherit');
-var Series = require('./series');
-var parent = inherit(Index, Series);
-var moment = require('moment');
-
-/**
- * Get the type of the index.
- * 
- * @returns {string} Returns a string that specifies the type of the index.
- */
-Index.prototype.getType = function () {
-
-    var self = this;
-
-    if (!self._type) {
-        //
-        // Detect the type.
-        //
-        if (self.any()) {
-            var firstValue = self.first();
-            if (Object.isNumber(firstValue)) {
-                self._type = 'number';
-            }
-            else if (Object.isString(firstValue)) {
-                self._type = 'string';
-            }
-            else if (firstValue instanceof Date) {
-                self._type = 'date';
-            }
-            else {
-                self._type = 'unsupported';
-            }
-        }
-        else {
-            self._type = 'empty';
-        }
-    }
-
-    return self._type;
-};
-
-/**
- * Get the less than operation for the index.
- * 
- * @returns {function} Returns a function that can be used to compare a value against an index value.
- */
-Index.prototype.getLessThan = function () {
-
-    var self = this;
-
-    switch (self.getType()) {
-        case "date":
-            return function (d1, d2) {
-                return moment(d1).isBefore(d2);
-            };
-
-        case "string":
-        case "number":
-            return function (v1, v2) {
-                return v1 < v2;
-            };
-
-        case "empty":
-            return function () {
-                return true; // Series is empty, so this makes no difference.
-            };
-
-        default:
-            throw new Error("No less than operation available for type: " + self.getType());
-    }
-};
-
-/**
- * Get the greater than operation for the index.
- * 
- * @returns {function} Returns a function that can be used to compare a value against an index value.
- */
-Index.prototype.getGreaterThan = function () {
-
-    var self = this;
-
-    switch (self.getType()) {
-        case "date":
-            return function (d1, d2) {
-                return moment(d1).isAfter(d2);
-            };
-
-        case "string":
-        case "number":
-            return function (v1, v2) {
-                return v1 > v2;
-            };
-
-        case "empty":
-            return function () {
-                return true; // Series is empty, so this makes no difference.
-            };
-
-        default:
-            throw new Error("No greater than operation available for type: " + self.getType());
-    }
-};
-
-
-
-
+'use strict';
+
+/**
+ * Constructor for Index.
+ * @constructor
+ * @extends dataForge.Series
+ * @memberof dataForge
+ * @param {object|array} config|values - Specifies content and configuration for the Index.
+ */
+var Index = function (config) {
+
+	var self = this;
+    if (!self.Constructor) {
+	    self.Constructor = Index;        
+    }
+
+    Series.call(this, config);
+};
+
+module.exports = Index;
+
+var inherit = require('./inherit');
+var Series = require('./series');
+var parent = inherit(Index, Series);
+var moment = require('moment');
+var assert = require('chai').assert;
+var utils = require('./utils');
+
+/**
+ * Get the type of the index.
+ * 
+ * @returns {string} Returns a string that specifies the type of the index.
+ */
+Index.prototype.getType = function () {
+
+    var self = this;
+
+    if (!self._type) {
+        //
+        // Detect the type.
+        //
+        if (self._values ? self._values.length > 0 : self.any()) {
+            var firstValue = self._values ? self._values[0] : self.first(); // Use the cached values when they have already been evaluated.
+            if (Object.isNumber(firstValue)) {
+                self._type = 'number';
+            }
+            else if (Object.isString(firstValue)) {
+                self._type = 'string';
+            }
+            else if (firstValue instanceof Date) {
+                self._type = 'date';
+            }
+            else {
+                self._type = 'unsupported';
+            }
+        }
+        else {
+            self._type = 'empty';
+        }
+    }
+
+    return self._type;
+};
+
+/**
+ * Get the less than operation for the index.
+ * 
+ * @returns {function} Returns a function that can be used to compare a value against an index value.
+ */
+Index.prototype.getLessThan = function () {
+
+    var self = this;
+
+    switch (self.getType()) {
+        case "date":
+            return function (d1, d2) {
+                return moment(d1).isBefore(d2);
+            };
+
+        case "string":
+        case "number":
+            return function (v1, v2) {
+                return v1 < v2;
+            };
+
+        case "empty":
+            return function () {
+                return true; // Series is empty, so this makes no difference.
+            };
+
+        default:
+            throw new Error("No less than operation available for type: " + self.getType());
+    }
+};
+
+/**
+ * Get the greater than operation for the index.
+ * 
+ * @returns {function} Returns a function that can be used to compare a value against an index value.
+ */
+Index.prototype.getGreaterThan = function () {
+
+    var self = this;
+
+    switch (self.getType()) {
+        case "date":
+            return function (d1, d2) {
+                return moment(d1).isAfter(d2);
+            };
+
+        case "string":
+        case "number":
+            return function (v1, v2) {
+                return v1 > v2;
+            };
+
+        case "empty":
+            return function () {
+                return true; // Series is empty, so this makes no difference.
+            };
+
+        default:
+            throw new Error("No greater than operation available for type: " + self.getType());
+    }
+};
+
+//
+// Convert an index value to a value that can be compared with < and >, for searching the sorted index.
+//
+var toComparable = function (type, value) {
+    return type === 'date' ? moment(value).valueOf() : value;
+};
+
+//
+// Get the values of the index. When the index is fixed (the index of a baked series) these are cached so that lookups don't re-evaluate the index.
+//
+Index.prototype._getValues = function () {
+
+    var self = this;
+
+    if (self._values) {
+        return self._values;
+    }
+
+    var values = self.toArray();
+    if (self._fixed) {
+        self._values = values;
+    }
+
+    return values;
+};
+
+/**
+ * Get the position of an index value.
+ * A hash map of index value to position is built to find the position. For the index of a baked series the map is cached,
+ * so subsequent lookups are constant time.
+ * 
+ * @param {value} indexValue - The index value to look up.
+ * 
+ * @returns {int} Returns the position of the first occurrence of the index value or -1 when the index doesn't contain the value.
+ */
+Index.prototype.getPosition = function (indexValue) {
+
+    var self = this;
+
+    var lookup = self._lookup;
+    if (!lookup) {
+        lookup = new Map();
+        self._getValues().forEach(function (value, position) {
+            var key = utils.toHashKey(value);
+            if (!lookup.has(key)) {
+                lookup.set(key, position);
+            }
+        });
+
+        if (self._fixed) {
+            self._lookup = lookup;
+        }
+    }
+
+    var position = lookup.get(utils.toHashKey(indexValue));
+    return position !== undefined ? position : -1;
+};
+
+/**
+ * Determine if the index is sorted in ascending order. Range lookups with binary search are only possible when the index is sorted.
+ * An index that contains NaN or an invalid date isn't sorted.
+ * 
+ * @returns {bool} Returns true if the index is sorted in ascending order.
+ */
+Index.prototype.isSorted = function () {
+
+    var self = this;
+
+    if (self._sorted !== undefined) {
+        return self._sorted;
+    }
+
+    var sorted;
+    var values = self._getValues();
+    var type = self.getType();
+    if (type === 'empty') {
+        sorted = true;
+    }
+    else if (type === 'unsupported') {
+        sorted = false;
+    }
+    else {
+        var isOfType = type === 'date'
+            ? function (value) {
+                return value instanceof Date;
+            }
+            : function (value) {
+                return typeof(value) === type;
+            };
+
+        sorted = values.every(function (value, position) {
+            if (!isOfType(value)) {
+                return false; // Mixed types can't be searched.
+            }
+
+            var comparable = toComparable(type, value);
+            if (comparable !== comparable) {
+                return false; // NaN (or an invalid date) can't be compared, so the index can't be searched.
+            }
+
+            return position === 0 || !(comparable < toComparable(type, values[position - 1]));
+        });
+    }
+
+    if (self._fixed) {
+        self._sorted = sorted;
+    }
+
+    return sorted;
+};
+
+//
+// Binary search the sorted index for the first position where 'isAfter' returns true when comparing the index value to the search value.
+//
+Index.prototype._search = function (indexValue, isAfter) {
+
+    var self = this;
+    var values = self._getValues();
+    assert(self.isSorted(), "Expected index to be sorted for a range lookup.");
+
+    var type = self.getType();
+    var searchValue = toComparable(type, indexValue);
+    var low = 0;
+    var high = values.length;
+
+    while (low < high) {
+        var mid = (low + high) >>> 1;
+        if (isAfter(toComparable(type, values[mid]), searchValue)) {
+            high = mid;
+        }
+        else {
+            low = mid + 1;
+        }
+    }
+
+    return low;
+};
+
+/**
+ * Get the position of the first index value that is greater than or equal to the specified value. The index must be sorted.
+ * 
+ * @param {value} indexValue - The value to search for.
+ * 
+ * @returns {int} Returns the position of the first index value that is not less than the specified value, or the length of the index if there is none.
+ */
+Index.prototype.getLowerBound = function (indexValue) {
+
+    var self = this;
+    return self._search(indexValue, function (value, searchValue) {
+        return value >= searchValue;
+    });
+};
+
+/**
+ * Get the position of the first index value that is greater than the specified value. The index must be sorted.
+ * 
+ * @param {value} indexValue - The value to search for.
+ * 
+ * @returns {int} Returns the position of the first index value that is greater than the specified value, or the length of the index if there is none.
+ */
+Index.prototype.getUpperBound = function (indexValue) {
+
+    var self = this;
+    return self._search(indexValue, function (value, searchValue) {
+        return value > searchValue;
+    });
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+var StringDecoder = require('string_decoder').StringDecoder;
+var CsvRecordParser = require('../csv-record-parser');
+var csvDialect = require('../csv-dialect');
+
+//
+// Iterator that incrementally reads and parses a CSV file, in the dialect specified by options from 'csvDialect.parseReadOptions'.
+// The file is read in chunks as rows are requested, so only a small part of the file is ever in memory.
+// The file is opened and closed for each chunk, so nothing is left open when iteration is abandoned.
+//
+var CsvFileIterator = function (filePath, dialect, config) {
+
+	var self = this;
+	config = config || {};
+
+	self._filePath = filePath;
+	self._chunkSize = config.chunkSize || (64 * 1024);
+	self._dialect = dialect;
+	self._specifiedColumnNames = config.columnNames || null;
+	self._columnNames = null;
+	self._parser = new CsvRecordParser(dialect);
+	self._decoder = new StringDecoder('utf8');
+	self._position = 0;
+	self._eof = false;
+	self._records = [];
+	self._recordIndex = 0;
+	self._rowIndex = -1;
+	self._current = undefined;
+};
+
+module.exports = CsvFileIterator;
+
+//
+// Read the next chunk of the file and parse any complete records.
+//
+CsvFileIterator.prototype._readChunk = function () {
+
+	var self = this;
+	var fs = require('fs');
+	var buffer = Buffer.alloc(self._chunkSize);
+	var fd = fs.openSync(self._filePath, 'r');
+	var bytesRead;
+
+	try {
+		bytesRead = fs.readSync(fd, buffer, 0, self._chunkSize, self._position);
+	}
+	finally {
+		fs.closeSync(fd);
+	}
+
+	self._position += bytesRead;
+	self._recordIndex = 0;
+
+	if (bytesRead === 0) {
+		self._eof = true;
+		self._records = self._parser.push(self._decoder.end()).concat(self._parser.flush());
+	}
+	else {
+		self._records = self._parser.push(self._decoder.write(buffer.slice(0, bytesRead)));
+	}
+};
+
+//
+// Get the next record from the file, returns undefined when there are no more records.
+//
+CsvFileIterator.prototype._nextRecord = function () {
+
+	var self = this;
+	while (self._recordIndex >= self._records.length) {
+		if (self._eof) {
+			return undefined;
+		}
+
+		self._readChunk();
+	}
+
+	return self._records[self._recordIndex++];
+};
+
+//
+// Get the column names for the CSV file. Reads the header row, or the first row to determine the number of columns when there is no header,
+// unless column names were explicitly specified.
+//
+CsvFileIterator.prototype.getColumnNames = function () {
+
+	var self = this;
+	if (!self._columnNames) {
+		var firstRecord = self._specifiedColumnNames && !self._dialect.header ? null : self._nextRecord();
+		if (firstRecord && !self._dialect.header) {
+			--self._recordIndex; // The first record is a row, it is read again.
+		}
+
+		self._columnNames = self._specifiedColumnNames || csvDialect.getColumnNames(firstRecord || [], self._dialect);
+	}
+
+	return self._columnNames;
+};
+
+CsvFileIterator.prototype.moveNext = function () {
+
+	var self = this;
+	var columnNames = self.getColumnNames();
+	var record = self._nextRecord();
+	if (!record) {
+		self._current = undefined;
+		return false;
+	}
+
+	var row = {};
+	for (var columnIndex = 0; columnIndex < columnNames.length; ++columnIndex) {
+		row[columnNames[columnIndex]] = record[columnIndex];
+	}
+
+	++self._rowIndex;
+	self._current = [self._rowIndex, row];
+	return true;
+};
+
+CsvFileIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
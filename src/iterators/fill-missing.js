@@ -0,0 +1,171 @@
+'use strict';
+
+var extend = require('extend');
+
+//
+// An iterator that fills missing values, for forward fill, back fill and interpolation.
+//
+// 'columnNames' specifies the fields of each row to fill, or null when the values themselves are filled (ie for a series).
+// 'fill' is called as fill(prev, next, entry) for each missing value and returns the new value. 'prev' and 'next' are the
+// nearest non-missing values before and after ({ value, index, position }) or null when there is none, 'entry' is the missing value ({ value, index, position }).
+//
+// When 'lookahead' is true values are only filled once the next non-missing value is found, so rows are buffered until then.
+// Only the rows between non-missing values are held in memory. When 'lookahead' is false 'next' is always null and nothing is buffered.
+//
+var FillMissingIterator = function (iterator, columnNames, isMissing, fill, lookahead) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._fields = columnNames || [null];
+	self._isSeries = !columnNames;
+	self._isMissing = isMissing;
+	self._fill = fill;
+	self._lookahead = lookahead;
+	self._done = false;
+	self._position = 0;
+	self._buffer = [];
+	self._last = self._fields.map(function () {
+		return null;
+	});
+	self._pending = self._fields.map(function () {
+		return [];
+	});
+	self._current = undefined;
+};
+
+module.exports = FillMissingIterator;
+
+//
+// Get the value of a field of a buffered row.
+//
+FillMissingIterator.prototype._getValue = function (entry, fieldIndex) {
+
+	var self = this;
+	return self._isSeries ? entry.pair[1] : entry.pair[1][self._fields[fieldIndex]];
+};
+
+//
+// Set the value of a field of a buffered row. Rows are copied before they are modified.
+//
+FillMissingIterator.prototype._setValue = function (entry, fieldIndex, value) {
+
+	var self = this;
+	if (self._isSeries) {
+		entry.pair = [entry.pair[0], value];
+		return;
+	}
+
+	if (!entry.copied) {
+		entry.pair = [entry.pair[0], extend({}, entry.pair[1])];
+		entry.copied = true;
+	}
+
+	entry.pair[1][self._fields[fieldIndex]] = value;
+};
+
+//
+// Fill a missing value.
+//
+FillMissingIterator.prototype._fillValue = function (entry, fieldIndex, next) {
+
+	var self = this;
+	var filled = self._fill(
+		self._last[fieldIndex],
+		next,
+		{
+			value: self._getValue(entry, fieldIndex),
+			index: entry.pair[0],
+			position: entry.position,
+		}
+	);
+	self._setValue(entry, fieldIndex, filled);
+};
+
+//
+// Add the next row to the buffer, filling or queuing its missing values.
+//
+FillMissingIterator.prototype._add = function (pair) {
+
+	var self = this;
+	var entry = {
+		pair: pair,
+		position: self._position++,
+		numPending: 0,
+		copied: false,
+	};
+
+	self._fields.forEach(function (field, fieldIndex) {
+		var value = self._getValue(entry, fieldIndex);
+		if (self._isMissing(value)) {
+			if (self._lookahead) {
+				self._pending[fieldIndex].push(entry);
+				++entry.numPending;
+			}
+			else {
+				self._fillValue(entry, fieldIndex, null);
+			}
+			return;
+		}
+
+		var known = {
+			value: value,
+			index: pair[0],
+			position: entry.position,
+		};
+
+		self._pending[fieldIndex].forEach(function (pendingEntry) {
+			self._fillValue(pendingEntry, fieldIndex, known);
+			--pendingEntry.numPending;
+		});
+		self._pending[fieldIndex] = [];
+		self._last[fieldIndex] = known;
+	});
+
+	self._buffer.push(entry);
+};
+
+//
+// Fill values that are still pending at the end of the input.
+//
+FillMissingIterator.prototype._flush = function () {
+
+	var self = this;
+	self._pending.forEach(function (pendingEntries, fieldIndex) {
+		pendingEntries.forEach(function (pendingEntry) {
+			self._fillValue(pendingEntry, fieldIndex, null);
+			--pendingEntry.numPending;
+		});
+		self._pending[fieldIndex] = [];
+	});
+};
+
+FillMissingIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	for (;;) {
+		if (self._buffer.length > 0 && self._buffer[0].numPending === 0) {
+			self._current = self._buffer.shift().pair;
+			return true;
+		}
+
+		if (self._done) {
+			self._current = undefined;
+			return false;
+		}
+
+		if (self._iterator.moveNext()) {
+			self._add(self._iterator.getCurrent());
+		}
+		else {
+			self._done = true;
+			self._flush();
+		}
+	}
+};
+
+FillMissingIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+//
+// An iterator that correlates the pairs of an outer iterator with inner pairs that have matching keys.
+// The outer iterator is streamed, inner pairs are looked up in a Map of key to matching pairs.
+//
+var HashJoinIterator = function (outerIterator, outerKeySelector, innerLookup, resultSelector) {
+
+	var self = this;
+	self._outerIterator = outerIterator;
+	self._outerKeySelector = outerKeySelector;
+	self._innerLookup = innerLookup;
+	self._resultSelector = resultSelector;
+	self._outerPair = null;
+	self._matches = [];
+	self._matchIndex = 0;
+	self._current = undefined;
+};
+
+module.exports = HashJoinIterator;
+
+HashJoinIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	for (;;) {
+		if (self._matchIndex < self._matches.length) {
+			var innerPair = self._matches[self._matchIndex];
+			++self._matchIndex;
+			self._current = [self._outerPair[0], self._resultSelector(self._outerPair[1], innerPair[1])];
+			return true;
+		}
+
+		if (!self._outerIterator.moveNext()) {
+			self._current = undefined;
+			return false;
+		}
+
+		self._outerPair = self._outerIterator.getCurrent();
+		self._matches = self._innerLookup.get(self._outerKeySelector(self._outerPair)) || [];
+		self._matchIndex = 0;
+	}
+};
+
+HashJoinIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+var StringDecoder = require('string_decoder').StringDecoder;
+var JsonLinesParser = require('../json-lines-parser');
+
+//
+// Iterator that incrementally reads and parses a JSON Lines file.
+// The file is read in chunks as rows are requested, so only a small part of the file is ever in memory.
+// The file is opened and closed for each chunk, so nothing is left open when iteration is abandoned.
+//
+var JsonLinesFileIterator = function (filePath, config, flattenSeparator) {
+
+	var self = this;
+	config = config || {};
+
+	self._filePath = filePath;
+	self._chunkSize = config.chunkSize || (64 * 1024);
+	self._parser = new JsonLinesParser(flattenSeparator);
+	self._decoder = new StringDecoder('utf8');
+	self._position = 0;
+	self._eof = false;
+	self._rows = [];
+	self._rowIndex = 0;
+	self._index = -1;
+	self._current = undefined;
+};
+
+module.exports = JsonLinesFileIterator;
+
+//
+// Read the next chunk of the file and parse any complete lines.
+//
+JsonLinesFileIterator.prototype._readChunk = function () {
+
+	var self = this;
+	var fs = require('fs');
+	var buffer = Buffer.alloc(self._chunkSize);
+	var fd = fs.openSync(self._filePath, 'r');
+	var bytesRead;
+
+	try {
+		bytesRead = fs.readSync(fd, buffer, 0, self._chunkSize, self._position);
+	}
+	finally {
+		fs.closeSync(fd);
+	}
+
+	self._position += bytesRead;
+	self._rowIndex = 0;
+
+	if (bytesRead === 0) {
+		self._eof = true;
+		self._rows = self._parser.push(self._decoder.end()).concat(self._parser.flush());
+	}
+	else {
+		self._rows = self._parser.push(self._decoder.write(buffer.slice(0, bytesRead)));
+	}
+};
+
+//
+// Get the next row from the file without moving past it, returns undefined when there are no more rows.
+//
+JsonLinesFileIterator.prototype._peekRow = function () {
+
+	var self = this;
+	while (self._rowIndex >= self._rows.length) {
+		if (self._eof) {
+			return undefined;
+		}
+
+		self._readChunk();
+	}
+
+	return self._rows[self._rowIndex];
+};
+
+//
+// Get the column names for the file from the fields of the first row.
+//
+JsonLinesFileIterator.prototype.getColumnNames = function () {
+
+	var self = this;
+	var row = self._peekRow();
+	return row ? Object.keys(row) : [];
+};
+
+JsonLinesFileIterator.prototype.moveNext = function () {
+
+	var self = this;
+	var row = self._peekRow();
+	if (!row) {
+		self._current = undefined;
+		return false;
+	}
+
+	++self._rowIndex;
+	++self._index;
+	self._current = [self._index, row];
+	return true;
+};
+
+JsonLinesFileIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+//
+// An iterator that buckets the pairs of a date indexed iterator into consecutive calendar periods.
+// Each output pair is [periodStart, pairs], where 'pairs' contains the input pairs in the period. Periods without input pairs are output with an empty array.
+// The index must be sorted in ascending order, only the pairs for one period are held in memory.
+//
+var ResampleIterator = function (iterator, period) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._period = period;
+	self._started = false;
+	self._next = null;
+	self._periodEnd = null;
+	self._current = undefined;
+};
+
+module.exports = ResampleIterator;
+
+var period = require('../period');
+
+//
+// Read the next pair from the input.
+//
+ResampleIterator.prototype._readNext = function () {
+
+	var self = this;
+	var prev = self._next;
+
+	if (!self._iterator.moveNext()) {
+		self._next = null;
+		return;
+	}
+
+	var pair = self._iterator.getCurrent();
+	period.checkDateIndex(pair, prev, 'resample');
+
+	self._next = pair;
+};
+
+ResampleIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (!self._started) {
+		self._started = true;
+		self._readNext();
+		if (self._next) {
+			self._periodEnd = period.floor(self._period, self._next[0]); // The first period starts where the (non-existent) previous period ends.
+		}
+	}
+
+	if (!self._next) {
+		self._current = undefined;
+		return false;
+	}
+
+	var periodStart = self._periodEnd;
+	self._periodEnd = period.next(self._period, periodStart);
+
+	var pairs = [];
+	while (self._next && self._next[0] < self._periodEnd) {
+		pairs.push(self._next);
+		self._readNext();
+	}
+
+	self._current = [periodStart, pairs];
+	return true;
+};
+
+ResampleIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+//
+// An iterator that moves a window over the pairs of an iterator and outputs a value for each position of the window.
+// The window is either a number of pairs ('windowSize') or a period of time over a sorted date index ('duration', a parsed period).
+// A window of a number of pairs is output once it is full. A window of time is output for every pair and contains the pairs whose index is within the duration up to and including that pair.
+//
+// 'accumulator' is updated incrementally as pairs enter and leave the window, so windows don't have to be re-aggregated.
+// It implements add(pair), remove(pair) and getValue(window) which returns the output value for the array of pairs in the window.
+// Each output pair is [index, value] where index is the index of the last pair in the window.
+//
+var RollingIterator = function (iterator, windowSize, duration, accumulator) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._windowSize = windowSize;
+	self._duration = duration;
+	self._accumulator = accumulator;
+	self._window = [];
+	self._prevPair = null;
+	self._current = undefined;
+};
+
+module.exports = RollingIterator;
+
+var period = require('../period');
+
+RollingIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	for (;;) {
+		if (!self._iterator.moveNext()) {
+			self._current = undefined;
+			return false;
+		}
+
+		var pair = self._iterator.getCurrent();
+
+		if (self._duration) {
+			period.checkDateIndex(pair, self._prevPair, 'create a rolling window of time');
+
+			var windowStart = period.previous(self._duration, pair[0]);
+			while (self._window.length > 0 && self._window[0][0] <= windowStart) {
+				self._accumulator.remove(self._window.shift());
+			}
+		}
+		else if (self._window.length === self._windowSize) {
+			self._accumulator.remove(self._window.shift());
+		}
+
+		self._prevPair = pair;
+		self._window.push(pair);
+		self._accumulator.add(pair);
+
+		if (self._duration || self._window.length === self._windowSize) {
+			self._current = [pair[0], self._accumulator.getValue(self._window)];
+			return true;
+		}
+	}
+};
+
+RollingIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+var extend = require('extend');
+
+//
+// An iterator that transforms each value with a function that carries state from the previous values, eg for a cumulative sum.
+//
+// 'columnNames' specifies the fields of each row to transform, or null when the values themselves are transformed (ie for a series).
+// 'createScanner' is called once for each field and returns a function that takes each value of the field in turn and returns the new value.
+//
+var ScanIterator = function (iterator, columnNames, createScanner) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._columnNames = columnNames;
+	self._scanners = (columnNames || [null]).map(function () {
+		return createScanner();
+	});
+	self._current = undefined;
+};
+
+module.exports = ScanIterator;
+
+ScanIterator.prototype.moveNext = function () {
+
+	var self = this;
+
+	if (!self._iterator.moveNext()) {
+		self._current = undefined;
+		return false;
+	}
+
+	var pair = self._iterator.getCurrent();
+
+	if (!self._columnNames) {
+		self._current = [pair[0], self._scanners[0](pair[1])];
+		return true;
+	}
+
+	var row = extend({}, pair[1]);
+	self._columnNames.forEach(function (columnName, columnIndex) {
+		row[columnName] = self._scanners[columnIndex](pair[1][columnName]);
+	});
+
+	self._current = [pair[0], row];
+	return true;
+};
+
+ScanIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+var extend = require('extend');
+
+//
+// An iterator that combines each value with the value 'offset' positions earlier (a positive offset) or later (a negative offset), for shift and diff.
+//
+// 'columnNames' specifies the fields of each row to combine, or null when the values themselves are combined (ie for a series).
+// 'combine' is called as combine(value, otherValue) and returns the new value. 'otherValue' is null when there is no value at the offset.
+// Only 'offset' pairs are held in memory.
+//
+var ShiftIterator = function (iterator, columnNames, offset, combine) {
+
+	var self = this;
+	self._iterator = iterator;
+	self._columnNames = columnNames;
+	self._offset = offset;
+	self._combine = combine;
+	self._buffer = []; // The previous pairs for a positive offset, the next pairs for a negative offset.
+	self._done = false;
+	self._current = undefined;
+};
+
+module.exports = ShiftIterator;
+
+//
+// Produce the output pair from a pair and the pair at the offset (or null).
+//
+ShiftIterator.prototype._combinePairs = function (pair, otherPair) {
+
+	var self = this;
+
+	if (!self._columnNames) {
+		return [pair[0], self._combine(pair[1], otherPair ? otherPair[1] : null)];
+	}
+
+	var row = extend({}, pair[1]);
+	self._columnNames.forEach(function (columnName) {
+		row[columnName] = self._combine(pair[1][columnName], otherPair ? otherPair[1][columnName] : null);
+	});
+	return [pair[0], row];
+};
+
+ShiftIterator.prototype.moveNext = function () {
+
+	var self = this;
+	var pair;
+	var otherPair;
+
+	if (self._offset >= 0) {
+		if (!self._iterator.moveNext()) {
+			self._current = undefined;
+			return false;
+		}
+
+		pair = self._iterator.getCurrent();
+		otherPair = self._offset === 0 ? pair : null;
+
+		if (self._offset > 0) {
+			if (self._buffer.length === self._offset) {
+				otherPair = self._buffer.shift();
+			}
+
+			self._buffer.push(pair);
+		}
+	}
+	else {
+		var lookahead = -self._offset;
+		while (!self._done && self._buffer.length <= lookahead) {
+			if (self._iterator.moveNext()) {
+				self._buffer.push(self._iterator.getCurrent());
+			}
+			else {
+				self._done = true;
+			}
+		}
+
+		if (self._buffer.length === 0) {
+			self._current = undefined;
+			return false;
+		}
+
+		pair = self._buffer.shift();
+		otherPair = self._buffer.length >= lookahead ? self._buffer[lookahead - 1] : null;
+	}
+
+	self._current = self._combinePairs(pair, otherPair);
+	return true;
+};
+
+ShiftIterator.prototype.getCurrent = function () {
+
+	var self = this;
+	return self._current;
+};
@@ -0,0 +1,373 @@
+'use strict';
+
+//
+// Layouts of JSON data (orients), JSON Lines and flattening of nested objects.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+
+//
+// The layouts of JSON data.
+// 'records' is an array of row objects, 'columns' is an object that maps each column name to an array of values (or to an object that maps index values to values),
+// 'split' is an object with 'columns' (an array of column names), 'index' (an optional array of index values) and 'data' (an array of rows, each an array of values),
+// 'index' is an object that maps index values to row objects.
+//
+var orients = ['records', 'columns', 'split', 'index'];
+
+//
+// Check if a value is a plain object that can be flattened.
+//
+var isNestedObject = function (value) {
+	return value !== null &&
+		typeof value === 'object' &&
+		!Object.isArray(value) &&
+		!Object.isDate(value);
+};
+
+//
+// Expand the nested objects of a row to fields with names that are the path to each value, joined by the separator.
+//
+var flatten = function (row, separator) {
+
+	var flattened = {};
+
+	var expand = function (value, prefix) {
+		Object.keys(value).forEach(function (key) {
+			var fieldName = prefix ? prefix + separator + key : key;
+			var fieldValue = value[key];
+			if (isNestedObject(fieldValue) && Object.keys(fieldValue).length > 0) {
+				expand(fieldValue, fieldName);
+			}
+			else {
+				flattened[fieldName] = fieldValue;
+			}
+		});
+	};
+
+	expand(row, null);
+	return flattened;
+};
+
+//
+// Rebuild nested objects from fields with names that are the path to each value, joined by the separator.
+//
+var unflatten = function (row, separator) {
+
+	var unflattened = {};
+
+	Object.keys(row).forEach(function (fieldName) {
+		var path = fieldName.split(separator);
+		var target = unflattened;
+		path.slice(0, -1).forEach(function (key) {
+			if (!isNestedObject(target[key])) {
+				target[key] = {};
+			}
+			target = target[key];
+		});
+		target[path[path.length - 1]] = row[fieldName];
+	});
+
+	return unflattened;
+};
+
+//
+// Check and normalize the 'flatten' or 'unflatten' option passed to a function, either true or an object with a 'separator'. Returns the separator or null when not enabled.
+//
+var parseSeparator = function (option, optionName, functionName) {
+
+	if (!option) {
+		return null;
+	}
+
+	if (option === true) {
+		return '.';
+	}
+
+	assert.isObject(option, "Expected '" + optionName + "' field of 'config' parameter to '" + functionName + "' to be true or an object with a 'separator'.");
+	assert(typeof option.separator === 'string' && option.separator.length > 0, "Expected 'separator' of '" + optionName + "' field of 'config' parameter to '" + functionName + "' to be a non-empty string.");
+	return option.separator;
+};
+
+//
+// Get the distinct names of the fields of rows, in the order they are first found.
+//
+var determineColumnNames = function (rows) {
+	return E.from(rows)
+		.selectMany(function (row) {
+			return Object.keys(row);
+		})
+		.distinct()
+		.toArray();
+};
+
+//
+// Convert JSON data in each layout to an object with row objects ('rows'), an optional array of index values ('index') and, when they are known, the column names ('columnNames').
+//
+var readers = {
+	records: function (data, functionName) {
+		assert.isArray(data, "Expected JSON data passed to '" + functionName + "' to be an array of rows for the 'records' orient.");
+		return { rows: data };
+	},
+
+	columns: function (data, functionName) {
+		assert.isObject(data, "Expected JSON data passed to '" + functionName + "' to be an object that maps column names to values for the 'columns' orient.");
+
+		var columnNames = Object.keys(data);
+		if (columnNames.length === 0) {
+			return { rows: [], columnNames: [] };
+		}
+
+		var byIndex = !Object.isArray(data[columnNames[0]]);
+		var index = byIndex
+			? E.from(columnNames)
+				.selectMany(function (columnName) {
+					return Object.keys(data[columnName]);
+				})
+				.distinct()
+				.toArray()
+			: E.range(0, E.from(columnNames).max(function (columnName) {
+					return data[columnName].length;
+				}))
+				.toArray();
+
+		return {
+			rows: index.map(function (indexValue) {
+				var row = {};
+				columnNames.forEach(function (columnName) {
+					row[columnName] = data[columnName][indexValue];
+				});
+				return row;
+			}),
+			index: byIndex ? index : undefined,
+			columnNames: columnNames,
+		};
+	},
+
+	split: function (data, functionName) {
+		var message = "Expected JSON data passed to '" + functionName + "' to be an object with 'columns' and 'data' arrays for the 'split' orient.";
+		assert.isObject(data, message);
+		assert.isArray(data.columns, message);
+		assert.isArray(data.data, message);
+
+		return {
+			rows: data.data.map(function (values) {
+				var row = {};
+				data.columns.forEach(function (columnName, columnIndex) {
+					row[columnName] = values[columnIndex];
+				});
+				return row;
+			}),
+			index: data.index,
+			columnNames: data.columns,
+		};
+	},
+
+	index: function (data, functionName) {
+		assert.isObject(data, "Expected JSON data passed to '" + functionName + "' to be an object that maps index values to rows for the 'index' orient.");
+
+		var index = Object.keys(data);
+		return {
+			rows: index.map(function (indexValue) {
+				return data[indexValue];
+			}),
+			index: index,
+		};
+	},
+};
+
+//
+// Convert the index/row pairs of a dataframe to JSON data in each layout.
+//
+var writers = {
+	records: function (pairs) {
+		return pairs.map(function (pair) {
+			return pair[1];
+		});
+	},
+
+	columns: function (pairs, columnNames) {
+		return E.from(columnNames)
+			.toObject(
+				function (columnName) {
+					return columnName;
+				},
+				function (columnName) {
+					return pairs.map(function (pair) {
+						return pair[1][columnName];
+					});
+				}
+			);
+	},
+
+	split: function (pairs, columnNames) {
+		return {
+			columns: columnNames,
+			index: pairs.map(function (pair) {
+				return pair[0];
+			}),
+			data: pairs.map(function (pair) {
+				return columnNames.map(function (columnName) {
+					return pair[1][columnName];
+				});
+			}),
+		};
+	},
+
+	index: function (pairs) {
+		var data = {};
+		pairs.forEach(function (pair) {
+			data[pair[0]] = pair[1];
+		});
+		return data;
+	},
+};
+
+module.exports = {
+
+	flatten: flatten,
+	unflatten: unflatten,
+	determineColumnNames: determineColumnNames,
+
+	//
+	// Check and normalize the 'flatten' option for reading JSON Lines passed to a function. Returns the separator or null when not enabled.
+	//
+	parseFlattenOption: function (config, functionName) {
+		return parseSeparator(config && config.flatten, 'flatten', functionName);
+	},
+
+	//
+	// Check the 'columnNames' option for streaming JSON Lines passed to a function. Returns the column names or null when the columns are taken from the first row.
+	//
+	parseColumnNamesOption: function (config, functionName) {
+		if (!config || config.columnNames === undefined) {
+			return null;
+		}
+
+		assert.isArray(config.columnNames, "Expected 'columnNames' field of 'config' parameter to '" + functionName + "' to be an array of strings that specify column names.");
+		config.columnNames.forEach(function (columnName) {
+			assert.isString(columnName, "Expected 'columnNames' field of 'config' parameter to '" + functionName + "' to be an array of strings that specify column names.");
+		});
+
+		return config.columnNames;
+	},
+
+	//
+	// Check and normalize the 'unflatten' option for writing JSON Lines passed to a function. Returns the separator or null when not enabled.
+	//
+	parseUnflattenOption: function (options, functionName) {
+		if (options) {
+			assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object with options for JSON Lines.");
+		}
+
+		return parseSeparator(options && options.unflatten, 'unflatten', functionName);
+	},
+
+	//
+	// Convert row objects to arrays of values in column order.
+	//
+	toValueArrays: function (rows, columnNames) {
+		return rows.map(function (row) {
+			return columnNames.map(function (columnName) {
+				return row[columnName];
+			});
+		});
+	},
+
+	//
+	// Check and normalize the options for reading JSON passed to a function: 'orient' (the layout of the data, defaults to 'records')
+	// and 'flatten' (true or an object with a 'separator' to expand nested objects to fields with names joined by the separator, which defaults to a dot).
+	//
+	parseReadOptions: function (config, functionName) {
+
+		var options = config || {};
+		var orient = options.orient || 'records';
+		assert(orients.indexOf(orient) >= 0, "Expected 'orient' field of 'config' parameter to '" + functionName + "' to be one of " + orients.join(', ') + ".");
+
+		return {
+			orient: orient,
+			flattenSeparator: parseSeparator(options.flatten, 'flatten', functionName),
+		};
+	},
+
+	//
+	// Check and normalize the options for writing JSON passed to a function: 'orient' (the layout of the data, defaults to 'records'),
+	// 'unflatten' (true or an object with a 'separator' to rebuild nested objects from fields with names joined by the separator) and 'indent' (the number of spaces to indent by, defaults to 4).
+	//
+	parseWriteOptions: function (config, functionName) {
+
+		var options = config || {};
+		assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object with options for JSON.");
+
+		var orient = options.orient || 'records';
+		assert(orients.indexOf(orient) >= 0, "Expected 'orient' field of 'options' parameter to '" + functionName + "' to be one of " + orients.join(', ') + ".");
+
+		if (options.indent !== undefined) {
+			assert(typeof options.indent === 'number' && options.indent >= 0, "Expected 'indent' field of 'options' parameter to '" + functionName + "' to be a number of spaces.");
+		}
+
+		return {
+			orient: orient,
+			unflattenSeparator: parseSeparator(options.unflatten, 'unflatten', functionName),
+			indent: options.indent !== undefined ? options.indent : 4,
+		};
+	},
+
+	//
+	// Convert JSON data to an object with row objects ('rows'), an optional array of index values ('index') and an optional array of column names ('columnNames'),
+	// as specified by options from 'parseReadOptions'.
+	//
+	read: function (data, options, functionName) {
+
+		var result = readers[options.orient](data, functionName);
+		if (options.flattenSeparator) {
+			result.rows = result.rows.map(function (row) {
+				return flatten(row, options.flattenSeparator);
+			});
+			result.columnNames = determineColumnNames(result.rows);
+		}
+
+		return result;
+	},
+
+	//
+	// Convert the index/row pairs of a dataframe to JSON data, as specified by options from 'parseWriteOptions'.
+	//
+	write: function (pairs, columnNames, options) {
+
+		var data = writers[options.orient](pairs, columnNames);
+		if (options.unflattenSeparator) {
+			if (options.orient === 'records' || options.orient === 'index') {
+				Object.keys(data).forEach(function (key) {
+					data[key] = unflatten(data[key], options.unflattenSeparator);
+				});
+			}
+			else if (options.orient === 'columns') {
+				data = unflatten(data, options.unflattenSeparator);
+			}
+		}
+
+		return data;
+	},
+
+	//
+	// Parse a line of JSON Lines. Blank lines are parsed to undefined.
+	//
+	parseLine: function (line, lineNumber, flattenSeparator) {
+
+		if (line.trim().length === 0) {
+			return undefined;
+		}
+
+		var row;
+		try {
+			row = JSON.parse(line);
+		}
+		catch (err) {
+			throw new Error("Failed to parse line " + lineNumber + " of JSON Lines: " + err.message);
+		}
+
+		assert.isObject(row, "Expected line " + lineNumber + " of JSON Lines to be an object.");
+		return flattenSeparator ? flatten(row, flattenSeparator) : row;
+	},
+};
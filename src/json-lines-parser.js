@@ -0,0 +1,56 @@
+'use strict';
+
+var jsonFormat = require('./json-format');
+
+//
+// Incrementally parses JSON Lines text that arrives in chunks.
+// Chunks can split a line, only complete lines are parsed and returned. Blank lines are ignored.
+//
+var JsonLinesParser = function (flattenSeparator) {
+
+	var self = this;
+	self._flattenSeparator = flattenSeparator;
+	self._buffer = '';
+	self._lineNumber = 0;
+};
+
+module.exports = JsonLinesParser;
+
+//
+// Parse complete lines of text.
+//
+JsonLinesParser.prototype._parse = function (lines) {
+
+	var self = this;
+	return lines
+		.map(function (line) {
+			return jsonFormat.parseLine(line, ++self._lineNumber, self._flattenSeparator);
+		})
+		.filter(function (row) {
+			return row !== undefined;
+		});
+};
+
+/*
+ * Add a chunk of text to the parser.
+ * Returns an array of rows that were completed by the chunk.
+ */
+JsonLinesParser.prototype.push = function (text) {
+
+	var self = this;
+	var lines = (self._buffer + text).split('\n');
+	self._buffer = lines.pop(); // The last line is incomplete.
+	return self._parse(lines);
+};
+
+/*
+ * Signal the end of the input.
+ * Returns an array of any remaining rows.
+ */
+JsonLinesParser.prototype.flush = function () {
+
+	var self = this;
+	var remaining = self._buffer;
+	self._buffer = '';
+	return self._parse([remaining]);
+};
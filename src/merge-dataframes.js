@@ -0,0 +1,311 @@
+'use strict';
+
+var assert = require('chai').assert;
+var E = require('linq');
+var DataFrame = require('./dataframe');
+var utils = require('./utils');
+
+//
+// Normalize a column name or array of column names to an array.
+//
+var toArray = function (columnNameOrNames) {
+	return Object.isArray(columnNameOrNames) ? columnNameOrNames : [columnNameOrNames];
+};
+
+//
+// Validate a column name or array of column names passed as a merge option.
+//
+var validateColumnNames = function (columnNameOrNames, optionName) {
+	var message = "Expected '" + optionName + "' field of 'options' parameter to 'DataFrame.merge' to be a column name or an array of column names.";
+	if (Object.isArray(columnNameOrNames)) {
+		assert(columnNameOrNames.length > 0, message);
+		columnNameOrNames.forEach(function (columnName) {
+			assert.isString(columnName, message);
+		});
+	}
+	else {
+		assert.isString(columnNameOrNames, message);
+	}
+};
+
+//
+// Create a function that extracts the merge key from an index/row pair.
+// When no key columns are specified the index is the key.
+//
+var createKeySelector = function (keyColumns) {
+
+	if (!keyColumns) {
+		return function (pair) {
+			return utils.toHashKey(pair[0]);
+		};
+	}
+
+	if (keyColumns.length === 1) {
+		var keyColumn = keyColumns[0];
+		return function (pair) {
+			return utils.toHashKey(pair[1][keyColumn]);
+		};
+	}
+
+	return function (pair) {
+		// Multiple keys are combined to a single value that can be used as a key of a Map.
+		return JSON.stringify(keyColumns.map(function (keyColumn) {
+			return utils.toHashKey(pair[1][keyColumn]);
+		}));
+	};
+};
+
+/**
+ * Merge two dataframes in the style of a database join.
+ *
+ * @param {DataFrame} left - The left dataframe to merge.
+ * @param {DataFrame} right - The right dataframe to merge.
+ * @param {object} [options] - Options that control the merge.
+ */
+module.exports = function (left, right, options) {
+
+	assert.instanceOf(right, DataFrame, "Expected 'other' parameter to 'DataFrame.merge' to be a DataFrame.");
+
+	if (options) {
+		assert.isObject(options, "Expected 'options' parameter to 'DataFrame.merge' to be an object with options for the merge.");
+	}
+	else {
+		options = {};
+	}
+
+	var how = options.how || 'inner';
+	assert(['inner', 'left', 'right', 'outer'].indexOf(how) >= 0, "Expected 'how' field of 'options' parameter to 'DataFrame.merge' to be 'inner', 'left', 'right' or 'outer'.");
+
+	var suffixes = options.suffixes || ['_x', '_y'];
+	assert(Object.isArray(suffixes) && suffixes.length === 2, "Expected 'suffixes' field of 'options' parameter to 'DataFrame.merge' to be an array of two strings.");
+	assert.isString(suffixes[0], "Expected 'suffixes' field of 'options' parameter to 'DataFrame.merge' to be an array of two strings.");
+	assert.isString(suffixes[1], "Expected 'suffixes' field of 'options' parameter to 'DataFrame.merge' to be an array of two strings.");
+
+	if (options.on) {
+		assert(!options.leftOn && !options.rightOn && !options.leftIndex && !options.rightIndex, "Expected 'on' field of 'options' parameter to 'DataFrame.merge' not to be combined with 'leftOn', 'rightOn', 'leftIndex' or 'rightIndex'.");
+		validateColumnNames(options.on, 'on');
+	}
+
+	if (options.leftOn) {
+		assert(!options.leftIndex, "Expected only one of 'leftOn' or 'leftIndex' fields of 'options' parameter to 'DataFrame.merge' to be specified.");
+		validateColumnNames(options.leftOn, 'leftOn');
+	}
+
+	if (options.rightOn) {
+		assert(!options.rightIndex, "Expected only one of 'rightOn' or 'rightIndex' fields of 'options' parameter to 'DataFrame.merge' to be specified.");
+		validateColumnNames(options.rightOn, 'rightOn');
+	}
+
+	var leftColumnNames = left.getColumnNames();
+	var rightColumnNames = right.getColumnNames();
+
+	//
+	// Determine the key columns for each side, null means the index is the key.
+	//
+	var leftKeys = null;
+	var rightKeys = null;
+
+	if (options.on) {
+		leftKeys = rightKeys = toArray(options.on);
+	}
+	else if (options.leftOn || options.rightOn || options.leftIndex || options.rightIndex) {
+		assert(options.leftOn || options.leftIndex, "Expected 'leftOn' or 'leftIndex' field of 'options' parameter to 'DataFrame.merge' to specify the key for the left dataframe.");
+		assert(options.rightOn || options.rightIndex, "Expected 'rightOn' or 'rightIndex' field of 'options' parameter to 'DataFrame.merge' to specify the key for the right dataframe.");
+
+		leftKeys = options.leftOn ? toArray(options.leftOn) : null;
+		rightKeys = options.rightOn ? toArray(options.rightOn) : null;
+	}
+	else {
+		// Default to merging on the columns the dataframes have in common.
+		leftKeys = rightKeys = E.from(leftColumnNames)
+			.intersect(rightColumnNames)
+			.toArray();
+
+		assert(leftKeys.length > 0, "No columns in common to merge on, specify the 'on', 'leftOn', 'rightOn', 'leftIndex' or 'rightIndex' fields of the 'options' parameter to 'DataFrame.merge'.");
+	}
+
+	assert((leftKeys ? leftKeys.length : 1) === (rightKeys ? rightKeys.length : 1), "Expected the same number of keys for the left and right dataframes passed to 'DataFrame.merge'.");
+
+	//
+	// Key columns with the same name on both sides are merged to a single column.
+	//
+	var sharedKeys = leftKeys && rightKeys
+		? leftKeys.filter(function (keyColumn, keyIndex) {
+			return rightKeys[keyIndex] === keyColumn;
+		})
+		: [];
+
+	var clashes = E.from(leftColumnNames)
+		.intersect(rightColumnNames)
+		.except(sharedKeys)
+		.toArray();
+
+	var leftColumns = leftColumnNames.map(function (columnName) {
+		return {
+			from: columnName,
+			to: clashes.indexOf(columnName) >= 0 ? columnName + suffixes[0] : columnName,
+		};
+	});
+
+	var rightColumns = rightColumnNames
+		.filter(function (columnName) {
+			return sharedKeys.indexOf(columnName) < 0;
+		})
+		.map(function (columnName) {
+			return {
+				from: columnName,
+				to: clashes.indexOf(columnName) >= 0 ? columnName + suffixes[1] : columnName,
+			};
+		});
+
+	var leftKeySelector = createKeySelector(leftKeys);
+	var rightKeySelector = createKeySelector(rightKeys);
+	var keepIndex = !leftKeys && !rightKeys; // When merging on both indices the index is preserved.
+
+	//
+	// Combine a left and right pair, either of which may be null, into a single output row.
+	//
+	var combine = function (leftPair, rightPair) {
+		var row = {};
+
+		if (leftPair) {
+			leftColumns.forEach(function (column) {
+				row[column.to] = leftPair[1][column.from];
+			});
+		}
+		else {
+			sharedKeys.forEach(function (keyColumn) {
+				row[keyColumn] = rightPair[1][keyColumn];
+			});
+		}
+
+		if (rightPair) {
+			rightColumns.forEach(function (column) {
+				row[column.to] = rightPair[1][column.from];
+			});
+		}
+
+		return [leftPair ? leftPair[0] : rightPair[0], row];
+	};
+
+	//
+	// The driving side is streamed, the other side is loaded into a hash table for lookup.
+	//
+	var rightDriven = how === 'right';
+	var driving = rightDriven ? right : left;
+	var lookup = rightDriven ? left : right;
+	var drivingKeySelector = rightDriven ? rightKeySelector : leftKeySelector;
+	var lookupKeySelector = rightDriven ? leftKeySelector : rightKeySelector;
+	var includeUnmatchedDriving = how !== 'inner';
+	var includeUnmatchedLookup = how === 'outer';
+
+	var output = function (drivingPair, lookupPair) {
+		return rightDriven ? combine(lookupPair, drivingPair) : combine(drivingPair, lookupPair);
+	};
+
+	return new DataFrame({
+		iterable: {
+			getIterator: function () {
+
+				var drivingIterator = null;
+				var lookupPairs = null;
+				var lookupTable = null;
+				var matched = null;
+				var pending = [];
+				var unmatchedIndex = 0;
+				var rowIndex = -1;
+				var curOutput = undefined;
+
+				//
+				// Load the lookup side into a hash table of key to positions in the lookup pairs.
+				//
+				var init = function () {
+					drivingIterator = driving.getIterator();
+					lookupPairs = lookup.toPairs();
+					lookupTable = new Map();
+					matched = [];
+
+					lookupPairs.forEach(function (pair, position) {
+						var key = lookupKeySelector(pair);
+						var positions = lookupTable.get(key);
+						if (!positions) {
+							positions = [];
+							lookupTable.set(key, positions);
+						}
+						positions.push(position);
+						matched.push(false);
+					});
+				};
+
+				//
+				// Queue the output for the next row of the driving side.
+				// Returns false when the driving side has been exhausted.
+				//
+				var queueNext = function () {
+					if (!drivingIterator.moveNext()) {
+						return false;
+					}
+
+					var drivingPair = drivingIterator.getCurrent();
+					var positions = lookupTable.get(drivingKeySelector(drivingPair));
+					if (positions) {
+						positions.forEach(function (position) {
+							matched[position] = true;
+							pending.push(output(drivingPair, lookupPairs[position]));
+						});
+					}
+					else if (includeUnmatchedDriving) {
+						pending.push(output(drivingPair, null));
+					}
+
+					return true;
+				};
+
+				return {
+					moveNext: function () {
+						if (!drivingIterator) {
+							init();
+						}
+
+						while (pending.length === 0 && queueNext()) {
+							// Keep going until there is output or the driving side is exhausted.
+						}
+
+						var next = pending.shift();
+						if (!next && includeUnmatchedLookup) {
+							while (unmatchedIndex < lookupPairs.length) {
+								var position = unmatchedIndex++;
+								if (!matched[position]) {
+									next = output(null, lookupPairs[position]);
+									break;
+								}
+							}
+						}
+
+						if (!next) {
+							curOutput = undefined;
+							return false;
+						}
+
+						++rowIndex;
+						curOutput = [keepIndex ? next[0] : rowIndex, next[1]];
+						return true;
+					},
+
+					getCurrent: function () {
+						return curOutput;
+					},
+				};
+			},
+
+			getColumnNames: function () {
+				return E.from(leftColumns)
+					.concat(rightColumns)
+					.select(function (column) {
+						return column.to;
+					})
+					.toArray();
+			},
+		},
+	});
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+//
+// Functions for detecting and filling missing values.
+//
+
+var assert = require('chai').assert;
+
+//
+// The default notion of a missing value: undefined, null, NaN or an empty string.
+//
+var isMissing = function (value) {
+	return value === undefined ||
+		value === null ||
+		value === '' ||
+		(typeof value === 'number' && isNaN(value));
+};
+
+//
+// Convert an index value to a number for time based interpolation.
+//
+var timeFromIndex = function (index) {
+	if (index instanceof Date) {
+		return index.getTime();
+	}
+
+	if (typeof index === 'number') {
+		return index;
+	}
+
+	throw new Error("Expected index to be a date or a number for time based interpolation, found '" + index + "'.");
+};
+
+module.exports = {
+
+	isMissing: isMissing,
+
+	//
+	// Get the missing value predicate from the options passed to a function.
+	//
+	getMissingPredicate: function (options, functionName) {
+		if (!options) {
+			return isMissing;
+		}
+
+		assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object.");
+
+		if (!options.isMissing) {
+			return isMissing;
+		}
+
+		assert.isFunction(options.isMissing, "Expected 'isMissing' field of 'options' parameter to '" + functionName + "' to be a predicate function that returns true for missing values.");
+		return options.isMissing;
+	},
+
+	//
+	// Fill a missing value with the previous non-missing value.
+	//
+	forwardFill: function (prev, next, entry) {
+		return prev ? prev.value : entry.value;
+	},
+
+	//
+	// Fill a missing value with the next non-missing value.
+	//
+	backFill: function (prev, next, entry) {
+		return next ? next.value : entry.value;
+	},
+
+	//
+	// Create a function that fills a missing value by interpolating between the previous and next non-missing values.
+	// 'linear' interpolates based on the position of the values, 'time' interpolates based on the index (dates or numbers).
+	// Missing values at the start or end (or between values that aren't numbers) are not filled.
+	//
+	interpolate: function (method) {
+		var getPosition = method === 'time'
+			? function (value) {
+				return timeFromIndex(value.index);
+			}
+			: function (value) {
+				return value.position;
+			};
+
+		return function (prev, next, entry) {
+			if (!prev || !next || typeof prev.value !== 'number' || typeof next.value !== 'number') {
+				return entry.value;
+			}
+
+			var prevPosition = getPosition(prev);
+			var span = getPosition(next) - prevPosition;
+			if (span === 0) {
+				return prev.value;
+			}
+
+			return prev.value + (next.value - prev.value) * (getPosition(entry) - prevPosition) / span;
+		};
+	},
+
+	//
+	// Fill the missing values of a resampled series or dataframe as specified by the 'fill' and 'fillValue' fields of the options passed to a function.
+	//
+	applyFillOptions: function (target, options, functionName) {
+		if (!options) {
+			return target;
+		}
+
+		assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object.");
+
+		if (options.fill) {
+			assert(['forwardFill', 'backFill', 'interpolate'].indexOf(options.fill) >= 0, "Expected 'fill' field of 'options' parameter to '" + functionName + "' to be 'forwardFill', 'backFill' or 'interpolate'.");
+			target = target[options.fill]();
+		}
+
+		if (options.fillValue !== undefined) {
+			target = target.fillMissing(options.fillValue);
+		}
+
+		return target;
+	},
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+//
+// Calendar periods (eg '1D', '15min' or '1M') used for resampling time series.
+//
+
+var assert = require('chai').assert;
+var moment = require('moment');
+
+//
+// Map period units to moment units.
+//
+var units = {
+	S: 'seconds',
+	s: 'seconds',
+	min: 'minutes',
+	m: 'minutes',
+	T: 'minutes',
+	H: 'hours',
+	h: 'hours',
+	D: 'days',
+	d: 'days',
+	W: 'weeks',
+	w: 'weeks',
+	M: 'months',
+	Q: 'quarters',
+	Y: 'years',
+	y: 'years',
+};
+
+//
+// Periods of multiple units are aligned to the start of the containing unit, eg '15min' periods start on the hour.
+// Periods of days, weeks and years are aligned to the start of the first period.
+//
+var alignmentUnits = {
+	seconds: 'day',
+	minutes: 'day',
+	hours: 'day',
+	months: 'year',
+	quarters: 'year',
+};
+
+module.exports = {
+
+	//
+	// Parse a period string, eg '1D', '1H', '1W', '1M' or '15min'.
+	//
+	parse: function (period, functionName) {
+
+		var message = "Expected 'period' parameter to '" + functionName + "' to be a string that specifies a number and a unit, eg '1D', '1H', '1W', '1M' or '15min'. " +
+			"Units are S (seconds), min, m or T (minutes), H (hours), D (days), W (weeks), M (months), Q (quarters) and Y (years).";
+
+		assert.isString(period, message);
+
+		var match = /^\s*(\d*)\s*([a-zA-Z]+)\s*$/.exec(period);
+		assert(match && units[match[2]], message);
+
+		var amount = match[1] ? parseInt(match[1]) : 1;
+		assert(amount > 0, message);
+
+		return {
+			amount: amount,
+			unit: units[match[2]],
+		};
+	},
+
+	//
+	// Get the start of the period that contains a date.
+	//
+	floor: function (period, date) {
+
+		var start = moment(date).startOf(period.unit === 'weeks' ? 'isoWeek' : period.unit);
+		var alignmentUnit = alignmentUnits[period.unit];
+		if (period.amount === 1 || !alignmentUnit) {
+			return start.toDate();
+		}
+
+		var alignment = moment(start).startOf(alignmentUnit);
+		var numUnits = start.diff(alignment, period.unit);
+		return alignment
+			.add(numUnits - (numUnits % period.amount), period.unit)
+			.toDate();
+	},
+
+	//
+	// Get the date one period before a date.
+	//
+	previous: function (period, date) {
+		return moment(date)
+			.subtract(period.amount, period.unit)
+			.toDate();
+	},
+
+	//
+	// Check that the index of a pair is a date and that the index is sorted in ascending order, for operations over periods of time.
+	//
+	checkDateIndex: function (pair, prevPair, operation) {
+		if (!(pair[0] instanceof Date)) {
+			throw new Error("Expected index to contain dates to " + operation + ", found '" + pair[0] + "'.");
+		}
+
+		if (prevPair && pair[0] < prevPair[0]) {
+			throw new Error("Expected index to be sorted in ascending order to " + operation + ", found '" + pair[0] + "' after '" + prevPair[0] + "'.");
+		}
+	},
+
+	//
+	// Get the start of the period after the period that starts at a date.
+	//
+	next: function (period, date) {
+		return moment(date)
+			.add(period.amount, period.unit)
+			.toDate();
+	},
+};
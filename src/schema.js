@@ -0,0 +1,228 @@
+'use strict';
+
+//
+// Schemas that declare the type and constraints of the columns of a dataframe, for coercion and validation.
+//
+
+var assert = require('chai').assert;
+var moment = require('moment');
+var missing = require('./missing');
+
+//
+// Convert a value to each type supported by a schema. Each function returns the converted value, or undefined when the value can't be converted.
+//
+var converters = {
+	int: function (value) {
+		if (typeof value === 'number') {
+			return value % 1 === 0 ? value : undefined;
+		}
+
+		if (typeof value === 'string' && /^\s*[-+]?\d+\s*$/.test(value)) {
+			return parseInt(value, 10);
+		}
+
+		return undefined;
+	},
+
+	float: function (value) {
+		if (typeof value === 'number') {
+			return value;
+		}
+
+		if (typeof value === 'string') {
+			var number = Number(value);
+			return isNaN(number) ? undefined : number;
+		}
+
+		return undefined;
+	},
+
+	string: function (value, columnSchema) {
+		if (typeof value === 'string') {
+			return value;
+		}
+
+		if (columnSchema.format && (value instanceof Date || moment.isMoment(value))) {
+			return moment(value).format(columnSchema.format);
+		}
+
+		return value.toString();
+	},
+
+	date: function (value, columnSchema) {
+		if (value instanceof Date) {
+			return isNaN(value.getTime()) ? undefined : value;
+		}
+
+		if (moment.isMoment(value)) {
+			return value.isValid() ? value.toDate() : undefined;
+		}
+
+		if (typeof value === 'string') {
+			var date = columnSchema.format ? moment(value, columnSchema.format, true) : moment(new Date(value));
+			return date.isValid() ? date.toDate() : undefined;
+		}
+
+		return undefined;
+	},
+
+	boolean: function (value) {
+		if (typeof value === 'boolean') {
+			return value;
+		}
+
+		if (typeof value === 'string') {
+			var lowerCase = value.trim().toLowerCase();
+			if (lowerCase === 'true') {
+				return true;
+			}
+
+			if (lowerCase === 'false') {
+				return false;
+			}
+		}
+
+		return undefined;
+	},
+};
+
+converters.number = converters.float;
+
+var types = Object.keys(converters);
+var fields = ['type', 'format', 'required', 'min', 'max', 'enum'];
+
+//
+// Convert a value to a value that can be compared with < and > for the 'min' and 'max' rules.
+//
+var toComparable = function (value) {
+	return value instanceof Date ? value.getTime() : value;
+};
+
+//
+// The rules checked for each value after it has been converted to the type of its column, in the order they are checked.
+// Each rule returns true when the value satisfies the rule.
+//
+var rules = {
+	min: function (value, columnSchema) {
+		return toComparable(value) >= toComparable(columnSchema.min);
+	},
+
+	max: function (value, columnSchema) {
+		return toComparable(value) <= toComparable(columnSchema.max);
+	},
+
+	enum: function (value, columnSchema) {
+		return columnSchema.enum.some(function (allowed) {
+			return toComparable(allowed) === toComparable(value);
+		});
+	},
+};
+
+//
+// Check and normalize the schema for a single column. A column schema is either the name of a type or an object with a 'type' field and optional constraints.
+//
+var parseColumnSchema = function (columnName, columnSchema, functionName) {
+
+	var message = "Expected schema for column '" + columnName + "' passed to '" + functionName + "'";
+
+	if (typeof columnSchema === 'string') {
+		columnSchema = { type: columnSchema };
+	}
+
+	assert.isObject(columnSchema, message + " to be a type name or an object with a 'type' field.");
+	assert(types.indexOf(columnSchema.type) >= 0, message + " to have a type of " + types.join(', ') + ".");
+
+	Object.keys(columnSchema).forEach(function (fieldName) {
+		assert(fields.indexOf(fieldName) >= 0, message + " to only have the fields " + fields.join(', ') + ", found '" + fieldName + "'.");
+	});
+
+	if (columnSchema.format !== undefined) {
+		assert.isString(columnSchema.format, message + " to have a 'format' that is a string.");
+	}
+
+	if (columnSchema.enum !== undefined) {
+		assert.isArray(columnSchema.enum, message + " to have an 'enum' that is an array of the allowed values.");
+	}
+
+	var parsed = {
+		columnName: columnName,
+		type: columnSchema.type,
+		format: columnSchema.format,
+		required: !!columnSchema.required,
+		rules: [],
+	};
+
+	Object.keys(rules).forEach(function (ruleName) {
+		var constraint = columnSchema[ruleName];
+		if (constraint === undefined) {
+			return;
+		}
+
+		// Constraints are specified in the same way as values, eg dates can be specified as strings in the format of the column.
+		parsed[ruleName] = ruleName === 'enum'
+			? constraint.map(function (allowed) {
+				var converted = converters[parsed.type](allowed, parsed);
+				assert(converted !== undefined, message + " to have an 'enum' with values of type '" + parsed.type + "', found '" + allowed + "'.");
+				return converted;
+			})
+			: converters[parsed.type](constraint, parsed);
+
+		assert(parsed[ruleName] !== undefined, message + " to have a '" + ruleName + "' of type '" + parsed.type + "', found '" + constraint + "'.");
+		parsed.rules.push(ruleName);
+	});
+
+	return parsed;
+};
+
+module.exports = {
+
+	//
+	// Check and normalize a schema passed to a function. Returns an array with the normalized schema for each column.
+	//
+	parse: function (schema, functionName) {
+
+		assert.isObject(schema, "Expected 'schema' parameter to '" + functionName + "' to be an object that maps column names to types.");
+
+		return Object.keys(schema).map(function (columnName) {
+			return parseColumnSchema(columnName, schema[columnName], functionName);
+		});
+	},
+
+	//
+	// Convert a value to the type of its column and check it against the rules for the column.
+	// Returns an object with the converted 'value' and the name of the 'rule' the value violates, or null when the value is valid.
+	// Missing values are converted to undefined and only violate the 'required' rule.
+	//
+	check: function (value, columnSchema) {
+
+		if (missing.isMissing(value)) {
+			return {
+				value: undefined,
+				rule: columnSchema.required ? 'required' : null,
+			};
+		}
+
+		var converted = converters[columnSchema.type](value, columnSchema);
+		if (converted === undefined) {
+			return {
+				value: undefined,
+				rule: 'type',
+			};
+		}
+
+		var violatedRule = null;
+		columnSchema.rules.some(function (ruleName) {
+			if (!rules[ruleName](converted, columnSchema)) {
+				violatedRule = ruleName;
+				return true;
+			}
+
+			return false;
+		});
+
+		return {
+			value: converted,
+			rule: violatedRule,
+		};
+	},
+};
@@ -17,6 +17,13 @@ var SelectIterator = require('../src/iterators/select');
 var SelectManyIterator = require('../src/iterators/select-many');
 var PairIterator = require('../src/iterators/pair');
 var WhereIterator = require('../src/iterators/where');
+var ConcatIterator = require('./iterators/concat');
+var HashJoinIterator = require('./iterators/hash-join');
+var FillMissingIterator = require('./iterators/fill-missing');
+var ResampleIterator = require('./iterators/resample');
+var RollingIterator = require('./iterators/rolling');
+var ShiftIterator = require('./iterators/shift');
+var ScanIterator = require('./iterators/scan');
 var CountIterator = require('../src/iterators/count');
 var EmptyIterator = require('../src/iterators/empty');
 var PairsIterable = require('../src/iterables/pairs');
@@ -32,6 +39,11 @@ var TakeWhileIterable = require('../src/iterables/take-while');
 var WhereIterable = require('../src/iterables/where');
 var SelectPairsIterable = require('../src/iterables/select-pairs');
 var extend = require('extend');
+var utils = require('./utils');
+var missing = require('./missing');
+var aggregations = require('./aggregations');
+var period = require('./period');
+var transforms = require('./transforms');
 
 
 //
@@ -158,14 +170,47 @@ Series.prototype.getIterator = function () {
 
 /**
  * Retreive the index of the series.
+ * The index of a baked series is cached, so lookups built by the index are only built once for each series.
  * 
  * @returns {Series} Returns a new series that contains the values of the index for this series.
  */
 Series.prototype.getIndex = function () {
 	var self = this;
-	return new Index({ //todo: Should cache index.
+	if (self._index) {
+		return self._index;
+	}
+
+	var index = new Index({
 		values: new ExtractIterable(self.iterable, 0), // Extract the index. 
 	});
+
+	if (self._fixed) {
+		index._fixed = true; // The index of fixed content is also fixed.
+		self._index = index;
+	}
+
+	return index;
+};
+
+//
+// Get the pairs of a series whose content is fixed (a baked series), including pairs without a value, so that the pair at a position
+// in the index can be read directly. The pairs are evaluated once and cached.
+//
+Series.prototype._getFixedPairs = function () {
+
+	var self = this;
+	assert(self._fixed, "Expected the series to be baked.");
+
+	if (!self._fixedPairs) {
+		var iterator = self.getIterator();
+		var pairs = [];
+		while (iterator.moveNext()) {
+			pairs.push(iterator.getCurrent());
+		}
+		self._fixedPairs = pairs;
+	}
+
+	return self._fixedPairs;
 };
 
 /**
@@ -521,11 +566,73 @@ Series.prototype.orderByDescending = function (sortSelector) {
 	return orderBy(self, 'orderByDescending', sortSelector);
 };
 
+//
+// Create a series or dataframe (the same type as 'self') from an array of pairs that have been gathered into memory.
+//
+var createFromPairs = function (self, pairs) {
+	return self.factory({
+		iterable: {
+			getIterator: function () {
+				return new ArrayIterator(pairs);
+			},
+
+			getColumnNames: function () {
+				return self.iterable.getColumnNames();
+			},
+		},
+	});
+};
+
+//
+// Create a series or dataframe (the same type as 'self') from the pairs from 'start' up to (but not including) 'end' of an array of pairs, without copying them.
+// Pairs can be appended to the array while the series is in use, but the pairs in the range must not be modified.
+//
+var createFromPairsRange = function (self, pairs, start, end) {
+	return self.factory({
+		iterable: {
+			getIterator: function () {
+				var position = start - 1;
+
+				return {
+					moveNext: function () {
+						if (position < end - 1) {
+							++position;
+							return true;
+						}
+
+						return false;
+					},
+
+					getCurrent: function () {
+						return position >= start && position < end ? pairs[position] : undefined;
+					},
+				};
+			},
+
+			getColumnNames: function () {
+				return self.iterable.getColumnNames();
+			},
+		},
+	});
+};
+
+//
+// Determine the column names of a dataframe with an extra pair added, the value of the pair may introduce new columns.
+//
+var determineColumnNamesWithPair = function (self, pair) {
+	return E.from(self.iterable.getColumnNames())
+		.concat(Object.isObject(pair[1]) ? Object.keys(pair[1]) : [])
+		.distinct()
+		.toArray();
+};
+
 /**
  * Segment a Series into 'windows'. Returns a new Series. Each value in the new Series contains a 'window' (or segment) of the original series or dataframe.
  * Use select or selectPairs to aggregate.
+ * The window is either a number of values or a period of time over a date index. A window of time is produced for each value and contains the values
+ * whose index is within the duration up to and including that value, so windows of time can contain different numbers of values.
  *
- * @param {integer} period - The number of values in the window.
+ * @param {integer|object} period - The number of values in the window, or an object with a 'duration' field (eg { duration: '5m' }) for a window of time over a date index that is sorted in ascending order.
  * @param {Function} [selector] - Optional selector for transforming each window. 
  * 
  * @returns {Series} Returns a new series, each value of which is a 'window' (or segment) of the original series or dataframe.  
@@ -553,19 +660,34 @@ Series.prototype.window = function (period, selector) {
 		iterable: {
 			getIterator: function () {
 
+				var iterator = self.getIterator();
+				var done = false;
 				var curOutput = undefined;
 				var windowIndex = 0;
 
 				return {
 					moveNext: function () {
-						var window = self.skip(windowIndex*period).take(period);
-						if (window.none(function () { return true; })) { //todo: Shouldn't have to pass a predicate.
+						if (done) {
+							return false;
+						}
+
+						var pairs = [];
+						while (pairs.length < period) {
+							if (!iterator.moveNext()) {
+								done = true;
+								break;
+							}
+
+							pairs.push(iterator.getCurrent());
+						}
+
+						if (pairs.length === 0) {
 							return false; // Nothing left.
 						}
 
 						curOutput = [
 							windowIndex, 
-							window,						
+							createFromPairs(self, pairs),
 						];
 						++windowIndex;
 						return true;
@@ -580,18 +702,116 @@ Series.prototype.window = function (period, selector) {
 	});	
 };
 
+//
+// Parse the window passed to a rolling function, either a number of values or an object with a 'duration' (eg '5m') for a window of time over a date index.
+//
+var parseRollingWindow = function (windowSpec, functionName) {
+	if (Object.isObject(windowSpec)) {
+		assert.isString(windowSpec.duration, "Expected 'duration' field of 'period' parameter to '" + functionName + "' to be a string that specifies a period of time, eg '5m'.");
+		return {
+			windowSize: null,
+			duration: period.parse(windowSpec.duration, functionName),
+		};
+	}
+
+	assert.isNumber(windowSpec, "Expected 'period' parameter to '" + functionName + "' to be a number or an object with a 'duration' field.");
+	return {
+		windowSize: windowSpec,
+		duration: null,
+	};
+};
+
+//
+// Create an iterator for the windows of a rolling window parsed by 'parseRollingWindow'. Windows share the pairs held in memory rather than each having a copy.
+//
+var createRollingWindowIterator = function (self, rollingWindow) {
+
+	var iterator = self.getIterator();
+	var pairs = []; // The current window, preceded by pairs that have left the window but haven't been dropped yet.
+	var start = 0; // The position of the current window in 'pairs'.
+	var prevPair = null;
+	var curOutput = undefined;
+	var done = false;
+	var windowIndex = 0;
+
+	//
+	// Move the start of the window past a pair that has left the window. Once as many pairs have left the window as remain in it they are dropped,
+	// by copying the window to a new array, as previous windows refer to the old array and may still be in use.
+	//
+	var advanceStart = function () {
+		++start;
+		if (start >= pairs.length - start) {
+			pairs = pairs.slice(start);
+			start = 0;
+		}
+	};
+
+	return {
+		moveNext: function () {
+			if (done) {
+				return false;
+			}
+
+			if (rollingWindow.duration) {
+				if (!iterator.moveNext()) {
+					done = true;
+					return false;
+				}
+
+				var pair = iterator.getCurrent();
+				period.checkDateIndex(pair, prevPair, 'create a rolling window of time');
+				prevPair = pair;
+
+				var windowStart = period.previous(rollingWindow.duration, pair[0]);
+				while (start < pairs.length && pairs[start][0] <= windowStart) {
+					advanceStart();
+				}
+
+				pairs.push(pair);
+			}
+			else {
+				if (pairs.length - start === rollingWindow.windowSize) {
+					advanceStart();
+				}
+
+				while (pairs.length - start < rollingWindow.windowSize) {
+					if (!iterator.moveNext()) {
+						done = true;
+						return false;
+					}
+
+					pairs.push(iterator.getCurrent());
+				}
+			}
+
+			curOutput = [
+				windowIndex, 
+				createFromPairsRange(self, pairs, start, pairs.length),
+			];
+			++windowIndex;
+			return true;
+		},
+
+		getCurrent: function () {
+			return curOutput;
+		},
+	};
+};
+
 /** 
  * Segment a Series into 'rolling windows'. Returns a new Series. Each value in the new Series contains a 'window' (or segment) of the original Series.
  * Use select or selectPairs to aggregate.
+ * The window is either a number of values or a period of time over a date index. A window of time is produced for each value and contains the values
+ * whose index is within the duration up to and including that value, so windows of time can contain different numbers of values.
  *
- * @param {integer} period - The number of values in the window.
+ * @param {integer|object} period - The number of values in the window, or an object with a 'duration' field (eg { duration: '5m' }) for a window of time over a date index that is sorted in ascending order.
  * @param {Function} [selector] - Optional selector for transforming each window. 
  * 
  * @returns {Series} Returns a new series, each value of which is a 'window' (or segment) of the original series or dataframe.
  */
 Series.prototype.rollingWindow = function (period, selector) {
 
-    assert.isNumber(period, "Expected 'period' parameter to 'rollingWindow' to be a number.");
+    var rollingWindow = parseRollingWindow(period, 'rollingWindow');
     
     if (selector) {
         assert.isFunction(selector, "If selector parameter is passed to function Series.rollingWindow, it is expected to be a function.");
@@ -611,35 +831,291 @@ Series.prototype.rollingWindow = function (period, selector) {
 	return new Series({
 		iterable: { 
 			getIterator: function () {
+				return createRollingWindowIterator(self, rollingWindow);
+			},
+		},
+	});
+};
 
-				var curOutput = undefined;
-				var done = false;
-				var windowIndex = 0;
+//
+// Determine if a value can be included in a numeric statistic, missing values and values that aren't numbers are skipped.
+//
+var isNumericValue = function (value) {
+	return typeof value === 'number' && !isNaN(value);
+};
 
-				return {
-					moveNext: function () {
-						var window = self.skip(windowIndex).take(period);
-						if (window.count() < period) {
-							return false;
+//
+// Create a series with a statistic of a rolling window. The statistic is computed incrementally from the count, sum and sum of squares of the numeric values in the window,
+// which are updated as values enter and leave the window. Windows with no numeric values are undefined.
+// The sums are of the values minus a 'shift' taken from the window, so they stay small for values that are large but close together.
+// Removing values accumulates rounding errors, so once the value the shift was taken from has left the window the sums are recomputed from the window with a new shift.
+// The shift is taken from the newest value, so the sums are only recomputed once for each window length of values.
+//
+var rollingStatistic = function (self, windowSpec, functionName, getValue) {
+
+	var rollingWindow = parseRollingWindow(windowSpec, functionName);
+
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				var stats = {
+					count: 0,
+					shift: 0,
+					shiftPair: null,
+					sum: 0,
+					sumOfSquares: 0,
+				};
+				var stale = false;
+
+				//
+				// Add a value to the sums.
+				//
+				var addValue = function (value) {
+					var shifted = value - stats.shift;
+					++stats.count;
+					stats.sum += shifted;
+					stats.sumOfSquares += shifted * shifted;
+				};
+
+				//
+				// Recompute the sums from the pairs in the window, shifted by the newest numeric value.
+				//
+				var resum = function (window) {
+					stats.count = 0;
+					stats.shiftPair = null;
+					stats.sum = 0;
+					stats.sumOfSquares = 0;
+
+					for (var i = window.length - 1; i >= 0; --i) {
+						if (isNumericValue(window[i][1])) {
+							stats.shift = window[i][1];
+							stats.shiftPair = window[i];
+							break;
 						}
+					}
 
-						curOutput = [
-							windowIndex, 
-							window,						
-						];
-						++windowIndex;
-						return true;
+					window.forEach(function (pair) {
+						if (isNumericValue(pair[1])) {
+							addValue(pair[1]);
+						}
+					});
+				};
+
+				return new RollingIterator(self.getIterator(), rollingWindow.windowSize, rollingWindow.duration, {
+					add: function (pair) {
+						var value = pair[1];
+						if (!isNumericValue(value)) {
+							return;
+						}
+
+						if (stats.count === 0) {
+							stats.shift = value;
+							stats.shiftPair = pair;
+							stats.sum = 0;
+							stats.sumOfSquares = 0;
+						}
+
+						addValue(value);
 					},
 
-					getCurrent: function () {
-						return curOutput;
+					remove: function (pair) {
+						var value = pair[1];
+						if (!isNumericValue(value)) {
+							return;
+						}
+
+						var shifted = value - stats.shift;
+						--stats.count;
+						stats.sum -= shifted;
+						stats.sumOfSquares -= shifted * shifted;
+
+						if (pair === stats.shiftPair) {
+							stale = true;
+						}
 					},
-				};
+
+					getValue: function (window) {
+						if (stale) {
+							stale = false;
+							resum(window);
+						}
+
+						if (stats.count === 0) {
+							return undefined;
+						}
+
+						return getValue({
+							count: stats.count,
+							sum: stats.shift * stats.count + stats.sum,
+							sumOfSquaredDiffs: Math.max(stats.sumOfSquares - stats.sum * stats.sum / stats.count, 0), // Rounding errors can make the sum slightly negative.
+						});
+					},
+				});
 			},
 		},
 	});
 };
 
+/**
+ * Compute the sum of a rolling window over the series. The sum is updated incrementally as the window moves.
+ * Missing values and values that aren't numbers are skipped, the sum of a window without numbers is undefined.
+ *
+ * @param {integer|object} period - The number of values in the window, or an object with a 'duration' field (eg { duration: '5m' }) for a window of time over a date index.
+ *
+ * @returns {Series} Returns a new series with the sum of each window. The index is the index of the last value in each window.
+ */
+Series.prototype.rollingSum = function (period) {
+
+	var self = this;
+	return rollingStatistic(self, period, 'Series.rollingSum', function (stats) {
+		return stats.sum;
+	});
+};
+
+/**
+ * Compute the average of a rolling window over the series. The average is updated incrementally as the window moves.
+ * Missing values and values that aren't numbers are skipped, the average of a window without numbers is undefined.
+ *
+ * @param {integer|object} period - The number of values in the window, or an object with a 'duration' field (eg { duration: '5m' }) for a window of time over a date index.
+ *
+ * @returns {Series} Returns a new series with the average of each window. The index is the index of the last value in each window.
+ */
+Series.prototype.rollingMean = function (period) {
+
+	var self = this;
+	return rollingStatistic(self, period, 'Series.rollingMean', function (stats) {
+		return stats.sum / stats.count;
+	});
+};
+
+/**
+ * Compute the sample standard deviation of a rolling window over the series. The standard deviation is updated incrementally as the window moves.
+ * Missing values and values that aren't numbers are skipped.
+ *
+ * @param {integer|object} period - The number of values in the window, or an object with a 'duration' field (eg { duration: '5m' }) for a window of time over a date index.
+ *
+ * @returns {Series} Returns a new series with the standard deviation of each window, NaN for windows with one number and undefined for windows without numbers. The index is the index of the last value in each window.
+ */
+Series.prototype.rollingStd = function (period) {
+
+	var self = this;
+	return rollingStatistic(self, period, 'Series.rollingStd', function (stats) {
+		if (stats.count < 2) {
+			return NaN;
+		}
+
+		return Math.sqrt(stats.sumOfSquaredDiffs / (stats.count - 1));
+	});
+};
+
+/**
+ * Compute exponentially weighted statistics of the series, where the weight of each value decays exponentially with its age.
+ * Specify the decay with either 'span' or 'alpha'. Missing values and values that aren't numbers are skipped, the statistic at their position is the statistic of the values before them.
+ *
+ * @param {object} options - Options for the weighting.
+ * @param {number} [options.span] - The decay in terms of span, alpha = 2 / (span + 1). Must be at least 1.
+ * @param {number} [options.alpha] - The smoothing factor, greater than 0 and less than or equal to 1.
+ * @param {bool} [options.adjust] - When true (the default) the weights are normalized to account for the imbalance of the first values. When false the mean is computed recursively as mean = (1 - alpha) * prevMean + alpha * value.
+ *
+ * @returns {object} Returns an object with 'mean' and 'std' functions that compute a series of exponentially weighted statistics.
+ */
+Series.prototype.ewm = function (options) {
+
+	assert.isObject(options, "Expected 'options' parameter to 'Series.ewm' to be an object with a 'span' or 'alpha' field.");
+
+	var alpha;
+	if (options.alpha !== undefined) {
+		assert(options.span === undefined, "Expected only one of 'span' or 'alpha' fields of 'options' parameter to 'Series.ewm' to be specified.");
+		assert.isNumber(options.alpha, "Expected 'alpha' field of 'options' parameter to 'Series.ewm' to be a number greater than 0 and less than or equal to 1.");
+		assert(options.alpha > 0 && options.alpha <= 1, "Expected 'alpha' field of 'options' parameter to 'Series.ewm' to be a number greater than 0 and less than or equal to 1.");
+		alpha = options.alpha;
+	}
+	else {
+		assert.isNumber(options.span, "Expected 'options' parameter to 'Series.ewm' to have a 'span' or 'alpha' field that is a number.");
+		assert(options.span >= 1, "Expected 'span' field of 'options' parameter to 'Series.ewm' to be a number greater than or equal to 1.");
+		alpha = 2 / (options.span + 1);
+	}
+
+	var adjust = options.adjust !== false;
+	var decay = 1 - alpha;
+	var self = this;
+
+	//
+	// Create a series of an exponentially weighted statistic, computed incrementally from the weighted sums of the values.
+	//
+	var ewmStatistic = function (getValue) {
+		return new Series({
+			iterable: {
+				getIterator: function () {
+					var iterator = self.getIterator();
+					var sums = {
+						weights: 0,
+						squaredWeights: 0,
+						values: 0,
+						squaredValues: 0,
+					};
+					var curOutput = undefined;
+
+					return {
+						moveNext: function () {
+							if (!iterator.moveNext()) {
+								curOutput = undefined;
+								return false;
+							}
+
+							var pair = iterator.getCurrent();
+							var value = pair[1];
+
+							if (isNumericValue(value)) {
+								var weight = adjust || sums.weights === 0 ? 1 : alpha;
+
+								sums.weights = sums.weights * decay + weight;
+								sums.squaredWeights = sums.squaredWeights * decay * decay + weight * weight;
+								sums.values = sums.values * decay + weight * value;
+								sums.squaredValues = sums.squaredValues * decay + weight * value * value;
+							}
+
+							curOutput = [pair[0], sums.weights > 0 ? getValue(sums) : undefined];
+							return true;
+						},
+
+						getCurrent: function () {
+							return curOutput;
+						},
+					};
+				},
+			},
+		});
+	};
+
+	return {
+		/**
+		 * Compute the exponentially weighted mean of the series.
+		 *
+		 * @returns {Series} Returns a new series with the exponentially weighted mean at each value.
+		 */
+		mean: function () {
+			return ewmStatistic(function (sums) {
+				return sums.values / sums.weights;
+			});
+		},
+
+		/**
+		 * Compute the exponentially weighted standard deviation of the series, corrected for bias.
+		 *
+		 * @returns {Series} Returns a new series with the exponentially weighted standard deviation at each value, NaN for the first value.
+		 */
+		std: function () {
+			return ewmStatistic(function (sums) {
+				var mean = sums.values / sums.weights;
+				var biasedVariance = sums.squaredValues / sums.weights - mean * mean;
+				var correction = sums.weights * sums.weights / (sums.weights * sums.weights - sums.squaredWeights);
+				return Math.sqrt(Math.max(biasedVariance * correction, 0));
+			});
+		},
+	};
+};
+
 /** 
  * Format the data frame for display as a string.
  * 
@@ -692,39 +1168,215 @@ Series.prototype.percentChange = function () {
 		;
 };
 
+//
+// Create a new series that combines each value with the value at an offset, for shift and diff.
+//
+var combineWithOffset = function (self, offset, combine) {
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				return new ShiftIterator(self.getIterator(), null, offset, combine);
+			},
+		},
+	});
+};
+
 /**
- * Parse a series with string values to a series with int values.
- * 
- * @returns {Series} Returns a new series where string values from the original series have been parsed to integer values.
+ * Shift the values of the series by a number of positions, the index is preserved.
+ * A positive number moves values forward so each value is replaced by an earlier value, a negative number moves values backward so each value is replaced by a later value.
+ * Positions that have no value to shift in are null.
+ *
+ * @param {int} [numPositions] - The number of positions to shift values by. Defaults to 1.
+ *
+ * @returns {Series} Returns a new series with shifted values.
  */
-Series.prototype.parseInts = function () {
-
-	var self = this;
-	return self.select(function (value, valueIndex) {
-		if (value === undefined) {
-			return undefined;
-		}
-		else {
-			assert.isString(value, "Called parseInts on series, expected all values in the series to be strings, instead found a '" + typeof(value) + "' at index " + valueIndex);
+Series.prototype.shift = function (numPositions) {
 
-			if (value.length === 0) {
-				return undefined;
-			}
+	numPositions = numPositions === undefined ? 1 : numPositions;
+	transforms.checkOffset(numPositions, 'Series.shift');
 
-			return parseInt(value);
-		}
-	});
+	var self = this;
+	return combineWithOffset(self, numPositions, transforms.shift);
 };
 
 /**
- * Parse a series with string values to a series with float values.
- * 
- * @returns {Series} Returns a new series where string values from the original series have been parsed to floating-point values.
+ * Replace each value of the series with the value a number of positions earlier, the index is preserved. The same as shift with a positive number.
+ *
+ * @param {int} [numPositions] - The number of positions to look back. Defaults to 1.
+ *
+ * @returns {Series} Returns a new series with the lagged values. Positions that have no earlier value are null.
  */
-Series.prototype.parseFloats = function () {
+Series.prototype.lag = function (numPositions) {
+
+	numPositions = numPositions === undefined ? 1 : numPositions;
+	transforms.checkOffset(numPositions, 'Series.lag');
 
 	var self = this;
-	return self.select(function (value, valueIndex) {
+	return self.shift(numPositions);
+};
+
+/**
+ * Replace each value of the series with the value a number of positions later, the index is preserved. The same as shift with a negative number.
+ *
+ * @param {int} [numPositions] - The number of positions to look ahead. Defaults to 1.
+ *
+ * @returns {Series} Returns a new series with the leading values. Positions that have no later value are null.
+ */
+Series.prototype.lead = function (numPositions) {
+
+	numPositions = numPositions === undefined ? 1 : numPositions;
+	transforms.checkOffset(numPositions, 'Series.lead');
+
+	var self = this;
+	return self.shift(-numPositions);
+};
+
+/**
+ * Compute the difference of each value from the value a number of positions earlier (or later for a negative number), the index is preserved.
+ *
+ * @param {int} [numPositions] - The number of positions to compute the difference over. Defaults to 1.
+ *
+ * @returns {Series} Returns a new series with the differences. Positions that have no value to compare with, or where either value isn't a number, are null.
+ */
+Series.prototype.diff = function (numPositions) {
+
+	numPositions = numPositions === undefined ? 1 : numPositions;
+	transforms.checkOffset(numPositions, 'Series.diff');
+
+	var self = this;
+	return combineWithOffset(self, numPositions, transforms.diff);
+};
+
+//
+// Create a new series from a cumulative operation.
+//
+var cumulative = function (self, createScanner) {
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				return new ScanIterator(self.getIterator(), null, createScanner);
+			},
+		},
+	});
+};
+
+/**
+ * Compute the cumulative sum of the series. Values that aren't numbers are passed through and are skipped by the sum.
+ *
+ * @returns {Series} Returns a new series with the sum of the values up to and including each value.
+ */
+Series.prototype.cumsum = function () {
+
+	var self = this;
+	return cumulative(self, transforms.cumsum);
+};
+
+/**
+ * Compute the cumulative product of the series. Values that aren't numbers are passed through and are skipped by the product.
+ *
+ * @returns {Series} Returns a new series with the product of the values up to and including each value.
+ */
+Series.prototype.cumprod = function () {
+
+	var self = this;
+	return cumulative(self, transforms.cumprod);
+};
+
+/**
+ * Compute the cumulative minimum of the series. Values that aren't numbers are passed through and are skipped by the minimum.
+ *
+ * @returns {Series} Returns a new series with the minimum of the values up to and including each value.
+ */
+Series.prototype.cummin = function () {
+
+	var self = this;
+	return cumulative(self, transforms.cummin);
+};
+
+/**
+ * Compute the cumulative maximum of the series. Values that aren't numbers are passed through and are skipped by the maximum.
+ *
+ * @returns {Series} Returns a new series with the maximum of the values up to and including each value.
+ */
+Series.prototype.cummax = function () {
+
+	var self = this;
+	return cumulative(self, transforms.cummax);
+};
+
+/**
+ * Rank the values of the series in ascending order, ranks start at 1. The index is preserved.
+ * Note that the entire series is evaluated to compute the ranks.
+ *
+ * @param {string} [method] - How equal values are ranked: 'average' (the default) is the average of their positions, 'min' and 'max' are the lowest and highest of their positions,
+ * 'first' ranks them in the order they appear and 'dense' is like 'min' but ranks increase by 1 between distinct values.
+ *
+ * @returns {Series} Returns a new series with the rank of each value. Missing values have a null rank.
+ */
+Series.prototype.rank = function (method) {
+
+	method = method || 'average';
+	assert(transforms.rankMethods.indexOf(method) >= 0, "Expected 'method' parameter to 'Series.rank' to be one of " + transforms.rankMethods.join(', ') + ".");
+
+	var self = this;
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				// Gather every pair, including those without a value, so that missing values are kept with a null rank.
+				var pairs = [];
+				var iterator = self.getIterator();
+				while (iterator.moveNext()) {
+					pairs.push(iterator.getCurrent());
+				}
+
+				var ranks = transforms.rank(
+					pairs.map(function (pair) {
+						return pair[1];
+					}),
+					method
+				);
+
+				return new ArrayIterator(pairs.map(function (pair, position) {
+					return [pair[0], ranks[position]];
+				}));
+			},
+		},
+	});
+};
+
+/**
+ * Parse a series with string values to a series with int values.
+ * 
+ * @returns {Series} Returns a new series where string values from the original series have been parsed to integer values.
+ */
+Series.prototype.parseInts = function () {
+
+	var self = this;
+	return self.select(function (value, valueIndex) {
+		if (value === undefined) {
+			return undefined;
+		}
+		else {
+			assert.isString(value, "Called parseInts on series, expected all values in the series to be strings, instead found a '" + typeof(value) + "' at index " + valueIndex);
+
+			if (value.length === 0) {
+				return undefined;
+			}
+
+			return parseInt(value);
+		}
+	});
+};
+
+/**
+ * Parse a series with string values to a series with float values.
+ * 
+ * @returns {Series} Returns a new series where string values from the original series have been parsed to floating-point values.
+ */
+Series.prototype.parseFloats = function () {
+
+	var self = this;
+	return self.select(function (value, valueIndex) {
 		if (value === undefined) {
 			return undefined;
 		}
@@ -971,6 +1623,8 @@ Series.prototype.bake = function () {
 		}
 	});
 	baked._baked = true;
+	baked._fixed = true;
+	baked._fixedPairs = pairs;
 	return baked;
 };
 
@@ -1174,8 +1828,9 @@ Series.prototype.average = function () {
 
 /**
  * Get the median value in the series. Not this sorts the series, so can be expensive.
+ * Missing values and values that aren't numbers are skipped.
  * 
- * @returns {Number} Returns the median of the values in the series.
+ * @returns {Number} Returns the median of the number values in the series or 0 when there are no numbers.
  */
 Series.prototype.median = function () {
 
@@ -1183,24 +1838,25 @@ Series.prototype.median = function () {
 	// From here: http://stackoverflow.com/questions/5275115/add-a-median-method-to-a-list
 	//
 	var self = this;
-	var count = self.count();
+	var ordered = getNumbers(self)
+		.sort(function (a, b) {
+			return a - b;
+		});
+
+	var count = ordered.length;
 	if (count === 0) {
 		return 0;
 	}
-
-	var ordered = self.orderBy(function (value) {
-			return value;
-		});
 	
 	if ((count % 2) == 0) {
 		// Even.
-		var a = ordered.at(count / 2 - 1);
-        var b = ordered.at(count / 2);
+		var a = ordered[count / 2 - 1];
+        var b = ordered[count / 2];
         return (a + b) / 2;	
 	}
 
 	// Odd
-	return ordered.at(Math.floor(count / 2));
+	return ordered[Math.floor(count / 2)];
 };
 
 /**
@@ -1233,6 +1889,173 @@ Series.prototype.max = function () {
 	);
 };
 
+//
+// Get the number values of a series for a statistic, missing values and values that aren't numbers are skipped.
+//
+var getNumbers = function (self) {
+	return self.toArray().filter(isNumericValue);
+};
+
+//
+// Compute a central moment (the average of the deviations from the mean raised to a power) of an array of numbers.
+//
+var centralMoment = function (values, mean, power) {
+	return E.from(values)
+		.sum(function (value) {
+			return Math.pow(value - mean, power);
+		}) / values.length;
+};
+
+/**
+ * Get the variance of the values in the series. This is the sample variance, the sum of squared deviations from the mean divided by one less than the number of values.
+ * Missing values and values that aren't numbers are skipped.
+ *
+ * @returns {number} Returns the variance of the number values in the series or NaN when there are less than two numbers.
+ */
+Series.prototype.variance = function () {
+
+	var self = this;
+	var values = getNumbers(self);
+	var count = values.length;
+	if (count < 2) {
+		return NaN;
+	}
+
+	var mean = E.from(values).sum() / count;
+	return centralMoment(values, mean, 2) * count / (count - 1);
+};
+
+/**
+ * Get the standard deviation of the values in the series. This is the sample standard deviation, the square root of the sample variance.
+ * Missing values and values that aren't numbers are skipped.
+ *
+ * @returns {number} Returns the standard deviation of the number values in the series or NaN when there are less than two numbers.
+ */
+Series.prototype.std = function () {
+
+	var self = this;
+	return Math.sqrt(self.variance());
+};
+
+/**
+ * Get the value at a quantile of the series, eg 0.25 for the first quartile. Values between data points are linearly interpolated.
+ * Missing values and values that aren't numbers are skipped. Note this sorts the series, so can be expensive.
+ *
+ * @param {number} q - The quantile to compute, a number between 0 and 1.
+ *
+ * @returns {number} Returns the value at the requested quantile of the number values in the series or NaN when there are no numbers.
+ */
+Series.prototype.quantile = function (q) {
+
+	assert.isNumber(q, "Expected 'q' parameter to 'Series.quantile' to be a number between 0 and 1.");
+	assert(q >= 0 && q <= 1, "Expected 'q' parameter to 'Series.quantile' to be a number between 0 and 1.");
+
+	var self = this;
+	var ordered = getNumbers(self)
+		.sort(function (a, b) {
+			return a - b;
+		});
+
+	if (ordered.length === 0) {
+		return NaN;
+	}
+
+	var position = (ordered.length - 1) * q;
+	var lower = Math.floor(position);
+	var upper = Math.ceil(position);
+	return ordered[lower] + (ordered[upper] - ordered[lower]) * (position - lower);
+};
+
+/**
+ * Get the most frequent value in the series. When multiple values are equally frequent the one that appears first is returned.
+ * Missing values are skipped, values of any type are counted.
+ *
+ * @returns {value} Returns the most frequent value in the series or undefined when the series has no values.
+ */
+Series.prototype.mode = function () {
+
+	var self = this;
+	var frequencies = new Map(); // A Map preserves the order in which values first appear.
+
+	self.toArray().forEach(function (value) {
+		if (missing.isMissing(value)) {
+			return;
+		}
+
+		var key = utils.toHashKey(value);
+		var frequency = frequencies.get(key);
+		if (!frequency) {
+			frequency = {
+				value: value,
+				count: 0,
+			};
+			frequencies.set(key, frequency);
+		}
+		++frequency.count;
+	});
+
+	var mode = undefined;
+	var modeCount = 0;
+	frequencies.forEach(function (frequency) {
+		if (frequency.count > modeCount) {
+			mode = frequency.value;
+			modeCount = frequency.count;
+		}
+	});
+
+	return mode;
+};
+
+/**
+ * Get the skewness of the values in the series, a measure of the asymmetry of the distribution. This is the adjusted sample skewness.
+ * Missing values and values that aren't numbers are skipped.
+ *
+ * @returns {number} Returns the skewness of the number values in the series or NaN when there are less than three numbers.
+ */
+Series.prototype.skew = function () {
+
+	var self = this;
+	var values = getNumbers(self);
+	var count = values.length;
+	if (count < 3) {
+		return NaN;
+	}
+
+	var mean = E.from(values).sum() / count;
+	var m2 = centralMoment(values, mean, 2);
+	if (m2 === 0) {
+		return 0;
+	}
+
+	var g1 = centralMoment(values, mean, 3) / Math.pow(m2, 1.5);
+	return g1 * Math.sqrt(count * (count - 1)) / (count - 2);
+};
+
+/**
+ * Get the kurtosis of the values in the series, a measure of the weight of the tails of the distribution. This is the adjusted sample excess kurtosis, which is 0 for a normal distribution.
+ * Missing values and values that aren't numbers are skipped.
+ *
+ * @returns {number} Returns the kurtosis of the number values in the series or NaN when there are less than four numbers.
+ */
+Series.prototype.kurtosis = function () {
+
+	var self = this;
+	var values = getNumbers(self);
+	var count = values.length;
+	if (count < 4) {
+		return NaN;
+	}
+
+	var mean = E.from(values).sum() / count;
+	var m2 = centralMoment(values, mean, 2);
+	if (m2 === 0) {
+		return 0;
+	}
+
+	var g2 = centralMoment(values, mean, 4) / (m2 * m2) - 3;
+	return ((count + 1) * g2 + 6) * (count - 1) / ((count - 2) * (count - 3));
+};
+
 /**
  * Aggregate the values in the series.
  *
@@ -1563,58 +2386,96 @@ Series.prototype.variableWindow = function (comparer, obsoleteSelector) {
 
 	var self = this;
 
-	//todo: make this lazy.
+	return new Series({
+		iterable: {
+			getIterator: function () {
 
-	var input = self.toPairs();
+				var iterator = self.getIterator();
+				var nextPair = null; // The first pair of the next window.
+				var started = false;
+				var curOutput = undefined;
+				var windowIndex = 0;
 
-	var output = [];
+				return {
+					moveNext: function () {
+						if (!started) {
+							started = true;
+							if (iterator.moveNext()) {
+								nextPair = iterator.getCurrent();
+							}
+						}
 
-	if (input.length > 0) {
+						if (!nextPair) {
+							return false; // Nothing left.
+						}
 
-		var startIndex = 0;
-		var takeAmount = 1;
-		var windowIndex = 0;
+						var pairs = [nextPair];
+						nextPair = null;
 
-		var prevPair = input[0]; // 1st pair.
+						while (iterator.moveNext()) {
+							var curPair = iterator.getCurrent();
+							if (!comparer(curPair[1], pairs[pairs.length-1][1])) {
+								nextPair = curPair; // Starts the next window.
+								break;
+							}
 
-		for (var i = 1; i < input.length; ++i) {
+							pairs.push(curPair);
+						}
 
-			var curPair = input[i];
-			
-			if (!comparer(curPair[1], prevPair[1])) {
-				// Flush.
-				output.push([windowIndex, self.skip(startIndex).take(takeAmount)]);
-				++windowIndex;
+						curOutput = [
+							windowIndex,
+							createFromPairs(self, pairs),
+						];
+						++windowIndex;
+						return true;
+					},
 
-				startIndex = i;
-				takeAmount = 1;
-			}
-			else {
-				++takeAmount;
-			}
+					getCurrent: function () {
+						return curOutput;
+					},
+				};
+			},
+		},
+	});
+};
 
-			prevPair = curPair;
-		}
+/**
+ * Resample a series with a date index to regular calendar periods, eg days or months.
+ * Values are bucketed by the period that contains their index. Each period becomes a value of the new series, aggregated from the values in the period.
+ * The new index contains the start of each period and is regularly spaced, periods that contain no values have a null value unless filled as specified in 'options'.
+ * This can be used to downsample (eg daily values to months) or upsample (eg daily values to hours) a time series. The index must be sorted in ascending order.
+ *
+ * @param {string} period - The period to resample to, a number and a unit, eg '1D', '1H', '1W', '1M' or '15min'. Units are S (seconds), min, m or T (minutes), H (hours), D (days), W (weeks, starting on Monday), M (months), Q (quarters) and Y (years).
+ * @param {string|function} aggregation - Aggregates the values in each period: 'sum', 'average' (or 'mean'), 'median', 'min', 'max', 'count', 'std', 'variance', 'mode', 'skew', 'kurtosis', 'first', 'last' or a function that takes a series of values and returns the aggregated value.
+ * @param {object} [options] - Set 'fill' to 'forwardFill', 'backFill' or 'interpolate' to fill the values of periods that contain no values, or set 'fillValue' to fill them with a specific value.
+ *
+ * @returns {Series} Returns a new series with a value for each period.
+ */
+Series.prototype.resample = function (periodString, aggregation, options) {
 
-		if (takeAmount > 0) {
-			output.push([windowIndex, self.skip(startIndex).take(takeAmount)]);
-		}
-	}
+	var resamplePeriod = period.parse(periodString, 'Series.resample');
+	var aggregator = aggregations.create(aggregation);
+	assert(aggregator, "Expected 'aggregation' parameter to 'Series.resample' to be a function or one of mean, " + aggregations.names.join(', ') + ".");
 
-	return new Series({
-			values: E.from(output)
-				.select(function (pair) {
-					return pair[1];
-				})
-				.toArray(),
-			index: new Series({ 
-				values: E.from(output)
-					.select(function (pair) {
-						return pair[0];
-					})
-					.toArray()
-			})
+	var self = this;
+	var resampled = new Series({
+		iterable: {
+			getIterator: function () {
+				return new SelectIterator(
+					new ResampleIterator(self.getIterator(), resamplePeriod),
+					function (pair) {
+						var pairs = pair[1];
+						return [
+							pair[0],
+							pairs.length > 0 ? aggregator(createFromPairs(self, pairs)) : null,
+						];
+					}
+				);
+			},
+		},
 	});
+
+	return missing.applyFillOptions(resampled, options, 'Series.resample');
 };
 
 /**
@@ -1628,12 +2489,17 @@ Series.prototype.insertPair = function (pair) {
 	assert.isArray(pair, "Expected 'pair' parameter to 'Series.insertPair' to be an array.");
 	assert(pair.length === 2, "Expected 'pair' parameter to 'Series.insertPair' to be an array with two elements. The first element is the index, the second is the value.");
 
-	//todo: make this lazy.
-
 	var self = this;
-	var pairs = [pair].concat(self.toPairs());
 	return self.factory({
-		iterable: new ArrayIterable(pairs), 
+		iterable: {
+			getIterator: function () {
+				return new ConcatIterator([new ArrayIterator([pair]), self.getIterator()]);
+			},
+
+			getColumnNames: function () {
+				return determineColumnNamesWithPair(self, pair);
+			},
+		},
 	});
 };
 
@@ -1648,13 +2514,17 @@ Series.prototype.appendPair = function (pair) {
 	assert.isArray(pair, "Expected 'pair' parameter to 'Series.appendPair' to be an array.");
 	assert(pair.length === 2, "Expected 'pair' parameter to 'Series.appendPair' to be an array with two elements. The first element is the index, the second is the value.");
 
-	//todo: make this lazy.
-
 	var self = this;
-	var pairs = self.toPairs();
-	pairs.push(pair);
 	return self.factory({
-		iterable: new ArrayIterable(pairs), 
+		iterable: {
+			getIterator: function () {
+				return new ConcatIterator([self.getIterator(), new ArrayIterator([pair])]);
+			},
+
+			getColumnNames: function () {
+				return determineColumnNamesWithPair(self, pair);
+			},
+		},
 	});
 };
 
@@ -1693,6 +2563,106 @@ Series.prototype.fillGaps = function (predicate, generator) {
 		;
 };
 
+/**
+ * Remove missing values from the series. By default missing values are undefined, null, NaN or empty strings.
+ *
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {Series} Returns a new series with missing values removed.
+ */
+Series.prototype.dropMissing = function (options) {
+
+	var isMissing = missing.getMissingPredicate(options, 'Series.dropMissing');
+
+	var self = this;
+	return self.where(function (value) {
+		return !isMissing(value);
+	});
+};
+
+/**
+ * Replace missing values in the series with a specified value. By default missing values are undefined, null, NaN or empty strings.
+ *
+ * @param {value} value - The value that replaces missing values.
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {Series} Returns a new series with missing values replaced.
+ */
+Series.prototype.fillMissing = function (value, options) {
+
+	var isMissing = missing.getMissingPredicate(options, 'Series.fillMissing');
+
+	var self = this;
+	return self.select(function (existingValue) {
+		return isMissing(existingValue) ? value : existingValue;
+	});
+};
+
+//
+// Create a new series with missing values filled in by the 'fill' function.
+//
+var fillMissingValues = function (self, isMissing, fill, lookahead) {
+	return new Series({
+		iterable: {
+			getIterator: function () {
+				return new FillMissingIterator(self.getIterator(), null, isMissing, fill, lookahead);
+			},
+		},
+	});
+};
+
+/**
+ * Replace missing values in the series with the previous value that isn't missing.
+ * Missing values at the start of the series are not replaced.
+ *
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {Series} Returns a new series with missing values filled forward.
+ */
+Series.prototype.forwardFill = function (options) {
+
+	var isMissing = missing.getMissingPredicate(options, 'Series.forwardFill');
+
+	var self = this;
+	return fillMissingValues(self, isMissing, missing.forwardFill, false);
+};
+
+/**
+ * Replace missing values in the series with the next value that isn't missing.
+ * Missing values at the end of the series are not replaced.
+ *
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {Series} Returns a new series with missing values filled backward.
+ */
+Series.prototype.backFill = function (options) {
+
+	var isMissing = missing.getMissingPredicate(options, 'Series.backFill');
+
+	var self = this;
+	return fillMissingValues(self, isMissing, missing.backFill, true);
+};
+
+/**
+ * Replace missing values in the series by interpolating between the values before and after.
+ * Missing values at the start or end of the series are not replaced.
+ *
+ * @param {string} [method] - 'linear' (the default) treats values as equally spaced, 'time' interpolates based on the index, which must contain dates or numbers.
+ * @param {object} [options] - Set 'isMissing' to a predicate function to change what is considered a missing value.
+ *
+ * @returns {Series} Returns a new series with missing values interpolated.
+ */
+Series.prototype.interpolate = function (method, options) {
+
+	method = method || 'linear';
+	assert(method === 'linear' || method === 'time', "Expected 'method' parameter to 'Series.interpolate' to be 'linear' or 'time'.");
+
+	var isMissing = missing.getMissingPredicate(options, 'Series.interpolate');
+
+	var self = this;
+	return fillMissingValues(self, isMissing, missing.interpolate(method), true);
+};
+
 /**
  * Group the series according to the selector.
  *
@@ -1705,22 +2675,39 @@ Series.prototype.groupBy = function (selector) {
 	assert.isFunction(selector, "Expected 'selector' parameter to 'Series.groupBy' to be a selector function that determines the value to group the series by.")
 	
 	var self = this;
-	var groupedPairs = E.from(self.toPairs())
-		.groupBy(function (pair) {
-			return selector(pair[1]);
-		})
-		.select(function (group) {
-			return [
-				group.key(),
-				new Series({
-					iterable: new ArrayIterable(group.getSource()), 
-				}),
-			];
-		})
-		.toArray();
-
 	return new Series({
-		iterable: new ArrayIterable(groupedPairs),
+		iterable: {
+			getIterator: function () {
+				var groups = new Map();
+				var groupPairs = [];
+
+				var iterator = self.getIterator();
+				while (iterator.moveNext()) {
+					var pair = iterator.getCurrent();
+					if (pair[1] === undefined) {
+						continue;
+					}
+
+					var key = selector(pair[1]);
+					var group = groups.get(key);
+					if (!group) {
+						group = [];
+						groups.set(key, group);
+						groupPairs.push([key, group]);
+					}
+					group.push(pair);
+				}
+
+				return new ArrayIterator(groupPairs.map(function (groupPair) {
+					return [
+						groupPair[0],
+						new Series({
+							iterable: new ArrayIterable(groupPair[1]),
+						}),
+					];
+				}));
+			},
+		},
 	});
 };
 
@@ -1759,27 +2746,21 @@ Series.prototype.groupSequentialBy = function (selector) {
 Series.prototype.at = function (index) {
 
 	var self = this;
-	var iterator = self.iterable.getIterator();
 
-	if (!iterator.moveNext()) {
+	// The index builds a hash map of index values to positions. For a baked series the map is cached,
+	// so the lookup is only expensive the first time, and the value is read directly from the pairs.
+	var position = self.getIndex().getPosition(index);
+	if (position < 0) {
 		return undefined;
 	}
 
-	//
-	// This is pretty expensive.
-	// A specialised index could improve this.
-	//
-
-	do {
-
-		var curPair = iterator.getCurrent();
-		if (curPair[0] === index) {
-			return curPair[1];
-		}
-
-	} while (iterator.moveNext());
+	if (self._fixed) {
+		var pair = self._getFixedPairs()[position];
+		return pair !== undefined ? pair[1] : undefined;
+	}
 
-	return undefined;
+	var iterator = new SkipIterator(self.iterable.getIterator(), position);
+	return iterator.moveNext() ? iterator.getCurrent()[1] : undefined;
 };
 
 /**
@@ -1808,6 +2789,92 @@ Series.prototype.concat = function () {
 	);
 };
 
+//
+// Wrap a join key selector so that it takes an index/value pair and produces a key that can be used with a Map.
+//
+var createPairKeySelector = function (keySelector) {
+	return function (pair) {
+		return utils.toHashKey(keySelector(pair[1], pair[0]));
+	};
+};
+
+//
+// Build a Map of join key to the index/value pairs of the series that have that key.
+//
+var buildJoinLookup = function (series, pairKeySelector) {
+
+	var lookup = new Map();
+	var iterator = series.getIterator();
+	while (iterator.moveNext()) {
+		var pair = iterator.getCurrent();
+		var key = pairKeySelector(pair);
+		var pairs = lookup.get(key);
+		if (!pairs) {
+			pairs = [];
+			lookup.set(key, pairs);
+		}
+		pairs.push(pair);
+	}
+
+	return lookup;
+};
+
+//
+// Create an iterator for the values of a series that have no matching key in the lookup of the other series.
+// Each unmatched value is transformed by the selector.
+//
+var createUnmatchedIterator = function (series, pairKeySelector, otherLookup, selector) {
+	return new SelectIterator(
+		new WhereIterator(series.getIterator(), function (pair) {
+			return !otherLookup.has(pairKeySelector(pair));
+		}),
+		function (pair) {
+			return [pair[0], selector(pair[1])];
+		}
+	);
+};
+
+//
+// Determine the column names of a join result from the first outer and inner values that have matching keys, so the result selector is only called for a real match.
+// Only the inner series is evaluated to find the match, the outer series is evaluated until the match is found.
+// When no values match, the column names are the distinct column names of the outer and inner series.
+//
+var determineJoinColumnNames = function (outer, inner, outerKeySelector, innerKeySelector, resultSelector) {
+
+	var innerLookup = buildJoinLookup(inner, createPairKeySelector(innerKeySelector));
+	var iterator = new HashJoinIterator(outer.getIterator(), createPairKeySelector(outerKeySelector), innerLookup, resultSelector);
+	if (iterator.moveNext()) {
+		var result = iterator.getCurrent()[1];
+		return Object.isObject(result) ? Object.keys(result) : [];
+	}
+
+	return E.from(outer.iterable.getColumnNames())
+		.concat(inner.iterable.getColumnNames())
+		.distinct()
+		.toArray();
+};
+
+//
+// Create a lazily evaluated join result from the concatenation of the iterators returned by 'createIterators'.
+// The index is reset and column names are determined by 'getColumnNames'.
+//
+var createJoinResult = function (factory, createIterators, getColumnNames) {
+	return factory({
+		iterable: {
+			getIterator: function () {
+				return new SelectIterator(
+					new ConcatIterator(createIterators()),
+					function (pair, index) {
+						return [index, pair[1]]; // Reset index.
+					}
+				);
+			},
+
+			getColumnNames: getColumnNames,
+		},
+	});
+};
+
 /**
  * Correlates the elements of two Series or DataFrames based on matching keys.
  *
@@ -1827,24 +2894,21 @@ Series.prototype.join = function (inner, outerKeySelector, innerKeySelector, res
 	assert.isFunction(resultSelector, "Expected 'resultSelector' parameter of 'Series.join' to be a selector function.");
 
 	var outer = this;
-	var joined = E.from(outer.toPairs())
-		.join(
-			inner.toPairs(),
-			function (outerPair) {
-				return outerKeySelector(outerPair[1], outerPair[0]);
-			},
-			function (innerPair) {
-				return innerKeySelector(innerPair[1], innerPair[0]);
-			},
-			function (outerPair, innerPair) {
-				return resultSelector(outerPair[1], innerPair[1]);
-			}
-		)
-		.toArray();
-
-	return new DataFrame({
-		values: joined,
-	});
+	return createJoinResult(
+		function (config) {
+			return new DataFrame(config);
+		},
+		function () {
+			var outerKey = createPairKeySelector(outerKeySelector);
+			var innerLookup = buildJoinLookup(inner, createPairKeySelector(innerKeySelector));
+			return [
+				new HashJoinIterator(outer.getIterator(), outerKey, innerLookup, resultSelector),
+			];
+		},
+		function () {
+			return determineJoinColumnNames(outer, inner, outerKeySelector, innerKeySelector, resultSelector);
+		}
+	);
 };
 
 /**
@@ -1859,10 +2923,6 @@ Series.prototype.join = function (inner, outerKeySelector, innerKeySelector, res
  * @param {function} innerResultSelector - Selector that defines how to extract the inner value before joining it with the outer value.
  * @param {function} mergeSelector - Selector that defines how to combine left and right.
  * 
- * Implementation from here:
- * 
- * 	http://blogs.geniuscode.net/RyanDHatch/?p=116
- * 
  * @returns {Series|DataFrame} Returns the joined series or dataframe. 
  */
 Series.prototype.joinOuter = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector) {
@@ -1873,30 +2933,23 @@ Series.prototype.joinOuter = function (rightSeries, outerKeySelector, innerKeySe
 	assert.isFunction(resultSelector, "Expected 'resultSelector' parameter of 'Series.joinOuter' to be a selector function.");
 
 	var self = this;
-
-	var leftOuter = self.except(rightSeries, function (outer, inner) {
-			return outerKeySelector(outer) === innerKeySelector(inner);
-		})
-		.select(function (outer) { 
-			return resultSelector(outer, null);
-		})
-		;
-
-	var rightOuter = rightSeries.except(self, function (inner, outer) {
-			return outerKeySelector(outer) === innerKeySelector(inner);
-		})
-		.select(function (inner) {
-			return resultSelector(null, inner);
-		})
-		;
-
-	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector);
-
-	return leftOuter
-		.concat(inner)
-		.concat(rightOuter)
-		.resetIndex()
-		;
+	return createJoinResult(self.factory, function () {
+		var outerKey = createPairKeySelector(outerKeySelector);
+		var innerKey = createPairKeySelector(innerKeySelector);
+		var outerLookup = buildJoinLookup(self, outerKey);
+		var innerLookup = buildJoinLookup(rightSeries, innerKey);
+		return [
+			createUnmatchedIterator(self, outerKey, innerLookup, function (outer) {
+				return resultSelector(outer, null);
+			}),
+			new HashJoinIterator(self.getIterator(), outerKey, innerLookup, resultSelector),
+			createUnmatchedIterator(rightSeries, innerKey, outerLookup, function (inner) {
+				return resultSelector(null, inner);
+			}),
+		];
+	}, function () {
+		return determineJoinColumnNames(self, rightSeries, outerKeySelector, innerKeySelector, resultSelector);
+	});
 };
 
 /**
@@ -1911,10 +2964,6 @@ Series.prototype.joinOuter = function (rightSeries, outerKeySelector, innerKeySe
  * @param {function} innerResultSelector - Selector that defines how to extract the inner value before joining it with the outer value.
  * @param {function} mergeSelector - Selector that defines how to combine left and right.
  * 
- * Implementation from here:
- * 
- * 	http://blogs.geniuscode.net/RyanDHatch/?p=116
- * 
  * @returns {Series|DataFrame} Returns the joined series or dataframe. 
  */
 Series.prototype.joinOuterLeft = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector) {
@@ -1925,21 +2974,18 @@ Series.prototype.joinOuterLeft = function (rightSeries, outerKeySelector, innerK
 	assert.isFunction(resultSelector, "Expected 'resultSelector' parameter of 'Series.joinOuterLeft' to be a selector function.");
 
 	var self = this;
-
-	var leftOuter = self.except(rightSeries, function (outer, inner) {
-			return outerKeySelector(outer) === innerKeySelector(inner);
-		})
-		.select(function (outer) { 
-			return resultSelector(outer, null);
-		})
-		;
-
-	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector);
-
-	return leftOuter
-		.concat(inner)
-		.resetIndex()
-		;
+	return createJoinResult(self.factory, function () {
+		var outerKey = createPairKeySelector(outerKeySelector);
+		var innerLookup = buildJoinLookup(rightSeries, createPairKeySelector(innerKeySelector));
+		return [
+			createUnmatchedIterator(self, outerKey, innerLookup, function (outer) {
+				return resultSelector(outer, null);
+			}),
+			new HashJoinIterator(self.getIterator(), outerKey, innerLookup, resultSelector),
+		];
+	}, function () {
+		return determineJoinColumnNames(self, rightSeries, outerKeySelector, innerKeySelector, resultSelector);
+	});
 };
 
 /**
@@ -1954,10 +3000,6 @@ Series.prototype.joinOuterLeft = function (rightSeries, outerKeySelector, innerK
  * @param {function} innerResultSelector - Selector that defines how to extract the inner value before joining it with the outer value.
  * @param {function} mergeSelector - Selector that defines how to combine left and right.
  * 
- * Implementation from here:
- * 
- * 	http://blogs.geniuscode.net/RyanDHatch/?p=116
- * 
  * @returns {Series|DataFrame} Returns the joined series or dataframe. 
  */
 Series.prototype.joinOuterRight = function (rightSeries, outerKeySelector, innerKeySelector, resultSelector) {
@@ -1968,21 +3010,20 @@ Series.prototype.joinOuterRight = function (rightSeries, outerKeySelector, inner
 	assert.isFunction(resultSelector, "Expected 'resultSelector' parameter of 'Series.joinOuterRight' to be a selector function.");
 
 	var self = this;
-
-	var rightOuter = rightSeries.except(self, function (inner, outer) {
-			return outerKeySelector(outer) === innerKeySelector(inner);
-		})
-		.select(function (inner) {
-			return resultSelector(null, inner);
-		})
-		;
-
-	var inner = self.join(rightSeries, outerKeySelector, innerKeySelector, resultSelector);
-
-	return inner
-		.concat(rightOuter)
-		.resetIndex()
-		;
+	return createJoinResult(self.factory, function () {
+		var outerKey = createPairKeySelector(outerKeySelector);
+		var innerKey = createPairKeySelector(innerKeySelector);
+		var outerLookup = buildJoinLookup(self, outerKey);
+		var innerLookup = buildJoinLookup(rightSeries, innerKey);
+		return [
+			new HashJoinIterator(self.getIterator(), outerKey, innerLookup, resultSelector),
+			createUnmatchedIterator(rightSeries, innerKey, outerLookup, function (inner) {
+				return resultSelector(null, inner);
+			}),
+		];
+	}, function () {
+		return determineJoinColumnNames(self, rightSeries, outerKeySelector, innerKeySelector, resultSelector);
+	});
 };
 
 /**
@@ -2123,8 +3164,47 @@ Series.prototype.asPairs = function () {
 };
 
 
+//
+// Create a new series or dataframe from a range of the series that is found by searching the index.
+// When the index is sorted 'getRange' is called with the index to find the start and end positions (the end is exclusive and is undefined for the end of the series) using binary search.
+// Otherwise the series or dataframe from 'getUnsorted' is used, which scans the index.
+// For a baked series the range is read directly from the pairs, other series (including series created from arrays, which the caller can change) are evaluated again each time they are iterated.
+//
+var sliceByIndex = function (self, getRange, getUnsorted) {
+	return self.factory({
+		iterable: {
+			getIterator: function () {
+				var index = self.getIndex();
+				if (!self._fixed) {
+					index = new Index({ values: index.toArray() }); // Evaluate the index once for this iteration.
+					index._fixed = true;
+				}
+
+				if (!index.isSorted()) {
+					return getUnsorted().getIterator();
+				}
+
+				var range = getRange(index);
+				if (self._fixed) {
+					return new ArrayIterator(self._getFixedPairs().slice(range.start, range.end));
+				}
+
+				var iterator = new SkipIterator(self.getIterator(), range.start);
+				return range.end !== undefined
+					? new TakeIterator(iterator, range.end - range.start)
+					: iterator;
+			},
+
+			getColumnNames: function () {
+				return self.iterable.getColumnNames();
+			},
+		},
+	});
+};
+
 /**
  * Get a new series or dataframe starting at the specified index value.
+ * When the index is sorted the start is found with a binary search.
  * 
  * @param {value} indexValue - The value to search for before starting the new Series or DataFrame.
  * 
@@ -2133,17 +3213,27 @@ Series.prototype.asPairs = function () {
 Series.prototype.startAt = function (indexValue) {
 
 	var self = this;
-	var lessThan = self.getIndex().getLessThan();
-	return self.asPairs()
-		.skipWhile(function (pair) {
-			return lessThan(pair[0], indexValue);
-		})
-		.asValues()
-		;
+	return sliceByIndex(self,
+		function (index) {
+			return {
+				start: index.getLowerBound(indexValue),
+			};
+		},
+		function () {
+			var lessThan = self.getIndex().getLessThan();
+			return self.asPairs()
+				.skipWhile(function (pair) {
+					return lessThan(pair[0], indexValue);
+				})
+				.asValues()
+				;
+		}
+	);
 };
 
 /**
  * Get a new series or dataframe ending at the specified index value (inclusive).
+ * When the index is sorted the end is found with a binary search.
  * 
  * @param {value} indexValue - The value to search for before ending the new Series or DataFrame.
  * 
@@ -2152,17 +3242,28 @@ Series.prototype.startAt = function (indexValue) {
 Series.prototype.endAt = function (indexValue) {
 
 	var self = this;
-	var greaterThan = self.getIndex().getGreaterThan();
-	return self.asPairs()
-		.takeUntil(function (pair) {
-			return greaterThan(pair[0], indexValue);
-		})
-		.asValues()
-		;
+	return sliceByIndex(self,
+		function (index) {
+			return {
+				start: 0,
+				end: index.getUpperBound(indexValue),
+			};
+		},
+		function () {
+			var greaterThan = self.getIndex().getGreaterThan();
+			return self.asPairs()
+				.takeUntil(function (pair) {
+					return greaterThan(pair[0], indexValue);
+				})
+				.asValues()
+				;
+		}
+	);
 };
 
 /**
  * Get a new series or dataframe with all values before the specified index value (exclusive).
+ * When the index is sorted the end is found with a binary search.
  * 
  * @param {value} indexValue - The value to search for while taking values.
  * 
@@ -2171,17 +3272,28 @@ Series.prototype.endAt = function (indexValue) {
 Series.prototype.before = function (indexValue) {
 
 	var self = this;
-	var lessThan = self.getIndex().getLessThan();
-	return self.asPairs()
-		.takeWhile(function (pair) {
-			return lessThan(pair[0], indexValue);
-		})
-		.asValues()
-		;
+	return sliceByIndex(self,
+		function (index) {
+			return {
+				start: 0,
+				end: index.getLowerBound(indexValue),
+			};
+		},
+		function () {
+			var lessThan = self.getIndex().getLessThan();
+			return self.asPairs()
+				.takeWhile(function (pair) {
+					return lessThan(pair[0], indexValue);
+				})
+				.asValues()
+				;
+		}
+	);
 };
 
 /**
  * Get a new series or dataframe with all values after the specified index value (exclusive).
+ * When the index is sorted the start is found with a binary search.
  * 
  * @param {value} indexValue - The value to search for while taking values.
  * 
@@ -2190,17 +3302,27 @@ Series.prototype.before = function (indexValue) {
 Series.prototype.after = function (indexValue) {
 
 	var self = this;
-	var greaterThan = self.getIndex().getGreaterThan();
-	return self.asPairs()
-		.skipUntil(function (pair) {
-			return greaterThan(pair[0], indexValue);
-		})
-		.asValues()
-		;
+	return sliceByIndex(self,
+		function (index) {
+			return {
+				start: index.getUpperBound(indexValue),
+			};
+		},
+		function () {
+			var greaterThan = self.getIndex().getGreaterThan();
+			return self.asPairs()
+				.skipUntil(function (pair) {
+					return greaterThan(pair[0], indexValue);
+				})
+				.asValues()
+				;
+		}
+	);
 };
 
 /**
  * Get a new series or dataframe with all values between the specified index values (inclusive).
+ * When the index is sorted the start and end are found with a binary search.
  * 
  * @param {value} startIndexValue - The index where the new sequence starts. 
  * @param {value} endIndexValue - The index where the new sequence ends.
@@ -2210,7 +3332,18 @@ Series.prototype.after = function (indexValue) {
 Series.prototype.between = function (startIndexValue, endIndexValue) {
 
 	var self = this;
-	return self.startAt(startIndexValue).endAt(endIndexValue); 
+	return sliceByIndex(self,
+		function (index) {
+			var start = index.getLowerBound(startIndexValue);
+			return {
+				start: start,
+				end: Math.max(start, index.getUpperBound(endIndexValue)),
+			};
+		},
+		function () {
+			return self.startAt(startIndexValue).endAt(endIndexValue); 
+		}
+	);
 };
 
 /**
@@ -0,0 +1,376 @@
+'use strict';
+
+//
+// Reading text files with fixed-width columns or with columns pulled out by a regular expression, and writing text files with fixed-width columns.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+var extend = require('extend');
+var moment = require('moment');
+var schema = require('./schema');
+
+//
+// Split text into lines, with any line terminator.
+//
+var splitLines = function (text) {
+	return text.split(/\r\n|\n|\r/);
+};
+
+//
+// Check an optional field of options passed to a function that is a number of characters or lines.
+//
+var checkCount = function (options, fieldName, minimum, functionName) {
+	if (options[fieldName] !== undefined) {
+		assert(typeof options[fieldName] === 'number' && options[fieldName] >= minimum && options[fieldName] % 1 === 0, "Expected '" + fieldName + "' field of 'config' parameter to '" + functionName + "' to be a whole number of at least " + minimum + ".");
+	}
+};
+
+//
+// Check the fields of the definition of a fixed-width column passed to a function.
+//
+var checkColumn = function (column, columnIndex, functionName) {
+
+	var message = "Expected column " + columnIndex + " of 'columns' field of 'config' parameter to '" + functionName + "'";
+	assert.isObject(column, message + " to be an object with a 'name', 'start' and 'width'.");
+	assert(typeof column.name === 'string' && column.name.length > 0, message + " to have a 'name' that is a non-empty string.");
+
+	['start', 'width'].forEach(function (fieldName) {
+		if (column[fieldName] !== undefined) {
+			assert(typeof column[fieldName] === 'number' && column[fieldName] >= (fieldName === 'width' ? 1 : 0) && column[fieldName] % 1 === 0, message + " to have a '" + fieldName + "' that is a number of characters.");
+		}
+	});
+
+	if (column.align !== undefined) {
+		assert(column.align === 'left' || column.align === 'right', message + " to have an 'align' of 'left' or 'right'.");
+	}
+};
+
+//
+// Check the definitions of fixed-width columns passed to a function. Returns the columns with the start of each column resolved,
+// a column without a 'start' starts where the previous column ends.
+//
+var resolveColumns = function (columns, functionName) {
+
+	var end = 0;
+	return columns.map(function (column, columnIndex) {
+		checkColumn(column, columnIndex, functionName);
+
+		assert(column.width !== undefined || columnIndex === columns.length - 1, "Expected column " + columnIndex + " of 'columns' field of 'config' parameter to '" + functionName + "' to have a 'width', only the last column can extend to the end of the line.");
+
+		var start = column.start !== undefined ? column.start : end;
+		end = start + column.width;
+		return {
+			name: column.name,
+			start: start,
+			width: column.width,
+			type: column.type,
+			format: column.format,
+			align: column.align,
+		};
+	});
+};
+
+//
+// Create a function that converts the text of a field to the type of its column. Fields that can't be converted are left as text.
+//
+var createConverter = function (column, functionName) {
+
+	if (!column.type) {
+		return function (text) {
+			return text;
+		};
+	}
+
+	var schemaFields = { type: column.type };
+	if (column.format !== undefined) {
+		schemaFields.format = column.format;
+	}
+
+	var columnSchemas = {};
+	columnSchemas[column.name] = schemaFields;
+
+	var columnSchema = schema.parse(columnSchemas, functionName)[0];
+	return function (text) {
+		var result = schema.check(text, columnSchema);
+		return result.rule === 'type' ? text : result.value;
+	};
+};
+
+//
+// Convert a value to the text of a fixed-width field.
+//
+var formatValue = function (value, column) {
+
+	if (value === undefined || value === null) {
+		return '';
+	}
+
+	if (Object.isDate(value)) {
+		return column.format ? moment(value).format(column.format) : value.toISOString();
+	}
+
+	return String(value);
+};
+
+//
+// Pad text to the width of a column.
+//
+var pad = function (text, width, align) {
+	var padding = new Array(width - text.length + 1).join(' ');
+	return align === 'right' ? padding + text : text + padding;
+};
+
+//
+// Format a line of fixed-width text from a row of values, in the order of the column names, for the layout from 'layoutFixedWidth'.
+// Values wider than their column are an error.
+//
+var formatLine = function (row, layout, functionName) {
+
+	var line = '';
+	layout.forEach(function (column) {
+		var value = row[column.columnIndex];
+		var text = formatValue(value, column);
+		if (text.length > column.width) {
+			throw new Error("Value '" + text + "' of column '" + column.name + "' passed to '" + functionName + "' is wider than the column, which is " + column.width + " characters.");
+		}
+
+		line = pad(line, column.start, 'left') + pad(text, column.width, column.align || (typeof value === 'number' ? 'right' : 'left'));
+	});
+
+	return line;
+};
+
+module.exports = {
+
+	splitLines: splitLines,
+
+	//
+	// Check and normalize the options for reading fixed-width text passed to a function: 'columns' (an array of columns, each with a 'name', the zero-based 'start' character,
+	// which defaults to the end of the previous column, and the 'width' in characters, which defaults to the rest of the line for the last column), a column can also have a 'type'
+	// and a 'format' to convert its values to, as for a schema for 'DataFrame.withSchema', and 'skipRows' (the number of leading lines to ignore).
+	//
+	parseFixedWidthOptions: function (config, functionName) {
+
+		assert.isObject(config, "Expected 'config' parameter to '" + functionName + "' to be an object with the 'columns' of the fixed-width text.");
+		assert(Object.isArray(config.columns) && config.columns.length > 0, "Expected 'columns' field of 'config' parameter to '" + functionName + "' to be an array of columns, each with a 'name', 'start' and 'width'.");
+		checkCount(config, 'skipRows', 0, functionName);
+
+		var columns = resolveColumns(config.columns, functionName);
+		return {
+			columns: columns,
+			converters: columns.map(function (column) {
+				return createConverter(column, functionName);
+			}),
+			skipRows: config.skipRows || 0,
+		};
+	},
+
+	//
+	// Parse fixed-width text to an object with the 'columnNames' and the 'rows' (each an array of values), as specified by options from 'parseFixedWidthOptions'.
+	// Fields are trimmed, empty fields are undefined and blank lines are ignored.
+	//
+	parseFixedWidth: function (text, options) {
+
+		return {
+			columnNames: options.columns.map(function (column) {
+				return column.name;
+			}),
+			rows: E.from(splitLines(text))
+				.skip(options.skipRows)
+				.where(function (line) {
+					return line.trim().length > 0;
+				})
+				.select(function (line) {
+					return options.columns.map(function (column, columnIndex) {
+						var field = (column.width !== undefined ? line.substr(column.start, column.width) : line.substring(column.start)).trim();
+						return field.length > 0 ? options.converters[columnIndex](field) : undefined;
+					});
+				})
+				.toArray(),
+		};
+	},
+
+	//
+	// Check and normalize the options for reading text with a regular expression passed to a function: 'pattern' (a regular expression, or a string for one, that matches a line
+	// with a capture group for each column), 'columnNames' (defaults to the names of named capture groups, or Column1, Column2 and so on), 'skipUnmatched' (true to ignore lines
+	// that don't match the pattern, otherwise they are an error) and 'skipRows' (the number of leading lines to ignore).
+	//
+	parseTextOptions: function (config, functionName) {
+
+		assert.isObject(config, "Expected 'config' parameter to '" + functionName + "' to be an object with the 'pattern' that matches each line.");
+		assert(config.pattern instanceof RegExp || typeof config.pattern === 'string', "Expected 'pattern' field of 'config' parameter to '" + functionName + "' to be a regular expression that matches each line.");
+		checkCount(config, 'skipRows', 0, functionName);
+
+		if (config.columnNames !== undefined) {
+			assert.isArray(config.columnNames, "Expected 'columnNames' field of 'config' parameter to '" + functionName + "' to be an array of strings that specify column names.");
+		}
+
+		if (config.skipUnmatched !== undefined) {
+			assert.isBoolean(config.skipUnmatched, "Expected 'skipUnmatched' field of 'config' parameter to '" + functionName + "' to be true or false.");
+		}
+
+		// The pattern is recreated without the global and sticky flags, so matching a line doesn't depend on the previous match.
+		var pattern = config.pattern instanceof RegExp
+			? new RegExp(config.pattern.source, config.pattern.flags.replace(/[gy]/g, ''))
+			: new RegExp(config.pattern);
+
+		var numGroups = new RegExp('|' + pattern.source).exec('').length - 1;
+		var groupNames = (pattern.source.match(/\(\?<([a-zA-Z_$][\w$]*)>/g) || [])
+			.map(function (group) {
+				return group.substring(3, group.length - 1);
+			});
+
+		var columnNames = config.columnNames ||
+			(groupNames.length > 0
+				? groupNames
+				: E.range(1, numGroups)
+					.select(function (columnNumber) {
+						return 'Column' + columnNumber;
+					})
+					.toArray());
+
+		assert(columnNames.length > 0, "Expected 'pattern' field of 'config' parameter to '" + functionName + "' to have a capture group for each column.");
+
+		return {
+			pattern: pattern,
+			useGroupNames: !config.columnNames && groupNames.length > 0,
+			columnNames: columnNames,
+			skipUnmatched: !!config.skipUnmatched,
+			skipRows: config.skipRows || 0,
+		};
+	},
+
+	//
+	// Parse text with a regular expression to an object with the 'columnNames' and the 'rows' (each an array of the text of the capture groups), as specified by options from 'parseTextOptions'.
+	// Blank lines are ignored. Lines that don't match are an error unless 'skipUnmatched' is set.
+	//
+	parseText: function (text, options, functionName) {
+
+		return {
+			columnNames: options.columnNames,
+			rows: E.from(splitLines(text))
+				.select(function (line, lineIndex) {
+					return { line: line, lineNumber: lineIndex + 1 };
+				})
+				.skip(options.skipRows)
+				.where(function (entry) {
+					return entry.line.trim().length > 0;
+				})
+				.select(function (entry) {
+					var match = options.pattern.exec(entry.line);
+					if (!match) {
+						if (options.skipUnmatched) {
+							return null;
+						}
+
+						throw new Error("Line " + entry.lineNumber + " of text passed to '" + functionName + "' doesn't match the pattern " + options.pattern + ".");
+					}
+
+					return options.columnNames.map(function (columnName, columnIndex) {
+						return options.useGroupNames ? match.groups[columnName] : match[columnIndex + 1];
+					});
+				})
+				.where(function (row) {
+					return row !== null;
+				})
+				.toArray(),
+		};
+	},
+
+	//
+	// Check and normalize the options for writing fixed-width text passed to a function: 'columns' (an array of columns to write, each with a 'name' and optionally the zero-based 'start'
+	// character, which defaults to the end of the previous column, the 'width' in characters, which defaults to the widest value, 'align', which defaults to right for numbers and left for
+	// other values, and the 'format' of dates, defaults to all columns), 'header' (true to start with a line of column names) and 'newline' (the line terminator, defaults to '\n').
+	//
+	parseFixedWidthWriteOptions: function (options, functionName) {
+
+		options = options || {};
+		assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object with options for fixed-width text.");
+
+		if (options.columns !== undefined) {
+			assert(Object.isArray(options.columns) && options.columns.length > 0, "Expected 'columns' field of 'options' parameter to '" + functionName + "' to be an array of columns, each with a 'name' and 'width'.");
+			options.columns.forEach(function (column, columnIndex) {
+				checkColumn(column, columnIndex, functionName);
+			});
+		}
+
+		if (options.header !== undefined) {
+			assert.isBoolean(options.header, "Expected 'header' field of 'options' parameter to '" + functionName + "' to be true or false.");
+		}
+
+		if (options.newline !== undefined) {
+			assert.isString(options.newline, "Expected 'newline' field of 'options' parameter to '" + functionName + "' to be a string.");
+		}
+
+		return {
+			columns: options.columns,
+			header: !!options.header,
+			newline: options.newline !== undefined ? options.newline : '\n',
+		};
+	},
+
+	//
+	// Determine the layout of fixed-width columns for writing, as specified by options from 'parseFixedWidthWriteOptions'.
+	// 'getRows' is called to get the rows (each an array of values in the order of the column names) only when the width of a column is determined by its widest value.
+	//
+	layoutFixedWidth: function (columnNames, options, getRows, functionName) {
+
+		var columns = options.columns || columnNames.map(function (columnName) {
+			return { name: columnName };
+		});
+
+		columns.forEach(function (column) {
+			assert(columnNames.indexOf(column.name) >= 0, "Expected column '" + column.name + "' passed to '" + functionName + "' to be a column of the dataframe.");
+		});
+
+		var needsWidths = columns.some(function (column) {
+			return column.width === undefined;
+		});
+
+		var rows = needsWidths ? getRows() : [];
+		var end = 0;
+
+		return columns.map(function (column) {
+			var columnIndex = columnNames.indexOf(column.name);
+			var texts = rows.map(function (row) {
+				return formatValue(row[columnIndex], column);
+			});
+
+			var width = column.width !== undefined
+				? column.width
+				: Math.max(1, options.header ? column.name.length : 0, E.from(texts).select(function (text) { return text.length; }).defaultIfEmpty(0).max());
+			var start = column.start !== undefined ? column.start : end;
+			assert(start >= end, "Expected column '" + column.name + "' passed to '" + functionName + "' to start after the end of the previous column.");
+			end = start + width;
+
+			return {
+				name: column.name,
+				columnIndex: columnIndex,
+				start: start,
+				width: width,
+				align: column.align,
+				format: column.format,
+			};
+		});
+	},
+
+	formatFixedWidthLine: formatLine,
+
+	//
+	// Format the line of column names of fixed-width text, for the layout from 'layoutFixedWidth'.
+	//
+	formatFixedWidthHeader: function (layout, functionName) {
+		var columnNames = layout.map(function (column) {
+			return column.name;
+		});
+
+		return formatLine(
+			columnNames,
+			layout.map(function (column, columnIndex) {
+				return extend({}, column, { columnIndex: columnIndex });
+			}),
+			functionName
+		);
+	},
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+//
+// Transformations of values that depend on their position relative to other values: shift, diff, cumulative operations and rank.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+var missing = require('./missing');
+
+//
+// Create a function for a cumulative operation. Values that aren't numbers are passed through and don't affect the result.
+//
+var createCumulative = function (combine) {
+	return function () {
+		var result = null;
+		return function (value) {
+			if (typeof value !== 'number' || isNaN(value)) {
+				return value;
+			}
+
+			result = result === null ? value : combine(result, value);
+			return result;
+		};
+	};
+};
+
+//
+// Convert a value to a value that can be compared with < and > for ranking.
+//
+var toComparable = function (value) {
+	return value instanceof Date ? value.getTime() : value;
+};
+
+//
+// Compute the rank of the value at each position for each method of ranking equal values.
+// 'start' and 'end' are the 1-based positions of a run of equal values in sorted order, 'position' is the 1-based position of a value within the run and 'denseRank' is the number of distinct values so far.
+//
+var rankMethods = {
+	average: function (start, end) {
+		return (start + end) / 2;
+	},
+	min: function (start) {
+		return start;
+	},
+	max: function (start, end) {
+		return end;
+	},
+	first: function (start, end, position) {
+		return position;
+	},
+	dense: function (start, end, position, denseRank) {
+		return denseRank;
+	},
+};
+
+module.exports = {
+
+	//
+	// Check that the number of positions passed to shift or diff is an integer.
+	//
+	checkOffset: function (numPositions, functionName) {
+		assert.isNumber(numPositions, "Expected 'numPositions' parameter to '" + functionName + "' to be an integer.");
+		assert(numPositions % 1 === 0, "Expected 'numPositions' parameter to '" + functionName + "' to be an integer.");
+	},
+
+	//
+	// Combine a value with the value at an offset for shift, the value is replaced by the value at the offset.
+	//
+	shift: function (value, otherValue) {
+		return otherValue;
+	},
+
+	//
+	// Combine a value with the value at an offset for diff, the difference of the value from the value at the offset.
+	// The difference is null when either value isn't a number.
+	//
+	diff: function (value, otherValue) {
+		if (typeof value !== 'number' || typeof otherValue !== 'number') {
+			return null;
+		}
+
+		return value - otherValue;
+	},
+
+	cumsum: createCumulative(function (result, value) {
+		return result + value;
+	}),
+
+	cumprod: createCumulative(function (result, value) {
+		return result * value;
+	}),
+
+	cummin: createCumulative(Math.min),
+
+	cummax: createCumulative(Math.max),
+
+	rankMethods: Object.keys(rankMethods),
+
+	//
+	// Rank an array of values in ascending order, ranks start at 1. Missing values have a null rank.
+	// 'method' determines the rank of equal values: 'average', 'min', 'max', 'first' (in order of position) or 'dense' (like min, but ranks increase by 1 between distinct values).
+	//
+	rank: function (values, method) {
+
+		var computeRank = rankMethods[method];
+		var ranks = values.map(function () {
+			return null;
+		});
+
+		var sorted = E.from(values)
+			.select(function (value, position) {
+				return {
+					value: toComparable(value),
+					position: position,
+				};
+			})
+			.where(function (entry) {
+				return !missing.isMissing(entry.value);
+			})
+			.orderBy(function (entry) {
+				return entry.value;
+			})
+			.thenBy(function (entry) {
+				return entry.position;
+			})
+			.toArray();
+
+		var denseRank = 0;
+		var start = 0;
+		while (start < sorted.length) {
+			var end = start;
+			while (end + 1 < sorted.length && sorted[end + 1].value === sorted[start].value) {
+				++end;
+			}
+
+			++denseRank;
+			for (var runPosition = start; runPosition <= end; ++runPosition) {
+				ranks[sorted[runPosition].position] = computeRank(start + 1, end + 1, runPosition + 1, denseRank);
+			}
+
+			start = end + 1;
+		}
+
+		return ranks;
+	},
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+//
+// Inference of the types of columns of string values, eg for CSV data.
+//
+
+var assert = require('chai').assert;
+var moment = require('moment');
+var missing = require('./missing');
+var schema = require('./schema');
+var Series = require('./series');
+var DataFrame = require('./dataframe');
+
+var numberPattern = /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+
+//
+// Replace the decimal separator of a string that represents a number with a decimal point. Other values are returned unchanged.
+//
+var normalizeDecimal = function (value, decimalSeparator) {
+
+	if (typeof value !== 'string' || !decimalSeparator || decimalSeparator === '.' || value.indexOf('.') >= 0) {
+		return value;
+	}
+
+	var normalized = value.replace(decimalSeparator, '.');
+	return numberPattern.test(normalized) ? normalized : value;
+};
+
+//
+// Parse a string to the most specific type it represents: number, boolean, date or string.
+// Dates are parsed strictly, either in the specified format or as ISO 8601. Numbers can have a decimal separator other than a decimal point. Missing values are parsed to undefined.
+//
+var parseValue = function (value, dateFormat, decimalSeparator) {
+
+	if (missing.isMissing(value)) {
+		return undefined;
+	}
+
+	if (typeof value !== 'string') {
+		return value;
+	}
+
+	value = normalizeDecimal(value, decimalSeparator);
+	if (numberPattern.test(value)) {
+		return Number(value);
+	}
+
+	var lowerCase = value.toLowerCase();
+	if (lowerCase === 'true') {
+		return true;
+	}
+
+	if (lowerCase === 'false') {
+		return false;
+	}
+
+	var date = moment(value, dateFormat || moment.ISO_8601, true);
+	if (date.isValid()) {
+		return date.toDate();
+	}
+
+	return value;
+};
+
+//
+// Get the type of a value, with the same type names as 'Series.detectTypes'.
+//
+var getType = function (value) {
+	return Object.isDate(value) ? 'date' : typeof(value);
+};
+
+//
+// Check and normalize the options for type inference passed to a function, either true or an object with options.
+//
+var parseOptions = function (options, functionName) {
+
+	if (options === true) {
+		options = {};
+	}
+
+	var message = "Expected 'inferTypes' field of 'config' parameter to '" + functionName + "' to be true or an object with options for type inference";
+	assert.isObject(options, message + ".");
+
+	if (options.sampleSize !== undefined) {
+		assert(typeof options.sampleSize === 'number' && options.sampleSize > 0, message + ", with 'sampleSize' a positive number of rows.");
+	}
+
+	if (options.dateFormat !== undefined) {
+		assert.isString(options.dateFormat, message + ", with 'dateFormat' a string.");
+	}
+
+	if (options.columnTypes !== undefined) {
+		assert.isObject(options.columnTypes, message + ", with 'columnTypes' an object that maps column names to types.");
+	}
+
+	if (options.onMixedTypes !== undefined) {
+		assert.isFunction(options.onMixedTypes, message + ", with 'onMixedTypes' a function.");
+	}
+
+	return {
+		sampleSize: options.sampleSize || 1000,
+		dateFormat: options.dateFormat,
+		columnSchemas: options.columnTypes ? schema.parse(options.columnTypes, functionName) : [],
+		onMixedTypes: options.onMixedTypes,
+	};
+};
+
+//
+// Create a function that converts the values of a column with an overridden type. Values that can't be converted are left as they are.
+//
+var createOverrideConverter = function (columnSchema, decimalSeparator) {
+	var isNumber = ['int', 'float', 'number'].indexOf(columnSchema.type) >= 0;
+	return function (value) {
+		var result = schema.check(isNumber ? normalizeDecimal(value, decimalSeparator) : value, columnSchema);
+		return result.rule === 'type' ? value : result.value;
+	};
+};
+
+//
+// Create a function that converts the values of a column to the inferred type. Values that aren't of that type are left as they are.
+//
+var createInferredConverter = function (type, dateFormat, decimalSeparator) {
+	return function (value) {
+		var parsed = parseValue(value, dateFormat, decimalSeparator);
+		return parsed === undefined || getType(parsed) === type ? parsed : value;
+	};
+};
+
+module.exports = {
+
+	parseValue: parseValue,
+
+	//
+	// Convert the columns of rows of string values to the types inferred from a sample of the rows.
+	// The type of a column is determined by 'Series.detectTypes' from the sampled values parsed to number, boolean, date or string, missing values are ignored.
+	// Columns with values of more than one type are left as strings and reported to the 'onMixedTypes' option.
+	// The options are true or an object with 'sampleSize' (the number of rows sampled), 'dateFormat' (the format of dates, defaults to ISO 8601),
+	// 'columnTypes' (maps column names to types, in the format of a schema for 'DataFrame.withSchema', that override the inferred types) and 'onMixedTypes'.
+	// 'decimalSeparator' is the decimal separator of numbers, when it isn't a decimal point.
+	//
+	convertRows: function (columnNames, rows, options, functionName, decimalSeparator) {
+
+		options = parseOptions(options, functionName);
+
+		var sample = rows.slice(0, options.sampleSize);
+		var mixedTypes = [];
+
+		var converters = columnNames.map(function (columnName, columnIndex) {
+			var overrides = options.columnSchemas.filter(function (columnSchema) {
+				return columnSchema.columnName === columnName;
+			});
+			if (overrides.length > 0) {
+				return createOverrideConverter(overrides[0], decimalSeparator);
+			}
+
+			var types = new Series({
+					values: sample.map(function (row) {
+						return parseValue(row[columnIndex], options.dateFormat, decimalSeparator);
+					}),
+				})
+				.dropMissing()
+				.detectTypes()
+				.toArray();
+
+			if (types.length > 1) {
+				types.forEach(function (type) {
+					mixedTypes.push([columnName, type.Type, type.Frequency]);
+				});
+				return null;
+			}
+
+			if (types.length === 0 || types[0].Type === 'string') {
+				return null;
+			}
+
+			return createInferredConverter(types[0].Type, options.dateFormat, decimalSeparator);
+		});
+
+		if (mixedTypes.length > 0 && options.onMixedTypes) {
+			options.onMixedTypes(new DataFrame({
+				columnNames: ["Column", "Type", "Frequency"],
+				values: mixedTypes,
+			}));
+		}
+
+		return rows.map(function (row) {
+			return row.map(function (value, columnIndex) {
+				var converter = converters[columnIndex];
+				return converter ? converter(value) : value;
+			});
+		});
+	},
+};
@@ -14,4 +14,15 @@ module.exports = {
 			.toArray();
 	},
 
+	//
+	// Normalize a value so that equivalent values can be matched when used as the key of a Map.
+	//
+	toHashKey: function (value) {
+		if (value instanceof Date) {
+			return value.getTime();
+		}
+
+		return value;
+	},
+
 };
\ No newline at end of file
@@ -0,0 +1,274 @@
+'use strict';
+
+//
+// Reading and writing XLSX spreadsheets (Excel workbooks), via the pure JavaScript xlsx library.
+//
+
+var assert = require('chai').assert;
+var E = require('linq');
+var extend = require('extend');
+var XLSX = require('xlsx');
+
+var rangePattern = /^[A-Z]+[1-9]\d*(:[A-Z]+[1-9]\d*)?$/i;
+
+//
+// Check that data passed to a function is the binary content of a workbook.
+//
+var checkData = function (data, functionName) {
+	assert(Buffer.isBuffer(data) || data instanceof ArrayBuffer || data instanceof Uint8Array, "Expected 'data' parameter to '" + functionName + "' to be a Buffer (or ArrayBuffer) containing data in the XLSX format.");
+};
+
+//
+// Convert a value to a cell of a worksheet. Numbers, dates, booleans and strings are written as cells of the same type, other values are written as strings.
+//
+var toCellValue = function (value) {
+	if (value === undefined ||
+		value === null ||
+		typeof value === 'number' ||
+		typeof value === 'boolean' ||
+		typeof value === 'string' ||
+		Object.isDate(value)) {
+		return value;
+	}
+
+	return value.toString();
+};
+
+//
+// Name columns that have no name in the header row by their position.
+//
+var toColumnName = function (value, columnIndex) {
+	if (value === undefined || value === null || value === '') {
+		return 'Column' + (columnIndex + 1);
+	}
+
+	return Object.isDate(value) ? value.toISOString() : String(value).trim();
+};
+
+//
+// Check and normalize the options for reading a worksheet passed to a function: 'sheet' (the name or zero-based index of the worksheet, defaults to the first worksheet),
+// 'range' (the cells to read in A1 notation, eg 'B2:E20', defaults to all cells of the worksheet) and 'headerRow' (the row number of the column names, as shown in Excel,
+// defaults to the first row of the range unless 'columnNames' is specified, false when there is no row of column names).
+//
+var parseReadOptions = function (config, functionName) {
+
+	var options = config || {};
+	assert.isObject(options, "Expected 'config' parameter to '" + functionName + "' to be an object with options for XLSX.");
+
+	if (options.sheet !== undefined) {
+		assert(typeof options.sheet === 'string' || (typeof options.sheet === 'number' && options.sheet >= 0 && options.sheet % 1 === 0), "Expected 'sheet' field of 'config' parameter to '" + functionName + "' to be the name or zero-based index of a worksheet.");
+	}
+
+	if (options.sheets !== undefined) {
+		assert.isArray(options.sheets, "Expected 'sheets' field of 'config' parameter to '" + functionName + "' to be an array with the names of worksheets.");
+	}
+
+	if (options.range !== undefined) {
+		assert(typeof options.range === 'string' && rangePattern.test(options.range), "Expected 'range' field of 'config' parameter to '" + functionName + "' to be a range of cells in A1 notation, eg 'A1:D10'.");
+	}
+
+	if (options.headerRow !== undefined && options.headerRow !== false) {
+		assert(typeof options.headerRow === 'number' && options.headerRow >= 1 && options.headerRow % 1 === 0, "Expected 'headerRow' field of 'config' parameter to '" + functionName + "' to be a row number (starting at 1) or false.");
+	}
+
+	return {
+		sheet: options.sheet !== undefined ? options.sheet : 0,
+		sheets: options.sheets,
+		range: options.range,
+		headerRow: options.headerRow !== undefined ? options.headerRow : (options.columnNames ? false : null),
+	};
+};
+
+//
+// Check and normalize the options for writing a worksheet passed to a function: 'sheetName' (defaults to 'Sheet1'), 'header' (false to omit the row of column names)
+// and 'dateFormat' (the Excel number format of dates, eg 'yyyy-mm-dd').
+//
+var parseWriteOptions = function (options, functionName) {
+
+	options = options || {};
+	assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object with options for XLSX.");
+
+	if (options.sheetName !== undefined) {
+		assert(typeof options.sheetName === 'string' && options.sheetName.length > 0 && options.sheetName.length <= 31, "Expected 'sheetName' field of 'options' parameter to '" + functionName + "' to be a string of 1 to 31 characters.");
+	}
+
+	if (options.header !== undefined) {
+		assert.isBoolean(options.header, "Expected 'header' field of 'options' parameter to '" + functionName + "' to be true or false.");
+	}
+
+	if (options.dateFormat !== undefined) {
+		assert.isString(options.dateFormat, "Expected 'dateFormat' field of 'options' parameter to '" + functionName + "' to be an Excel number format string.");
+	}
+
+	return {
+		sheetName: options.sheetName || 'Sheet1',
+		header: options.header !== undefined ? options.header : true,
+		dateFormat: options.dateFormat,
+	};
+};
+
+//
+// Read a workbook from the binary content of an XLSX file. Cells formatted as dates are read as dates.
+//
+var readWorkbook = function (data, functionName) {
+
+	checkData(data, functionName);
+
+	return Buffer.isBuffer(data)
+		? XLSX.read(data, { type: 'buffer', cellDates: true })
+		: XLSX.read(new Uint8Array(data), { type: 'array', cellDates: true });
+};
+
+//
+// Read a worksheet of a workbook to an object with the 'columnNames' and the 'rows' (each an array of values), as specified by options from 'parseReadOptions'.
+// The sheet is the name or zero-based index of the worksheet. Blank rows are ignored.
+//
+var readSheet = function (workbook, sheet, options, functionName) {
+
+	var sheetName = typeof sheet === 'number' ? workbook.SheetNames[sheet] : sheet;
+	var worksheet = sheetName !== undefined ? workbook.Sheets[sheetName] : undefined;
+	if (!worksheet) {
+		throw new Error("Worksheet '" + sheet + "' passed to '" + functionName + "' was not found, the workbook has the worksheets: " + workbook.SheetNames.join(', ') + ".");
+	}
+
+	var ref = options.range || worksheet['!ref'];
+	if (!ref) {
+		return { columnNames: [], rows: [] }; // Empty worksheet.
+	}
+
+	var range = XLSX.utils.decode_range(ref);
+	if (options.headerRow) {
+		assert(options.headerRow - 1 >= range.s.r && options.headerRow - 1 <= range.e.r, "Expected 'headerRow' field of 'config' parameter to '" + functionName + "' to be a row within the range " + XLSX.utils.encode_range(range) + ".");
+		range.s.r = options.headerRow - 1;
+	}
+
+	var numColumns = range.e.c - range.s.c + 1;
+	var hasHeader = options.headerRow !== false;
+	var rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, range: range, blankrows: true });
+
+	var headerCells = hasHeader && rows.length > 0 ? rows[0] : [];
+	var columnNames = E.range(0, numColumns)
+		.select(function (columnIndex) {
+			return hasHeader ? toColumnName(headerCells[columnIndex], columnIndex) : 'Column' + (columnIndex + 1);
+		})
+		.toArray();
+
+	return {
+		columnNames: columnNames,
+		rows: E.from(rows)
+			.skip(hasHeader ? 1 : 0)
+			.where(function (row) {
+				return row.some(function (value) { // Ignore blank rows.
+					return value !== undefined && value !== null;
+				});
+			})
+			.select(function (row) {
+				return E.range(0, numColumns)
+					.select(function (columnIndex) {
+						return row[columnIndex];
+					})
+					.toArray();
+			})
+			.toArray(),
+	};
+};
+
+//
+// Write worksheets to the binary content of an XLSX file. Each sheet is an object with the 'sheetName', 'columnNames' and 'rows' (each an array of values).
+// Options from 'parseWriteOptions' apply to every worksheet.
+//
+var write = function (sheets, options) {
+
+	var workbook = XLSX.utils.book_new();
+	sheets.forEach(function (sheet) {
+		var rows = sheet.rows.map(function (row) {
+			return row.map(toCellValue);
+		});
+
+		if (options.header) {
+			rows.unshift(sheet.columnNames);
+		}
+
+		var worksheet = XLSX.utils.aoa_to_sheet(rows, { dateNF: options.dateFormat });
+		XLSX.utils.book_append_sheet(workbook, worksheet, sheet.sheetName);
+	});
+
+	return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+//
+// Create an object that writes worksheets to an XLSX file. 'getSheets' is called with the options for each write
+// and returns the sheets to write, or a promise of them, in the format for 'write'.
+//
+var createWriter = function (getSheets, options, functionName) {
+
+	//
+	// Combine the options passed to 'writeFile' or 'writeFileSync' with the options passed when creating the writer.
+	//
+	var combineOptions = function (writeOptions, writerFunctionName) {
+		if (writeOptions) {
+			assert.isObject(writeOptions, "Expected 'options' parameter to " + writerFunctionName + " to be an object with options for XLSX.");
+		}
+
+		return parseWriteOptions(extend({}, options || {}, writeOptions || {}), writerFunctionName);
+	};
+
+	parseWriteOptions(options, functionName);
+
+	return {
+		/**
+		 * Serialize to an XLSX file in the local file system.
+		 * Asynchronous version.
+		 *
+		 * @param {string} filePath - Specifies the output path for the file.
+		 * @param {object} [options] - Optional options for the worksheet, these override the options passed when the data was treated as XLSX.
+		 *
+		 * @returns {Promise} Returns a promise that resolves when the file has been written.
+		 */
+		writeFile: function (filePath, writeOptions) {
+			assert.isString(filePath, "Expected 'filePath' parameter to " + functionName + "().writeFile to be a string that specifies the path of the file to write to the local file system.");
+
+			var xlsxOptions = combineOptions(writeOptions, functionName + "().writeFile");
+
+			return Promise.resolve(getSheets(xlsxOptions))
+				.then(function (sheets) {
+					var fs = require('fs');
+					var data = write(sheets, xlsxOptions);
+					return new Promise(function (resolve, reject) {
+						fs.writeFile(filePath, data, function (err) {
+							if (err) {
+								reject(err);
+								return;
+							}
+
+							resolve();
+						});
+					});
+				});
+		},
+
+		/**
+		 * Serialize to an XLSX file in the local file system.
+		 * Synchronous version.
+		 *
+		 * @param {string} filePath - Specifies the output path for the file.
+		 * @param {object} [options] - Optional options for the worksheet, these override the options passed when the data was treated as XLSX.
+		 */
+		writeFileSync: function (filePath, writeOptions) {
+			assert.isString(filePath, "Expected 'filePath' parameter to " + functionName + "().writeFileSync to be a string that specifies the path of the file to write to the local file system.");
+
+			var xlsxOptions = combineOptions(writeOptions, functionName + "().writeFileSync");
+			var fs = require('fs');
+			fs.writeFileSync(filePath, write(getSheets(xlsxOptions), xlsxOptions));
+		},
+	};
+};
+
+module.exports = {
+	parseReadOptions: parseReadOptions,
+	parseWriteOptions: parseWriteOptions,
+	readWorkbook: readWorkbook,
+	readSheet: readSheet,
+	write: write,
+	createWriter: createWriter,
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+//
+// Reading and writing XML where each row of a dataframe is an element.
+//
+
+var assert = require('chai').assert;
+var sax = require('sax');
+
+var namePattern = /^[A-Za-z_\u00C0-\uFFFF][\w.\-\u00B7\u00C0-\uFFFF]*$/;
+
+//
+// Escape text for output as the content of an XML element.
+//
+var escape = function (text) {
+	return text
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+};
+
+//
+// Check that a name passed to a function is a valid name for an XML element.
+//
+var checkName = function (name, description, functionName) {
+	assert(typeof name === 'string' && namePattern.test(name), "Expected " + description + " passed to '" + functionName + "' to be a valid name for an XML element, found '" + name + "'.");
+};
+
+//
+// Convert a value to the text of an XML element.
+//
+var formatValue = function (value) {
+	return escape(Object.isDate(value) ? value.toISOString() : String(value));
+};
+
+module.exports = {
+
+	//
+	// Check and normalize the options for reading XML passed to a function: 'rowElement' (the name of the elements that are rows, defaults to the children of the root element)
+	// and 'attributesAsColumns' (false to ignore attributes, otherwise attributes of a row are columns).
+	//
+	parseReadOptions: function (config, functionName) {
+
+		var options = config || {};
+
+		if (options.rowElement !== undefined) {
+			checkName(options.rowElement, "'rowElement' field of 'config' parameter", functionName);
+		}
+
+		if (options.attributesAsColumns !== undefined) {
+			assert.isBoolean(options.attributesAsColumns, "Expected 'attributesAsColumns' field of 'config' parameter to '" + functionName + "' to be true or false.");
+		}
+
+		return {
+			rowElement: options.rowElement,
+			attributesAsColumns: options.attributesAsColumns !== undefined ? options.attributesAsColumns : true,
+		};
+	},
+
+	//
+	// Parse XML to row objects, as specified by options from 'parseReadOptions'. Each element within a row that has no child elements is a column, named by the path to the element
+	// from the row joined by dots, eg 'Address.City'. The text of elements is trimmed. Attributes are columns named by the path to their element and the attribute name.
+	//
+	parse: function (text, options, functionName) {
+
+		var parser = sax.parser(true);
+		var rows = [];
+		var depth = 0;
+		var row = null;
+		var rowDepth = 0;
+		var path = [];
+		var elements = [];
+
+		var addAttributes = function (attributes) {
+			if (!options.attributesAsColumns) {
+				return;
+			}
+
+			Object.keys(attributes).forEach(function (attributeName) {
+				row[path.concat([attributeName]).join('.')] = attributes[attributeName];
+			});
+		};
+
+		parser.onopentag = function (node) {
+			++depth;
+
+			if (row) {
+				if (elements.length > 0) {
+					elements[elements.length - 1].hasChildren = true;
+				}
+
+				path.push(node.name);
+				elements.push({ text: '', hasChildren: false });
+				addAttributes(node.attributes);
+			}
+			else if (options.rowElement ? node.name === options.rowElement : depth === 2) {
+				row = {};
+				rowDepth = depth;
+				addAttributes(node.attributes);
+			}
+		};
+
+		parser.ontext = parser.oncdata = function (content) {
+			if (elements.length > 0) {
+				elements[elements.length - 1].text += content;
+			}
+		};
+
+		parser.onclosetag = function () {
+			if (row) {
+				if (depth === rowDepth) {
+					rows.push(row);
+					row = null;
+				}
+				else {
+					var element = elements.pop();
+					if (!element.hasChildren) {
+						row[path.join('.')] = element.text.trim();
+					}
+					path.pop();
+				}
+			}
+
+			--depth;
+		};
+
+		try {
+			parser.write(text).close();
+		}
+		catch (err) {
+			throw new Error("Failed to parse XML passed to '" + functionName + "': " + err.message.split('\n')[0]);
+		}
+
+		return rows;
+	},
+
+	//
+	// Check and normalize the options for writing XML passed to a function: 'rootElement' (the name of the root element, defaults to 'data')
+	// and 'rowElement' (the name of the element for each row, defaults to 'row').
+	//
+	parseWriteOptions: function (options, functionName) {
+
+		options = options || {};
+		assert.isObject(options, "Expected 'options' parameter to '" + functionName + "' to be an object with options for XML.");
+
+		['rootElement', 'rowElement'].forEach(function (fieldName) {
+			if (options[fieldName] !== undefined) {
+				checkName(options[fieldName], "'" + fieldName + "' field of 'options' parameter", functionName);
+			}
+		});
+
+		return {
+			rootElement: options.rootElement || 'data',
+			rowElement: options.rowElement || 'row',
+		};
+	},
+
+	//
+	// Check that the names of columns can be written as the names of XML elements.
+	//
+	checkColumnNames: function (columnNames, functionName) {
+		columnNames.forEach(function (columnName) {
+			checkName(columnName, "column name", functionName);
+		});
+	},
+
+	//
+	// Get the XML that starts the output, as specified by options from 'parseWriteOptions'.
+	//
+	start: function (options) {
+		return '<?xml version="1.0" encoding="UTF-8"?>\n<' + options.rootElement + '>';
+	},
+
+	//
+	// Format a row object as an element, as specified by options from 'parseWriteOptions'. Each value is an element named by its column, missing values are omitted.
+	//
+	formatRow: function (row, columnNames, options) {
+		return '\n    <' + options.rowElement + '>' +
+			columnNames
+				.filter(function (columnName) {
+					return row[columnName] !== undefined && row[columnName] !== null;
+				})
+				.map(function (columnName) {
+					return '\n        <' + columnName + '>' + formatValue(row[columnName]) + '</' + columnName + '>';
+				})
+				.join('') +
+			'\n    </' + options.rowElement + '>';
+	},
+
+	//
+	// Get the XML that ends the output, as specified by options from 'parseWriteOptions'.
+	//
+	end: function (options) {
+		return '\n</' + options.rootElement + '>';
+	},
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+//
+// Reading and writing YAML, via the js-yaml library.
+//
+
+var yaml = require('js-yaml');
+
+module.exports = {
+
+	//
+	// Parse YAML text. Timestamps are parsed to dates.
+	//
+	parse: function (text, functionName) {
+		try {
+			return yaml.load(text);
+		}
+		catch (err) {
+			throw new Error("Failed to parse YAML passed to '" + functionName + "': " + err.message.split('\n')[0]);
+		}
+	},
+
+	//
+	// Stringify data as YAML. Undefined values are omitted.
+	//
+	stringify: function (data) {
+		return yaml.dump(data, { skipInvalid: true });
+	},
+};
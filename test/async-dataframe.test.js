@@ -0,0 +1,143 @@
+'use strict';
+
+describe('AsyncDataFrame', function () {
+
+	var dataForge = require('../index');
+	var expect = require('chai').expect;
+
+	//
+	// Create an async iterator that produces rows after a delay, simulating a slow data source.
+	//
+	var createSlowIterator = function (rows) {
+		var i = -1;
+		return {
+			moveNext: function () {
+				return new Promise(function (resolve) {
+					setTimeout(function () {
+						resolve(++i < rows.length);
+					}, 1);
+				});
+			},
+
+			getCurrent: function () {
+				return rows[i];
+			},
+		};
+	};
+
+	it('can create from array of objects', function () {
+
+		var dataFrame = new dataForge.AsyncDataFrame([{ A: 1, B: 2 }, { A: 3, B: 4 }]);
+		return dataFrame.getColumnNames()
+			.then(function (columnNames) {
+				expect(columnNames).to.eql(['A', 'B']);
+				return dataFrame.toRows();
+			})
+			.then(function (rows) {
+				expect(rows).to.eql([[1, 2], [3, 4]]);
+			});
+	});
+
+	it('can create from column names and async iterator of rows', function () {
+
+		var dataFrame = new dataForge.AsyncDataFrame({
+			columnNames: ['A', 'B'],
+			values: function () {
+				return createSlowIterator([[1, 2], [3, 4]]);
+			},
+		});
+
+		return dataFrame.toArray()
+			.then(function (values) {
+				expect(values).to.eql([{ A: 1, B: 2 }, { A: 3, B: 4 }]);
+			});
+	});
+
+	it('column names are determined from the first row of an async iterator', function () {
+
+		var dataFrame = new dataForge.AsyncDataFrame({
+			values: function () {
+				return createSlowIterator([{ X: 1 }, { X: 2 }]);
+			},
+		});
+
+		return dataFrame.getColumnNames()
+			.then(function (columnNames) {
+				expect(columnNames).to.eql(['X']);
+			});
+	});
+
+	it('operators produce async dataframes', function () {
+
+		var dataFrame = new dataForge.AsyncDataFrame([{ A: 1 }, { A: 2 }, { A: 3 }]);
+		var result = dataFrame
+			.where(function (row) {
+				return row.A > 1;
+			})
+			.select(function (row) {
+				return { B: row.A * 10 };
+			})
+			.take(1);
+
+		expect(result).to.be.an.instanceof(dataForge.AsyncDataFrame);
+
+		return result.getColumnNames()
+			.then(function (columnNames) {
+				expect(columnNames).to.eql(['B']);
+				return result.toPairs();
+			})
+			.then(function (pairs) {
+				expect(pairs).to.eql([[1, { B: 20 }]]);
+			});
+	});
+
+	it('can get series from column', function () {
+
+		return new dataForge.AsyncDataFrame([{ A: 1, B: 2 }, { A: 3, B: 4 }])
+			.getSeries('B')
+			.toArray()
+			.then(function (values) {
+				expect(values).to.eql([2, 4]);
+			});
+	});
+
+	it('can bake to dataframe', function () {
+
+		return new dataForge.AsyncDataFrame({ columnNames: ['A', 'B'], values: [[1, 2], [3, 4]] })
+			.bake()
+			.then(function (dataFrame) {
+				expect(dataFrame).to.be.an.instanceof(dataForge.DataFrame);
+				expect(dataFrame.getColumnNames()).to.eql(['A', 'B']);
+				expect(dataFrame.toRows()).to.eql([[1, 2], [3, 4]]);
+			});
+	});
+
+	it('windows are dataframes', function () {
+
+		return new dataForge.AsyncDataFrame([{ A: 1 }, { A: 2 }, { A: 3 }])
+			.window(2)
+			.toArray()
+			.then(function (windows) {
+				expect(windows.length).to.eql(2);
+				expect(windows[0]).to.be.an.instanceof(dataForge.DataFrame);
+				expect(windows[0].getColumnNames()).to.eql(['A']);
+				expect(windows[0].toRows()).to.eql([[1], [2]]);
+				expect(windows[1].toRows()).to.eql([[3]]);
+			});
+	});
+
+	it('can group rows', function () {
+
+		return new dataForge.AsyncDataFrame([{ K: 'a', V: 1 }, { K: 'b', V: 2 }, { K: 'a', V: 3 }])
+			.groupBy(function (row) {
+				return row.K;
+			})
+			.select(function (group) {
+				return { K: group.first().K, Total: group.getSeries('V').sum() };
+			})
+			.toArray()
+			.then(function (values) {
+				expect(values).to.eql([{ K: 'a', Total: 4 }, { K: 'b', Total: 2 }]);
+			});
+	});
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+describe('async select iterator', function () {
+
+	var AsyncSelectIterator = require('../../src/async-iterators/select');
+	var AsyncWrapIterator = require('../../src/async-iterators/wrap');
+	var ArrayIterator = require('../../src/iterators/array');
+	var drain = require('../../src/async-iterators/drain');
+	var expect = require('chai').expect;
+
+	it('can transform elements', function () {
+
+		var select = new AsyncSelectIterator(new AsyncWrapIterator(new ArrayIterator([1, 2, 3])), function (value, index) {
+				return value * 10 + index;
+			});
+
+		var output = [];
+		return drain(select, function (value) {
+				output.push(value);
+			})
+			.then(function () {
+				expect(output).to.eql([10, 21, 32]);
+			});
+	});
+});
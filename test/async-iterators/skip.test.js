@@ -0,0 +1,33 @@
+'use strict';
+
+describe('async skip iterator', function () {
+
+	var AsyncSkipIterator = require('../../src/async-iterators/skip');
+	var AsyncWrapIterator = require('../../src/async-iterators/wrap');
+	var ArrayIterator = require('../../src/iterators/array');
+	var drain = require('../../src/async-iterators/drain');
+	var expect = require('chai').expect;
+
+	it('can skip elements', function () {
+
+		var skip = new AsyncSkipIterator(new AsyncWrapIterator(new ArrayIterator([1, 2, 3, 4])), 2);
+
+		var output = [];
+		return drain(skip, function (value) {
+				output.push(value);
+			})
+			.then(function () {
+				expect(output).to.eql([3, 4]);
+			});
+	});
+
+	it('skipping more than available produces no elements', function () {
+
+		var skip = new AsyncSkipIterator(new AsyncWrapIterator(new ArrayIterator([1, 2])), 5);
+
+		return skip.moveNext()
+			.then(function (more) {
+				expect(more).to.eql(false);
+			});
+	});
+});
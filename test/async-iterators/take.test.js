@@ -0,0 +1,36 @@
+'use strict';
+
+describe('async take iterator', function () {
+
+	var AsyncTakeIterator = require('../../src/async-iterators/take');
+	var AsyncWrapIterator = require('../../src/async-iterators/wrap');
+	var ArrayIterator = require('../../src/iterators/array');
+	var drain = require('../../src/async-iterators/drain');
+	var expect = require('chai').expect;
+
+	it('can take elements', function () {
+
+		var take = new AsyncTakeIterator(new AsyncWrapIterator(new ArrayIterator([1, 2, 3, 4])), 2);
+
+		var output = [];
+		return drain(take, function (value) {
+				output.push(value);
+			})
+			.then(function () {
+				expect(output).to.eql([1, 2]);
+			});
+	});
+
+	it('can take more than available', function () {
+
+		var take = new AsyncTakeIterator(new AsyncWrapIterator(new ArrayIterator([1, 2])), 5);
+
+		var output = [];
+		return drain(take, function (value) {
+				output.push(value);
+			})
+			.then(function () {
+				expect(output).to.eql([1, 2]);
+			});
+	});
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+describe('async where iterator', function () {
+
+	var AsyncWhereIterator = require('../../src/async-iterators/where');
+	var AsyncWrapIterator = require('../../src/async-iterators/wrap');
+	var ArrayIterator = require('../../src/iterators/array');
+	var drain = require('../../src/async-iterators/drain');
+	var expect = require('chai').expect;
+
+	it('can filter out elements', function () {
+
+		var where = new AsyncWhereIterator(new AsyncWrapIterator(new ArrayIterator([1, 2, 3, 4])), function (value) {
+				return value == 2 || value == 4;
+			});
+
+		var output = [];
+		return drain(where, function (value) {
+				output.push(value);
+			})
+			.then(function () {
+				expect(output).to.eql([2, 4]);
+			});
+	});
+
+	it('exception from predicate rejects the promise', function () {
+
+		var where = new AsyncWhereIterator(new AsyncWrapIterator(new ArrayIterator([1])), function () {
+				throw new Error("Bad!");
+			});
+
+		return where.moveNext()
+			.then(function () {
+				throw new Error("Expected moveNext to fail.");
+			}, function (err) {
+				expect(err.message).to.eql("Bad!");
+			});
+	});
+});
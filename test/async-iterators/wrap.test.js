@@ -0,0 +1,49 @@
+'use strict';
+
+describe('async wrap iterator', function () {
+
+	var AsyncWrapIterator = require('../../src/async-iterators/wrap');
+	var ArrayIterator = require('../../src/iterators/array');
+	var drain = require('../../src/async-iterators/drain');
+	var expect = require('chai').expect;
+
+	it('can iterate wrapped iterator', function () {
+
+		var output = [];
+		return drain(new AsyncWrapIterator(new ArrayIterator([1, 2, 3])), function (value) {
+				output.push(value);
+			})
+			.then(function () {
+				expect(output).to.eql([1, 2, 3]);
+			});
+	});
+
+	it('moveNext resolves to false for empty iterator', function () {
+
+		var iterator = new AsyncWrapIterator(new ArrayIterator([]));
+		return iterator.moveNext()
+			.then(function (more) {
+				expect(more).to.eql(false);
+			});
+	});
+
+	it('exception from wrapped iterator rejects the promise', function () {
+
+		var iterator = new AsyncWrapIterator({
+			moveNext: function () {
+				throw new Error("Bad!");
+			},
+
+			getCurrent: function () {
+				return undefined;
+			},
+		});
+
+		return iterator.moveNext()
+			.then(function () {
+				throw new Error("Expected moveNext to fail.");
+			}, function (err) {
+				expect(err.message).to.eql("Bad!");
+			});
+	});
+});
@@ -0,0 +1,209 @@
+'use strict';
+
+describe('AsyncSeries', function () {
+
+	var dataForge = require('../index');
+	var expect = require('chai').expect;
+
+	//
+	// Create an async iterator that produces values after a delay, simulating a slow data source.
+	//
+	var createSlowIterator = function (values) {
+		var i = -1;
+		return {
+			moveNext: function () {
+				return new Promise(function (resolve) {
+					setTimeout(function () {
+						resolve(++i < values.length);
+					}, 1);
+				});
+			},
+
+			getCurrent: function () {
+				return values[i];
+			},
+		};
+	};
+
+	it('can create from array', function () {
+
+		var series = new dataForge.AsyncSeries([1, 2, 3]);
+		return series.toArray()
+			.then(function (values) {
+				expect(values).to.eql([1, 2, 3]);
+			});
+	});
+
+	it('can create with index', function () {
+
+		var series = new dataForge.AsyncSeries({ values: [1, 2], index: [10, 20] });
+		return series.toPairs()
+			.then(function (pairs) {
+				expect(pairs).to.eql([[10, 1], [20, 2]]);
+			});
+	});
+
+	it('can create from series', function () {
+
+		var series = new dataForge.AsyncSeries({ values: new dataForge.Series({ values: [1, 2], index: [10, 20] }) });
+		return series.toPairs()
+			.then(function (pairs) {
+				expect(pairs).to.eql([[10, 1], [20, 2]]);
+			});
+	});
+
+	it('can create from async iterator', function () {
+
+		var series = new dataForge.AsyncSeries({ 
+			values: function () {
+				return createSlowIterator([1, 2, 3]);
+			},
+		});
+
+		return series.toPairs()
+			.then(function (pairs) {
+				expect(pairs).to.eql([[0, 1], [1, 2], [2, 3]]);
+			});
+	});
+
+	it('empty series produces no values', function () {
+
+		return new dataForge.AsyncSeries().toArray()
+			.then(function (values) {
+				expect(values).to.eql([]);
+			});
+	});
+
+	it('can chain select, where, skip and take', function () {
+
+		var series = new dataForge.AsyncSeries({ 
+			values: function () {
+				return createSlowIterator([1, 2, 3, 4, 5, 6, 7, 8]);
+			},
+		});
+
+		return series
+			.select(function (value) {
+				return value * 2;
+			})
+			.where(function (value) {
+				return value > 4;
+			})
+			.skip(1)
+			.take(3)
+			.toPairs()
+			.then(function (pairs) {
+				expect(pairs).to.eql([[3, 8], [4, 10], [5, 12]]);
+			});
+	});
+
+	it('pipeline is evaluated each time it is resolved', function () {
+
+		var series = new dataForge.AsyncSeries([1, 2, 3]).take(2);
+		return series.toArray()
+			.then(function (values) {
+				expect(values).to.eql([1, 2]);
+				return series.toArray();
+			})
+			.then(function (values) {
+				expect(values).to.eql([1, 2]);
+			});
+	});
+
+	it('can window series', function () {
+
+		var series = new dataForge.AsyncSeries({ 
+			values: function () {
+				return createSlowIterator([1, 2, 3, 4, 5]);
+			},
+		});
+
+		return series
+			.window(2)
+			.toPairs()
+			.then(function (pairs) {
+				expect(pairs.length).to.eql(3);
+				expect(pairs[0][0]).to.eql(0);
+				expect(pairs[0][1].toPairs()).to.eql([[0, 1], [1, 2]]);
+				expect(pairs[1][0]).to.eql(1);
+				expect(pairs[1][1].toPairs()).to.eql([[2, 3], [3, 4]]);
+				expect(pairs[2][0]).to.eql(2);
+				expect(pairs[2][1].toPairs()).to.eql([[4, 5]]);
+			});
+	});
+
+	it('can window series with selector', function () {
+
+		return new dataForge.AsyncSeries([1, 2, 3, 4])
+			.window(2, function (window) {
+				return window.sum();
+			})
+			.toArray()
+			.then(function (values) {
+				expect(values).to.eql([3, 7]);
+			});
+	});
+
+	it('can group series', function () {
+
+		return new dataForge.AsyncSeries([1, 2, 3, 4, 5])
+			.groupBy(function (value) {
+				return value % 2 === 0 ? 'even' : 'odd';
+			})
+			.toPairs()
+			.then(function (pairs) {
+				expect(pairs.length).to.eql(2);
+				expect(pairs[0][0]).to.eql('odd');
+				expect(pairs[0][1].toArray()).to.eql([1, 3, 5]);
+				expect(pairs[1][0]).to.eql('even');
+				expect(pairs[1][1].toArray()).to.eql([2, 4]);
+			});
+	});
+
+	it('can bake series', function () {
+
+		return new dataForge.AsyncSeries({ values: [1, 2], index: [5, 6] })
+			.bake()
+			.then(function (series) {
+				expect(series).to.be.an.instanceof(dataForge.Series);
+				expect(series.getIndex().toArray()).to.eql([5, 6]);
+				expect(series.toArray()).to.eql([1, 2]);
+			});
+	});
+
+	it('can invoke callback for each value', function () {
+
+		var output = [];
+		var series = new dataForge.AsyncSeries([1, 2, 3]);
+		return series
+			.forEach(function (value) {
+				output.push(value);
+			})
+			.then(function (result) {
+				expect(result).to.equal(series);
+				expect(output).to.eql([1, 2, 3]);
+			});
+	});
+
+	it('can count values', function () {
+
+		return new dataForge.AsyncSeries([1, 2, 3]).count()
+			.then(function (count) {
+				expect(count).to.eql(3);
+			});
+	});
+
+	it('exception in selector rejects the promise', function () {
+
+		return new dataForge.AsyncSeries([1, 2, 3])
+			.select(function () {
+				throw new Error("Bad!");
+			})
+			.toArray()
+			.then(function () {
+				throw new Error("Expected toArray to fail.");
+			}, function (err) {
+				expect(err.message).to.eql("Bad!");
+			});
+	});
+});
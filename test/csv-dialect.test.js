@@ -0,0 +1,96 @@
+'use strict';
+
+describe('csv dialect', function () {
+
+	var expect = require('chai').expect;
+
+	require('../index');
+	var csvDialect = require('../src/csv-dialect');
+
+	var parse = function (text, config) {
+		return csvDialect.parse(text, csvDialect.parseReadOptions(config, 'test'));
+	};
+
+	var format = function (values, config) {
+		return csvDialect.formatRecord(values, csvDialect.parseWriteOptions(config, 'test'));
+	};
+
+	it('can parse with default dialect', function () {
+
+		expect(parse('a,b\r\n"x, ""y""",2')).to.eql([['a', 'b'], ['x, "y"', '2']]);
+	});
+
+	it('can parse with quote character', function () {
+
+		expect(parse("a;b\n'x; ''y''';2", { delimiter: ';', quoteChar: "'" })).to.eql([['a', 'b'], ["x; 'y'", '2']]);
+	});
+
+	it('can parse with escape character', function () {
+
+		expect(parse('a,b\n"x\\"y\\\\",2', { escapeChar: '\\' })).to.eql([['a', 'b'], ['x"y\\', '2']]);
+	});
+
+	it('can parse with line terminator', function () {
+
+		expect(parse("a,b|1,2", { newline: '|', quoteChar: "'" })).to.eql([['a', 'b'], ['1', '2']]);
+	});
+
+	it('can skip comments', function () {
+
+		expect(parse("# note\na,b\n# note\n1,2", { comments: '#', quoteChar: "'" })).to.eql([['a', 'b'], ['1', '2']]);
+		expect(parse("# note\na,b\n1,2", { comments: '#' })).to.eql([['a', 'b'], ['1', '2']]);
+	});
+
+	it('can skip leading rows', function () {
+
+		expect(parse("title\n\na,b\n1,2", { skipRows: 2 })).to.eql([['a', 'b'], ['1', '2']]);
+	});
+
+	it('byte order mark is ignored', function () {
+
+		expect(parse("\ufeffa,b\n1,2")).to.eql([['a', 'b'], ['1', '2']]);
+	});
+
+	it('can format with default dialect', function () {
+
+		expect(format(['a', 1.5, null, 'x, "y"', ' z'])).to.eql('a,1.5,,"x, ""y"""," z"');
+	});
+
+	it('can format with dialect', function () {
+
+		expect(format(["x; 'y'", 1.5], { delimiter: ';', quoteChar: "'", decimalSeparator: ',' })).to.eql("'x; ''y''';1,5");
+		expect(format(['x"y', 'a'], { escapeChar: '\\', quotes: true })).to.eql('"x\\"y","a"');
+		expect(format([1.5, 2], { decimalSeparator: ',' })).to.eql('"1,5",2');
+	});
+
+	it('can format with formatters', function () {
+
+		var formatters = {
+			date: 'YYYY-MM-DD',
+			number: function (value) {
+				return value.toFixed(2);
+			},
+		};
+
+		expect(format([new Date(2016, 1, 1), 3, 'x'], { formatters: formatters })).to.eql('2016-02-01,3.00,x');
+	});
+
+	it('invalid options throws', function () {
+
+		expect(function () {
+			csvDialect.parseReadOptions({ quoteChar: "''" }, 'test');
+		}).to.throw();
+
+		expect(function () {
+			csvDialect.parseReadOptions({ skipRows: -1 }, 'test');
+		}).to.throw();
+
+		expect(function () {
+			csvDialect.parseWriteOptions({ formatters: { money: function () {} } }, 'test');
+		}).to.throw();
+
+		expect(function () {
+			csvDialect.parseWriteOptions({ formatters: { number: '0.00' } }, 'test');
+		}).to.throw();
+	});
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+describe('csv record parser', function () {
+
+	var CsvRecordParser = require('../src/csv-record-parser');
+	var csvDialect = require('../src/csv-dialect');
+	var expect = require('chai').expect;
+
+	it('returns only complete records', function () {
+
+		var parser = new CsvRecordParser();
+		expect(parser.push("a,b\n1,")).to.eql([["a", "b"]]);
+		expect(parser.push("2\n3,4")).to.eql([["1", "2"]]);
+		expect(parser.flush()).to.eql([["3", "4"]]);
+	});
+
+	it('can handle record split within quoted field', function () {
+
+		var parser = new CsvRecordParser();
+		expect(parser.push('1,"a\n')).to.eql([]);
+		expect(parser.push('b"\n2,c\n')).to.eql([["1", "a\nb"], ["2", "c"]]);
+		expect(parser.flush()).to.eql([]);
+	});
+
+	it('ignores blank lines', function () {
+
+		var parser = new CsvRecordParser();
+		expect(parser.push("1,2\r\n\r\n3,4\r\n")).to.eql([["1", "2"], ["3", "4"]]);
+		expect(parser.flush()).to.eql([]);
+	});
+
+	it('uses delimiter detected in first chunk for subsequent chunks', function () {
+
+		var parser = new CsvRecordParser();
+		expect(parser.push("a\tb\n1\t2\n")).to.eql([["a", "b"], ["1", "2"]]);
+		expect(parser.push("3\t4,5\n")).to.eql([["3", "4,5"]]);
+	});
+
+	it('can parse records in a dialect', function () {
+
+		var parser = new CsvRecordParser(csvDialect.parseReadOptions({ delimiter: ';', quoteChar: "'", escapeChar: '\\', skipRows: 1 }, 'test'));
+		expect(parser.push("title\na;b\ndon't;'x\\")).to.eql([["a", "b"]]);
+		expect(parser.push("'';y\n'1;")).to.eql([["don't", "x'", "y"]]);
+		expect(parser.push("\n2';3\n")).to.eql([["1;\n2", "3"]]);
+		expect(parser.flush()).to.eql([]);
+	});
+});
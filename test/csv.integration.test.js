@@ -225,4 +225,170 @@ describe('csv.integration', function () {
 		]);
 
 	});
+
+	it('can infer types of CSV columns', function () {
+
+		var csv =
+			"Date, Value1, Value2, Value3, Value4\n" +
+			"1975-02-24, 100, foo, true, 1.5\n" +
+			"2015-10-23, 300, bar, FALSE, ";
+
+		var dataFrame = dataForge.fromCSV(csv, { inferTypes: true });
+		expect(dataFrame.getColumnNames()).to.eql(["Date", "Value1", "Value2", "Value3", "Value4"]);
+		expect(dataFrame.toRows()).to.eql([
+			[new Date(1975, 1, 24), 100, 'foo', true, 1.5],
+			[new Date(2015, 9, 23), 300, 'bar', false, undefined],
+		]);
+	});
+
+	it('dynamicTyping is the same as inferTypes', function () {
+
+		var dataFrame = dataForge.fromCSV("Value\n1\n2", { dynamicTyping: true });
+		expect(dataFrame.getSeries('Value').toArray()).to.eql([1, 2]);
+	});
+
+	it('types are not inferred by default', function () {
+
+		var dataFrame = dataForge.fromCSV("Value\n1\n2");
+		expect(dataFrame.getSeries('Value').toArray()).to.eql(['1', '2']);
+	});
+
+	it('can override inferred types of CSV columns', function () {
+
+		var csv =
+			"Code, When\n" +
+			"007, 24/02/1975\n" +
+			"010, 23/10/2015";
+
+		var dataFrame = dataForge.fromCSV(csv, {
+			inferTypes: {
+				columnTypes: {
+					Code: 'string',
+					When: { type: 'date', format: 'DD/MM/YYYY' },
+				},
+			},
+		});
+		expect(dataFrame.toRows()).to.eql([
+			['007', new Date(1975, 1, 24)],
+			['010', new Date(2015, 9, 23)],
+		]);
+	});
+
+	it('can specify date format for inferring types', function () {
+
+		var dataFrame = dataForge.fromCSV("When\n24/02/1975", { inferTypes: { dateFormat: 'DD/MM/YYYY' } });
+		expect(dataFrame.getSeries('When').toArray()).to.eql([new Date(1975, 1, 24)]);
+	});
+
+	it('only sampled rows are used to infer types', function () {
+
+		var dataFrame = dataForge.fromCSV("Value\n1\nfoo", { inferTypes: { sampleSize: 1 } });
+		expect(dataFrame.getSeries('Value').toArray()).to.eql([1, 'foo']);
+	});
+
+	it('columns with mixed types are reported and left as strings', function () {
+
+		var report = null;
+		var dataFrame = dataForge.fromCSV("Value1,Value2\n1,2\nfoo,3\ntrue,4\n5,6", {
+			inferTypes: {
+				onMixedTypes: function (mixedTypes) {
+					report = mixedTypes;
+				},
+			},
+		});
+
+		expect(dataFrame.toRows()).to.eql([['1', 2], ['foo', 3], ['true', 4], ['5', 6]]);
+		expect(report.getColumnNames()).to.eql(["Column", "Type", "Frequency"]);
+		expect(report.toRows()).to.eql([
+			['Value1', 'number', 50],
+			['Value1', 'string', 25],
+			['Value1', 'boolean', 25],
+		]);
+	});
+
+	it('invalid type inference options throws', function () {
+
+		expect(function () {
+			dataForge.fromCSV("Value\n1", { inferTypes: 'yes' });
+		}).to.throw();
+
+		expect(function () {
+			dataForge.fromCSV("Value\n1", { inferTypes: { columnTypes: { Value: 'integer' } } });
+		}).to.throw();
+	});
+
+	it('can read and write European CSV', function () {
+
+		var csv =
+			"Name;Price;Date\r\n" +
+			"\"Widget; large\";1,5;24.02.1975\r\n" +
+			"Gadget;20;23.10.2015";
+
+		var config = {
+			delimiter: ';',
+			decimalSeparator: ',',
+			inferTypes: { dateFormat: 'DD.MM.YYYY' },
+		};
+
+		var dataFrame = dataForge.fromCSV(csv, config);
+		expect(dataFrame.toRows()).to.eql([
+			['Widget; large', 1.5, new Date(1975, 1, 24)],
+			['Gadget', 20, new Date(2015, 9, 23)],
+		]);
+
+		var output = dataFrame.toCSV({ delimiter: ';', decimalSeparator: ',', formatters: { date: 'DD.MM.YYYY' } });
+		expect(output).to.eql(csv);
+	});
+
+	it('can read and write TSV', function () {
+
+		var tsv =
+			"Name\tValue\n" +
+			"a b\t1\n" +
+			"c\t2";
+
+		var dataFrame = dataForge.fromCSV(tsv, { delimiter: '\t' });
+		expect(dataFrame.toRows()).to.eql([['a b', '1'], ['c', '2']]);
+		expect(dataFrame.toCSV({ delimiter: '\t', newline: '\n' })).to.eql(tsv);
+	});
+
+	it('can read CSV without a header', function () {
+
+		var dataFrame = dataForge.fromCSV("1,2\n3,4", { header: false });
+		expect(dataFrame.getColumnNames()).to.eql(["Column1", "Column2"]);
+		expect(dataFrame.toRows()).to.eql([['1', '2'], ['3', '4']]);
+	});
+
+	it('can replace header with column names', function () {
+
+		var dataFrame = dataForge.fromCSV("a,b\n1,2", { header: true, columnNames: ["c1", "c2"] });
+		expect(dataFrame.getColumnNames()).to.eql(["c1", "c2"]);
+		expect(dataFrame.toRows()).to.eql([['1', '2']]);
+	});
+
+	it('can write CSV without a header', function () {
+
+		var dataFrame = dataForge.fromCSV("a,b\n1,2");
+		expect(dataFrame.toCSV({ header: false })).to.eql("1,2");
+	});
+
+	it('can write CSV with a byte order mark', function () {
+
+		var dataFrame = dataForge.fromCSV("\ufeffa,b\n1,2");
+		expect(dataFrame.getColumnNames()).to.eql(["a", "b"]);
+		expect(dataFrame.toCSV({ bom: true })).to.eql("\ufeffa,b\r\n1,2");
+	});
+
+	it('can read CSV with comments and leading rows', function () {
+
+		var csv =
+			"Exported data\n" +
+			"a,b\n" +
+			"# A comment\n" +
+			"1,2";
+
+		var dataFrame = dataForge.fromCSV(csv, { skipRows: 1, comments: '#' });
+		expect(dataFrame.getColumnNames()).to.eql(["a", "b"]);
+		expect(dataFrame.toRows()).to.eql([['1', '2']]);
+	});
 });
\ No newline at end of file
@@ -95,6 +95,172 @@ describe('data-forge', function () {
 		]);
 	});	
 
+	it('can load from json with orient', function () {
+
+		var columns = dataForge.fromJSON('{"Column1": ["A", "B"], "Column2": [1, 2]}', { orient: 'columns' });
+		expect(columns.getColumnNames()).to.eql(['Column1', 'Column2']);
+		expect(columns.toPairs()).to.eql([
+			[0, { Column1: 'A', Column2: 1 }],
+			[1, { Column1: 'B', Column2: 2 }],
+		]);
+
+		var split = dataForge.fromJSON('{"columns": ["Column1", "Column2"], "index": [5, 6], "data": [["A", 1], ["B", 2]]}', { orient: 'split' });
+		expect(split.toPairs()).to.eql([
+			[5, { Column1: 'A', Column2: 1 }],
+			[6, { Column1: 'B', Column2: 2 }],
+		]);
+
+		var index = dataForge.fromJSON('{"r1": {"Column1": "A"}, "r2": {"Column1": "B"}}', { orient: 'index' });
+		expect(index.toPairs()).to.eql([
+			['r1', { Column1: 'A' }],
+			['r2', { Column1: 'B' }],
+		]);
+	});
+
+	it('can load from json and flatten nested objects', function () {
+
+		var dataFrame = dataForge.fromJSON('[{"Name": "A", "Address": {"City": "Brisbane"}}, {"Name": "B", "Address": {"Code": 2000}}]', { flatten: true });
+		expect(dataFrame.getColumnNames()).to.eql(['Name', 'Address.City', 'Address.Code']);
+		expect(dataFrame.toRows()).to.eql([
+			['A', 'Brisbane', undefined],
+			['B', undefined, 2000],
+		]);
+	});
+
+	it('json round trips with orient', function () {
+
+		var dataFrame = dataForge.fromJSON('[{"a": {"b": 1}}, {"a": {"b": 2}}]', { flatten: { separator: '/' } });
+		var json = dataFrame.toJSON({ orient: 'split', unflatten: { separator: '/' } });
+		expect(dataForge.fromJSON(json, { orient: 'split' }).toPairs()).to.eql(dataFrame.toPairs());
+	});
+
+	it('can load from json lines', function () {
+
+		var dataFrame = dataForge.fromJSONLines('{"Column1": "A"}\n\n{"Column2": {"Value": 2}}\n', { flatten: true });
+		expect(dataFrame.getColumnNames()).to.eql(['Column1', 'Column2.Value']);
+		expect(dataFrame.toRows()).to.eql([
+			['A', undefined],
+			[undefined, 2],
+		]);
+	});
+
+	it('error loading invalid json lines', function () {
+
+		expect(function () {
+			dataForge.fromJSONLines('{"Column1": "A"}\n[1, 2]');
+		}).to.throw(/line 2/);
+	});
+
+	it('can deserialize dataframe from XLSX', function () {
+
+		var data = new dataForge.DataFrame({ columnNames: ["A", "B"], values: [[1, "x"], [2, "y"]] }).toXLSX();
+
+		var dataFrame = dataForge.fromXLSX(data, { index: ["a", "b"] });
+		expect(dataFrame.getColumnNames()).to.eql(["A", "B"]);
+		expect(dataFrame.toPairs()).to.eql([["a", { A: 1, B: "x" }], ["b", { A: 2, B: "y" }]]);
+	});
+
+	it('can deserialize dataframes from worksheets of XLSX', function () {
+
+		var data = new dataForge.DataFrame({ columnNames: ["A"], values: [[1]] }).toXLSX({ sheetName: 'Only' });
+
+		var dataFrames = dataForge.fromXLSXSheets(data);
+		expect(Object.keys(dataFrames)).to.eql(["Only"]);
+		expect(dataFrames.Only.toArray()).to.eql([{ A: 1 }]);
+	});
+
+	it('deserializing XLSX that is not binary data throws', function () {
+
+		expect(function () {
+			dataForge.fromXLSX("A,B");
+		}).to.throw(/Buffer/);
+	});
+
+	it('treating dataframes as XLSX requires dataframes', function () {
+
+		expect(function () {
+			dataForge.asXLSX({});
+		}).to.throw(/at least one worksheet/);
+
+		expect(function () {
+			dataForge.asXLSX({ Sheet: [1, 2] });
+		}).to.throw(/DataFrame/);
+	});
+
+	it('can deserialize dataframe from fixed-width text', function () {
+
+		var dataFrame = dataForge.fromFixedWidth('a  1\nbc 2\n', {
+			columns: [{ name: 'A', width: 3 }, { name: 'B', type: 'int' }],
+			index: [10, 20],
+		});
+
+		expect(dataFrame.toPairs()).to.eql([[10, { A: 'a', B: 1 }], [20, { A: 'bc', B: 2 }]]);
+	});
+
+	it('can deserialize dataframe from text with pattern and infer types', function () {
+
+		var dataFrame = dataForge.fromText('GET /a 200\nPOST /b 500', {
+			pattern: /^(?<Method>\w+) (?<Path>\S+) (?<Status>\d+)$/,
+			inferTypes: true,
+		});
+
+		expect(dataFrame.toArray()).to.eql([
+			{ Method: 'GET', Path: '/a', Status: 200 },
+			{ Method: 'POST', Path: '/b', Status: 500 },
+		]);
+	});
+
+	it('can deserialize dataframe from XML', function () {
+
+		var dataFrame = dataForge.fromXML(
+			'<orders>' +
+				'<order id="1"><Customer><Name>A</Name></Customer><Total>1.5</Total></order>' +
+				'<order id="2"><Customer><Name> B </Name></Customer></order>' +
+			'</orders>',
+			{ inferTypes: true }
+		);
+
+		expect(dataFrame.getColumnNames()).to.eql(['id', 'Customer.Name', 'Total']);
+		expect(dataFrame.toRows()).to.eql([[1, 'A', 1.5], [2, 'B', undefined]]);
+	});
+
+	it('can deserialize dataframe from XML with row element and without attributes', function () {
+
+		var dataFrame = dataForge.fromXML(
+			'<data><meta><row><Name>skipped</Name></row></meta><rows><row type="x"><Name>A</Name></row></rows></data>',
+			{ rowElement: 'row', attributesAsColumns: false }
+		);
+
+		expect(dataFrame.toArray()).to.eql([{ Name: 'skipped' }, { Name: 'A' }]);
+	});
+
+	it('deserializing invalid XML throws', function () {
+
+		expect(function () {
+			dataForge.fromXML('<data><row></data>');
+		}).to.throw(/Failed to parse XML passed to 'dataForge.fromXML'/);
+	});
+
+	it('can deserialize dataframe from YAML', function () {
+
+		var dataFrame = dataForge.fromYAML(
+			'- Name: A\n' +
+			'  Date: 2016-01-05\n' +
+			'  Address:\n' +
+			'    City: Brisbane\n',
+			{ flatten: true }
+		);
+
+		expect(dataFrame.toArray()).to.eql([{ Name: 'A', Date: new Date(Date.UTC(2016, 0, 5)), 'Address.City': 'Brisbane' }]);
+	});
+
+	it('deserializing invalid YAML throws', function () {
+
+		expect(function () {
+			dataForge.fromYAML('- [');
+		}).to.throw(/Failed to parse YAML passed to 'dataForge.fromYAML'/);
+	});
+
 	it('can generate series from range', function () {
 
 		var series = dataForge.range(10, 5);
@@ -7,6 +7,7 @@
 var expect = require('chai').expect;
 
 var mock = require('mock-require');
+var mockWritableFile = require('./helpers/mock-writable-file');
 
 var dataForge = require('../index');	
 
@@ -43,6 +44,30 @@ describe('data sources - csv', function () {
             ;
     });
 
+    it('can infer types when reading CSV file asynchronously', function () {
+
+        var testFilePath = "some/file.csv"
+        var testCsvData 
+            = "Col1,Col2\r\n"
+            + "1,true\r\n"
+            + "3,false"
+            ; 
+
+        mock('fs', { 
+            readFile: function(filePath, dataFormat, callback) {
+                callback(null, testCsvData);
+            },
+        });
+        
+        return dataForge
+            .readFile(testFilePath)
+            .parseCSV({ inferTypes: true })
+            .then(dataFrame => {
+                expect(dataFrame.toRows()).to.eql([[1, true], [3, false]]);
+            })
+            ;
+    });
+
     it('can read CSV file synchronously', function () {
 
         var testFilePath = "some/file.csv"
@@ -75,19 +100,15 @@ describe('data sources - csv', function () {
             ; 
         var dataFrame = dataForge.fromCSV(testCsvData);
 
-        mock('fs', { 
-            writeFile: function(filePath, fileData, callback) {
-                expect(filePath).to.eql(testFilePath);
-                expect(fileData).to.eql(testCsvData);
-
-                callback(null);
-            },
-        });
+        var file = mockWritableFile(testFilePath);
         
         return dataFrame
             .asCSV()
             .writeFile(testFilePath)            
-            ;
+            .then(function () {
+                expect(file.data).to.eql(testCsvData);
+                expect(file.closed).to.eql(true);
+            });
 
     });
 
@@ -101,14 +122,316 @@ describe('data sources - csv', function () {
             ; 
         var dataFrame = dataForge.fromCSV(testCsvData);
 
-        mock('fs', { 
-            writeFileSync: function(filePath, fileData) {
+        var file = mockWritableFile(testFilePath);
+        
+        dataFrame.asCSV().writeFileSync(testFilePath);
+
+        expect(file.data).to.eql(testCsvData);
+        expect(file.closed).to.eql(true);
+    });
+
+
+    it('can write CSV file in a dialect', function () {
+
+        var testFilePath = "some/file.csv"
+        var dataFrame = dataForge.fromCSV("Col1,Col2\r\n1.5,2\r\n3,4", { inferTypes: true });
+
+        var file = mockWritableFile(testFilePath);
+        
+        dataFrame
+            .asCSV({ delimiter: ';', decimalSeparator: ',', header: false, newline: '\n', bom: true })
+            .writeFileSync(testFilePath);
+
+        expect(file.data).to.eql("\ufeff1,5;2\n3;4");
+        expect(file.closed).to.eql(true);
+    });
+
+    //
+    // Mock the file system functions used to read a file in chunks.
+    //
+    var mockChunkedFile = function (testFilePath, testCsvData) {
+
+        var data = Buffer.from(testCsvData, 'utf8');
+        var openFiles = 0;
+
+        var read = function (buffer, offset, length, position) {
+            var bytesRead = Math.max(0, Math.min(length, data.length - position));
+            data.copy(buffer, offset, position, position + bytesRead);
+            return bytesRead;
+        };
+
+        mock('fs', {
+            openSync: function (filePath, flags) {
                 expect(filePath).to.eql(testFilePath);
-                expect(fileData).to.eql(testCsvData);
+                expect(flags).to.eql('r');
+                ++openFiles;
+                return 1;
+            },
+
+            readSync: function (fd, buffer, offset, length, position) {
+                return read(buffer, offset, length, position);
+            },
+
+            closeSync: function (fd) {
+                --openFiles;
+            },
+
+            open: function (filePath, flags, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(flags).to.eql('r');
+                ++openFiles;
+                callback(null, 1);
+            },
+
+            read: function (fd, buffer, offset, length, position, callback) {
+                callback(null, read(buffer, offset, length, position));
+            },
+
+            close: function (fd, callback) {
+                --openFiles;
+                callback(null);
             },
         });
-        
+
+        return {
+            openFiles: function () {
+                return openFiles;
+            },
+        };
+    };
+
+    var testStreamCsvData 
+        = "Col1,Col2\r\n"
+        + "1,\"a, b\"\r\n"
+        + "3,\"multi\r\nline\"\r\n"
+        + "5,6\r\n"
+        ;
+
+    it('can stream CSV file synchronously', function () {
+
+        var testFilePath = "some/file.csv"
+        var file = mockChunkedFile(testFilePath, testStreamCsvData);
+
+        var dataFrame = dataForge.readFileSync(testFilePath).streamCSV({ chunkSize: 4 });
+        expect(dataFrame.getColumnNames()).to.eql(["Col1", "Col2"]);
+        expect(dataFrame.toRows()).to.eql([
+            ["1", "a, b"],
+            ["3", "multi\r\nline"],
+            ["5", "6"],
+        ]);
+        expect(file.openFiles()).to.eql(0);
+    });
+
+    it('streamed CSV file is only read as far as required', function () {
+
+        var testFilePath = "some/file.csv"
+        mockChunkedFile(testFilePath, testStreamCsvData);
+
+        var bytesRead = 0;
+        var fs = require('fs');
+        var readSync = fs.readSync;
+        fs.readSync = function (fd, buffer, offset, length, position) {
+            var numBytes = readSync(fd, buffer, offset, length, position);
+            bytesRead += numBytes;
+            return numBytes;
+        };
+
+        var dataFrame = dataForge.readFileSync(testFilePath).streamCSV({ chunkSize: 4 });
+        expect(dataFrame.take(1).toArray()).to.eql([{ Col1: "1", Col2: "a, b" }]);
+        expect(bytesRead).to.be.below(testStreamCsvData.length);
+    });
+
+    it('can stream CSV file synchronously with explicit column names', function () {
+
+        var testFilePath = "some/file.csv"
+        mockChunkedFile(testFilePath, "1,2\n3,4");
+
+        var dataFrame = dataForge.readFileSync(testFilePath).streamCSV({ columnNames: ["A", "B"], chunkSize: 3 });
+        expect(dataFrame.getColumnNames()).to.eql(["A", "B"]);
+        expect(dataFrame.toArray()).to.eql([
+            { A: "1", B: "2" },
+            { A: "3", B: "4" },
+        ]);
+    });
+
+    it('can stream CSV file asynchronously', function () {
+
+        var testFilePath = "some/file.csv"
+        var file = mockChunkedFile(testFilePath, testStreamCsvData);
+
+        var dataFrame = dataForge.readFile(testFilePath).streamCSV({ chunkSize: 5 });
+        expect(dataFrame).to.be.an.instanceof(dataForge.AsyncDataFrame);
+
+        return dataFrame.getColumnNames()
+            .then(function (columnNames) {
+                expect(columnNames).to.eql(["Col1", "Col2"]);
+                return dataFrame
+                    .where(function (row) {
+                        return row.Col1 !== "3";
+                    })
+                    .toRows();
+            })
+            .then(function (rows) {
+                expect(rows).to.eql([
+                    ["1", "a, b"],
+                    ["5", "6"],
+                ]);
+                expect(file.openFiles()).to.eql(0);
+            });
+    });
+
+    //
+    // Check that streaming a CSV file produces the same dataframe as parsing it with fromCSV, for the same config.
+    //
+    var expectStreamMatchesParse = function (testCsvData, config) {
+
+        var testFilePath = "some/file.csv"
+        mockChunkedFile(testFilePath, testCsvData);
+
+        var expected = dataForge.fromCSV(testCsvData, config);
+        var streamConfig = Object.assign({ chunkSize: 3 }, config);
+
+        var dataFrame = dataForge.readFileSync(testFilePath).streamCSV(streamConfig);
+        expect(dataFrame.getColumnNames()).to.eql(expected.getColumnNames());
+        expect(dataFrame.toArray()).to.eql(expected.toArray());
+
+        var asyncDataFrame = dataForge.readFile(testFilePath).streamCSV(streamConfig);
+        return asyncDataFrame.getColumnNames()
+            .then(function (columnNames) {
+                expect(columnNames).to.eql(expected.getColumnNames());
+                return asyncDataFrame.toArray();
+            })
+            .then(function (rows) {
+                expect(rows).to.eql(expected.toArray());
+            });
+    };
+
+    it('streamed CSV file uses the delimiter and quote character of the config', function () {
+
+        return expectStreamMatchesParse("a;b\r\n'1;2';3\r\n'don''t';don't\r\n", { delimiter: ';', quoteChar: "'" })
+            .then(function () {
+                expect(dataForge.fromCSV("a;b\r\n'1;2';3\r\n", { delimiter: ';', quoteChar: "'" }).toArray()).to.eql([
+                    { a: "1;2", b: "3" },
+                ]);
+            });
+    });
+
+    it('streamed CSV file uses the escape character of the config', function () {
+
+        return expectStreamMatchesParse('a,b\n"x\\"\ny",1\n"z\\\\",2\n', { escapeChar: '\\' });
+    });
+
+    it('streamed CSV file uses the newline and comments of the config', function () {
+
+        return expectStreamMatchesParse("a,b\r#comment\r1,\"x\ry\"\r3,4", { newline: '\r', comments: '#' });
+    });
+
+    it('streamed CSV file skips rows and can have no header', function () {
+
+        return expectStreamMatchesParse("Exported data\nsecond line\n1,2\n3,4", { skipRows: 2, header: false })
+            .then(function () {
+                return expectStreamMatchesParse("Exported data\n1,2\n3,4", { skipRows: 1, header: false, columnNames: ["A", "B"] });
+            })
+            .then(function () {
+                return expectStreamMatchesParse("\ufeffA,B\r\n1,2", {});
+            });
+    });
+
+    it('streamed CSV file can\'t infer types', function () {
+
+        expect(function () {
+            dataForge.readFileSync("some/file.csv").streamCSV({ inferTypes: true });
+        }).to.throw(/inferTypes/);
+
+        expect(function () {
+            dataForge.readFile("some/file.csv").streamCSV({ dynamicTyping: true });
+        }).to.throw(/inferTypes/);
+    });
+
+    it('error reading streamed CSV file rejects the promise', function () {
+
+        mock('fs', {
+            open: function (filePath, flags, callback) {
+                callback(new Error("File not found"));
+            },
+        });
+
+        return dataForge.readFile("some/file.csv").streamCSV()
+            .toArray()
+            .then(function () {
+                throw new Error("Expected reading the file to fail.");
+            }, function (err) {
+                expect(err.message).to.eql("File not found");
+            });
+    });
+
+    it('large CSV file is written in multiple chunks', function () {
+
+        var testFilePath = "some/file.csv"
+        var dataFrame = dataForge.range(0, 2500)
+            .inflate(function (value) {
+                return { Col1: value, Col2: value * 2 };
+            });
+
+        var file = mockWritableFile(testFilePath);
+        var numWrites = 0;
+        var writeSync = require('fs').writeSync;
+        require('fs').writeSync = function (fd, buffer, offset, length) {
+            ++numWrites;
+            return writeSync(fd, buffer, offset, length);
+        };
+
+        dataFrame.asCSV().writeFileSync(testFilePath);
+
+        expect(file.data).to.eql(dataFrame.toCSV());
+        expect(numWrites).to.eql(4); // Header and three chunks of rows, the empty footer isn't written.
+    });
+
+    it('short writes are continued until the whole CSV file is written', function () {
+
+        var testFilePath = "some/file.csv"
+        var dataFrame = new dataForge.DataFrame({
+            columnNames: ["Col1", "Col2"],
+            values: [
+                ["a", "\u00e9\u00e8"],
+                ["b", "\u4e2d\u6587"],
+            ],
+        });
+
+        var file = mockWritableFile(testFilePath, 3);
         dataFrame.asCSV().writeFileSync(testFilePath);
+        expect(file.data).to.eql(dataFrame.toCSV());
+
+        mock.stop('fs');
+
+        file = mockWritableFile(testFilePath, 3);
+        return dataFrame.asCSV()
+            .writeFile(testFilePath)
+            .then(function () {
+                expect(file.data).to.eql(dataFrame.toCSV());
+                expect(file.closed).to.eql(true);
+            });
     });
 
+    it('can write async dataframe to CSV file', function () {
+
+        var testFilePath = "some/file.csv"
+        var dataFrame = new dataForge.AsyncDataFrame({
+            columnNames: ["Col1", "Col2"],
+            values: [
+                [1, 2],
+                [3, 4],
+            ],
+        });
+
+        var file = mockWritableFile(testFilePath);
+
+        return dataFrame
+            .asCSV()
+            .writeFile(testFilePath)
+            .then(function () {
+                expect(file.data).to.eql("Col1,Col2\r\n1,2\r\n3,4");
+                expect(file.closed).to.eql(true);
+            });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,199 @@
+'use strict';
+
+//
+// Tests for reading many files at once from a (temporary) directory.
+//
+
+var expect = require('chai').expect;
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var dataForge = require('../index');
+
+describe('data sources - files', function () {
+
+    var testDir = null;
+
+    before(function () {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-forge-')).replace(/\\/g, '/');
+
+        fs.mkdirSync(testDir + '/daily');
+        fs.mkdirSync(testDir + '/daily/archive');
+        fs.writeFileSync(testDir + '/daily/2016-01-06.csv', "Name,Amount\r\nc,3");
+        fs.writeFileSync(testDir + '/daily/2016-01-05.csv', "Name,Amount\r\na,1\r\nb,2");
+        fs.writeFileSync(testDir + '/daily/2016-01-07.csv', "Name,Amount,Note\r\nd,4,late");
+        fs.writeFileSync(testDir + '/daily/archive/2015-12-31.csv', "Name,Amount\r\nz,0");
+        fs.writeFileSync(testDir + '/daily/readme.txt', "Not data.");
+        fs.writeFileSync(testDir + '/daily/2016-01-08.json', '[{"Name":"e","Amount":5}]');
+    });
+
+    after(function () {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('can read files synchronously', function () {
+
+        var dataFrame = dataForge.readFilesSync(testDir + '/daily/2016-*.csv', { inferTypes: true });
+
+        expect(dataFrame.getColumnNames()).to.eql(["Name", "Amount", "Note"]);
+        expect(dataFrame.getIndex().toArray()).to.eql([0, 1, 2, 3]);
+        expect(dataFrame.toRows()).to.eql([
+            ["a", 1, undefined],
+            ["b", 2, undefined],
+            ["c", 3, undefined],
+            ["d", 4, "late"],
+        ]);
+    });
+
+    it('can read files asynchronously', function () {
+
+        return dataForge
+            .readFiles(testDir + '/daily/2016-01-0[56].csv')
+            .then(function (dataFrame) {
+                expect(dataFrame.toRows()).to.eql([["a", "1"], ["b", "2"], ["c", "3"]]);
+            });
+    });
+
+    it('files are read when the dataframe is evaluated', function () {
+
+        var dataFrame = dataForge.readFilesSync(testDir + '/later/*.csv');
+
+        fs.mkdirSync(testDir + '/later');
+        fs.writeFileSync(testDir + '/later/file.csv', "A\r\n1");
+
+        expect(dataFrame.toRows()).to.eql([["1"]]);
+    });
+
+    it('can add provenance columns', function () {
+
+        var dataFrame = dataForge.readFilesSync(testDir + '/daily/2016-*-*.csv', {
+            sourceFile: true,
+            captures: [null, 'Day'],
+        });
+
+        expect(dataFrame.getColumnNames()).to.eql(["Name", "Amount", "sourceFile", "Day", "Note"]);
+        expect(dataFrame.getSeries('sourceFile').distinct().toArray()).to.eql([
+            testDir + '/daily/2016-01-05.csv',
+            testDir + '/daily/2016-01-06.csv',
+            testDir + '/daily/2016-01-07.csv',
+        ]);
+        expect(dataFrame.getSeries('Day').toArray()).to.eql(['05', '05', '06', '07']);
+    });
+
+    it('can add provenance columns asynchronously', function () {
+
+        return dataForge
+            .readFiles(testDir + '/daily/**/*.csv', { sourceFile: 'File', captures: ['Date'] })
+            .then(function (dataFrame) {
+                expect(dataFrame.getSeries('Date').toArray()).to.eql(['2016-01-05', '2016-01-05', '2016-01-06', '2016-01-07', '2015-12-31']);
+                expect(dataFrame.getSeries('File').last()).to.eql(testDir + '/daily/archive/2015-12-31.csv');
+            });
+    });
+
+    it('rows are the same as when each file is parsed', function () {
+
+        fs.mkdirSync(testDir + '/trailing');
+        fs.writeFileSync(testDir + '/trailing/2016-01.csv', "Name,Amount\r\na,1\r\n,\r\nb,2\r\n");
+        fs.writeFileSync(testDir + '/trailing/2016-02.json', '[{"Name":"c","Amount":3},{}]');
+
+        var dataFrame = dataForge.readFilesSync(testDir + '/trailing/2016-*.*');
+        var expected = dataForge.readFileSync(testDir + '/trailing/2016-01.csv').parseCSV()
+            .concat(dataForge.readFileSync(testDir + '/trailing/2016-02.json').parseJSON());
+
+        expect(dataFrame.toRows()).to.eql(expected.toRows());
+        expect(dataFrame.count()).to.eql(6);
+
+        var skipped = dataForge.readFilesSync(testDir + '/trailing/*.csv', { skipEmptyLines: true, sourceFile: true });
+        expect(skipped.toRows()).to.eql([
+            ["a", "1", testDir + '/trailing/2016-01.csv'],
+            ["", "", testDir + '/trailing/2016-01.csv'],
+            ["b", "2", testDir + '/trailing/2016-01.csv'],
+        ]);
+    });
+
+    it('files read asynchronously are read and parsed when the dataframe is iterated up to them', function () {
+
+        var numParsed = 0;
+
+        dataForge.registerFormat('test-counted', {
+            extensions: ['.counted'],
+            parse: function (text) {
+                ++numParsed;
+                return dataForge.fromCSV(text);
+            },
+        });
+
+        fs.mkdirSync(testDir + '/counted');
+        fs.writeFileSync(testDir + '/counted/a.counted', "A\r\n1");
+        fs.writeFileSync(testDir + '/counted/b.counted', "A\r\n2");
+
+        return dataForge
+            .readFiles(testDir + '/counted/*.counted', { sourceFile: true })
+            .then(function (dataFrame) {
+                expect(numParsed).to.eql(0);
+                expect(dataFrame.getSeries('A').take(1).toArray()).to.eql(["1"]);
+                expect(numParsed).to.eql(1); // The second file isn't read until the iteration reaches it.
+                expect(dataFrame.getSeries('A').toArray()).to.eql(["1", "2"]);
+                expect(numParsed).to.eql(3);
+            })
+            .then(function () {
+                dataForge.unregisterFormat('test-counted');
+            }, function (err) {
+                dataForge.unregisterFormat('test-counted');
+                throw err;
+            });
+    });
+
+    it('can read files in different formats', function () {
+
+        var dataFrame = dataForge.readFilesSync(testDir + '/daily/2016-01-0{7,8}.*', { captures: [null, 'Extension'] });
+
+        expect(dataFrame.getColumnNames()).to.eql(["Name", "Amount", "Note", "Extension"]);
+        expect(dataFrame.toRows()).to.eql([
+            ["d", "4", "late", "csv"],
+            ["e", 5, undefined, "json"],
+        ]);
+    });
+
+    it('can read files in format specified by option', function () {
+
+        var dataFrame = dataForge.readFilesSync(testDir + '/daily/*.txt', { format: 'text', pattern: /^(\w+) (\w+)\.$/ });
+
+        expect(dataFrame.toRows()).to.eql([["Not", "data"]]);
+    });
+
+    it('no matching files is an empty dataframe', function () {
+
+        expect(dataForge.readFilesSync(testDir + '/missing/*.csv').count()).to.eql(0);
+
+        return dataForge
+            .readFiles(testDir + '/daily/*.xlsx')
+            .then(function (dataFrame) {
+                expect(dataFrame.count()).to.eql(0);
+            });
+    });
+
+    it('file with unknown format rejects', function () {
+
+        return dataForge
+            .readFiles(testDir + '/daily/*')
+            .then(function () {
+                throw new Error("Expected an error.");
+            }, function (err) {
+                expect(err.message).to.match(/Failed to determine the format of file '.*readme.txt'/);
+            });
+    });
+
+    it('invalid options throw', function () {
+
+        expect(function () {
+            dataForge.readFilesSync(testDir + '/daily/*.csv', { captures: ['A', 'B'] });
+        }).to.throw(/captures/);
+
+        expect(function () {
+            dataForge.readFiles(testDir + '/daily/*.csv', { sourceFile: 1 });
+        }).to.throw(/sourceFile/);
+    });
+});
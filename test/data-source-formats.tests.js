@@ -0,0 +1,257 @@
+'use strict';
+
+//
+// Tests for loading/saving (mocked) files in the formats of the format registry.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var dataForge = require('../index');
+
+describe('data sources - format registry', function () {
+
+    afterEach(function () {
+        mock.stop('fs');
+
+        ['test-stream', 'test-psv', 'test-replaced', 'test-invalid'].forEach(function (name) {
+            dataForge.unregisterFormat(name);
+        });
+    });
+
+    //
+    // Expect a promise to be rejected with an error that has a message that matches 'pattern'.
+    //
+    var expectRejection = function (promise, pattern) {
+        return promise
+            .then(function () {
+                throw new Error("Expected the promise to be rejected.");
+            }, function (err) {
+                expect(err.message).to.match(pattern);
+            });
+    };
+
+    var testDataFrame = new dataForge.DataFrame({
+        columnNames: ["Name", "Amount"],
+        values: [
+            ["a", 1.5],
+            ["b", 2],
+        ],
+    });
+
+    //
+    // Mock the file system functions used to read and write a whole file.
+    // The content of the file is in the 'data' field of the returned object.
+    //
+    var mockFile = function (testFilePath, testData) {
+
+        var file = {
+            data: testData,
+            encoding: null,
+        };
+
+        mock('fs', {
+            readFile: function (filePath, encoding, callback) {
+                expect(filePath).to.eql(testFilePath);
+
+                if (typeof encoding === 'function') {
+                    callback = encoding;
+                    encoding = null;
+                }
+
+                file.encoding = encoding;
+                callback(null, file.data);
+            },
+
+            writeFile: function (filePath, data, callback) {
+                expect(filePath).to.eql(testFilePath);
+                file.data = data;
+                callback(null);
+            },
+        });
+
+        return file;
+    };
+
+    it('can load file in format determined by extension', function () {
+
+        var file = mockFile("some/file.CSV", "Name,Amount\r\na,1.5\r\nb,2");
+
+        return dataForge
+            .load("some/file.CSV", { inferTypes: true })
+            .then(function (dataFrame) {
+                expect(file.encoding).to.eql('utf8');
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+
+    it('can load file in format specified by option', function () {
+
+        mockFile("some/file.txt", '{"Name":["a","b"],"Amount":[1.5,2]}');
+
+        return dataForge
+            .load("some/file.txt", { format: 'json', orient: 'columns' })
+            .then(function (dataFrame) {
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+
+    it('can load binary file', function () {
+
+        var file = mockFile("some/file.xlsx", testDataFrame.toXLSX());
+
+        return dataForge
+            .load("some/file.xlsx")
+            .then(function (dataFrame) {
+                expect(file.encoding).to.eql(null);
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+
+    it('can save file in format determined by extension', function () {
+
+        var file = mockFile("some/file.yml");
+
+        return testDataFrame
+            .save("some/file.yml", { orient: 'columns' })
+            .then(function () {
+                expect(file.data).to.eql(testDataFrame.toYAML({ orient: 'columns' }));
+            });
+    });
+
+    it('can save file in format specified by option', function () {
+
+        var file = mockFile("some/file.out");
+
+        return testDataFrame
+            .save("some/file.out", { format: 'csv', delimiter: ';' })
+            .then(function () {
+                expect(file.data).to.eql(testDataFrame.toCSV({ delimiter: ';' }));
+            });
+    });
+
+    it('error serializing file rejects', function () {
+
+        mockFile("some/file.xml");
+
+        var dataFrame = new dataForge.DataFrame({ columnNames: ["A B"], values: [[1]] });
+
+        return expectRejection(dataFrame.save("some/file.xml"), /column name/);
+    });
+
+    it('unknown extension or format rejects', function () {
+
+        return Promise.all([
+            expectRejection(dataForge.load("some/file.unknown"), /Failed to determine the format of file 'some\/file.unknown'/),
+            expectRejection(dataForge.load("some/file.csv", { format: 'unknown' }), /Format 'unknown' passed to 'dataForge.load' is not registered/),
+            expectRejection(testDataFrame.save("some/file.unknown"), /Failed to determine the format of file 'some\/file.unknown'/),
+            expectRejection(testDataFrame.save("some/file.csv", { format: 'unknown' }), /Format 'unknown' passed to 'DataFrame.save' is not registered/),
+        ]);
+    });
+
+    it('invalid options reject', function () {
+
+        return Promise.all([
+            expectRejection(dataForge.load("some/file.csv", { stream: 'yes' }), /'stream' option/),
+            expectRejection(dataForge.load("some/file.csv", 'csv'), /'options' parameter/),
+            expectRejection(testDataFrame.save("some/file.csv", 'csv'), /'options' parameter/),
+        ]);
+    });
+
+    it('format that does not support an operation rejects', function () {
+
+        return Promise.all([
+            expectRejection(testDataFrame.save("some/file.log", { format: 'text' }), /doesn't support serialization/),
+            expectRejection(dataForge.load("some/file.json", { stream: true }), /doesn't support streaming/),
+        ]);
+    });
+
+    it('can stream file', function () {
+
+        var streamed = null;
+
+        dataForge.registerFormat('test-stream', {
+            extensions: ['test-stream'],
+            parse: function () {
+                throw new Error("Expected the file to be streamed.");
+            },
+            streamParse: function (filePath, options) {
+                streamed = { filePath: filePath, options: options };
+                return new dataForge.AsyncDataFrame(testDataFrame.toArray());
+            },
+        });
+
+        return dataForge
+            .load("some/file.test-stream", { stream: true, chunkSize: 10 })
+            .then(function (asyncDataFrame) {
+                expect(asyncDataFrame).to.be.an.instanceof(dataForge.AsyncDataFrame);
+                expect(streamed).to.eql({ filePath: "some/file.test-stream", options: { chunkSize: 10 } });
+            });
+    });
+
+    it('can register format with plugin', function () {
+
+        dataForge.use(function (dataForge) {
+            dataForge.registerFormat('test-psv', {
+                extensions: ['.psv', '.pipe.txt'],
+                parse: function (text, options) {
+                    return dataForge.fromCSV(text, Object.assign({ delimiter: '|' }, options));
+                },
+                serialize: function (dataFrame, options) {
+                    return dataFrame.toCSV(Object.assign({ delimiter: '|' }, options));
+                },
+            });
+        });
+
+        var file = mockFile("some/file.pipe.txt");
+
+        return testDataFrame
+            .save("some/file.pipe.txt")
+            .then(function () {
+                expect(file.data).to.eql("Name|Amount\r\na|1.5\r\nb|2");
+                return dataForge.load("some/file.pipe.txt", { inferTypes: true });
+            })
+            .then(function (dataFrame) {
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+
+    it('registering format replaces format with the same name', function () {
+
+        dataForge.registerFormat('test-replaced', { extensions: ['.first'], parse: function () {} });
+        dataForge.registerFormat('test-replaced', { extensions: ['.second'], parse: function () {} });
+
+        return expectRejection(dataForge.load("some/file.first"), /Failed to determine the format/);
+    });
+
+    it('can unregister format', function () {
+
+        dataForge.registerFormat('test-replaced', { extensions: ['.replaced'], parse: function () {} });
+        dataForge.unregisterFormat('test-replaced');
+
+        return Promise.all([
+            expectRejection(dataForge.load("some/file.replaced"), /Failed to determine the format/),
+            expectRejection(dataForge.load("some/file.csv", { format: 'test-replaced' }), /is not registered/),
+        ]);
+    });
+
+    it('invalid format throws', function () {
+
+        expect(function () {
+            dataForge.registerFormat('', { parse: function () {} });
+        }).to.throw(/name/);
+
+        expect(function () {
+            dataForge.registerFormat('test-invalid', { extensions: '.x', parse: function () {} });
+        }).to.throw(/extensions/);
+
+        expect(function () {
+            dataForge.registerFormat('test-invalid', { parse: 'parse' });
+        }).to.throw(/parse/);
+
+        expect(function () {
+            dataForge.registerFormat('test-invalid', { extensions: ['.x'] });
+        }).to.throw(/'parse' or 'serialize' function/);
+    });
+});
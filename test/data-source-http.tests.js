@@ -0,0 +1,219 @@
+'use strict';
+
+//
+// Tests for reading/writing dataframes from/to a local HTTP server.
+//
+
+var expect = require('chai').expect;
+
+var http = require('http');
+
+var dataForge = require('../index');
+
+describe('data sources - http', function () {
+
+    var server = null;
+    var baseUrl = null;
+    var requests = [];
+    var respond = null;
+
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            var body = '';
+            req.setEncoding('utf8');
+            req.on('data', function (chunk) {
+                body += chunk;
+            });
+            req.on('end', function () {
+                var request = { method: req.method, url: req.url, headers: req.headers, body: body };
+                requests.push(request);
+                respond(request, res);
+            });
+        });
+
+        server.listen(0, '127.0.0.1', function () {
+            baseUrl = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    beforeEach(function () {
+        requests = [];
+    });
+
+    //
+    // Respond to every request with the same status and body.
+    //
+    var respondWith = function (statusCode, body) {
+        respond = function (request, res) {
+            res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+            res.end(body);
+        };
+    };
+
+    it('can get CSV', function () {
+
+        respondWith(200, "Col1,Col2\r\n1,a\r\n2,b");
+
+        return dataForge
+            .httpGet(baseUrl + '/data.csv', { headers: { Authorization: 'Bearer token' } })
+            .parseCSV({ inferTypes: true })
+            .then(function (dataFrame) {
+                expect(dataFrame.getColumnNames()).to.eql(["Col1", "Col2"]);
+                expect(dataFrame.toRows()).to.eql([[1, "a"], [2, "b"]]);
+
+                expect(requests.length).to.eql(1);
+                expect(requests[0].method).to.eql('GET');
+                expect(requests[0].url).to.eql('/data.csv');
+                expect(requests[0].headers.authorization).to.eql('Bearer token');
+            });
+    });
+
+    it('can get JSON', function () {
+
+        respondWith(200, JSON.stringify({ Col1: [1, 2], Col2: ["a", "b"] }));
+
+        return dataForge
+            .httpGet(baseUrl + '/data')
+            .parseJSON({ orient: 'columns' })
+            .then(function (dataFrame) {
+                expect(dataFrame.toRows()).to.eql([[1, "a"], [2, "b"]]);
+            });
+    });
+
+    it('can get pages', function () {
+
+        respond = function (request, res) {
+            var page = parseInt(request.url.split('page=')[1], 10);
+            res.writeHead(200, { 'Content-Type': 'application/json', 'X-Last-Page': '3' });
+            res.end(JSON.stringify([{ Page: page, Value: page * 10 }]));
+        };
+
+        var pages = [];
+
+        return dataForge
+            .httpGet(baseUrl + '/api/items?page=1', {
+                nextPage: function (response, numPages) {
+                    pages.push(response.url);
+                    return numPages < parseInt(response.headers['x-last-page'], 10) ? 'items?page=' + (numPages + 1) : null;
+                },
+            })
+            .parseJSON()
+            .then(function (dataFrame) {
+                expect(dataFrame.toPairs()).to.eql([
+                    [0, { Page: 1, Value: 10 }],
+                    [1, { Page: 2, Value: 20 }],
+                    [2, { Page: 3, Value: 30 }],
+                ]);
+
+                expect(pages).to.eql([
+                    baseUrl + '/api/items?page=1',
+                    baseUrl + '/api/items?page=2',
+                    baseUrl + '/api/items?page=3',
+                ]);
+            });
+    });
+
+    it('error status rejects', function () {
+
+        respondWith(404, "Not found");
+
+        return dataForge
+            .httpGet(baseUrl + '/missing')
+            .parseCSV()
+            .then(function () {
+                throw new Error("Expected an error.");
+            }, function (err) {
+                expect(err.message).to.eql("HTTP GET request to '" + baseUrl + "/missing' failed with status 404.");
+                expect(err.response.statusCode).to.eql(404);
+                expect(err.response.body).to.eql("Not found");
+            });
+    });
+
+    it('invalid http options throw', function () {
+
+        expect(function () {
+            dataForge.httpGet(baseUrl, { nextPage: 'next' });
+        }).to.throw(/nextPage/);
+
+        expect(function () {
+            new dataForge.DataFrame().asCSV().httpPost(baseUrl, { headers: 'text/csv' });
+        }).to.throw(/headers/);
+    });
+
+    var testDataFrame = new dataForge.DataFrame({
+        columnNames: ["Col1", "Col2"],
+        values: [
+            [1, "a"],
+            [2, "b"],
+        ],
+    });
+
+    it('can post CSV', function () {
+
+        respondWith(201, "Created");
+
+        return testDataFrame
+            .asCSV()
+            .httpPost(baseUrl + '/upload')
+            .then(function (response) {
+                expect(response.statusCode).to.eql(201);
+                expect(response.body).to.eql("Created");
+
+                expect(requests.length).to.eql(1);
+                expect(requests[0].method).to.eql('POST');
+                expect(requests[0].url).to.eql('/upload');
+                expect(requests[0].headers['content-type']).to.eql('text/csv');
+                expect(requests[0].body).to.eql(testDataFrame.toCSV());
+            });
+    });
+
+    it('can put JSON', function () {
+
+        respondWith(200, "");
+
+        return testDataFrame
+            .asJSON()
+            .httpPut(baseUrl + '/upload', { headers: { 'content-type': 'application/vnd.api+json', 'X-Custom': 'value' } })
+            .then(function () {
+                expect(requests[0].method).to.eql('PUT');
+                expect(requests[0].headers['content-type']).to.eql('application/vnd.api+json');
+                expect(requests[0].headers['x-custom']).to.eql('value');
+                expect(JSON.parse(requests[0].body)).to.eql(testDataFrame.toArray());
+            });
+    });
+
+    it('can post large dataframe in chunks', function () {
+
+        respondWith(200, "");
+
+        var dataFrame = dataForge.range(0, 2500).inflate(function (value) {
+            return { Value: value };
+        });
+
+        return dataFrame
+            .asCSV()
+            .httpPost(baseUrl + '/upload')
+            .then(function () {
+                expect(dataForge.fromCSV(requests[0].body).count()).to.eql(2500);
+            });
+    });
+
+    it('error status of post rejects', function () {
+
+        respondWith(500, "Failed");
+
+        return testDataFrame
+            .asJSON()
+            .httpPost(baseUrl + '/upload')
+            .then(function () {
+                throw new Error("Expected an error.");
+            }, function (err) {
+                expect(err.message).to.match(/HTTP POST request to .* failed with status 500/);
+            });
+    });
+});
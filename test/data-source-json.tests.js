@@ -7,6 +7,7 @@
 var expect = require('chai').expect;
 
 var mock = require('mock-require');
+var mockWritableFile = require('./helpers/mock-writable-file');
 
 var dataForge = require('../index');	
 
@@ -91,19 +92,15 @@ describe('data sources - json', function () {
         ], null, 4);
         var dataFrame = dataForge.fromJSON(testJsonData);
 
-        mock('fs', { 
-            writeFile: function(filePath, fileData, callback) {
-                expect(filePath).to.eql(testFilePath);
-                expect(fileData).to.eql(testJsonData);
-
-                callback(null);
-            },
-        });
+        var file = mockWritableFile(testFilePath);
         
         return dataFrame
             .asJSON()
             .writeFile(testFilePath)            
-            ;
+            .then(function () {
+                expect(file.data).to.eql(testJsonData);
+                expect(file.closed).to.eql(true);
+            });
 
     });
 
@@ -122,13 +119,233 @@ describe('data sources - json', function () {
         ], null, 4);
         var dataFrame = dataForge.fromJSON(testJsonData);
 
+        var file = mockWritableFile(testFilePath);
+        
+        dataFrame.asJSON().writeFileSync(testFilePath);
+
+        expect(file.data).to.eql(testJsonData);
+        expect(file.closed).to.eql(true);
+    });
+
+    it('can read JSON file with orient synchronously', function () {
+
+        var testFilePath = "some/file.json"
+        var testJsonData = JSON.stringify({ Col1: [1, 3], Col2: [2, 4] });
+
         mock('fs', { 
-            writeFileSync: function(filePath, fileData) {
+            readFileSync: function(filePath, dataFormat) {
                 expect(filePath).to.eql(testFilePath);
-                expect(fileData).to.eql(testJsonData);
+                return testJsonData;
             },
         });
         
-        dataFrame.asJSON().writeFileSync(testFilePath);
+        var dataFrame = dataForge.readFileSync(testFilePath).parseJSON({ orient: 'columns' });
+        expect(dataFrame.toRows()).to.eql([[1, 2], [3, 4]]);
+    });
+
+    var testJsonLinesData
+        = '{"Col1":1,"Col2":{"Value":2}}\n'
+        + '{"Col1":3,"Col2":{"Value":4}}\n'
+        ;
+
+    it('can read JSON Lines file asynchronously', function () {
+
+        var testFilePath = "some/file.jsonl"
+
+        mock('fs', { 
+            readFile: function(filePath, dataFormat, callback) {
+                expect(filePath).to.eql(testFilePath);
+                callback(null, testJsonLinesData);
+            },
+        });
+        
+        return dataForge
+            .readFile(testFilePath)
+            .parseJSONLines({ flatten: true })
+            .then(dataFrame => {
+                expect(dataFrame.getColumnNames()).to.eql(["Col1", "Col2.Value"]);
+                expect(dataFrame.toRows()).to.eql([[1, 2], [3, 4]]);
+            })
+            ;
+    });
+
+    it('can read JSON Lines file synchronously', function () {
+
+        var testFilePath = "some/file.jsonl"
+
+        mock('fs', { 
+            readFileSync: function(filePath, dataFormat) {
+                expect(filePath).to.eql(testFilePath);
+                return testJsonLinesData;
+            },
+        });
+        
+        var dataFrame = dataForge.readFileSync(testFilePath).parseJSONLines();
+        expect(dataFrame.toArray()).to.eql([
+            { Col1: 1, Col2: { Value: 2 } },
+            { Col1: 3, Col2: { Value: 4 } },
+        ]);
+    });
+
+    //
+    // Mock the file system functions used to read a file in chunks.
+    //
+    var mockChunkedFile = function (testFilePath, testData) {
+
+        var data = Buffer.from(testData, 'utf8');
+        var openFiles = 0;
+
+        var read = function (buffer, offset, length, position) {
+            var bytesRead = Math.max(0, Math.min(length, data.length - position));
+            data.copy(buffer, offset, position, position + bytesRead);
+            return bytesRead;
+        };
+
+        mock('fs', {
+            openSync: function (filePath, flags) {
+                expect(filePath).to.eql(testFilePath);
+                expect(flags).to.eql('r');
+                ++openFiles;
+                return 1;
+            },
+
+            readSync: function (fd, buffer, offset, length, position) {
+                return read(buffer, offset, length, position);
+            },
+
+            closeSync: function (fd) {
+                --openFiles;
+            },
+
+            open: function (filePath, flags, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(flags).to.eql('r');
+                ++openFiles;
+                callback(null, 1);
+            },
+
+            read: function (fd, buffer, offset, length, position, callback) {
+                callback(null, read(buffer, offset, length, position));
+            },
+
+            close: function (fd, callback) {
+                --openFiles;
+                callback(null);
+            },
+        });
+
+        return {
+            openFiles: function () {
+                return openFiles;
+            },
+        };
+    };
+
+    it('can stream JSON Lines file synchronously', function () {
+
+        var testFilePath = "some/file.jsonl"
+        var file = mockChunkedFile(testFilePath, testJsonLinesData);
+
+        var dataFrame = dataForge.readFileSync(testFilePath).streamJSONLines({ chunkSize: 5, flatten: true });
+        expect(dataFrame.getColumnNames()).to.eql(["Col1", "Col2.Value"]);
+        expect(dataFrame.toPairs()).to.eql([
+            [0, { Col1: 1, "Col2.Value": 2 }],
+            [1, { Col1: 3, "Col2.Value": 4 }],
+        ]);
+        expect(file.openFiles()).to.eql(0);
+    });
+
+    it('streamed JSON Lines file is only read as far as required', function () {
+
+        var testFilePath = "some/file.jsonl"
+        mockChunkedFile(testFilePath, testJsonLinesData);
+
+        var bytesRead = 0;
+        var fs = require('fs');
+        var readSync = fs.readSync;
+        fs.readSync = function (fd, buffer, offset, length, position) {
+            var numBytes = readSync(fd, buffer, offset, length, position);
+            bytesRead += numBytes;
+            return numBytes;
+        };
+
+        var dataFrame = dataForge.readFileSync(testFilePath).streamJSONLines({ chunkSize: 5 });
+        expect(dataFrame.take(1).toArray()).to.eql([{ Col1: 1, Col2: { Value: 2 } }]);
+        expect(bytesRead).to.be.below(testJsonLinesData.length);
+    });
+
+    it('can stream JSON Lines file asynchronously', function () {
+
+        var testFilePath = "some/file.jsonl"
+        var file = mockChunkedFile(testFilePath, testJsonLinesData);
+
+        var dataFrame = dataForge.readFile(testFilePath).streamJSONLines({ chunkSize: 5 });
+        return dataFrame.getColumnNames()
+            .then(function (columnNames) {
+                expect(columnNames).to.eql(["Col1", "Col2"]);
+                return dataFrame.toPairs();
+            })
+            .then(function (pairs) {
+                expect(pairs).to.eql([
+                    [0, { Col1: 1, Col2: { Value: 2 } }],
+                    [1, { Col1: 3, Col2: { Value: 4 } }],
+                ]);
+                expect(file.openFiles()).to.eql(0);
+            });
+    });
+
+    it('can specify the columns of a streamed JSON Lines file', function () {
+
+        var testFilePath = "some/file.jsonl"
+        mockChunkedFile(testFilePath, '{"Col1":1}\n{"Col1":2,"Col2":3}\n');
+
+        var dataFrame = dataForge.readFileSync(testFilePath).streamJSONLines({ chunkSize: 5 });
+        expect(dataFrame.getColumnNames()).to.eql(["Col1"]);
+
+        dataFrame = dataForge.readFileSync(testFilePath).streamJSONLines({ chunkSize: 5, columnNames: ["Col1", "Col2"] });
+        expect(dataFrame.getColumnNames()).to.eql(["Col1", "Col2"]);
+        expect(dataFrame.toRows()).to.eql([[1, undefined], [2, 3]]);
+
+        return dataForge.readFile(testFilePath).streamJSONLines({ columnNames: ["Col1", "Col2"] })
+            .getColumnNames()
+            .then(function (columnNames) {
+                expect(columnNames).to.eql(["Col1", "Col2"]);
+            });
+    });
+
+    it('invalid column names for a streamed JSON Lines file throw', function () {
+
+        expect(function () {
+            dataForge.readFileSync("some/file.jsonl").streamJSONLines({ columnNames: "Col1" });
+        }).to.throw(/columnNames/);
+    });
+
+    it('can write JSON Lines file asynchronously', function () {
+
+        var testFilePath = "some/file.jsonl"
+        var dataFrame = dataForge.fromJSONLines(testJsonLinesData, { flatten: true });
+
+        var file = mockWritableFile(testFilePath);
+        
+        return dataFrame
+            .asJSONLines({ unflatten: true })
+            .writeFile(testFilePath)            
+            .then(function () {
+                expect(file.data).to.eql(testJsonLinesData);
+                expect(file.closed).to.eql(true);
+            });
+    });
+
+    it('can write JSON Lines file synchronously', function () {
+
+        var testFilePath = "some/file.jsonl"
+        var dataFrame = dataForge.fromJSONLines(testJsonLinesData);
+
+        var file = mockWritableFile(testFilePath);
+        
+        dataFrame.asJSONLines().writeFileSync(testFilePath);
+
+        expect(file.data).to.eql(testJsonLinesData);
+        expect(file.closed).to.eql(true);
     });
 });
\ No newline at end of file
@@ -0,0 +1,165 @@
+'use strict';
+
+//
+// Tests for reading/writing various (mocked) data sources.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+var mockWritableFile = require('./helpers/mock-writable-file');
+
+var dataForge = require('../index');	
+
+describe('data sources - text', function () {
+
+    afterEach(function () {
+        mock.stop('fs');
+    });
+
+    var testFixedWidthData
+        = "0001Smith     00012.50\n"
+        + "0002Jones     00003.00\n"
+        ;
+
+    var testColumns = [
+        { name: "Id", width: 4, type: 'int' },
+        { name: "Name", width: 10 },
+        { name: "Amount", width: 8, type: 'number' },
+    ];
+
+    var testLogData
+        = "2016-01-05 ERROR Disk full\n"
+        + "restarted\n"
+        + "2016-01-05 INFO Started\n"
+        ;
+
+    var testPattern = /^(\S+) (\w+) (.*)$/;
+
+    it('can read fixed-width file asynchronously', function () {
+
+        var testFilePath = "some/file.txt"
+
+        mock('fs', { 
+            readFile: function(filePath, dataFormat, callback) {
+                expect(filePath).to.eql(testFilePath);
+                callback(null, testFixedWidthData);
+            },
+        });
+        
+        return dataForge
+            .readFile(testFilePath)
+            .parseFixedWidth({ columns: testColumns })
+            .then(function (dataFrame) {
+                expect(dataFrame.getColumnNames()).to.eql(["Id", "Name", "Amount"]);
+                expect(dataFrame.toRows()).to.eql([[1, "Smith", 12.5], [2, "Jones", 3]]);
+            });
+    });
+
+    it('can read fixed-width file synchronously', function () {
+
+        var testFilePath = "some/file.txt"
+
+        mock('fs', { 
+            readFileSync: function(filePath, dataFormat) {
+                expect(filePath).to.eql(testFilePath);
+                return testFixedWidthData;
+            },
+        });
+        
+        var dataFrame = dataForge.readFileSync(testFilePath).parseFixedWidth({ columns: testColumns });
+        expect(dataFrame.toRows()).to.eql([[1, "Smith", 12.5], [2, "Jones", 3]]);
+    });
+
+    it('can read text file with pattern asynchronously', function () {
+
+        var testFilePath = "some/file.log"
+
+        mock('fs', { 
+            readFile: function(filePath, dataFormat, callback) {
+                expect(filePath).to.eql(testFilePath);
+                callback(null, testLogData);
+            },
+        });
+        
+        return dataForge
+            .readFile(testFilePath)
+            .parseText({ pattern: testPattern, columnNames: ["Date", "Level", "Message"], skipUnmatched: true })
+            .then(function (dataFrame) {
+                expect(dataFrame.toArray()).to.eql([
+                    { Date: "2016-01-05", Level: "ERROR", Message: "Disk full" },
+                    { Date: "2016-01-05", Level: "INFO", Message: "Started" },
+                ]);
+            });
+    });
+
+    it('can read text file with pattern synchronously', function () {
+
+        var testFilePath = "some/file.log"
+
+        mock('fs', { 
+            readFileSync: function(filePath, dataFormat) {
+                expect(filePath).to.eql(testFilePath);
+                return testLogData;
+            },
+        });
+        
+        expect(function () {
+            dataForge.readFileSync(testFilePath).parseText({ pattern: testPattern });
+        }).to.throw(/Line 2/);
+    });
+
+    it('can write fixed-width file asynchronously', function () {
+
+        var testFilePath = "some/file.txt"
+        var dataFrame = dataForge.fromFixedWidth(testFixedWidthData, { columns: testColumns });
+
+        var file = mockWritableFile(testFilePath);
+        
+        return dataFrame
+            .asFixedWidth({ columns: testColumns })
+            .writeFile(testFilePath)            
+            .then(function () {
+                expect(file.data).to.eql(
+                    "   1Smith         12.5\n" +
+                    "   2Jones            3\n"
+                );
+                expect(file.closed).to.eql(true);
+            });
+    });
+
+    it('can write fixed-width file synchronously', function () {
+
+        var testFilePath = "some/file.txt"
+        var dataFrame = dataForge.fromFixedWidth(testFixedWidthData, { columns: testColumns });
+
+        var file = mockWritableFile(testFilePath);
+        
+        dataFrame.asFixedWidth({ header: true }).writeFileSync(testFilePath);
+
+        expect(file.data).to.eql(
+            "IdName Amount\n" +
+            " 1Smith  12.5\n" +
+            " 2Jones     3\n"
+        );
+        expect(file.closed).to.eql(true);
+    });
+
+    it('writing value wider than column is an error', function () {
+
+        var testFilePath = "some/file.txt"
+        var dataFrame = dataForge.fromFixedWidth(testFixedWidthData, { columns: testColumns });
+
+        var file = mockWritableFile(testFilePath);
+        
+        return dataFrame
+            .asFixedWidth({ columns: [{ name: "Name", width: 3 }] })
+            .writeFile(testFilePath)            
+            .then(function () {
+                throw new Error("Expected an error.");
+            }, function (err) {
+                expect(err.message).to.contain("wider than the column");
+                expect(file.closed).to.eql(true);
+            });
+    });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+//
+// Tests for reading/writing various (mocked) data sources.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+var dataForge = require('../index');
+
+describe('data sources - xlsx', function () {
+
+    afterEach(function () {
+        mock.stop('fs');
+    });
+
+    var testDataFrame = new dataForge.DataFrame({
+        columnNames: ["Name", "Amount", "Date"],
+        values: [
+            ["a", 1.5, new Date(2016, 0, 5)],
+            ["b", 2, new Date(2016, 1, 6)],
+        ],
+    });
+
+    //
+    // Mock the file system functions used to write a whole file.
+    // The content written to the file is recorded in the 'data' field of the returned object.
+    //
+    var mockWritableFile = function (testFilePath) {
+
+        var file = {
+            data: null,
+        };
+
+        mock('fs', {
+            writeFile: function (filePath, data, callback) {
+                expect(filePath).to.eql(testFilePath);
+                file.data = data;
+                callback(null);
+            },
+
+            writeFileSync: function (filePath, data) {
+                expect(filePath).to.eql(testFilePath);
+                file.data = data;
+            },
+        });
+
+        return file;
+    };
+
+    //
+    // Mock the file system functions used to read a whole file as binary data.
+    //
+    var mockReadableFile = function (testFilePath, testData) {
+
+        mock('fs', {
+            readFile: function (filePath, callback) {
+                expect(filePath).to.eql(testFilePath);
+                callback(null, testData);
+            },
+
+            readFileSync: function (filePath) {
+                expect(filePath).to.eql(testFilePath);
+                return testData;
+            },
+        });
+    };
+
+    it('can read XLSX file asynchronously', function () {
+
+        var testFilePath = "some/file.xlsx"
+        mockReadableFile(testFilePath, testDataFrame.toXLSX());
+
+        return dataForge
+            .readFile(testFilePath)
+            .parseXLSX()
+            .then(function (dataFrame) {
+                expect(dataFrame.getColumnNames()).to.eql(testDataFrame.getColumnNames());
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+
+    it('can read XLSX file synchronously', function () {
+
+        var testFilePath = "some/file.xlsx"
+        mockReadableFile(testFilePath, testDataFrame.toXLSX({ sheetName: 'Data' }));
+
+        var dataFrame = dataForge.readFileSync(testFilePath).parseXLSX({ sheet: 'Data', range: 'A1:B3' });
+        expect(dataFrame.toRows()).to.eql([["a", 1.5], ["b", 2]]);
+    });
+
+    it('can read worksheets of XLSX file asynchronously', function () {
+
+        var testFilePath = "some/file.xlsx"
+        var file = mockWritableFile(testFilePath);
+        dataForge.asXLSX({ First: testDataFrame, Second: testDataFrame.take(1) }).writeFileSync(testFilePath);
+        mockReadableFile(testFilePath, file.data);
+
+        return dataForge
+            .readFile(testFilePath)
+            .parseXLSXSheets()
+            .then(function (dataFrames) {
+                expect(Object.keys(dataFrames)).to.eql(["First", "Second"]);
+                expect(dataFrames.First.count()).to.eql(2);
+                expect(dataFrames.Second.toRows()).to.eql(testDataFrame.take(1).toRows());
+            });
+    });
+
+    it('can read worksheets of XLSX file synchronously', function () {
+
+        var testFilePath = "some/file.xlsx"
+        var file = mockWritableFile(testFilePath);
+        dataForge.asXLSX({ First: testDataFrame, Second: testDataFrame.take(1) }).writeFileSync(testFilePath);
+        mockReadableFile(testFilePath, file.data);
+
+        var dataFrames = dataForge.readFileSync(testFilePath).parseXLSXSheets({ sheets: ["Second"] });
+        expect(Object.keys(dataFrames)).to.eql(["Second"]);
+    });
+
+    it('can write XLSX file asynchronously', function () {
+
+        var testFilePath = "some/file.xlsx"
+        var file = mockWritableFile(testFilePath);
+
+        return testDataFrame
+            .asXLSX()
+            .writeFile(testFilePath, { sheetName: 'Data' })
+            .then(function () {
+                var dataFrame = dataForge.fromXLSX(file.data, { sheet: 'Data' });
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+
+    it('can write XLSX file synchronously', function () {
+
+        var testFilePath = "some/file.xlsx"
+        var file = mockWritableFile(testFilePath);
+
+        testDataFrame.asXLSX({ sheetName: 'Data', header: false }).writeFileSync(testFilePath);
+
+        var dataFrame = dataForge.fromXLSX(file.data, { sheet: 'Data', columnNames: ["A", "B", "C"] });
+        expect(dataFrame.getColumnNames()).to.eql(["A", "B", "C"]);
+        expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+    });
+
+    it('can write XLSX file from async dataframe', function () {
+
+        var testFilePath = "some/file.xlsx"
+        var file = mockWritableFile(testFilePath);
+
+        return new dataForge.AsyncDataFrame(testDataFrame.toArray())
+            .asXLSX({ sheetName: 'Data' })
+            .writeFile(testFilePath)
+            .then(function () {
+                var dataFrame = dataForge.fromXLSX(file.data);
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+//
+// Tests for reading/writing various (mocked) data sources.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+var mockWritableFile = require('./helpers/mock-writable-file');
+
+var dataForge = require('../index');
+
+describe('data sources - xml', function () {
+
+    afterEach(function () {
+        mock.stop('fs');
+    });
+
+    var testDataFrame = new dataForge.DataFrame({
+        columnNames: ["Name", "Amount"],
+        values: [
+            ["a", 1.5],
+            ["b", 2],
+        ],
+    });
+
+    var testXmlData
+        = '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<data>\n'
+        + '    <row>\n'
+        + '        <Name>a</Name>\n'
+        + '        <Amount>1.5</Amount>\n'
+        + '    </row>\n'
+        + '    <row>\n'
+        + '        <Name>b</Name>\n'
+        + '        <Amount>2</Amount>\n'
+        + '    </row>\n'
+        + '</data>'
+        ;
+
+    //
+    // Mock the file system functions used to read a whole text file.
+    //
+    var mockReadableFile = function (testFilePath, testData) {
+
+        mock('fs', {
+            readFile: function (filePath, dataFormat, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+                callback(null, testData);
+            },
+
+            readFileSync: function (filePath, dataFormat) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+                return testData;
+            },
+        });
+    };
+
+    it('can read XML file asynchronously', function () {
+
+        var testFilePath = "some/file.xml"
+        mockReadableFile(testFilePath, testXmlData);
+
+        return dataForge
+            .readFile(testFilePath)
+            .parseXML({ inferTypes: true })
+            .then(function (dataFrame) {
+                expect(dataFrame.getColumnNames()).to.eql(["Name", "Amount"]);
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+
+    it('can read XML file synchronously', function () {
+
+        var testFilePath = "some/file.xml"
+        mockReadableFile(testFilePath, testXmlData);
+
+        var dataFrame = dataForge.readFileSync(testFilePath).parseXML();
+        expect(dataFrame.getColumnNames()).to.eql(["Name", "Amount"]);
+        expect(dataFrame.toRows()).to.eql([["a", "1.5"], ["b", "2"]]);
+    });
+
+    it('can write XML file asynchronously', function () {
+
+        var testFilePath = "some/file.xml"
+        var file = mockWritableFile(testFilePath);
+
+        return testDataFrame
+            .asXML()
+            .writeFile(testFilePath)
+            .then(function () {
+                expect(file.data).to.eql(testXmlData);
+                expect(file.closed).to.eql(true);
+            });
+    });
+
+    it('can write XML file synchronously', function () {
+
+        var testFilePath = "some/file.xml"
+        var file = mockWritableFile(testFilePath);
+
+        testDataFrame.asXML({ rootElement: 'items', rowElement: 'item' }).writeFileSync(testFilePath);
+
+        expect(file.data).to.eql(testDataFrame.toXML({ rootElement: 'items', rowElement: 'item' }));
+        expect(file.closed).to.eql(true);
+    });
+
+    it('writing XML file with column names that are not element names is an error', function () {
+
+        mockWritableFile("some/file.xml");
+
+        var dataFrame = new dataForge.DataFrame({ columnNames: ["A B"], values: [[1]] });
+
+        expect(function () {
+            dataFrame.asXML().writeFileSync("some/file.xml");
+        }).to.throw(/column name/);
+
+        return dataFrame.asXML().writeFile("some/file.xml")
+            .then(function () {
+                throw new Error("Expected an error.");
+            }, function (err) {
+                expect(err.message).to.match(/column name/);
+            });
+    });
+
+    it('can write XML file from async dataframe', function () {
+
+        var testFilePath = "some/file.xml"
+        var file = mockWritableFile(testFilePath);
+
+        return new dataForge.AsyncDataFrame(testDataFrame.toArray())
+            .asXML()
+            .writeFile(testFilePath)
+            .then(function () {
+                expect(file.data).to.eql(testXmlData);
+            });
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+//
+// Tests for reading/writing various (mocked) data sources.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+var mockWritableFile = require('./helpers/mock-writable-file');
+
+var dataForge = require('../index');
+
+describe('data sources - yaml', function () {
+
+    afterEach(function () {
+        mock.stop('fs');
+    });
+
+    var testDataFrame = new dataForge.DataFrame({
+        columnNames: ["Name", "Amount"],
+        values: [
+            ["a", 1.5],
+            ["b", 2],
+        ],
+    });
+
+    var testYamlData
+        = '- Name: a\n'
+        + '  Amount: 1.5\n'
+        + '- Name: b\n'
+        + '  Amount: 2\n'
+        ;
+
+    //
+    // Mock the file system functions used to read a whole text file.
+    //
+    var mockReadableFile = function (testFilePath, testData) {
+
+        mock('fs', {
+            readFile: function (filePath, dataFormat, callback) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+                callback(null, testData);
+            },
+
+            readFileSync: function (filePath, dataFormat) {
+                expect(filePath).to.eql(testFilePath);
+                expect(dataFormat).to.eql('utf8');
+                return testData;
+            },
+        });
+    };
+
+    it('can read YAML file asynchronously', function () {
+
+        var testFilePath = "some/file.yaml"
+        mockReadableFile(testFilePath, testYamlData);
+
+        return dataForge
+            .readFile(testFilePath)
+            .parseYAML()
+            .then(function (dataFrame) {
+                expect(dataFrame.getColumnNames()).to.eql(["Name", "Amount"]);
+                expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+            });
+    });
+
+    it('can read YAML file synchronously', function () {
+
+        var testFilePath = "some/file.yaml"
+        mockReadableFile(testFilePath, "Name: [a, b]\nAmount: [1.5, 2]\n");
+
+        var dataFrame = dataForge.readFileSync(testFilePath).parseYAML({ orient: 'columns' });
+        expect(dataFrame.toRows()).to.eql(testDataFrame.toRows());
+    });
+
+    it('can write YAML file asynchronously', function () {
+
+        var testFilePath = "some/file.yaml"
+        var file = mockWritableFile(testFilePath);
+
+        return testDataFrame
+            .asYAML()
+            .writeFile(testFilePath)
+            .then(function () {
+                expect(file.data).to.eql(testYamlData);
+                expect(file.closed).to.eql(true);
+            });
+    });
+
+    it('can write YAML file synchronously', function () {
+
+        var testFilePath = "some/file.yaml"
+        var file = mockWritableFile(testFilePath);
+
+        var dataFrame = new dataForge.DataFrame({ columnNames: ["Address.City"], values: [["Brisbane"]] });
+        dataFrame.asYAML({ unflatten: true }).writeFileSync(testFilePath);
+
+        expect(file.data).to.eql(dataFrame.toYAML({ unflatten: true }));
+        expect(file.data).to.eql("- Address:\n    City: Brisbane\n");
+    });
+
+    it('can write empty YAML file', function () {
+
+        var testFilePath = "some/file.yaml"
+        var file = mockWritableFile(testFilePath);
+
+        new dataForge.DataFrame().asYAML().writeFileSync(testFilePath);
+
+        expect(file.data).to.eql("[]\n");
+    });
+
+    it('can write YAML file from async dataframe', function () {
+
+        var testFilePath = "some/file.yaml"
+        var file = mockWritableFile(testFilePath);
+
+        return new dataForge.AsyncDataFrame(testDataFrame.toArray())
+            .asYAML()
+            .writeFile(testFilePath)
+            .then(function () {
+                expect(file.data).to.eql(testYamlData);
+            });
+    });
+});
@@ -1007,6 +1007,127 @@ describe('DataFrame', function () {
 		);
 	});	
 
+	it('can save data frame to json with orient', function () {
+
+		var dataFrame = initDataFrame(
+			["Column1", "Column2"], 
+			[
+				['A', 1],
+				['B', 2],
+			],
+			[5, 6]
+		);
+
+		expect(JSON.parse(dataFrame.toJSON({ orient: 'columns' }))).to.eql({ Column1: ['A', 'B'], Column2: [1, 2] });
+		expect(JSON.parse(dataFrame.toJSON({ orient: 'split' }))).to.eql({ columns: ["Column1", "Column2"], index: [5, 6], data: [['A', 1], ['B', 2]] });
+		expect(JSON.parse(dataFrame.toJSON({ orient: 'index' }))).to.eql({ 5: { Column1: 'A', Column2: 1 }, 6: { Column1: 'B', Column2: 2 } });
+		expect(dataFrame.toJSON({ orient: 'columns', indent: 0 })).to.eql('{"Column1":["A","B"],"Column2":[1,2]}');
+	});
+
+	it('can save data frame to json with nested objects', function () {
+
+		var dataFrame = initDataFrame(
+			["Name", "Address.City", "Address.Code"], 
+			[
+				['A', 'Brisbane', 4000],
+			]
+		);
+
+		expect(JSON.parse(dataFrame.toJSON({ unflatten: true }))).to.eql([{ Name: 'A', Address: { City: 'Brisbane', Code: 4000 } }]);
+	});
+
+	it('can save data frame to json lines', function () {
+
+		var dataFrame = initDataFrame(
+			["Name", "Address.City"], 
+			[
+				['A', 'Brisbane'],
+				['B', 'Sydney'],
+			]
+		);
+
+		expect(dataFrame.toJSONLines()).to.eql(
+			'{"Name":"A","Address.City":"Brisbane"}\n' +
+			'{"Name":"B","Address.City":"Sydney"}\n'
+		);
+		expect(dataFrame.toJSONLines({ unflatten: true })).to.eql(
+			'{"Name":"A","Address":{"City":"Brisbane"}}\n' +
+			'{"Name":"B","Address":{"City":"Sydney"}}\n'
+		);
+	});
+
+	it('invalid json options throws', function () {
+
+		var dataFrame = initDataFrame(["Column1"], [['A']]);
+
+		expect(function () {
+			dataFrame.toJSON({ orient: 'table' });
+		}).to.throw();
+
+		expect(function () {
+			dataFrame.toJSONLines({ unflatten: 'yes' });
+		}).to.throw();
+	});
+
+	it('can serialize dataframe to xml', function () {
+
+		var dataFrame = initDataFrame(
+			["Name", "Date"], 
+			[
+				['A & B', new Date(Date.UTC(2016, 0, 5))],
+				['C', undefined],
+			]
+		);
+
+		expect(dataFrame.toXML({ rootElement: 'items', rowElement: 'item' })).to.eql(
+			'<?xml version="1.0" encoding="UTF-8"?>\n' +
+			'<items>\n' +
+			'    <item>\n' +
+			'        <Name>A &amp; B</Name>\n' +
+			'        <Date>2016-01-05T00:00:00.000Z</Date>\n' +
+			'    </item>\n' +
+			'    <item>\n' +
+			'        <Name>C</Name>\n' +
+			'    </item>\n' +
+			'</items>'
+		);
+	});
+
+	it('serializing dataframe to xml with column names that are not element names throws', function () {
+
+		var dataFrame = initDataFrame(["1st"], [['A']]);
+
+		expect(function () {
+			dataFrame.toXML();
+		}).to.throw(/column name/);
+	});
+
+	it('can serialize dataframe to yaml', function () {
+
+		var dataFrame = initDataFrame(
+			["Name", "Address.City"], 
+			[
+				['A', 'Brisbane'],
+				['B', undefined],
+			]
+		);
+
+		expect(dataFrame.toYAML()).to.eql(
+			'- Name: A\n' +
+			'  Address.City: Brisbane\n' +
+			'- Name: B\n'
+		);
+		expect(dataFrame.toYAML({ orient: 'columns', unflatten: true })).to.eql(
+			'Name:\n' +
+			'  - A\n' +
+			'  - B\n' +
+			'Address:\n' +
+			'  City:\n' +
+			'    - Brisbane\n' +
+			'    - null\n'
+		);
+	});
+
 	it('can save empty data frame to csv', function () {
 
 		var dataFrame = initDataFrame([], [], []);
@@ -1853,4 +1974,917 @@ describe('DataFrame', function () {
 		expect(df.getColumnNames()).to.eql(["A", "B"]);
 		expect(modified.getColumnNames()).to.eql(["X", "Y"]);
 	});
+
+	describe('group by columns', function () {
+
+		var salesData;
+
+		beforeEach(function () {
+			salesData = new DataFrame({
+				columnNames: ["region", "product", "sales", "price", "orders"],
+				values: [
+					["north", "apples", 10, 1.5, 2],
+					["south", "apples", 5, 1.0, 1],
+					["north", "pears", 8, 2.0, 3],
+					["north", "apples", 20, 2.5, 4],
+					["south", "apples", 15, 3.0, 5],
+				],
+			});
+		});
+
+		it('can group by a single column', function () {
+
+			var groups = salesData.groupBy('region');
+
+			expect(groups.getIndex().toArray()).to.eql(["north", "south"]);
+
+			var north = groups.first();
+			expect(north.getColumnNames()).to.eql(["region", "product", "sales", "price", "orders"]);
+			expect(north.getIndex().toArray()).to.eql([0, 2, 3]);
+			expect(north.getSeries("sales").toArray()).to.eql([10, 8, 20]);
+		});
+
+		it('can group by multiple columns', function () {
+
+			var groups = salesData.groupBy(['region', 'product']);
+
+			expect(groups.getIndex().toArray()).to.eql([
+				["north", "apples"],
+				["south", "apples"],
+				["north", "pears"],
+			]);
+			expect(groups.first().getSeries("sales").toArray()).to.eql([10, 20]);
+		});
+
+		it('can aggregate groups to a flat dataframe', function () {
+
+			var summary = salesData
+				.groupBy(['region', 'product'])
+				.aggregate({
+					sales: 'sum',
+					price: ['min', 'max', 'average'],
+					orders: 'count',
+				});
+
+			expect(summary.getColumnNames()).to.eql([
+				"region",
+				"product",
+				"sales",
+				"price_min",
+				"price_max",
+				"price_average",
+				"orders",
+			]);
+			expect(summary.getIndex().toArray()).to.eql([0, 1, 2]);
+			expect(summary.toRows()).to.eql([
+				["north", "apples", 30, 1.5, 2.5, 2, 2],
+				["south", "apples", 20, 1.0, 3.0, 2, 2],
+				["north", "pears", 8, 2.0, 2.0, 2, 1],
+			]);
+		});
+
+		it('can aggregate groups with a custom function', function () {
+
+			var summary = salesData
+				.groupBy('region')
+				.aggregate({
+					sales: 'median',
+					orders: function (orders) {
+						return orders.toArray().join('|');
+					},
+				});
+
+			expect(summary.toRows()).to.eql([
+				["north", 10, "2|3|4"],
+				["south", 10, "1|5"],
+			]);
+		});
+
+		it('can aggregate groups after filtering and sorting them', function () {
+
+			var summary = salesData
+				.groupBy(['region', 'product'])
+				.where(function (group) {
+					return group.count() > 1;
+				})
+				.orderBy(function (group) {
+					return group.getSeries("sales").sum();
+				})
+				.aggregate({
+					sales: 'sum',
+				});
+
+			expect(summary.getColumnNames()).to.eql(["region", "product", "sales"]);
+			expect(summary.toRows()).to.eql([
+				["south", "apples", 20],
+				["north", "apples", 30],
+			]);
+		});
+
+		it('can aggregate groups with a seed and selector', function () {
+
+			var totalRows = salesData
+				.groupBy('region')
+				.aggregate(0, function (total, group) {
+					return total + group.count();
+				});
+
+			expect(totalRows).to.eql(5);
+		});
+
+		it('grouping by columns is lazy', function () {
+
+			var evaluated = false;
+			var dataFrame = new DataFrame({
+				iterable: {
+					getIterator: function () {
+						evaluated = true;
+						return salesData.getIterator();
+					},
+
+					getColumnNames: function () {
+						return salesData.getColumnNames();
+					},
+				},
+			});
+
+			var summary = dataFrame.groupBy('region').aggregate({ sales: 'sum' });
+			expect(summary.getColumnNames()).to.eql(["region", "sales"]);
+			expect(evaluated).to.eql(false);
+
+			expect(summary.toRows()).to.eql([
+				["north", 38],
+				["south", 20],
+			]);
+		});
+
+		it('groups can still be aggregated with a selector', function () {
+
+			var numGroups = salesData
+				.groupBy('region')
+				.aggregate(0, function (count, group) {
+					return count + 1;
+				});
+
+			expect(numGroups).to.eql(2);
+		});
+
+		it('can still group by selector', function () {
+
+			var groups = salesData.groupBy(function (row) {
+				return row.sales > 9;
+			});
+
+			expect(groups.count()).to.eql(2);
+			expect(groups.first().toArray().length).to.eql(3);
+		});
+
+		it('groups of a dataframe grouped by a selector are series and windows of a dataframe are dataframes', function () {
+
+			var group = salesData
+				.groupBy(function (row) {
+					return row.region;
+				})
+				.first();
+			expect(group).to.be.an.instanceOf(Series);
+			expect(group).not.to.be.an.instanceOf(DataFrame);
+			expect(group.toArray().length).to.eql(3);
+
+			var window = salesData.window(2).first();
+			expect(window).to.be.an.instanceOf(DataFrame);
+			expect(window.getSeries("sales").toArray()).to.eql([10, 5]);
+		});
+
+		it('throws for unknown aggregation', function () {
+
+			expect(function () {
+				salesData.groupBy('region').aggregate({ sales: 'bogus' });
+			}).to.throw();
+		});
+
+		it('throws for aggregation of unknown column', function () {
+
+			expect(function () {
+				salesData.groupBy('region').aggregate({ sale: 'sum' });
+			}).to.throw(/Expected column 'sale'/);
+
+			expect(function () {
+				salesData
+					.groupBy('region')
+					.where(function (group) {
+						return group.count() > 2;
+					})
+					.aggregate({ sales: 'sum', price: 'max', bogus: ['min', 'max'] });
+			}).to.throw(/Expected column 'bogus'/);
+		});
+	});
+
+	describe('pivot table', function () {
+
+		var salesData;
+
+		beforeEach(function () {
+			salesData = new DataFrame({
+				columnNames: ["region", "product", "year", "sales", "orders"],
+				values: [
+					["north", "apples", 2016, 10, 1],
+					["north", "apples", 2016, 20, 2],
+					["north", "pears", 2017, 8, 3],
+					["south", "apples", 2016, 5, 4],
+					["south", "apples", 2017, 15, 5],
+				],
+			});
+		});
+
+		it('can create pivot table with aggregation and fill value', function () {
+
+			var pivoted = salesData.pivotTable({
+				index: 'region',
+				columns: 'year',
+				values: 'sales',
+				aggFn: 'sum',
+				fillValue: 0,
+			});
+
+			expect(pivoted.getColumnNames()).to.eql(["region", "2016", "2017"]);
+			expect(pivoted.getIndex().toArray()).to.eql([0, 1]);
+			expect(pivoted.toRows()).to.eql([
+				["north", 30, 8],
+				["south", 5, 15],
+			]);
+		});
+
+		it('pivot table aggregates with mean by default and leaves empty cells undefined', function () {
+
+			var pivoted = salesData.pivotTable({
+				index: 'region',
+				columns: 'year',
+				values: 'sales',
+			});
+
+			expect(pivoted.toRows()).to.eql([
+				["north", 15, 8],
+				["south", 5, 15],
+			]);
+
+			var pivotedByProduct = salesData.pivotTable({
+				index: 'product',
+				columns: 'region',
+				values: 'sales',
+				aggFn: 'count',
+			});
+
+			expect(pivotedByProduct.toRows()).to.eql([
+				["apples", 2, 2],
+				["pears", 1, undefined],
+			]);
+		});
+
+		it('can create pivot table with multiple index, columns and values', function () {
+
+			var pivoted = salesData.pivotTable({
+				index: ['region', 'product'],
+				columns: ['year'],
+				values: ['sales', 'orders'],
+				aggFn: 'max',
+			});
+
+			expect(pivoted.getColumnNames()).to.eql([
+				"region",
+				"product",
+				"sales_2016",
+				"sales_2017",
+				"orders_2016",
+				"orders_2017",
+			]);
+			expect(pivoted.toRows()).to.eql([
+				["north", "apples", 20, undefined, 2, undefined],
+				["north", "pears", undefined, 8, undefined, 3],
+				["south", "apples", 5, 15, 4, 5],
+			]);
+		});
+
+		it('can create pivot table with multiple columns', function () {
+
+			var pivoted = salesData.pivotTable({
+				index: 'region',
+				columns: ['product', 'year'],
+				values: 'sales',
+				aggFn: 'sum',
+			});
+
+			expect(pivoted.getColumnNames()).to.eql([
+				"region",
+				"apples_2016",
+				"pears_2017",
+				"apples_2017",
+			]);
+			expect(pivoted.toRows()).to.eql([
+				["north", 30, 8, undefined],
+				["south", 5, undefined, 15],
+			]);
+		});
+
+		it('can create pivot table with custom aggregation function', function () {
+
+			var pivoted = salesData.pivotTable({
+				index: 'region',
+				values: 'sales',
+				aggFn: function (values) {
+					return values.toArray().join(',');
+				},
+			});
+
+			expect(pivoted.getColumnNames()).to.eql(["region", "sales"]);
+			expect(pivoted.toRows()).to.eql([
+				["north", "10,20,8"],
+				["south", "5,15"],
+			]);
+		});
+
+		it('pivot table is only computed once', function () {
+
+			var numAggregations = 0;
+			var pivoted = salesData.pivotTable({
+				index: 'region',
+				values: 'sales',
+				aggFn: function (values) {
+					++numAggregations;
+					return values.sum();
+				},
+			});
+
+			expect(numAggregations).to.eql(0);
+
+			expect(pivoted.getColumnNames()).to.eql(["region", "sales"]);
+			expect(pivoted.toRows()).to.eql([
+				["north", 38],
+				["south", 20],
+			]);
+			expect(pivoted.toRows().length).to.eql(2);
+			expect(numAggregations).to.eql(2);
+		});
+
+		it('exception is thrown when creating pivot table with non-existing column', function () {
+
+			expect(function () {
+				salesData.pivotTable({ index: 'region', columns: 'some-column-that-doesnt-exist' });
+			}).to.throw();
+		});
+
+		it('exception is thrown when creating pivot table with invalid aggregation', function () {
+
+			expect(function () {
+				salesData.pivotTable({ index: 'region', aggFn: 'bogus' });
+			}).to.throw();
+		});
+
+		it('can melt dataframe', function () {
+
+			var df = new DataFrame({
+				columnNames: ["region", "2016", "2017"],
+				values: [
+					["north", 30, 8],
+					["south", 5, 15],
+				],
+			});
+
+			var melted = df.melt({
+				idColumns: 'region',
+				variableColumn: 'year',
+				valueColumn: 'sales',
+			});
+
+			expect(melted.getColumnNames()).to.eql(["region", "year", "sales"]);
+			expect(melted.getIndex().toArray()).to.eql([0, 1, 2, 3]);
+			expect(melted.toRows()).to.eql([
+				["north", "2016", 30],
+				["north", "2017", 8],
+				["south", "2016", 5],
+				["south", "2017", 15],
+			]);
+		});
+
+		it('can melt specific columns with default names', function () {
+
+			var df = new DataFrame({
+				columnNames: ["A", "B", "C"],
+				values: [
+					[1, 2, 3],
+				],
+			});
+
+			var melted = df.melt({ valueColumns: ['C', 'A'] });
+
+			expect(melted.getColumnNames()).to.eql(["variable", "value"]);
+			expect(melted.toRows()).to.eql([
+				["C", 3],
+				["A", 1],
+			]);
+		});
+
+		it('melt is the inverse of pivot table', function () {
+
+			var pivoted = salesData.pivotTable({
+				index: 'region',
+				columns: 'year',
+				values: 'sales',
+				aggFn: 'sum',
+			});
+
+			var melted = pivoted.melt({ idColumns: 'region', variableColumn: 'year', valueColumn: 'sales' });
+			var repivoted = melted.pivotTable({ index: 'region', columns: 'year', values: 'sales' });
+
+			expect(repivoted.getColumnNames()).to.eql(pivoted.getColumnNames());
+			expect(repivoted.toRows()).to.eql(pivoted.toRows());
+		});
+	});
+
+	describe('missing values', function () {
+
+		var dataFrame;
+
+		beforeEach(function () {
+			dataFrame = initDataFrame(
+				["a", "b"],
+				[
+					[1, null],
+					[null, 10],
+					[3, ''],
+					[NaN, 20],
+					[5, undefined],
+				]
+			);
+		});
+
+		it('can drop rows with missing values', function () {
+
+			expect(dataFrame.dropMissing().toRows()).to.eql([]);
+			expect(dataFrame.dropMissing('a').toPairs()).to.eql([
+				[0, { a: 1, b: null }],
+				[2, { a: 3, b: '' }],
+				[4, { a: 5, b: undefined }],
+			]);
+			expect(dataFrame.dropMissing(['b']).getIndex().toArray()).to.eql([1, 3]);
+		});
+
+		it('can drop rows with missing values using custom predicate', function () {
+
+			var result = dataFrame.dropMissing({
+				isMissing: function (value) {
+					return value === null;
+				},
+			});
+
+			expect(result.getIndex().toArray()).to.eql([2, 3, 4]);
+		});
+
+		it('can fill missing values', function () {
+
+			expect(dataFrame.fillMissing(0).toRows()).to.eql([
+				[1, 0],
+				[0, 10],
+				[3, 0],
+				[0, 20],
+				[5, 0],
+			]);
+		});
+
+		it('can fill missing values per column', function () {
+
+			var result = dataFrame.fillMissing({ a: -1 });
+
+			expect(result.toRows()).to.eql([
+				[1, null],
+				[-1, 10],
+				[3, ''],
+				[-1, 20],
+				[5, undefined],
+			]);
+		});
+
+		it('filling missing values does not modify the original rows', function () {
+
+			dataFrame.fillMissing(0).toRows();
+
+			expect(dataFrame.getSeries('a').toArray()[1]).to.eql(null);
+		});
+
+		it('can forward fill missing values', function () {
+
+			expect(dataFrame.forwardFill().toRows()).to.eql([
+				[1, null],
+				[1, 10],
+				[3, 10],
+				[3, 20],
+				[5, 20],
+			]);
+		});
+
+		it('can back fill missing values in specified column', function () {
+
+			expect(dataFrame.backFill('b').toRows()).to.eql([
+				[1, 10],
+				[null, 10],
+				[3, 20],
+				[NaN, 20],
+				[5, undefined],
+			]);
+		});
+
+		it('can interpolate missing values', function () {
+
+			expect(dataFrame.interpolate().toRows()).to.eql([
+				[1, null],
+				[2, 10],
+				[3, 15],
+				[4, 20],
+				[5, undefined],
+			]);
+		});
+
+		it('can interpolate missing values based on time', function () {
+
+			var timeSeries = initDataFrame(
+				["value"],
+				[[10], [null], [null], [40]],
+				[new Date(2016, 0, 1), new Date(2016, 0, 2), new Date(2016, 0, 3), new Date(2016, 0, 7)]
+			);
+
+			expect(timeSeries.interpolate('time').getSeries('value').toArray()).to.eql([10, 15, 20, 40]);
+		});
+
+		it('can fill missing values with custom predicate', function () {
+
+			var result = dataFrame.forwardFill('b', {
+				isMissing: function (value) {
+					return value === '';
+				},
+			});
+
+			expect(result.toRows()).to.eql([
+				[1, null],
+				[null, 10],
+				[3, 10],
+				[NaN, 20],
+				[5, undefined],
+			]);
+		});
+
+		it('filling missing values is lazy', function () {
+
+			var lazyDataFrame = new DataFrame({
+				iterable: {
+					getIterator: function () {
+						throw new Error('Should not be evaluated.');
+					},
+
+					getColumnNames: function () {
+						return ["a"];
+					},
+				},
+			});
+
+			lazyDataFrame.dropMissing();
+			lazyDataFrame.fillMissing(0);
+			lazyDataFrame.forwardFill();
+			lazyDataFrame.backFill();
+			lazyDataFrame.interpolate();
+		});
+	});
+
+	describe('describe', function () {
+
+		it('can describe number columns', function () {
+
+			var dataFrame = initDataFrame(
+				["a", "b"],
+				[
+					[1, 10],
+					[2, null],
+					[3, 30],
+					[4, 40],
+				]
+			);
+
+			var summary = dataFrame.describe();
+
+			expect(summary.getColumnNames()).to.eql(["a", "b"]);
+			expect(summary.getIndex().toArray()).to.eql(["count", "mean", "std", "min", "25%", "50%", "75%", "max"]);
+			expect(summary.getSeries("a").toArray()).to.eql([4, 2.5, Math.sqrt(5 / 3), 1, 1.75, 2.5, 3.25, 4]);
+			expect(summary.getSeries("b").toArray()).to.eql([3, 80 / 3, Math.sqrt(700 / 3), 10, 20, 30, 35, 40]);
+		});
+
+		it('can describe string and date columns', function () {
+
+			var dataFrame = initDataFrame(
+				["name", "date"],
+				[
+					["x", new Date(2016, 0, 2)],
+					["y", new Date(2016, 0, 1)],
+					["x", undefined],
+					[null, new Date(2016, 0, 2)],
+				]
+			);
+
+			var summary = dataFrame.describe();
+
+			expect(summary.getIndex().toArray()).to.eql(["count", "unique", "top", "freq", "first", "last"]);
+			expect(summary.toPairs()).to.eql([
+				["count", { name: 3, date: 3 }],
+				["unique", { name: 2, date: 2 }],
+				["top", { name: "x", date: undefined }],
+				["freq", { name: 2, date: undefined }],
+				["first", { name: undefined, date: new Date(2016, 0, 1) }],
+				["last", { name: undefined, date: new Date(2016, 0, 2) }],
+			]);
+		});
+
+		it('describe is lazy', function () {
+
+			var dataFrame = new DataFrame({
+				iterable: {
+					getIterator: function () {
+						throw new Error('Should not be evaluated.');
+					},
+
+					getColumnNames: function () {
+						return ["a"];
+					},
+				},
+			});
+
+			expect(dataFrame.describe().getColumnNames()).to.eql(["a"]);
+		});
+	});
+
+	describe('resample', function () {
+
+		var dataFrame;
+
+		beforeEach(function () {
+			dataFrame = initDataFrame(
+				["price", "volume"],
+				[
+					[10, 100],
+					[12, 200],
+					[11, 300],
+				],
+				[new Date(2016, 0, 1, 10), new Date(2016, 0, 1, 15), new Date(2016, 0, 3, 9)]
+			);
+		});
+
+		it('can resample with an aggregation for all columns', function () {
+
+			expect(dataFrame.resample('1D', 'max').toPairs()).to.eql([
+				[new Date(2016, 0, 1), { price: 12, volume: 200 }],
+				[new Date(2016, 0, 2), { price: null, volume: null }],
+				[new Date(2016, 0, 3), { price: 11, volume: 300 }],
+			]);
+		});
+
+		it('can resample with an aggregation per column', function () {
+
+			var resampled = dataFrame.resample('1D', { price: 'last', volume: 'sum' }, { fill: 'forwardFill' });
+
+			expect(resampled.getColumnNames()).to.eql(["price", "volume"]);
+			expect(resampled.toRows()).to.eql([
+				[12, 300],
+				[12, 300],
+				[11, 300],
+			]);
+		});
+
+		it('resampling only includes columns with an aggregation', function () {
+
+			var resampled = dataFrame.resample('1M', { volume: 'average' });
+
+			expect(resampled.toPairs()).to.eql([
+				[new Date(2016, 0, 1), { volume: 200 }],
+			]);
+		});
+
+		it('numeric aggregations for all columns drop columns that are not numbers', function () {
+
+			var trades = initDataFrame(
+				["symbol", "price", "volume"],
+				[
+					["ABC", 10, 100],
+					["ABC", 12, 50],
+					["XYZ", 11, 300],
+				],
+				[new Date(2016, 0, 1, 10), new Date(2016, 0, 1, 15), new Date(2016, 0, 3, 9)]
+			);
+
+			var summed = trades.resample('1D', 'sum');
+			expect(summed.getColumnNames()).to.eql(["price", "volume"]);
+			expect(summed.toRows()).to.eql([
+				[22, 150],
+				[null, null],
+				[11, 300],
+			]);
+
+			expect(trades.resample('1M', 'last').toRows()).to.eql([["XYZ", 11, 300]]);
+
+			var withMissing = initDataFrame(
+				["symbol", "volume"],
+				[
+					["ABC", 100],
+					["ABC", undefined],
+					["XYZ", 300],
+				],
+				[new Date(2016, 0, 1), new Date(2016, 0, 2), new Date(2016, 0, 3)]
+			);
+
+			expect(withMissing.resample('1M', 'mean').getColumnNames()).to.eql(["volume"]);
+		});
+
+		it('resampling with invalid aggregation throws', function () {
+
+			expect(function () {
+				dataFrame.resample('1D', { price: 'foo' });
+			}).to.throw();
+
+			expect(function () {
+				dataFrame.resample('1D', 'foo');
+			}).to.throw();
+		});
+	});
+
+	describe('shift, diff, cumulative operations and rank', function () {
+
+		var dataFrame;
+
+		beforeEach(function () {
+			dataFrame = initDataFrame(
+				["a", "b"],
+				[
+					[1, 'x'],
+					[3, 'y'],
+					[2, 'z'],
+				],
+				[5, 6, 7]
+			);
+		});
+
+		it('can shift dataframe', function () {
+
+			expect(dataFrame.shift().toPairs()).to.eql([
+				[5, { a: null, b: null }],
+				[6, { a: 1, b: 'x' }],
+				[7, { a: 3, b: 'y' }],
+			]);
+		});
+
+		it('can lag and lead columns', function () {
+
+			expect(dataFrame.lag(1, 'a').toRows()).to.eql([[null, 'x'], [1, 'y'], [3, 'z']]);
+			expect(dataFrame.lead(1, ['b']).toRows()).to.eql([[1, 'y'], [3, 'z'], [2, null]]);
+		});
+
+		it('can diff columns', function () {
+
+			expect(dataFrame.diff().toRows()).to.eql([[null, null], [2, null], [-1, null]]);
+		});
+
+		it('can compute cumulative operations on columns', function () {
+
+			expect(dataFrame.cumsum('a').toRows()).to.eql([[1, 'x'], [4, 'y'], [6, 'z']]);
+			expect(dataFrame.cumprod('a').getSeries('a').toArray()).to.eql([1, 3, 6]);
+			expect(dataFrame.cummin().toRows()).to.eql([[1, 'x'], [1, 'y'], [1, 'z']]);
+			expect(dataFrame.cummax().getSeries('a').toArray()).to.eql([1, 3, 3]);
+		});
+
+		it('can rank columns', function () {
+
+			expect(dataFrame.rank().toPairs()).to.eql([
+				[5, { a: 1, b: 1 }],
+				[6, { a: 3, b: 2 }],
+				[7, { a: 2, b: 3 }],
+			]);
+		});
+
+		it('transforming columns is lazy', function () {
+
+			var lazyDataFrame = new DataFrame({
+				iterable: {
+					getIterator: function () {
+						throw new Error('Should not be evaluated.');
+					},
+
+					getColumnNames: function () {
+						return ["a"];
+					},
+				},
+			});
+
+			lazyDataFrame.shift();
+			lazyDataFrame.diff();
+			lazyDataFrame.cumsum();
+			lazyDataFrame.rank();
+		});
+	});
+
+	describe('schema', function () {
+
+		var dataFrame;
+
+		beforeEach(function () {
+			dataFrame = initDataFrame(
+				["id", "price", "date", "tag"],
+				[
+					['1', '2.5', '2016-01-02', 'a'],
+					['x', '-1', 'bad', 'z'],
+					['3', '', '2016-02-01', 'b'],
+				],
+				[5, 6, 7]
+			);
+		});
+
+		var schemaDefinition = {
+			id: 'int',
+			price: { type: 'float', min: 0, required: true },
+			date: { type: 'date', format: 'YYYY-MM-DD' },
+			tag: { type: 'string', enum: ['a', 'b'] },
+		};
+
+		it('can coerce columns with schema', function () {
+
+			var coerced = dataFrame
+				.where(function (row) {
+					return row.id !== 'x';
+				})
+				.withSchema({ id: 'int', price: 'float', date: { type: 'date', format: 'YYYY-MM-DD' } });
+
+			expect(coerced.toPairs()).to.eql([
+				[5, { id: 1, price: 2.5, date: new Date(2016, 0, 2), tag: 'a' }],
+				[7, { id: 3, price: undefined, date: new Date(2016, 1, 1), tag: 'b' }],
+			]);
+		});
+
+		it('columns in schema that are not in the dataframe are added', function () {
+
+			var coerced = dataFrame.withSchema({ id: 'string', category: 'string' });
+
+			expect(coerced.getColumnNames()).to.eql(["id", "price", "date", "tag", "category"]);
+		});
+
+		it('coercing a value that violates the schema throws', function () {
+
+			var coerced = dataFrame.withSchema(schemaDefinition);
+
+			expect(function () {
+				coerced.toPairs();
+			}).to.throw(/'x'.*'id'.*'6'.*'type'/);
+		});
+
+		it('can validate dataframe against schema', function () {
+
+			var violations = dataFrame.validate(schemaDefinition);
+
+			expect(violations.getColumnNames()).to.eql(["Index", "Column", "Value", "Rule"]);
+			expect(violations.toRows()).to.eql([
+				[6, 'id', 'x', 'type'],
+				[6, 'price', '-1', 'min'],
+				[6, 'date', 'bad', 'type'],
+				[6, 'tag', 'z', 'enum'],
+				[7, 'price', '', 'required'],
+			]);
+			expect(violations.getIndex().toArray()).to.eql([0, 1, 2, 3, 4]);
+		});
+
+		it('validating a valid dataframe produces no violations', function () {
+
+			expect(dataFrame.take(1).validate(schemaDefinition).count()).to.eql(0);
+		});
+
+		it('schema is checked lazily', function () {
+
+			var lazyDataFrame = new DataFrame({
+				iterable: {
+					getIterator: function () {
+						throw new Error('Should not be evaluated.');
+					},
+
+					getColumnNames: function () {
+						return ["id"];
+					},
+				},
+			});
+
+			lazyDataFrame.withSchema({ id: 'int' });
+			lazyDataFrame.validate({ id: 'int' });
+		});
+
+		it('invalid schema throws', function () {
+
+			expect(function () {
+				dataFrame.withSchema({ id: 'integer' });
+			}).to.throw();
+
+			expect(function () {
+				dataFrame.validate('int');
+			}).to.throw();
+		});
+	});
 });
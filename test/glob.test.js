@@ -0,0 +1,52 @@
+'use strict';
+
+describe('glob', function () {
+
+	var expect = require('chai').expect;
+
+	var glob = require('../src/glob');
+
+	var matches = function (pattern, relativePath) {
+		var match = glob.compile(pattern).regExp.exec(relativePath);
+		return match && match.slice(1);
+	};
+
+	it('can compile pattern', function () {
+
+		var compiled = glob.compile('data/daily/2016-*-??.csv');
+
+		expect(compiled.baseDir).to.eql('data/daily');
+		expect(compiled.numCaptures).to.eql(3);
+		expect(compiled.maxDepth).to.eql(1);
+	});
+
+	it('base directory of pattern without directories is the current directory', function () {
+
+		expect(glob.compile('*.csv').baseDir).to.eql('');
+		expect(glob.compile('/*.csv').baseDir).to.eql('/');
+	});
+
+	it('can match wildcards', function () {
+
+		expect(matches('2016-*-??.csv', '2016-01-05.csv')).to.eql(['01', '0', '5']);
+		expect(matches('file[0-9].{csv,json}', 'file1.json')).to.eql(['1', 'json']);
+		expect(matches('file[!0-9].csv', 'file1.csv')).to.eql(null);
+		expect(matches('*.csv', 'dir/file.csv')).to.eql(null);
+		expect(matches('file\\*.csv', 'file*.csv')).to.eql([]);
+	});
+
+	it('wildcards do not match names that start with a dot', function () {
+
+		expect(matches('*.csv', '.hidden.csv')).to.eql(null);
+		expect(matches('.*.csv', '.hidden.csv')).to.eql(['hidden']);
+	});
+
+	it('can match any number of directories', function () {
+
+		var compiled = glob.compile('data/**/*.csv');
+
+		expect(compiled.maxDepth).to.eql(Infinity);
+		expect(matches('data/**/*.csv', 'file.csv')).to.eql(['file']);
+		expect(matches('data/**/*.csv', 'a/b/file.csv')).to.eql(['file']);
+	});
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+//
+// Test helper that mocks the file system functions used to write a file in chunks.
+//
+
+var expect = require('chai').expect;
+
+var mock = require('mock-require');
+
+//
+// Mock writing to the file at 'testFilePath'. Stop the mock with mock.stop('fs').
+// The content written to the file is in the 'data' field of the returned object.
+// Set 'maxBytesPerWrite' to simulate short writes, where each write only writes some of the bytes it is passed.
+//
+module.exports = function (testFilePath, maxBytesPerWrite) {
+
+    var chunks = [];
+    var file = {
+        closed: false,
+    };
+    Object.defineProperty(file, 'data', {
+        get: function () {
+            return Buffer.concat(chunks).toString('utf8');
+        },
+    });
+
+    var testFd = 5;
+
+    //
+    // Write some or all of the bytes from a buffer to the file, returns the number of bytes written.
+    //
+    var write = function (fd, buffer, offset, length) {
+        expect(fd).to.eql(testFd);
+        expect(buffer).to.be.an.instanceof(Buffer);
+
+        var numBytes = Math.min(length, maxBytesPerWrite || length);
+        chunks.push(Buffer.from(buffer.slice(offset, offset + numBytes)));
+        return numBytes;
+    };
+
+    mock('fs', {
+        openSync: function (filePath, flags) {
+            expect(filePath).to.eql(testFilePath);
+            expect(flags).to.eql('w');
+            return testFd;
+        },
+
+        writeSync: function (fd, buffer, offset, length) {
+            return write(fd, buffer, offset, length);
+        },
+
+        closeSync: function (fd) {
+            expect(fd).to.eql(testFd);
+            file.closed = true;
+        },
+
+        open: function (filePath, flags, callback) {
+            expect(filePath).to.eql(testFilePath);
+            expect(flags).to.eql('w');
+            callback(null, testFd);
+        },
+
+        write: function (fd, buffer, offset, length, position, callback) {
+            var numBytes = write(fd, buffer, offset, length);
+            callback(null, numBytes);
+        },
+
+        close: function (fd, callback) {
+            expect(fd).to.eql(testFd);
+            file.closed = true;
+            callback(null);
+        },
+    });
+
+    return file;
+};
@@ -43,4 +43,187 @@ describe('html.integration', function () {
             '</table>'
         );	
 	});
+
+	it('can convert empty data frame to html', function () {
+
+		var html = new dataForge.DataFrame().toHTML();
+		expect(html).to.eql(
+			'<table border="1" class="dataframe">\n' +
+			'    <thead>\n' +
+			'        <tr style="text-align: right;">\n' +
+			'            <th></th>\n' +
+			'\n' +
+			'       </tr>\n' +
+			'    </thead>\n' +
+			'    <tbody>\n' +
+			'\n' +
+			'    </tbody>\n' +
+			'</table>'
+		);
+	});
+
+	it('html is escaped', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['<Col>'],
+			values: [['a & "b"'], ["<script>alert('x')</script>"]],
+		});
+
+		var html = dataFrame.toHTML({ index: false });
+		expect(html).to.contain('<th>&lt;Col&gt;</th>');
+		expect(html).to.contain('<td>a &amp; &quot;b&quot;</td>');
+		expect(html).to.contain('<td>&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;</td>');
+		expect(html).not.to.contain('<script>');
+	});
+
+	it('html can be output without escaping', function () {
+
+		var dataFrame = new dataForge.DataFrame({ columnNames: ['Link'], values: [['<a href="x">x</a>']] });
+
+		var html = dataFrame.toHTML({ escape: false });
+		expect(html).to.contain('<td><a href="x">x</a></td>');
+	});
+
+	it('can convert data frame to html with options', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['Col1', 'Col2'],
+			values: [[1, 2], [3, undefined]],
+		});
+
+		var html = dataFrame.toHTML({
+			classes: ['table', 'striped'],
+			index: false,
+			caption: 'Some values',
+			formatters: {
+				Col1: function (value) {
+					return '$' + value.toFixed(2);
+				},
+			},
+		});
+
+		expect(html).to.eql(
+			'<table border="1" class="dataframe table striped">\n' +
+			'    <caption>Some values</caption>\n' +
+			'    <thead>\n' +
+			'        <tr style="text-align: right;">\n' +
+			'            <th>Col1</th>\n' +
+			'            <th>Col2</th>\n' +
+			'       </tr>\n' +
+			'    </thead>\n' +
+			'    <tbody>\n' +
+			'        <tr>\n' +
+			'            <td>$1.00</td>\n' +
+			'            <td>2</td>\n' +
+			'        </tr>\n' +
+			'        <tr>\n' +
+			'            <td>$3.00</td>\n' +
+			'            <td></td>\n' +
+			'        </tr>\n' +
+			'    </tbody>\n' +
+			'</table>'
+		);
+	});
+
+	it('can limit rows of html', function () {
+
+		var dataFrame = dataForge.range(0, 10).inflate(function (value) {
+			return { Value: value };
+		});
+
+		var html = dataFrame.toHTML({ maxRows: 3 });
+		var values = html.match(/<td>[^<]*<\/td>/g);
+		expect(values).to.eql(['<td>0</td>', '<td>1</td>', '<td>...</td>', '<td>9</td>']);
+	});
+
+	it('invalid html options throw', function () {
+
+		var dataFrame = new dataForge.DataFrame([{ Col1: 1 }]);
+
+		expect(function () {
+			dataFrame.toHTML({ maxRows: 0 });
+		}).to.throw(/maxRows/);
+
+		expect(function () {
+			dataFrame.toHTML({ formatters: { Col1: 'x' } });
+		}).to.throw(/Col1/);
+	});
+
+	it('can round trip data frame through html', function () {
+
+		var dataFrame = new dataForge.DataFrame({
+			columnNames: ['Name', 'Amount', 'Flag'],
+			values: [['a & b', 1.5, true], ['<c>', 2, false]],
+			index: [10, 20],
+		});
+
+		var parsed = dataForge.fromHTML(dataFrame.toHTML(), { inferTypes: true });
+		expect(parsed.getColumnNames()).to.eql(dataFrame.getColumnNames());
+		expect(parsed.toPairs()).to.eql(dataFrame.toPairs());
+	});
+
+	it('can round trip data frame through html without index', function () {
+
+		var dataFrame = new dataForge.DataFrame([{ Col1: 'x', Col2: 'y' }]);
+
+		var parsed = dataForge.fromHTML(dataFrame.toHTML({ index: false }));
+		expect(parsed.toPairs()).to.eql([[0, { Col1: 'x', Col2: 'y' }]]);
+	});
+
+	it('can scrape table from html', function () {
+
+		var html =
+			'<html><body>' +
+			'<table id="layout"><tr><td>Not this table</td></tr></table>' +
+			'<table class="data">' +
+			'<caption>Prices</caption>' +
+			'<tr><th>Item</th><th>Price</th><th></th></tr>' +
+			'<tr><td><b>Apples</b></td><td> 1.50 </td><td>&euro;&nbsp;each</td></tr>' +
+			'<tr><td colspan="2">Bananas&#44; ripe</td><td>' +
+			'<table><tr><td>nested</td></tr></table>' +
+			'</td></tr>' +
+			'<tr><td>Pears<td>2' +
+			'</table>' +
+			'</body></html>';
+
+		var dataFrame = dataForge.fromHTML(html, { tableIndex: 1 });
+		expect(dataFrame.getColumnNames()).to.eql(['Item', 'Price', 'Column3']);
+		expect(dataFrame.toRows()).to.eql([
+			['Apples', '1.50', '&euro; each'],
+			['Bananas, ripe', 'Bananas, ripe', ''],
+			['Pears', '2', undefined],
+		]);
+	});
+
+	it('decodes character references outside the basic multilingual plane', function () {
+
+		var dataFrame = dataForge.fromHTML('<table><tr><th>A</th></tr><tr><td>&#x1F600; &#128512; &#x110000;</td></tr></table>');
+		expect(dataFrame.toArray()).to.eql([{ A: '\u{1F600} \u{1F600} &#x110000;' }]);
+	});
+
+	it('can scrape table with header and body sections', function () {
+
+		var html =
+			'<table>' +
+			'<thead><tr><th colspan="2">Group</th></tr><tr><th>A</th><th>B</th></tr></thead>' +
+			'<tbody><tr><td>1</td><td>2</td></tr></tbody>' +
+			'</table>';
+
+		var dataFrame = dataForge.fromHTML(html, { inferTypes: true });
+		expect(dataFrame.toArray()).to.eql([{ A: 1, B: 2 }]);
+	});
+
+	it('table without header has columns named by position', function () {
+
+		var dataFrame = dataForge.fromHTML('<table><tr><td>1</td><td>2</td></tr></table>');
+		expect(dataFrame.getColumnNames()).to.eql(['Column1', 'Column2']);
+		expect(dataFrame.toRows()).to.eql([['1', '2']]);
+	});
+
+	it('scraping missing table throws', function () {
+
+		expect(function () {
+			dataForge.fromHTML('<table><tr><td>1</td></tr></table>', { tableIndex: 1 });
+		}).to.throw(/Table 1.*1 tables/);
+	});
 });
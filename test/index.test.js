@@ -0,0 +1,100 @@
+'use strict';
+
+describe('Index', function () {
+
+	var dataForge = require('../index');
+	var Index = require('../src/index');
+	var expect = require('chai').expect;
+
+	it('can get position of index value', function () {
+
+		var index = new Index([30, 10, 20, 10]);
+
+		expect(index.getPosition(10)).to.eql(1);
+		expect(index.getPosition(20)).to.eql(2);
+		expect(index.getPosition(40)).to.eql(-1);
+	});
+
+	it('can get position of date index value', function () {
+
+		var index = new Index([new Date(2016, 0, 1), new Date(2016, 0, 2)]);
+
+		expect(index.getPosition(new Date(2016, 0, 2))).to.eql(1);
+	});
+
+	it('can determine if index is sorted', function () {
+
+		expect(new Index([1, 2, 2, 3]).isSorted()).to.eql(true);
+		expect(new Index([1, 3, 2]).isSorted()).to.eql(false);
+		expect(new Index(["a", "b", "c"]).isSorted()).to.eql(true);
+		expect(new Index([new Date(2016, 0, 2), new Date(2016, 0, 1)]).isSorted()).to.eql(false);
+		expect(new Index([1, "b"]).isSorted()).to.eql(false);
+		expect(new Index([]).isSorted()).to.eql(true);
+		expect(new Index([1, NaN, 3]).isSorted()).to.eql(false);
+		expect(new Index([new Date(2016, 0, 1), new Date(NaN)]).isSorted()).to.eql(false);
+	});
+
+	it('can get lower and upper bounds of sorted index', function () {
+
+		var index = new Index([10, 20, 20, 30]);
+
+		expect(index.getLowerBound(20)).to.eql(1);
+		expect(index.getUpperBound(20)).to.eql(3);
+		expect(index.getLowerBound(15)).to.eql(1);
+		expect(index.getUpperBound(15)).to.eql(1);
+		expect(index.getLowerBound(5)).to.eql(0);
+		expect(index.getUpperBound(35)).to.eql(4);
+	});
+
+	it('can get bounds of sorted date index', function () {
+
+		var index = new Index([new Date(2016, 0, 1), new Date(2016, 0, 3), new Date(2016, 0, 5)]);
+
+		expect(index.getLowerBound(new Date(2016, 0, 2))).to.eql(1);
+		expect(index.getUpperBound(new Date(2016, 0, 3))).to.eql(2);
+	});
+
+	it('getting bounds of unsorted index throws', function () {
+
+		var index = new Index([3, 1, 2]);
+
+		expect(function () {
+			index.getLowerBound(2);
+		}).to.throw();
+	});
+
+	it('lookups on a lazy index are not cached', function () {
+
+		var values = [1, 2, 3];
+		var index = new Index({
+			values: function () {
+				var position = -1;
+				var current = values.slice();
+				return {
+					moveNext: function () {
+						return ++position < current.length;
+					},
+
+					getCurrent: function () {
+						return current[position];
+					},
+				};
+			},
+		});
+
+		expect(index.getPosition(3)).to.eql(2);
+		expect(index.getLowerBound(3)).to.eql(2);
+
+		values = [3, 4];
+
+		expect(index.getPosition(3)).to.eql(0);
+		expect(index.getLowerBound(3)).to.eql(0);
+		expect(index.isSorted()).to.eql(true);
+
+		values = [4, 3];
+
+		expect(index.isSorted()).to.eql(false);
+	});
+
+
+});
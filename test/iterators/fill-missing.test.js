@@ -0,0 +1,76 @@
+'use strict';
+
+describe('fill missing iterator', function () {
+
+	var FillMissingIterator = require('../../src/iterators/fill-missing');
+	var ArrayIterator = require('../../src/iterators/array');
+	var missing = require('../../src/missing');
+	var expect = require('chai').expect;
+
+	var realize = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	it('can forward fill values', function () {
+
+		var testObject = new FillMissingIterator(new ArrayIterator([[0, null], [1, 1], [2, null], [3, NaN], [4, 2]]), null, missing.isMissing, missing.forwardFill, false);
+
+		expect(realize(testObject)).to.eql([[0, null], [1, 1], [2, 1], [3, 1], [4, 2]]);
+	});
+
+	it('can back fill values', function () {
+
+		var testObject = new FillMissingIterator(new ArrayIterator([[0, null], [1, 1], [2, ''], [3, 2], [4, undefined]]), null, missing.isMissing, missing.backFill, true);
+
+		expect(realize(testObject)).to.eql([[0, 1], [1, 1], [2, 2], [3, 2], [4, undefined]]);
+	});
+
+	it('can fill fields of rows independently', function () {
+
+		var rows = [
+			[0, { a: 1, b: null }],
+			[1, { a: null, b: 10 }],
+			[2, { a: 3, b: null }],
+			[3, { a: null, b: 20 }],
+		];
+
+		var testObject = new FillMissingIterator(new ArrayIterator(rows), ['a', 'b'], missing.isMissing, missing.interpolate('linear'), true);
+
+		expect(realize(testObject)).to.eql([
+			[0, { a: 1, b: null }],
+			[1, { a: 2, b: 10 }],
+			[2, { a: 3, b: 15 }],
+			[3, { a: null, b: 20 }],
+		]);
+
+		expect(rows[1][1].a).to.eql(null); // Input rows are not modified.
+	});
+
+	it('only buffers rows until the next value is found', function () {
+
+		var pairs = [[0, 1], [1, null], [2, 3], [3, 4]];
+		var numRequested = 0;
+		var iterator = {
+			moveNext: function () {
+				return ++numRequested <= pairs.length;
+			},
+			getCurrent: function () {
+				return pairs[numRequested - 1];
+			},
+		};
+
+		var testObject = new FillMissingIterator(iterator, null, missing.isMissing, missing.backFill, true);
+
+		expect(testObject.moveNext()).to.eql(true);
+		expect(testObject.getCurrent()).to.eql([0, 1]);
+		expect(numRequested).to.eql(1);
+
+		expect(testObject.moveNext()).to.eql(true);
+		expect(testObject.getCurrent()).to.eql([1, 3]);
+		expect(numRequested).to.eql(3);
+	});
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+describe('hash join iterator', function () {
+
+	var HashJoinIterator = require('../../src/iterators/hash-join');
+	var ArrayIterator = require('../../src/iterators/array');
+	var expect = require('chai').expect;
+
+	var keySelector = function (pair) {
+		return pair[1].key;
+	};
+
+	var resultSelector = function (outer, inner) {
+		return outer.value + inner.value;
+	};
+
+	var realize = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	it('can join outer pairs with matching inner pairs', function () {
+
+		var lookup = new Map([
+			['a', [[10, { value: 'x' }], [11, { value: 'y' }]]],
+			['c', [[12, { value: 'z' }]]],
+		]);
+		var outer = new ArrayIterator([
+			[0, { key: 'a', value: '1' }],
+			[1, { key: 'b', value: '2' }],
+			[2, { key: 'c', value: '3' }],
+		]);
+
+		var testObject = new HashJoinIterator(outer, keySelector, lookup, resultSelector);
+
+		expect(realize(testObject)).to.eql([
+			[0, '1x'],
+			[0, '1y'],
+			[2, '3z'],
+		]);
+	});
+
+	it('result is empty when nothing matches', function () {
+
+		var outer = new ArrayIterator([
+			[0, { key: 'a', value: '1' }],
+		]);
+
+		var testObject = new HashJoinIterator(outer, keySelector, new Map(), resultSelector);
+
+		expect(testObject.moveNext()).to.eql(false);
+		expect(testObject.getCurrent()).to.eql(undefined);
+	});
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+describe('rolling iterator', function () {
+
+	var dataForge = require('../../index');
+	var RollingIterator = require('../../src/iterators/rolling');
+	var ArrayIterator = require('../../src/iterators/array');
+	var period = require('../../src/period');
+	var expect = require('chai').expect;
+
+	var realize = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	//
+	// Accumulator that records the values added and removed.
+	//
+	var createTracker = function () {
+		var tracker = {
+			added: [],
+			removed: [],
+			add: function (pair) {
+				tracker.added.push(pair[1]);
+			},
+			remove: function (pair) {
+				tracker.removed.push(pair[1]);
+			},
+			getValue: function (window) {
+				return window.map(function (pair) {
+					return pair[1];
+				});
+			},
+		};
+		return tracker;
+	};
+
+	it('can move window of a number of pairs', function () {
+
+		var tracker = createTracker();
+		var testObject = new RollingIterator(new ArrayIterator([[0, 1], [1, 2], [2, 3], [3, 4]]), 2, null, tracker);
+
+		expect(realize(testObject)).to.eql([
+			[1, [1, 2]],
+			[2, [2, 3]],
+			[3, [3, 4]],
+		]);
+		expect(tracker.added).to.eql([1, 2, 3, 4]);
+		expect(tracker.removed).to.eql([1, 2]);
+	});
+
+	it('can move window of time', function () {
+
+		var testObject = new RollingIterator(
+			new ArrayIterator([
+				[new Date(2016, 0, 1, 10, 0), 1],
+				[new Date(2016, 0, 1, 10, 1), 2],
+				[new Date(2016, 0, 1, 10, 2), 3],
+				[new Date(2016, 0, 1, 10, 5), 4],
+			]),
+			null,
+			period.parse('2m', 'test'),
+			createTracker()
+		);
+
+		expect(realize(testObject)).to.eql([
+			[new Date(2016, 0, 1, 10, 0), [1]],
+			[new Date(2016, 0, 1, 10, 1), [1, 2]],
+			[new Date(2016, 0, 1, 10, 2), [2, 3]],
+			[new Date(2016, 0, 1, 10, 5), [4]],
+		]);
+	});
+
+	it('window of time requires sorted date index', function () {
+
+		var testObject = new RollingIterator(new ArrayIterator([[new Date(2016, 0, 2), 1], [new Date(2016, 0, 1), 2]]), null, period.parse('1D', 'test'), createTracker());
+
+		expect(function () {
+			realize(testObject);
+		}).to.throw();
+	});
+});
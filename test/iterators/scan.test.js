@@ -0,0 +1,40 @@
+'use strict';
+
+describe('scan iterator', function () {
+
+	var ScanIterator = require('../../src/iterators/scan');
+	var ArrayIterator = require('../../src/iterators/array');
+	var expect = require('chai').expect;
+
+	var realize = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	var createCounter = function () {
+		var count = 0;
+		return function (value) {
+			return value + (++count);
+		};
+	};
+
+	it('can scan values', function () {
+
+		var testObject = new ScanIterator(new ArrayIterator([[0, 10], [1, 20]]), null, createCounter);
+
+		expect(realize(testObject)).to.eql([[0, 11], [1, 22]]);
+	});
+
+	it('each field of rows has its own state', function () {
+
+		var testObject = new ScanIterator(new ArrayIterator([[0, { a: 10, b: 100, c: 'x' }], [1, { a: 20, b: 200, c: 'y' }]]), ['a', 'b'], createCounter);
+
+		expect(realize(testObject)).to.eql([
+			[0, { a: 11, b: 101, c: 'x' }],
+			[1, { a: 22, b: 202, c: 'y' }],
+		]);
+	});
+});
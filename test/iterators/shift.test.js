@@ -0,0 +1,52 @@
+'use strict';
+
+describe('shift iterator', function () {
+
+	var ShiftIterator = require('../../src/iterators/shift');
+	var ArrayIterator = require('../../src/iterators/array');
+	var expect = require('chai').expect;
+
+	var realize = function (iterator) {
+		var output = [];
+		while (iterator.moveNext()) {
+			output.push(iterator.getCurrent());
+		}
+		return output;
+	};
+
+	var shift = function (value, otherValue) {
+		return otherValue;
+	};
+
+	it('can combine values with earlier values', function () {
+
+		var testObject = new ShiftIterator(new ArrayIterator([[0, 1], [1, 2], [2, 3]]), null, 2, shift);
+
+		expect(realize(testObject)).to.eql([[0, null], [1, null], [2, 1]]);
+	});
+
+	it('can combine values with later values', function () {
+
+		var testObject = new ShiftIterator(new ArrayIterator([[0, 1], [1, 2], [2, 3]]), null, -1, shift);
+
+		expect(realize(testObject)).to.eql([[0, 2], [1, 3], [2, null]]);
+	});
+
+	it('offset larger than the number of values produces nulls', function () {
+
+		var testObject = new ShiftIterator(new ArrayIterator([[0, 1], [1, 2]]), null, -5, shift);
+
+		expect(realize(testObject)).to.eql([[0, null], [1, null]]);
+	});
+
+	it('can combine fields of rows', function () {
+
+		var rows = [[0, { a: 1, b: 'x' }], [1, { a: 2, b: 'y' }]];
+		var testObject = new ShiftIterator(new ArrayIterator(rows), ['a'], 1, function (value, otherValue) {
+			return otherValue === null ? null : value + otherValue;
+		});
+
+		expect(realize(testObject)).to.eql([[0, { a: null, b: 'x' }], [1, { a: 3, b: 'y' }]]);
+		expect(rows[1][1].a).to.eql(2); // Input rows are not modified.
+	});
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+describe('join performance', function () {
+
+	var dataForge = require('../index');
+
+	var E = require('linq');
+	var expect = require('chai').expect;
+
+	var Stopwatch = require('statman-stopwatch');
+
+	var numItems = 100000;
+
+	var createDataFrame = function (valueColumnName) {
+		return new dataForge.DataFrame({
+			values: E.range(0, numItems)
+				.select(function (i) {
+					var row = { key: i };
+					row[valueColumnName] = i * 2;
+					return row;
+				})
+				.toArray(),
+		});
+	};
+
+	it('join', function () {
+
+		var left = createDataFrame('left');
+		var right = createDataFrame('right');
+
+		var stopwatch = new Stopwatch();
+		stopwatch.start();
+
+		var joined = left.join(
+			right,
+			function (leftRow) {
+				return leftRow.key;
+			},
+			function (rightRow) {
+				return rightRow.key;
+			},
+			function (leftRow, rightRow) {
+				return {
+					key: leftRow.key,
+					left: leftRow.left,
+					right: rightRow.right,
+				};
+			}
+		);
+
+		expect(joined.count()).to.eql(numItems);
+
+		stopwatch.stop();
+		var time = stopwatch.read();
+		//console.log('t: ' + time);
+		expect(time).to.be.at.most(2000);
+	});
+
+	it('joinOuter', function () {
+
+		var left = createDataFrame('left');
+		var right = createDataFrame('right').skip(numItems / 2);
+
+		var stopwatch = new Stopwatch();
+		stopwatch.start();
+
+		var joined = left.joinOuter(
+			right,
+			function (leftRow) {
+				return leftRow.key;
+			},
+			function (rightRow) {
+				return rightRow.key;
+			},
+			function (leftRow, rightRow) {
+				return {
+					left: leftRow && leftRow.left,
+					right: rightRow && rightRow.right,
+				};
+			}
+		);
+
+		expect(joined.count()).to.eql(numItems);
+
+		stopwatch.stop();
+		var time = stopwatch.read();
+		//console.log('t: ' + time);
+		expect(time).to.be.at.most(2000);
+	});
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+describe('json format', function () {
+
+	var expect = require('chai').expect;
+
+	require('../index');
+	var jsonFormat = require('../src/json-format');
+
+	var read = function (data, config) {
+		return jsonFormat.read(data, jsonFormat.parseReadOptions(config, 'test'), 'test');
+	};
+
+	var write = function (pairs, columnNames, options) {
+		return jsonFormat.write(pairs, columnNames, jsonFormat.parseWriteOptions(options, 'test'));
+	};
+
+	it('can flatten nested objects', function () {
+
+		var date = new Date(2016, 1, 1);
+		var row = { a: 1, b: { c: 2, d: { e: date } }, f: [1, 2], g: {}, h: null };
+
+		expect(jsonFormat.flatten(row, '.')).to.eql({ a: 1, 'b.c': 2, 'b.d.e': date, f: [1, 2], g: {}, h: null });
+		expect(jsonFormat.flatten(row, '_')['b_d_e']).to.eql(date);
+	});
+
+	it('can unflatten nested objects', function () {
+
+		expect(jsonFormat.unflatten({ a: 1, 'b.c': 2, 'b.d.e': 3 }, '.')).to.eql({ a: 1, b: { c: 2, d: { e: 3 } } });
+	});
+
+	it('can read records', function () {
+
+		expect(read([{ a: 1 }])).to.eql({ rows: [{ a: 1 }] });
+	});
+
+	it('can read columns', function () {
+
+		expect(read({ a: [1, 2], b: ['x', 'y'] }, { orient: 'columns' })).to.eql({
+			rows: [{ a: 1, b: 'x' }, { a: 2, b: 'y' }],
+			index: undefined,
+			columnNames: ['a', 'b'],
+		});
+	});
+
+	it('can read columns by index', function () {
+
+		expect(read({ a: { r1: 1, r2: 2 }, b: { r1: 'x' } }, { orient: 'columns' })).to.eql({
+			rows: [{ a: 1, b: 'x' }, { a: 2, b: undefined }],
+			index: ['r1', 'r2'],
+			columnNames: ['a', 'b'],
+		});
+	});
+
+	it('can read split', function () {
+
+		expect(read({ columns: ['a', 'b'], index: [5, 6], data: [[1, 'x'], [2, 'y']] }, { orient: 'split' })).to.eql({
+			rows: [{ a: 1, b: 'x' }, { a: 2, b: 'y' }],
+			index: [5, 6],
+			columnNames: ['a', 'b'],
+		});
+	});
+
+	it('can read index', function () {
+
+		expect(read({ r1: { a: 1 }, r2: { a: 2 } }, { orient: 'index' })).to.eql({
+			rows: [{ a: 1 }, { a: 2 }],
+			index: ['r1', 'r2'],
+		});
+	});
+
+	it('can flatten when reading', function () {
+
+		expect(read([{ a: { b: 1 } }, { a: { c: 2 } }], { flatten: true })).to.eql({
+			rows: [{ 'a.b': 1 }, { 'a.c': 2 }],
+			columnNames: ['a.b', 'a.c'],
+		});
+	});
+
+	it('reading data that does not match the orient throws', function () {
+
+		expect(function () {
+			read({ a: [1] });
+		}).to.throw();
+
+		expect(function () {
+			read([{ a: 1 }], { orient: 'split' });
+		}).to.throw();
+
+		expect(function () {
+			read([{ a: 1 }], { orient: 'table' });
+		}).to.throw();
+	});
+
+	it('can write each orient', function () {
+
+		var pairs = [[5, { a: 1, b: 'x' }], [6, { a: 2, b: 'y' }]];
+		var columnNames = ['a', 'b'];
+
+		expect(write(pairs, columnNames)).to.eql([{ a: 1, b: 'x' }, { a: 2, b: 'y' }]);
+		expect(write(pairs, columnNames, { orient: 'columns' })).to.eql({ a: [1, 2], b: ['x', 'y'] });
+		expect(write(pairs, columnNames, { orient: 'split' })).to.eql({ columns: ['a', 'b'], index: [5, 6], data: [[1, 'x'], [2, 'y']] });
+		expect(write(pairs, columnNames, { orient: 'index' })).to.eql({ 5: { a: 1, b: 'x' }, 6: { a: 2, b: 'y' } });
+	});
+
+	it('can unflatten when writing', function () {
+
+		var pairs = [[0, { 'a.b': 1, 'a.c': 2 }]];
+		var columnNames = ['a.b', 'a.c'];
+
+		expect(write(pairs, columnNames, { unflatten: true })).to.eql([{ a: { b: 1, c: 2 } }]);
+		expect(write(pairs, columnNames, { orient: 'columns', unflatten: true })).to.eql({ a: { b: [1], c: [2] } });
+	});
+
+	it('can parse line of JSON Lines', function () {
+
+		expect(jsonFormat.parseLine('{"a":{"b":1}}', 1, null)).to.eql({ a: { b: 1 } });
+		expect(jsonFormat.parseLine('{"a":{"b":1}}', 1, '.')).to.eql({ 'a.b': 1 });
+		expect(jsonFormat.parseLine('  ', 1, null)).to.eql(undefined);
+
+		expect(function () {
+			jsonFormat.parseLine('{"a":', 7, null);
+		}).to.throw(/line 7/);
+	});
+});
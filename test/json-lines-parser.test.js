@@ -0,0 +1,36 @@
+'use strict';
+
+describe('json lines parser', function () {
+
+	var expect = require('chai').expect;
+
+	require('../index');
+	var JsonLinesParser = require('../src/json-lines-parser');
+
+	it('can parse lines split across chunks', function () {
+
+		var parser = new JsonLinesParser(null);
+
+		expect(parser.push('{"a":1}\n{"a"')).to.eql([{ a: 1 }]);
+		expect(parser.push(':2}\r\n\n{"a":3}')).to.eql([{ a: 2 }]);
+		expect(parser.flush()).to.eql([{ a: 3 }]);
+	});
+
+	it('can flatten rows', function () {
+
+		var parser = new JsonLinesParser('_');
+
+		expect(parser.push('{"a":{"b":1}}\n')).to.eql([{ a_b: 1 }]);
+		expect(parser.flush()).to.eql([]);
+	});
+
+	it('invalid line throws with the line number', function () {
+
+		var parser = new JsonLinesParser(null);
+		parser.push('{"a":1}\n\n');
+
+		expect(function () {
+			parser.push('{"a":\n');
+		}).to.throw(/line 3/);
+	});
+});
@@ -261,6 +261,107 @@ describe('merge-examples', function () {
                 [undefined, "Homeless"],
             ]);
         });
+
+        it('join is lazy', function () {
+
+            var evaluated = false;
+            var left = new dataForge.DataFrame({
+                iterable: {
+                    getIterator: function () {
+                        evaluated = true;
+                        return new dataForge.DataFrame({ values: [{ key: 1 }] }).getIterator();
+                    },
+
+                    getColumnNames: function () {
+                        return ['key'];
+                    },
+                },
+            });
+            var right = new dataForge.DataFrame({ values: [{ key: 1, value: 'a' }] });
+
+            var joined = left.joinOuter(
+                    right,
+                    left => left.key,
+                    right => right.key,
+                    (left, right) => {
+                        return {
+                            key: left.key,
+                            value: right.value,
+                        };
+                    }
+                );
+            expect(evaluated).to.eql(false);
+
+            expect(joined.toRows()).to.eql([
+                [1, 'a'],
+            ]);
+            expect(evaluated).to.eql(true);
+        });
+
+        it('column names of a join come from the first values that match', function () {
+
+            var selected = [];
+            var resultSelector = (left, right) => {
+                selected.push([left && left.key, right && right.key]);
+                return {
+                    Left: left && left.key,
+                    Right: right && right.key,
+                };
+            };
+
+            var left = new dataForge.DataFrame({ values: [{ key: 1 }, { key: 2 }, { key: 3 }] });
+            var right = new dataForge.DataFrame({ values: [{ key: 4 }, { key: 3 }] });
+
+            var joined = left.joinOuter(right, left => left.key, right => right.key, resultSelector);
+
+            expect(joined.getColumnNames()).to.eql(["Left", "Right"]);
+            expect(selected).to.eql([[3, 3]]);
+        });
+
+        it('column names of a join without matching values are the columns of both sides', function () {
+
+            var selected = 0;
+            var left = new dataForge.DataFrame({ values: [{ key: 1, lval: 'a' }] });
+            var right = new dataForge.DataFrame({ values: [{ key: 2, rval: 'b' }] });
+
+            var joined = left.joinOuterLeft(
+                    right,
+                    left => left.key,
+                    right => right.key,
+                    (left, right) => {
+                        ++selected;
+                        return {
+                            lval: left && left.lval,
+                            rval: right && right.rval,
+                        };
+                    }
+                );
+
+            expect(joined.getColumnNames()).to.eql(["key", "lval", "rval"]);
+            expect(selected).to.eql(0);
+        });
+
+        it('can join on dates', function () {
+
+            var left = new dataForge.DataFrame({ values: [{ date: new Date(2016, 1, 1), lval: 1 }, { date: new Date(2016, 1, 2), lval: 2 }] });
+            var right = new dataForge.DataFrame({ values: [{ date: new Date(2016, 1, 2), rval: 3 }] });
+
+            var joined = left.join(
+                    right,
+                    left => left.date,
+                    right => right.date,
+                    (left, right) => {
+                        return {
+                            lval: left.lval,
+                            rval: right.rval,
+                        };
+                    }
+                );
+
+            expect(joined.toRows()).to.eql([
+                [2, 3],
+            ]);
+        });
     });
 
     //
@@ -767,4 +868,271 @@ describe('merge-examples', function () {
     })
 
 
+    describe('merge', function () {
+
+        var df_a;
+        var df_b;
+
+        beforeEach(function () {
+            df_a = initDataFrame(
+                [
+                    'subject_id',
+                    'first_name',
+                ],
+                [
+                    [1, 'Alex'],
+                    [2, 'Amy'],
+                    [3, 'Allen'],
+                ]
+            );
+
+            df_b = initDataFrame(
+                [
+                    'subject_id',
+                    'test_id',
+                ],
+                [
+                    [2, 15],
+                    [3, 61],
+                    [3, 16],
+                    [4, 14],
+                ]
+            );
+        });
+
+        it('can merge on column', function () {
+
+            var merged = df_a.merge(df_b, { on: 'subject_id' });
+
+            expect(merged.getColumnNames()).to.eql([
+                'subject_id',
+                'first_name',
+                'test_id',
+            ]);
+            expect(merged.getIndex().take(3).toArray()).to.eql([0, 1, 2]);
+            expect(merged.toRows()).to.eql([
+                [2, 'Amy', 15],
+                [3, 'Allen', 61],
+                [3, 'Allen', 16],
+            ]);
+        });
+
+        it('merges on columns in common by default', function () {
+
+            var merged = df_a.merge(df_b);
+
+            expect(merged.getColumnNames()).to.eql([
+                'subject_id',
+                'first_name',
+                'test_id',
+            ]);
+            expect(merged.toRows()).to.eql([
+                [2, 'Amy', 15],
+                [3, 'Allen', 61],
+                [3, 'Allen', 16],
+            ]);
+        });
+
+        it('can merge with left join', function () {
+
+            var merged = df_a.merge(df_b, { on: 'subject_id', how: 'left' });
+
+            expect(merged.toRows()).to.eql([
+                [1, 'Alex', undefined],
+                [2, 'Amy', 15],
+                [3, 'Allen', 61],
+                [3, 'Allen', 16],
+            ]);
+        });
+
+        it('can merge with right join', function () {
+
+            var merged = df_a.merge(df_b, { on: 'subject_id', how: 'right' });
+
+            expect(merged.getColumnNames()).to.eql([
+                'subject_id',
+                'first_name',
+                'test_id',
+            ]);
+            expect(merged.toRows()).to.eql([
+                [2, 'Amy', 15],
+                [3, 'Allen', 61],
+                [3, 'Allen', 16],
+                [4, undefined, 14],
+            ]);
+        });
+
+        it('can merge with outer join', function () {
+
+            var merged = df_a.merge(df_b, { on: 'subject_id', how: 'outer' });
+
+            expect(merged.getIndex().take(5).toArray()).to.eql([0, 1, 2, 3, 4]);
+            expect(merged.toRows()).to.eql([
+                [1, 'Alex', undefined],
+                [2, 'Amy', 15],
+                [3, 'Allen', 61],
+                [3, 'Allen', 16],
+                [4, undefined, 14],
+            ]);
+        });
+
+        it('adds suffixes to columns that exist in both dataframes', function () {
+
+            var left = initDataFrame(['key', 'value'], [['a', 1], ['b', 2]]);
+            var right = initDataFrame(['key', 'value'], [['b', 3], ['a', 4]]);
+
+            var merged = left.merge(right, { on: 'key' });
+
+            expect(merged.getColumnNames()).to.eql([
+                'key',
+                'value_x',
+                'value_y',
+            ]);
+            expect(merged.toRows()).to.eql([
+                ['a', 1, 4],
+                ['b', 2, 3],
+            ]);
+        });
+
+        it('can merge with custom suffixes', function () {
+
+            var left = initDataFrame(['key', 'value'], [['a', 1]]);
+            var right = initDataFrame(['key', 'value'], [['a', 4]]);
+
+            var merged = left.merge(right, { on: 'key', suffixes: ['_left', '_right'] });
+
+            expect(merged.getColumnNames()).to.eql([
+                'key',
+                'value_left',
+                'value_right',
+            ]);
+            expect(merged.toRows()).to.eql([
+                ['a', 1, 4],
+            ]);
+        });
+
+        it('can merge on differently named columns', function () {
+
+            var left = initDataFrame(['lkey', 'value'], [['a', 1], ['b', 2]]);
+            var right = initDataFrame(['rkey', 'value'], [['b', 3], ['c', 4]]);
+
+            var merged = left.merge(right, { leftOn: 'lkey', rightOn: 'rkey', how: 'outer' });
+
+            expect(merged.getColumnNames()).to.eql([
+                'lkey',
+                'value_x',
+                'rkey',
+                'value_y',
+            ]);
+            expect(merged.toRows()).to.eql([
+                ['a', 1, undefined, undefined],
+                ['b', 2, 'b', 3],
+                [undefined, undefined, 'c', 4],
+            ]);
+        });
+
+        it('can merge on multiple columns', function () {
+
+            var left = initDataFrame(['k1', 'k2', 'lval'], [['a', 1, 'x'], ['a', 2, 'y'], ['b', 1, 'z']]);
+            var right = initDataFrame(['k1', 'k2', 'rval'], [['a', 2, 10], ['b', 1, 20], ['b', 2, 30]]);
+
+            var merged = left.merge(right, { on: ['k1', 'k2'] });
+
+            expect(merged.getColumnNames()).to.eql(['k1', 'k2', 'lval', 'rval']);
+            expect(merged.toRows()).to.eql([
+                ['a', 2, 'y', 10],
+                ['b', 1, 'z', 20],
+            ]);
+        });
+
+        it('can merge on date columns', function () {
+
+            var left = initDataFrame(['date', 'lval'], [[new Date(2016, 1, 1), 1], [new Date(2016, 1, 2), 2]]);
+            var right = initDataFrame(['date', 'rval'], [[new Date(2016, 1, 2), 20]]);
+
+            var merged = left.merge(right, { on: 'date' });
+
+            expect(merged.toRows()).to.eql([
+                [new Date(2016, 1, 2), 2, 20],
+            ]);
+        });
+
+        it('can merge on index', function () {
+
+            var left = df_a.setIndex('subject_id');
+            var right = df_b.setIndex('subject_id');
+
+            var merged = left.merge(right, { leftIndex: true, rightIndex: true });
+
+            expect(merged.getColumnNames()).to.eql([
+                'subject_id_x',
+                'first_name',
+                'subject_id_y',
+                'test_id',
+            ]);
+            expect(merged.getIndex().toArray()).to.eql([2, 3, 3]);
+            expect(merged.toRows()).to.eql([
+                [2, 'Amy', 2, 15],
+                [3, 'Allen', 3, 61],
+                [3, 'Allen', 3, 16],
+            ]);
+        });
+
+        it('can merge column with index', function () {
+
+            var right = initDataFrame(['test_id'], [[15], [61]], [2, 3]);
+
+            var merged = df_a.merge(right, { leftOn: 'subject_id', rightIndex: true });
+
+            expect(merged.getColumnNames()).to.eql([
+                'subject_id',
+                'first_name',
+                'test_id',
+            ]);
+            expect(merged.toRows()).to.eql([
+                [2, 'Amy', 15],
+                [3, 'Allen', 61],
+            ]);
+        });
+
+        it('merge is lazy', function () {
+
+            var evaluated = false;
+            var left = new dataForge.DataFrame({
+                iterable: {
+                    getIterator: function () {
+                        evaluated = true;
+                        return df_a.getIterator();
+                    },
+
+                    getColumnNames: function () {
+                        return df_a.getColumnNames();
+                    },
+                },
+            });
+
+            var merged = left.merge(df_b, { on: 'subject_id' });
+            expect(evaluated).to.eql(false);
+
+            merged.toRows();
+            expect(evaluated).to.eql(true);
+        });
+
+        it('throws for invalid how', function () {
+
+            expect(function () {
+                df_a.merge(df_b, { how: 'sideways' });
+            }).to.throw();
+        });
+
+        it('throws when there are no columns in common', function () {
+
+            var right = initDataFrame(['other'], [[1]]);
+
+            expect(function () {
+                df_a.merge(right);
+            }).to.throw();
+        });
+    });
+
 });
\ No newline at end of file
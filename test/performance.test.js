@@ -96,4 +96,32 @@ describe('performance', function () {
 		//console.log('t ' + time);
 		expect(time).to.be.at.most(3);
 	});
+
+	it('slicing a large time indexed series should have good performance', function () {
+
+		var numDays = 100000;
+		var index = [];
+		var values = [];
+		for (var day = 0; day < numDays; ++day) {
+			index.push(new Date(2000, 0, 1 + day));
+			values.push(day);
+		}
+
+		var series = new dataForge.Series({ index: index, values: values }).bake();
+
+		var stopwatch = new Stopwatch();
+		stopwatch.start();
+
+		for (var sliceIndex = 0; sliceIndex < 200; ++sliceIndex) {
+			var startDay = sliceIndex * 500;
+			var slice = series.between(new Date(2000, 0, 1 + startDay), new Date(2000, 0, 1 + startDay + 4));
+			expect(slice.count()).to.eql(5);
+			expect(series.at(new Date(2000, 0, 1 + startDay))).to.eql(startDay);
+		}
+
+		stopwatch.stop();
+		var time = stopwatch.read();
+		//console.log('t ' + time);
+		expect(time).to.be.at.most(2000);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,50 @@
+'use strict';
+
+describe('period', function () {
+
+	var expect = require('chai').expect;
+
+	var period = require('../src/period');
+
+	it('can parse period', function () {
+
+		expect(period.parse('1D', 'test')).to.eql({ amount: 1, unit: 'days' });
+		expect(period.parse('15min', 'test')).to.eql({ amount: 15, unit: 'minutes' });
+		expect(period.parse('M', 'test')).to.eql({ amount: 1, unit: 'months' });
+	});
+
+	it('parsing invalid period throws', function () {
+
+		expect(function () {
+			period.parse('1X', 'test');
+		}).to.throw();
+
+		expect(function () {
+			period.parse('0D', 'test');
+		}).to.throw();
+
+		expect(function () {
+			period.parse(5, 'test');
+		}).to.throw();
+	});
+
+	it('can get start of period', function () {
+
+		expect(period.floor(period.parse('1D', 'test'), new Date(2016, 2, 5, 13, 20))).to.eql(new Date(2016, 2, 5));
+		expect(period.floor(period.parse('1M', 'test'), new Date(2016, 2, 5, 13, 20))).to.eql(new Date(2016, 2, 1));
+		expect(period.floor(period.parse('1W', 'test'), new Date(2016, 2, 5, 13, 20))).to.eql(new Date(2016, 1, 29)); // Weeks start on Monday.
+	});
+
+	it('periods of multiple units are aligned to the containing unit', function () {
+
+		expect(period.floor(period.parse('15min', 'test'), new Date(2016, 2, 5, 13, 20))).to.eql(new Date(2016, 2, 5, 13, 15));
+		expect(period.floor(period.parse('6H', 'test'), new Date(2016, 2, 5, 13, 20))).to.eql(new Date(2016, 2, 5, 12));
+		expect(period.floor(period.parse('3M', 'test'), new Date(2016, 4, 5))).to.eql(new Date(2016, 3, 1));
+	});
+
+	it('can get start of next period', function () {
+
+		expect(period.next(period.parse('15min', 'test'), new Date(2016, 2, 5, 13, 15))).to.eql(new Date(2016, 2, 5, 13, 30));
+		expect(period.next(period.parse('1M', 'test'), new Date(2016, 0, 1))).to.eql(new Date(2016, 1, 1));
+	});
+});
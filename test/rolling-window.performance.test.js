@@ -79,4 +79,67 @@ describe('rolling window performance', function () {
 		//console.log('t2: ' + time2);
 		expect(time2).to.be.at.most(100);
 	});
+
+	it('rollingWindow - large series is evaluated in a single pass', function () {
+
+		var numItems = 20000;
+		var windowSize = 5;
+		var numValuesRequested = 0;
+
+		var series = new dataForge.Series({
+			iterable: {
+				getIterator: function () {
+					var i = -1;
+					return {
+						moveNext: function () {
+							++numValuesRequested;
+							return ++i < numItems;
+						},
+
+						getCurrent: function () {
+							return [i, i];
+						},
+					};
+				},
+			},
+		});
+
+		var stopwatch = new Stopwatch();
+		stopwatch.start();
+
+		var numWindows = series
+			.rollingWindow(windowSize)
+			.count();
+
+		stopwatch.stop();
+		var time = stopwatch.read();
+		//console.log('t: ' + time);
+
+		expect(numWindows).to.eql(numItems - (windowSize - 1));
+		expect(numValuesRequested).to.eql(numItems + 1); // Each value is only requested once.
+		expect(time).to.be.at.most(2000);
+	});
+
+	it('rolling statistics - large series is evaluated incrementally', function () {
+
+		var numItems = 100000;
+		var windowSize = 1000;
+
+		var series = new dataForge.Series({
+			values: E.range(0, numItems).toArray(),
+		});
+
+		var stopwatch = new Stopwatch();
+		stopwatch.start();
+
+		var means = series.rollingMean(windowSize).toArray();
+
+		stopwatch.stop();
+		var time = stopwatch.read();
+		//console.log('t: ' + time);
+
+		expect(means.length).to.eql(numItems - (windowSize - 1));
+		expect(means[0]).to.eql((windowSize - 1) / 2);
+		expect(time).to.be.at.most(2000);
+	});
 });
\ No newline at end of file
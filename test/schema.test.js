@@ -0,0 +1,79 @@
+'use strict';
+
+describe('schema', function () {
+
+	var expect = require('chai').expect;
+
+	var schema = require('../src/schema');
+
+	var checkValue = function (value, columnSchema) {
+		return schema.check(value, schema.parse({ column: columnSchema }, 'test')[0]);
+	};
+
+	it('can parse schema', function () {
+
+		var columnSchemas = schema.parse({ id: 'int', price: { type: 'float', min: '0', required: true } }, 'test');
+
+		expect(columnSchemas.length).to.eql(2);
+		expect(columnSchemas[0].columnName).to.eql('id');
+		expect(columnSchemas[0].type).to.eql('int');
+		expect(columnSchemas[0].required).to.eql(false);
+		expect(columnSchemas[1].min).to.eql(0);
+		expect(columnSchemas[1].rules).to.eql(['min']);
+		expect(columnSchemas[1].required).to.eql(true);
+	});
+
+	it('parsing invalid schema throws', function () {
+
+		expect(function () {
+			schema.parse({ id: 'integer' }, 'test');
+		}).to.throw();
+
+		expect(function () {
+			schema.parse({ id: { type: 'int', minimum: 0 } }, 'test');
+		}).to.throw();
+
+		expect(function () {
+			schema.parse({ id: { type: 'int', min: 'zero' } }, 'test');
+		}).to.throw();
+
+		expect(function () {
+			schema.parse({ tag: { type: 'string', enum: 'a' } }, 'test');
+		}).to.throw();
+	});
+
+	it('can convert values', function () {
+
+		expect(checkValue('12', 'int')).to.eql({ value: 12, rule: null });
+		expect(checkValue(' -3.5 ', 'float')).to.eql({ value: -3.5, rule: null });
+		expect(checkValue(4, 'number')).to.eql({ value: 4, rule: null });
+		expect(checkValue(4, 'string')).to.eql({ value: '4', rule: null });
+		expect(checkValue('TRUE', 'boolean')).to.eql({ value: true, rule: null });
+		expect(checkValue('2016-02-01', { type: 'date', format: 'YYYY-MM-DD' }).value).to.eql(new Date(2016, 1, 1));
+		expect(checkValue(new Date(2016, 1, 1), { type: 'string', format: 'DD/MM/YYYY' }).value).to.eql('01/02/2016');
+	});
+
+	it('values that cannot be converted violate the type rule', function () {
+
+		expect(checkValue('12a', 'int').rule).to.eql('type');
+		expect(checkValue(1.5, 'int').rule).to.eql('type');
+		expect(checkValue('abc', 'float').rule).to.eql('type');
+		expect(checkValue('yes', 'boolean').rule).to.eql('type');
+		expect(checkValue('01/02/2016', { type: 'date', format: 'YYYY-MM-DD' }).rule).to.eql('type');
+	});
+
+	it('missing values only violate the required rule', function () {
+
+		expect(checkValue('', { type: 'int', min: 5 })).to.eql({ value: undefined, rule: null });
+		expect(checkValue(null, { type: 'int', required: true })).to.eql({ value: undefined, rule: 'required' });
+	});
+
+	it('can check constraints', function () {
+
+		expect(checkValue('5', { type: 'int', min: 0, max: 10 }).rule).to.eql(null);
+		expect(checkValue('-1', { type: 'int', min: 0, max: 10 }).rule).to.eql('min');
+		expect(checkValue('11', { type: 'int', min: 0, max: 10 }).rule).to.eql('max');
+		expect(checkValue('c', { type: 'string', enum: ['a', 'b'] }).rule).to.eql('enum');
+		expect(checkValue('2015-12-31', { type: 'date', format: 'YYYY-MM-DD', min: '2016-01-01' }).rule).to.eql('min');
+	});
+});
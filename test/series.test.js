@@ -629,6 +629,178 @@ describe('Series', function () {
         expect(newSeries.toArray()).to.eql([3, 6, 9]);
 	});
     
+	it('can compute rolling window of time', function () {
+
+		var series = initSeries(
+			[new Date(2016, 0, 1, 10, 0), new Date(2016, 0, 1, 10, 1), new Date(2016, 0, 1, 10, 3), new Date(2016, 0, 1, 10, 7)],
+			[1, 2, 3, 4]
+		);
+
+		var windows = series
+			.rollingWindow({ duration: '5m' })
+			.select(function (window) {
+				return window.toArray();
+			});
+
+		expect(windows.toPairs()).to.eql([
+			[0, [1]],
+			[1, [1, 2]],
+			[2, [1, 2, 3]],
+			[3, [3, 4]],
+		]);
+	});
+
+	it('can compute rolling sum, mean and std', function () {
+
+		var series = initSeries([10, 20, 30, 40, 50], [1, 2, 4, 8, 16]);
+
+		expect(series.rollingSum(3).toPairs()).to.eql([[30, 7], [40, 14], [50, 28]]);
+		expect(series.rollingMean(2).toPairs()).to.eql([[20, 1.5], [30, 3], [40, 6], [50, 12]]);
+
+		var std = series.rollingStd(3).toArray();
+		expect(std.length).to.eql(3);
+		expect(std[0]).to.be.closeTo(initSeries([0, 1, 2], [1, 2, 4]).std(), 0.000001);
+		expect(std[2]).to.be.closeTo(initSeries([0, 1, 2], [4, 8, 16]).std(), 0.000001);
+	});
+
+	it('can compute rolling mean of time', function () {
+
+		var series = initSeries(
+			[new Date(2016, 0, 1), new Date(2016, 0, 2), new Date(2016, 0, 5), new Date(2016, 0, 6)],
+			[1, 3, 5, 9]
+		);
+
+		expect(series.rollingMean({ duration: '2D' }).toArray()).to.eql([1, 2, 5, 7]);
+		expect(series.rollingStd({ duration: '2D' }).toArray()[0]).to.be.NaN;
+	});
+
+	it('rolling statistics skip missing values', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4, 5], [1, 2, undefined, 4, 5, 6]);
+
+		expect(series.rollingSum(2).toPairs()).to.eql([[1, 3], [2, 2], [3, 4], [4, 9], [5, 11]]);
+		expect(series.rollingMean(2).toPairs()).to.eql([[1, 1.5], [2, 2], [3, 4], [4, 4.5], [5, 5.5]]);
+		expect(initSeries([0, 1, 2], [2, null, 4]).rollingMean(2).toPairs()).to.eql([[1, 2], [2, 4]]);
+
+		var std = series.rollingStd(3).toArray();
+		expect(std[0]).to.be.closeTo(0.707107, 0.000001);
+		expect(std[1]).to.be.closeTo(1.414214, 0.000001);
+		expect(std[3]).to.equal(1);
+	});
+
+	it('rolling statistics are undefined for windows without values', function () {
+
+		var series = initSeries([0, 1, 2, 3], [undefined, null, 1, 2]);
+
+		expect(series.rollingSum(2).toPairs()).to.eql([[2, 1], [3, 3]]);
+		expect(series.rollingMean(2).toPairs()).to.eql([[2, 1], [3, 1.5]]);
+	});
+
+	it('rolling std is stable for large values', function () {
+
+		var values = [];
+		for (var i = 0; i < 1000; ++i) {
+			values.push(1e9 + (i % 3));
+		}
+
+		var std = new Series({ values: values }).rollingStd(3).toArray();
+		expect(std[std.length - 1]).to.be.closeTo(1, 0.000001);
+	});
+
+	it('rolling statistics are accurate after a large value leaves the window', function () {
+
+		var series = new Series({ values: [0, 1e9 + 1, 1e9 + 2, 1e9 + 3] });
+
+		expect(series.rollingStd(3).toArray()[1]).to.equal(1);
+		expect(series.rollingMean(3).toArray()[1]).to.equal(1e9 + 2);
+		expect(series.rollingSum(3).toArray()[1]).to.equal(3e9 + 6);
+	});
+
+	it('rolling statistics don\'t drift over long series', function () {
+
+		var values = [];
+		for (var i = 0; i < 100000; ++i) {
+			values.push(1e8 + Math.sin(i) * 1e3);
+		}
+
+		var series = new Series({ values: values });
+		var last = new Series({ values: values.slice(-5) });
+
+		var std = series.rollingStd(5).toArray();
+		expect(std[std.length - 1]).to.be.closeTo(last.std(), last.std() * 1e-12);
+
+		var mean = series.rollingMean(5).toArray();
+		expect(mean[mean.length - 1]).to.be.closeTo(last.average(), last.average() * 1e-12);
+	});
+
+	it('rolling statistics are lazy', function () {
+
+		var series = new Series({
+			iterable: {
+				getIterator: function () {
+					throw new Error('Should not be evaluated.');
+				},
+			},
+		});
+
+		series.rollingWindow({ duration: '5m' });
+		series.rollingSum(2);
+		series.rollingMean({ duration: '1H' });
+		series.rollingStd(3);
+		series.ewm({ span: 3 }).mean();
+	});
+
+	it('can compute exponentially weighted mean and std', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4], [1, 2, 3, 4, 5]);
+
+		var mean = series.ewm({ span: 3 }).mean().toArray();
+		expect(mean[0]).to.eql(1);
+		expect(mean[1]).to.be.closeTo(1.666667, 0.000001);
+		expect(mean[4]).to.be.closeTo(4.161290, 0.000001);
+
+		var std = series.ewm({ span: 3 }).std().toArray();
+		expect(std[0]).to.be.NaN;
+		expect(std[1]).to.be.closeTo(0.707107, 0.000001);
+		expect(std[4]).to.be.closeTo(1.345243, 0.000001);
+	});
+
+	it('can compute exponentially weighted mean without adjustment', function () {
+
+		var series = initSeries([0, 1, 2, 3], [1, 2, 3, 4]);
+
+		expect(series.ewm({ alpha: 0.5, adjust: false }).mean().toArray()).to.eql([1, 1.5, 2.25, 3.125]);
+	});
+
+	it('exponentially weighted statistics skip missing values', function () {
+
+		var series = initSeries([0, 1, 2, 3], [undefined, 1, null, 3]);
+
+		var mean = series.ewm({ span: 3 }).mean().toPairs();
+		expect(mean.length).to.equal(3);
+		expect(mean[0]).to.eql([1, 1]);
+		expect(mean[1]).to.eql([2, 1]);
+		expect(mean[2][0]).to.equal(3);
+		expect(mean[2][1]).to.be.closeTo(2.333333, 0.000001);
+	});
+
+	it('ewm requires span or alpha', function () {
+
+		var series = initSeries([0, 1], [1, 2]);
+
+		expect(function () {
+			series.ewm({});
+		}).to.throw();
+
+		expect(function () {
+			series.ewm({ alpha: 2 });
+		}).to.throw();
+
+		expect(function () {
+			series.ewm({ alpha: 0.5, span: 3 });
+		}).to.throw();
+	});
+
 	it('can compute pct changed', function () {
 
 		var series = initSeries([0, 1, 2, 3], [1, 2, 4, 8]);
@@ -637,6 +809,84 @@ describe('Series', function () {
 		expect(pctChanged.toArray()).to.eql([1, 1, 1]);
 	});
 
+	it('can shift series', function () {
+
+		var series = initSeries([10, 20, 30, 40], [1, 2, 3, 4]);
+
+		expect(series.shift().toPairs()).to.eql([[10, null], [20, 1], [30, 2], [40, 3]]);
+		expect(series.shift(-2).toPairs()).to.eql([[10, 3], [20, 4], [30, null], [40, null]]);
+		expect(series.shift(0).toArray()).to.eql([1, 2, 3, 4]);
+	});
+
+	it('can lag and lead series', function () {
+
+		var series = initSeries([10, 20, 30], [1, 2, 3]);
+
+		expect(series.lag().toArray()).to.eql([null, 1, 2]);
+		expect(series.lag(2).toArray()).to.eql([null, null, 1]);
+		expect(series.lead().toArray()).to.eql([2, 3, null]);
+	});
+
+	it('shift requires an integer', function () {
+
+		var series = initSeries([10, 20], [1, 2]);
+
+		expect(function () {
+			series.shift(1.5);
+		}).to.throw();
+	});
+
+	it('can diff series', function () {
+
+		var series = initSeries([10, 20, 30, 40], [1, 3, null, 10]);
+
+		expect(series.diff().toPairs()).to.eql([[10, null], [20, 2], [30, null], [40, null]]);
+		expect(series.diff(2).toArray()).to.eql([null, null, null, 7]);
+		expect(series.diff(-1).toArray()).to.eql([-2, null, null, null]);
+	});
+
+	it('can compute cumulative operations on series', function () {
+
+		var series = initSeries([10, 20, 30, 40], [2, 1, null, 4]);
+
+		expect(series.cumsum().toPairs()).to.eql([[10, 2], [20, 3], [30, null], [40, 7]]);
+		expect(series.cumprod().toArray()).to.eql([2, 2, null, 8]);
+		expect(series.cummin().toArray()).to.eql([2, 1, null, 1]);
+		expect(series.cummax().toArray()).to.eql([2, 2, null, 4]);
+	});
+
+	it('can rank series', function () {
+
+		var series = initSeries([10, 20, 30, 40], [30, 10, 30, 20]);
+
+		expect(series.rank().toPairs()).to.eql([[10, 3.5], [20, 1], [30, 3.5], [40, 2]]);
+		expect(series.rank('dense').toArray()).to.eql([3, 1, 3, 2]);
+	});
+
+	it('missing values have a null rank', function () {
+
+		var series = initSeries([0, 1, 2, 3], [3, undefined, 1, null]);
+
+		expect(series.rank().toPairs()).to.eql([[0, 2], [1, null], [2, 1], [3, null]]);
+	});
+
+	it('shift, diff, cumulative operations and rank are lazy', function () {
+
+		var series = new Series({
+			iterable: {
+				getIterator: function () {
+					throw new Error('Should not be evaluated.');
+				},
+			},
+		});
+
+		series.shift(2);
+		series.lead();
+		series.diff();
+		series.cumsum();
+		series.rank();
+	});
+
 	it('can parse string series to int', function () {
 
 		var series = initSeries([10, 5, 2], ['1', '100', '5']);
@@ -1088,6 +1338,21 @@ describe('Series', function () {
 		expect(series.median()).to.eql(0);
 	});
 
+	it('can get median of series with non-sequential index', function () {
+
+		var series = initSeries([10, 5, 20], [3, 1, 2]);
+		expect(series.median()).to.eql(2);
+	});
+
+	it('median skips missing values and values that aren\'t numbers', function () {
+
+		expect(new Series({ values: [3, 1, undefined, 2] }).median()).to.eql(2);
+		expect(new Series({ values: [3, 1, null, 2] }).median()).to.eql(2);
+		expect(new Series({ values: [4, NaN, 1, 'x', 2, 3] }).median()).to.eql(2.5);
+		expect(new Series({ values: [3, 1, null, 2] }).median()).to.eql(new Series({ values: [3, 1, null, 2] }).quantile(0.5));
+		expect(new Series({ values: [null, undefined] }).median()).to.eql(0);
+	});
+
 
 	it('can get series minimum', function () {
 
@@ -1101,6 +1366,80 @@ describe('Series', function () {
 		expect(series.max()).to.eql(6);
 	});
 
+	it('can get variance and standard deviation of series', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4, 5, 6, 7], [2, 4, 4, 4, 5, 5, 7, 9]);
+
+		expect(series.variance()).to.be.closeTo(4.5714, 0.0001);
+		expect(series.std()).to.be.closeTo(2.1381, 0.0001);
+	});
+
+	it('variance of series with less than two values is NaN', function () {
+
+		expect(initSeries([0], [5]).variance()).to.be.NaN;
+	});
+
+	it('can get quantiles of series', function () {
+
+		var series = initSeries([10, 5, 20, 30], [4, 1, 3, 2]);
+
+		expect(series.quantile(0)).to.eql(1);
+		expect(series.quantile(0.25)).to.eql(1.75);
+		expect(series.quantile(0.5)).to.eql(2.5);
+		expect(series.quantile(1)).to.eql(4);
+	});
+
+	it('quantile must be between 0 and 1', function () {
+
+		var series = initSeries([0, 1], [1, 2]);
+
+		expect(function () {
+			series.quantile(1.5);
+		}).to.throw();
+	});
+
+	it('quantile of empty series is NaN', function () {
+
+		expect(initSeries([], []).quantile(0.5)).to.be.NaN;
+	});
+
+	it('statistics skip missing values and values that are not numbers', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4, 5], [4, null, 'x', 2, NaN, 3]);
+
+		expect(series.variance()).to.eql(1);
+		expect(series.std()).to.eql(1);
+		expect(series.quantile(0)).to.eql(2);
+		expect(series.quantile(0.5)).to.eql(3);
+		expect(series.quantile(1)).to.eql(4);
+		expect(initSeries([0, 1, 2], [1, 'x', null]).variance()).to.be.NaN;
+		expect(initSeries([0, 1, 2, 3], [null, 'a', '', 'a']).mode()).to.eql('a');
+	});
+
+	it('can get mode of series', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4], ['b', 'a', 'a', 'b', 'c']);
+
+		expect(series.mode()).to.eql('b');
+		expect(initSeries([], []).mode()).to.eql(undefined);
+	});
+
+	it('can get skew and kurtosis of series', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4, 5, 6, 7], [2, 4, 4, 4, 5, 5, 7, 9]);
+
+		expect(series.skew()).to.be.closeTo(0.8185, 0.0001);
+		expect(series.kurtosis()).to.be.closeTo(0.9406, 0.0001);
+	});
+
+	it('skew and kurtosis of constant series are zero', function () {
+
+		var series = initSeries([0, 1, 2, 3], [5, 5, 5, 5]);
+
+		expect(series.skew()).to.eql(0);
+		expect(series.kurtosis()).to.eql(0);
+	});
+
 	it('can aggregate series with no seed', function () {
 
 		var series = initSeries([0, 1, 2], [4, 8, 16]);
@@ -1589,6 +1928,90 @@ describe('Series', function () {
 		]);
 	});
 
+	//
+	// Create a series that records whether it has been evaluated.
+	//
+	var createTrackedSeries = function (values) {
+		var tracker = {
+			evaluated: false,
+		};
+
+		tracker.series = new Series({
+			iterable: {
+				getIterator: function () {
+					tracker.evaluated = true;
+					return new Series({ values: values }).getIterator();
+				},
+			},
+		});
+
+		return tracker;
+	};
+
+	it('insertPair, appendPair, groupBy, variableWindow, window and rollingWindow are lazy', function () {
+
+		var tracker = createTrackedSeries([1, 1, 2]);
+		var series = tracker.series;
+
+		var results = [
+			series.insertPair([10, 100]),
+			series.appendPair([10, 100]),
+			series.groupBy(function (value) {
+				return value;
+			}),
+			series.variableWindow(function (a, b) {
+				return a === b;
+			}),
+			series.window(2),
+			series.rollingWindow(2),
+		];
+
+		expect(tracker.evaluated).to.eql(false);
+
+		results.forEach(function (result) {
+			result.toArray();
+		});
+
+		expect(tracker.evaluated).to.eql(true);
+	});
+
+	it('windows can be retained after iterating further', function () {
+
+		var windows = initSeries([0, 1, 2, 3], [1, 2, 3, 4])
+			.rollingWindow(2)
+			.toArray();
+
+		expect(windows.map(function (window) {
+			return window.toPairs();
+		})).to.eql([
+			[[0, 1], [1, 2]],
+			[[1, 2], [2, 3]],
+			[[2, 3], [3, 4]],
+		]);
+	});
+
+	it('windows of time can be retained after iterating further', function () {
+
+		var minutes = [1, 2, 3, 4, 6, 7, 8];
+		var windows = initSeries(minutes.map(function (minute) {
+				return new Date(2016, 0, 1, 0, minute);
+			}), [1, 2, 3, 4, 5, 6, 7])
+			.rollingWindow({ duration: '3m' })
+			.toArray();
+
+		expect(windows.map(function (window) {
+			return window.toArray();
+		})).to.eql([
+			[1],
+			[1, 2],
+			[1, 2, 3],
+			[2, 3, 4],
+			[4, 5],
+			[5, 6],
+			[5, 6, 7],
+		]);
+	});
+
 
 	it('can fill gaps in series - fill forward', function () {
 
@@ -1628,6 +2051,161 @@ describe('Series', function () {
 		]);
 	});
 
+	it('can drop missing values', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4, 5], [1, null, undefined, NaN, '', 2]);
+
+		expect(series.dropMissing().toPairs()).to.eql([[0, 1], [5, 2]]);
+	});
+
+	it('can drop missing values with custom predicate', function () {
+
+		var series = initSeries([0, 1, 2], [1, -1, null]);
+
+		var result = series.dropMissing({
+			isMissing: function (value) {
+				return value === -1;
+			},
+		});
+
+		expect(result.toPairs()).to.eql([[0, 1], [2, null]]);
+	});
+
+	it('can fill missing values', function () {
+
+		var series = initSeries([0, 1, 2, 3], [1, null, NaN, 2]);
+
+		expect(series.fillMissing(0).toPairs()).to.eql([[0, 1], [1, 0], [2, 0], [3, 2]]);
+	});
+
+	it('can forward fill missing values', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4], [null, 1, null, '', 2]);
+
+		expect(series.forwardFill().toPairs()).to.eql([[0, null], [1, 1], [2, 1], [3, 1], [4, 2]]);
+	});
+
+	it('can back fill missing values', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4], [null, 1, null, '', 2]);
+
+		expect(series.backFill().toPairs()).to.eql([[0, 1], [1, 1], [2, 2], [3, 2], [4, 2]]);
+	});
+
+	it('can interpolate missing values', function () {
+
+		var series = initSeries([0, 1, 2, 3, 4], [null, 1, null, null, 4]);
+
+		expect(series.interpolate().toPairs()).to.eql([[0, null], [1, 1], [2, 2], [3, 3], [4, 4]]);
+	});
+
+	it('can interpolate missing values based on time', function () {
+
+		var series = initSeries(
+			[new Date(2016, 0, 1), new Date(2016, 0, 2), new Date(2016, 0, 4), new Date(2016, 0, 5)],
+			[1, null, null, 5]
+		);
+
+		expect(series.interpolate('time').toArray()).to.eql([1, 2, 4, 5]);
+	});
+
+	it('throws when interpolating based on time with an index that is not dates or numbers', function () {
+
+		var series = initSeries(['a', 'b', 'c'], [1, null, 3]);
+
+		expect(function () {
+			series.interpolate('time').toArray();
+		}).to.throw();
+	});
+
+	it('filling missing values is lazy', function () {
+
+		var series = new Series({
+			iterable: {
+				getIterator: function () {
+					throw new Error('Should not be evaluated.');
+				},
+			},
+		});
+
+		series.dropMissing();
+		series.fillMissing(0);
+		series.forwardFill();
+		series.backFill();
+		series.interpolate();
+	});
+
+	it('can downsample series', function () {
+
+		var series = initSeries(
+			[new Date(2016, 0, 1, 10), new Date(2016, 0, 1, 15), new Date(2016, 0, 3, 1), new Date(2016, 1, 5)],
+			[1, 2, 3, 4]
+		);
+
+		expect(series.resample('1M', 'sum').toPairs()).to.eql([
+			[new Date(2016, 0, 1), 6],
+			[new Date(2016, 1, 1), 4],
+		]);
+	});
+
+	it('resampling produces a regular index with null values for empty periods', function () {
+
+		var series = initSeries(
+			[new Date(2016, 0, 1, 10), new Date(2016, 0, 1, 15), new Date(2016, 0, 3, 1)],
+			[1, 2, 3]
+		);
+
+		expect(series.resample('1D', 'average').toPairs()).to.eql([
+			[new Date(2016, 0, 1), 1.5],
+			[new Date(2016, 0, 2), null],
+			[new Date(2016, 0, 3), 3],
+		]);
+	});
+
+	it('can resample series with custom aggregation', function () {
+
+		var series = initSeries([new Date(2016, 0, 1, 10), new Date(2016, 0, 1, 15)], [1, 2]);
+
+		var resampled = series.resample('1D', function (values) {
+			return values.toArray().join(',');
+		});
+
+		expect(resampled.toArray()).to.eql(['1,2']);
+	});
+
+	it('can upsample series with fill', function () {
+
+		var series = initSeries([new Date(2016, 0, 1), new Date(2016, 0, 1, 18)], [10, 40]);
+
+		expect(series.resample('6H', 'last', { fill: 'forwardFill' }).toArray()).to.eql([10, 10, 10, 40]);
+		expect(series.resample('6H', 'last', { fill: 'interpolate' }).toArray()).to.eql([10, 20, 30, 40]);
+		expect(series.resample('6H', 'last', { fillValue: 0 }).toArray()).to.eql([10, 0, 0, 40]);
+	});
+
+	it('resampling requires a sorted date index', function () {
+
+		expect(function () {
+			initSeries([1, 2], [1, 2]).resample('1D', 'sum').toArray();
+		}).to.throw();
+
+		expect(function () {
+			initSeries([new Date(2016, 0, 2), new Date(2016, 0, 1)], [1, 2]).resample('1D', 'sum').toArray();
+		}).to.throw();
+	});
+
+	it('resampling is lazy', function () {
+
+		var series = new Series({
+			iterable: {
+				getIterator: function () {
+					throw new Error('Should not be evaluated.');
+				},
+			},
+		});
+
+		series.resample('1D', 'sum', { fill: 'forwardFill' });
+	});
+
 	it('can group by value', function () {
 
 		var series = new Series({
@@ -1675,6 +2253,91 @@ describe('Series', function () {
 		expect(series.at(200)).to.eql(20);
 	});
 
+	it('can get value by date index', function () {
+
+		var series = new Series({ 
+			index:  [new Date(2016, 0, 1), new Date(2016, 0, 2)],
+			values: [10, 20],
+		});
+
+		expect(series.at(new Date(2016, 0, 2))).to.eql(20);
+	});
+
+	it('index of baked series is cached', function () {
+
+		var series = new Series({ 
+			index:  [100, 200, 300],
+			values: [10, 20, 30],
+		}).bake();
+
+		expect(series.getIndex()).to.equal(series.getIndex());
+	});
+
+	it('lookups on a series created from arrays see changes to the arrays', function () {
+
+		var index = [100, 200, 300];
+		var values = [10, 20, 30];
+		var series = new Series({ index: index, values: values });
+
+		expect(series.at(200)).to.eql(20);
+		expect(series.startAt(200).toArray()).to.eql([20, 30]);
+
+		index[1] = 250;
+		values[1] = 25;
+
+		expect(series.at(200)).to.eql(undefined);
+		expect(series.at(250)).to.eql(25);
+		expect(series.startAt(200).toArray()).to.eql([25, 30]);
+	});
+
+	it('range lookups on an index that contains NaN scan the index', function () {
+
+		var series = new Series({ index: [1, NaN, 3], values: [1, 2, 3] });
+
+		expect(series.startAt(2).toArray()).to.eql([2, 3]);
+		expect(series.bake().startAt(2).toArray()).to.eql([2, 3]);
+	});
+
+	it('lookups on a baked series only evaluate the series once', function () {
+
+		var numIterations = 0;
+		var series = new Series({
+			index: [100, 200, 300],
+			values: function () {
+				++numIterations;
+				return new ArrayIterator([10, 20, 30]);
+			},
+		});
+
+		var baked = series.bake();
+		expect(numIterations).to.eql(1);
+
+		expect(baked.at(200)).to.eql(20);
+		expect(baked.at(300)).to.eql(30);
+		expect(baked.startAt(200).toPairs()).to.eql([[200, 20], [300, 30]]);
+		expect(baked.between(100, 200).toArray()).to.eql([10, 20]);
+		expect(numIterations).to.eql(1);
+	});
+
+	it('lookups on a lazy series see the latest values', function () {
+
+		var values = [10, 20, 30];
+		var series = new Series({
+			index: [100, 200, 300],
+			values: function () {
+				return new ArrayIterator(values.slice());
+			},
+		});
+
+		expect(series.at(200)).to.eql(20);
+		expect(series.startAt(200).toArray()).to.eql([20, 30]);
+
+		values = [11, 21, 31];
+
+		expect(series.at(200)).to.eql(21);
+		expect(series.startAt(200).toArray()).to.eql([21, 31]);
+	});
+
 	it('getting by index returns undefined when the requested index does not exist', function () {
 
 		var series = new Series({ 
@@ -2023,6 +2686,58 @@ describe('Series', function () {
 		]); 	
 	});
 
+	it('can get series between particular indices - with unsorted index', function () {
+
+		var series = new Series({
+			index: [10, 30, 20, 40],
+			values: [1, 2, 3, 4],
+		});
+
+		expect(series.startAt(20).toPairs()).to.eql([[30, 2], [20, 3], [40, 4]]);
+		expect(series.endAt(20).toPairs()).to.eql([[10, 1]]);
+		expect(series.before(20).toPairs()).to.eql([[10, 1]]);
+		expect(series.after(20).toPairs()).to.eql([[30, 2], [20, 3], [40, 4]]);
+	});
+
+	it('can get series between particular indices - with duplicate index values', function () {
+
+		var series = new Series({
+			index: [10, 20, 20, 30],
+			values: [1, 2, 3, 4],
+		});
+
+		expect(series.between(20, 20).toPairs()).to.eql([[20, 2], [20, 3]]);
+		expect(series.before(20).toPairs()).to.eql([[10, 1]]);
+		expect(series.after(20).toPairs()).to.eql([[30, 4]]);
+	});
+
+	it('between is empty when start is after end', function () {
+
+		var series = new Series({
+			index: [10, 20, 30],
+			values: [1, 2, 3],
+		});
+
+		expect(series.between(30, 10).toPairs()).to.eql([]);
+	});
+
+	it('slicing by index is lazy', function () {
+
+		var series = new Series({
+			iterable: {
+				getIterator: function () {
+					throw new Error('Should not be evaluated.');
+				},
+			},
+		});
+
+		series.startAt(1);
+		series.endAt(1);
+		series.before(1);
+		series.after(1);
+		series.between(1, 2);
+	});
+
 	it('can get series between particular indices - with integer index', function () {
 
 		var series = new Series({
@@ -0,0 +1,176 @@
+'use strict';
+
+describe('text format', function () {
+
+	var expect = require('chai').expect;
+
+	require('../index');
+	var textFormat = require('../src/text-format');
+
+	var parseFixedWidth = function (text, config) {
+		return textFormat.parseFixedWidth(text, textFormat.parseFixedWidthOptions(config, 'test'));
+	};
+
+	var parseText = function (text, config) {
+		return textFormat.parseText(text, textFormat.parseTextOptions(config, 'test'), 'test');
+	};
+
+	var formatLines = function (columnNames, rows, options) {
+		var writeOptions = textFormat.parseFixedWidthWriteOptions(options, 'test');
+		var layout = textFormat.layoutFixedWidth(columnNames, writeOptions, function () { return rows; }, 'test');
+		return rows.map(function (row) {
+			return textFormat.formatFixedWidthLine(row, layout, 'test');
+		});
+	};
+
+	it('can parse fixed-width text', function () {
+
+		var parsed = parseFixedWidth('ab  12\r\ncd   3\n\n', {
+			columns: [
+				{ name: 'A', width: 4 },
+				{ name: 'B', width: 2 },
+			],
+		});
+
+		expect(parsed).to.eql({
+			columnNames: ['A', 'B'],
+			rows: [['ab', '12'], ['cd', '3']],
+		});
+	});
+
+	it('can parse fixed-width text with column positions and types', function () {
+
+		var parsed = parseFixedWidth('header\nx 0012 05/01/2016 true  rest of line\ny abc             false\n', {
+			skipRows: 1,
+			columns: [
+				{ name: 'Count', start: 2, width: 4, type: 'int' },
+				{ name: 'Date', width: 11, type: 'date', format: 'DD/MM/YYYY' },
+				{ name: 'Flag', start: 18, width: 6, type: 'boolean' },
+				{ name: 'Rest' },
+			],
+		});
+
+		expect(parsed.rows).to.eql([
+			[12, new Date(2016, 0, 5), true, 'rest of line'],
+			['abc', undefined, false, undefined],
+		]);
+	});
+
+	it('only the last fixed-width column can omit its width', function () {
+
+		expect(function () {
+			parseFixedWidth('', { columns: [{ name: 'A' }, { name: 'B', width: 2 }] });
+		}).to.throw(/width/);
+	});
+
+	it('fixed-width columns are required', function () {
+
+		expect(function () {
+			parseFixedWidth('', {});
+		}).to.throw(/columns/);
+
+		expect(function () {
+			parseFixedWidth('', { columns: [{ name: 'A', width: 0 }] });
+		}).to.throw(/width/);
+
+		expect(function () {
+			parseFixedWidth('', { columns: [{ name: 'A', type: 'unknown' }] });
+		}).to.throw(/type/);
+	});
+
+	it('can parse text with pattern', function () {
+
+		var parsed = parseText('a=1\n\nb=2', { pattern: /^(\w+)=(\d+)$/g });
+
+		expect(parsed).to.eql({
+			columnNames: ['Column1', 'Column2'],
+			rows: [['a', '1'], ['b', '2']],
+		});
+	});
+
+	it('can parse text with pattern as a string', function () {
+
+		var parsed = parseText('a=1', { pattern: '^(\\w+)=(\\d+)$', columnNames: ['Key', 'Value'] });
+
+		expect(parsed).to.eql({
+			columnNames: ['Key', 'Value'],
+			rows: [['a', '1']],
+		});
+	});
+
+	it('column names default to the names of named capture groups', function () {
+
+		var parsed = parseText('a=1', { pattern: /^(?<Key>\w+)=(\d+)?(?<Value>\d*)$/ });
+
+		expect(parsed).to.eql({
+			columnNames: ['Key', 'Value'],
+			rows: [['a', '']],
+		});
+	});
+
+	it('lines that do not match the pattern are an error', function () {
+
+		expect(function () {
+			parseText('skipped\na=1\nb', { pattern: /^(\w+)=(\d+)$/, skipRows: 1 });
+		}).to.throw(/Line 3 of text passed to 'test'/);
+	});
+
+	it('can skip lines that do not match the pattern', function () {
+
+		var parsed = parseText('a=1\nb\nc=3', { pattern: /^(\w+)=(\d+)$/, skipUnmatched: true });
+
+		expect(parsed.rows).to.eql([['a', '1'], ['c', '3']]);
+	});
+
+	it('pattern must have capture groups', function () {
+
+		expect(function () {
+			parseText('a', { pattern: /^\w+$/ });
+		}).to.throw(/capture group/);
+	});
+
+	it('can format fixed-width lines', function () {
+
+		var lines = formatLines(['A', 'B', 'C'], [['ab', 1, new Date(Date.UTC(2016, 0, 5))], ['c', 123, undefined]]);
+
+		expect(lines).to.eql([
+			'ab  12016-01-05T00:00:00.000Z',
+			'c 123                        ',
+		]);
+	});
+
+	it('can format fixed-width lines with column layout', function () {
+
+		var lines = formatLines(['A', 'B', 'C'], [['ab', 1, new Date(2016, 0, 5)]], {
+			columns: [
+				{ name: 'C', width: 10, format: 'DD/MM/YYYY' },
+				{ name: 'B', start: 12, width: 3, align: 'left' },
+				{ name: 'A', width: 4, align: 'right' },
+			],
+		});
+
+		expect(lines).to.eql(['05/01/2016  1    ab']);
+	});
+
+	it('formatting value wider than column is an error', function () {
+
+		expect(function () {
+			formatLines(['A'], [['abc']], { columns: [{ name: 'A', width: 2 }] });
+		}).to.throw(/Value 'abc' of column 'A'/);
+	});
+
+	it('formatting columns that overlap is an error', function () {
+
+		expect(function () {
+			formatLines(['A', 'B'], [['a', 'b']], { columns: [{ name: 'A', width: 2 }, { name: 'B', start: 1, width: 1 }] });
+		}).to.throw(/start after the end of the previous column/);
+	});
+
+	it('can format header of fixed-width lines', function () {
+
+		var writeOptions = textFormat.parseFixedWidthWriteOptions({ header: true }, 'test');
+		var layout = textFormat.layoutFixedWidth(['Name', 'X'], writeOptions, function () { return [['a', 1]]; }, 'test');
+
+		expect(textFormat.formatFixedWidthHeader(layout, 'test')).to.eql('NameX');
+	});
+});
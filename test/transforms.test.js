@@ -0,0 +1,32 @@
+'use strict';
+
+describe('transforms', function () {
+
+	var expect = require('chai').expect;
+
+	var transforms = require('../src/transforms');
+
+	it('can rank values', function () {
+
+		var values = [3, 1, 3, null, 2, 3];
+
+		expect(transforms.rank(values, 'average')).to.eql([4, 1, 4, null, 2, 4]);
+		expect(transforms.rank(values, 'min')).to.eql([3, 1, 3, null, 2, 3]);
+		expect(transforms.rank(values, 'max')).to.eql([5, 1, 5, null, 2, 5]);
+		expect(transforms.rank(values, 'first')).to.eql([3, 1, 4, null, 2, 5]);
+		expect(transforms.rank(values, 'dense')).to.eql([3, 1, 3, null, 2, 3]);
+	});
+
+	it('can rank strings and dates', function () {
+
+		expect(transforms.rank(['b', 'a', 'c'], 'average')).to.eql([2, 1, 3]);
+		expect(transforms.rank([new Date(2016, 0, 2), new Date(2016, 0, 1), new Date(2016, 0, 2)], 'min')).to.eql([2, 1, 2]);
+	});
+
+	it('cumulative operations skip values that are not numbers', function () {
+
+		var cumsum = transforms.cumsum();
+
+		expect([1, null, 2, 'x', 3].map(cumsum)).to.eql([1, null, 3, 'x', 6]);
+	});
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+describe('type inference', function () {
+
+	var expect = require('chai').expect;
+
+	require('../index');
+	var typeInference = require('../src/type-inference');
+
+	it('can parse values to the type they represent', function () {
+
+		expect(typeInference.parseValue('12')).to.eql(12);
+		expect(typeInference.parseValue('-1.5e3')).to.eql(-1500);
+		expect(typeInference.parseValue('True')).to.eql(true);
+		expect(typeInference.parseValue('false')).to.eql(false);
+		expect(typeInference.parseValue('2016-02-01')).to.eql(new Date(2016, 1, 1));
+		expect(typeInference.parseValue('01/02/2016', 'DD/MM/YYYY')).to.eql(new Date(2016, 1, 1));
+		expect(typeInference.parseValue('01/02/2016')).to.eql('01/02/2016');
+		expect(typeInference.parseValue('12 apples')).to.eql('12 apples');
+		expect(typeInference.parseValue('')).to.eql(undefined);
+	});
+
+	it('can convert rows to inferred types', function () {
+
+		var rows = typeInference.convertRows(["a", "b"], [['1', 'x'], ['', 'y']], true, 'test');
+
+		expect(rows).to.eql([[1, 'x'], [undefined, 'y']]);
+	});
+
+	it('values in unsampled rows that are not of the inferred type are left as strings', function () {
+
+		var rows = typeInference.convertRows(["a"], [['1'], ['2'], ['x']], { sampleSize: 2 }, 'test');
+
+		expect(rows).to.eql([[1], [2], ['x']]);
+	});
+});
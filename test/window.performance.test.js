@@ -83,4 +83,44 @@ describe('window performance', function () {
 		//console.log('t2: ' + time2);
 		expect(time2).to.be.at.most(100);
 	});
+
+	it('window - large series is evaluated in a single pass', function () {
+
+		var numItems = 20000;
+		var windowSize = 5;
+		var numValuesRequested = 0;
+
+		var series = new dataForge.Series({
+			iterable: {
+				getIterator: function () {
+					var i = -1;
+					return {
+						moveNext: function () {
+							++numValuesRequested;
+							return ++i < numItems;
+						},
+
+						getCurrent: function () {
+							return [i, i];
+						},
+					};
+				},
+			},
+		});
+
+		var stopwatch = new Stopwatch();
+		stopwatch.start();
+
+		var numWindows = series
+			.window(windowSize)
+			.count();
+
+		stopwatch.stop();
+		var time = stopwatch.read();
+		//console.log('t: ' + time);
+
+		expect(numWindows).to.eql(numItems / windowSize);
+		expect(numValuesRequested).to.eql(numItems + 1); // Each value is only requested once.
+		expect(time).to.be.at.most(2000);
+	});
 });
\ No newline at end of file
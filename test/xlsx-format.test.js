@@ -0,0 +1,160 @@
+'use strict';
+
+describe('xlsx format', function () {
+
+	var expect = require('chai').expect;
+
+	require('../index');
+	var xlsxFormat = require('../src/xlsx-format');
+
+	var write = function (sheets, options) {
+		return xlsxFormat.write(sheets, xlsxFormat.parseWriteOptions(options, 'test'));
+	};
+
+	var readSheet = function (data, sheet, config) {
+		var options = xlsxFormat.parseReadOptions(config, 'test');
+		return xlsxFormat.readSheet(xlsxFormat.readWorkbook(data, 'test'), sheet !== undefined ? sheet : options.sheet, options, 'test');
+	};
+
+	var testSheet = {
+		sheetName: 'Test',
+		columnNames: ['Name', 'Amount', 'Date', 'Paid'],
+		rows: [
+			['a', 1.5, new Date(2016, 0, 5), true],
+			['b', undefined, new Date(2016, 1, 6, 13, 30), false],
+			['c', 3, null, true],
+		],
+	};
+
+	it('can write and read typed cells', function () {
+
+		var sheet = readSheet(write([testSheet]));
+
+		expect(sheet.columnNames).to.eql(testSheet.columnNames);
+		expect(sheet.rows).to.eql([
+			['a', 1.5, new Date(2016, 0, 5), true],
+			['b', undefined, new Date(2016, 1, 6, 13, 30), false],
+			['c', 3, undefined, true],
+		]);
+	});
+
+	it('can write worksheet without header', function () {
+
+		var sheet = readSheet(write([testSheet], { header: false }), 0, { headerRow: false });
+
+		expect(sheet.columnNames).to.eql(['Column1', 'Column2', 'Column3', 'Column4']);
+		expect(sheet.rows.length).to.eql(3);
+	});
+
+	it('values that are not numbers, dates, booleans or strings are written as strings', function () {
+
+		var sheet = readSheet(write([{ sheetName: 'Test', columnNames: ['A'], rows: [[{ toString: function () { return 'x'; } }]] }]));
+
+		expect(sheet.rows).to.eql([['x']]);
+	});
+
+	it('can read worksheet by name or index', function () {
+
+		var data = write([
+			{ sheetName: 'First', columnNames: ['A'], rows: [[1]] },
+			{ sheetName: 'Second', columnNames: ['B'], rows: [[2]] },
+		]);
+
+		expect(readSheet(data, 'Second').rows).to.eql([[2]]);
+		expect(readSheet(data, 1).columnNames).to.eql(['B']);
+	});
+
+	it('reading missing worksheet throws', function () {
+
+		var data = write([testSheet]);
+
+		expect(function () {
+			readSheet(data, 'Missing');
+		}).to.throw(/Worksheet 'Missing'.*Test/);
+
+		expect(function () {
+			readSheet(data, 1);
+		}).to.throw(/Worksheet '1'/);
+	});
+
+	it('can read range of cells', function () {
+
+		var sheet = readSheet(write([testSheet]), 0, { range: 'B1:C3' });
+
+		expect(sheet.columnNames).to.eql(['Amount', 'Date']);
+		expect(sheet.rows).to.eql([
+			[1.5, new Date(2016, 0, 5)],
+			[undefined, new Date(2016, 1, 6, 13, 30)],
+		]);
+	});
+
+	it('can read header from later row', function () {
+
+		var data = write([{ sheetName: 'Test', columnNames: ['Report'], rows: [[], ['A', 'B'], [1, 2], [], [3, 4]] }]);
+		var sheet = readSheet(data, 0, { headerRow: 3 });
+
+		expect(sheet.columnNames).to.eql(['A', 'B']);
+		expect(sheet.rows).to.eql([[1, 2], [3, 4]]);
+	});
+
+	it('header row must be within range', function () {
+
+		var data = write([testSheet]);
+
+		expect(function () {
+			readSheet(data, 0, { range: 'A2:B3', headerRow: 1 });
+		}).to.throw(/headerRow/);
+	});
+
+	it('columns without names in the header row are named by position', function () {
+
+		var data = write([{ sheetName: 'Test', columnNames: ['A', undefined, 3], rows: [[1, 2, 3]] }]);
+
+		expect(readSheet(data).columnNames).to.eql(['A', 'Column2', '3']);
+	});
+
+	it('columns are not named from header when column names are specified', function () {
+
+		var options = xlsxFormat.parseReadOptions({ columnNames: ['X'] }, 'test');
+
+		expect(options.headerRow).to.eql(false);
+	});
+
+	it('reading empty worksheet produces no rows', function () {
+
+		var sheet = readSheet(write([{ sheetName: 'Test', columnNames: [], rows: [] }], { header: false }));
+
+		expect(sheet).to.eql({ columnNames: [], rows: [] });
+	});
+
+	it('can read workbook from array buffer', function () {
+
+		var data = write([testSheet]);
+		var arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+
+		expect(readSheet(arrayBuffer).rows.length).to.eql(3);
+	});
+
+	it('invalid options throw', function () {
+
+		expect(function () {
+			xlsxFormat.parseReadOptions({ range: 'not a range' }, 'test');
+		}).to.throw(/range/);
+
+		expect(function () {
+			xlsxFormat.parseReadOptions({ headerRow: 0 }, 'test');
+		}).to.throw(/headerRow/);
+
+		expect(function () {
+			xlsxFormat.parseReadOptions({ sheet: -1 }, 'test');
+		}).to.throw(/sheet/);
+
+		expect(function () {
+			xlsxFormat.parseWriteOptions({ sheetName: '' }, 'test');
+		}).to.throw(/sheetName/);
+
+		expect(function () {
+			xlsxFormat.readWorkbook('text', 'test');
+		}).to.throw(/Buffer/);
+	});
+});
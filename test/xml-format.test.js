@@ -0,0 +1,76 @@
+'use strict';
+
+describe('xml format', function () {
+
+	var expect = require('chai').expect;
+
+	require('../index');
+	var xmlFormat = require('../src/xml-format');
+
+	var parse = function (text, config) {
+		return xmlFormat.parse(text, xmlFormat.parseReadOptions(config, 'test'), 'test');
+	};
+
+	it('can parse rows from children of the root element', function () {
+
+		expect(parse('<?xml version="1.0"?><data><row><A>1</A><B/></row><row><A><![CDATA[<2>]]></A></row></data>')).to.eql([
+			{ A: '1', B: '' },
+			{ A: '<2>' },
+		]);
+	});
+
+	it('can parse nested elements and attributes', function () {
+
+		expect(parse('<data><row id="1"><A x="y"><B>b</B><C> c </C></A></row></data>')).to.eql([
+			{ id: '1', 'A.x': 'y', 'A.B': 'b', 'A.C': 'c' },
+		]);
+	});
+
+	it('can parse rows from named elements', function () {
+
+		expect(parse('<data><group><item><A>1</A></item></group><item><A>2</A></item></data>', { rowElement: 'item' })).to.eql([
+			{ A: '1' },
+			{ A: '2' },
+		]);
+	});
+
+	it('invalid read options throw', function () {
+
+		expect(function () {
+			xmlFormat.parseReadOptions({ rowElement: 'not valid' }, 'test');
+		}).to.throw(/rowElement/);
+
+		expect(function () {
+			xmlFormat.parseReadOptions({ attributesAsColumns: 'yes' }, 'test');
+		}).to.throw(/attributesAsColumns/);
+	});
+
+	it('can format rows', function () {
+
+		var options = xmlFormat.parseWriteOptions({ rowElement: 'r' }, 'test');
+
+		expect(xmlFormat.start(options)).to.eql('<?xml version="1.0" encoding="UTF-8"?>\n<data>');
+		expect(xmlFormat.formatRow({ A: '<a>', B: null, C: 0 }, ['A', 'B', 'C'], options)).to.eql('\n    <r>\n        <A>&lt;a&gt;</A>\n        <C>0</C>\n    </r>');
+		expect(xmlFormat.end(options)).to.eql('\n</data>');
+	});
+
+	it('formatted rows can be parsed', function () {
+
+		var options = xmlFormat.parseWriteOptions({}, 'test');
+		var row = { A: 'a & b', B: '1' };
+		var text = xmlFormat.start(options) + xmlFormat.formatRow(row, ['A', 'B'], options) + xmlFormat.end(options);
+
+		expect(parse(text)).to.eql([row]);
+	});
+
+	it('invalid element names throw', function () {
+
+		expect(function () {
+			xmlFormat.parseWriteOptions({ rootElement: '<data>' }, 'test');
+		}).to.throw(/rootElement/);
+
+		expect(function () {
+			xmlFormat.checkColumnNames(['A', 'B C'], 'test');
+		}).to.throw(/column name/);
+	});
+});